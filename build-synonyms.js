@@ -0,0 +1,159 @@
+// Build the bundled synonym dictionary (synonyms.js) from the WordNet
+// database files (index.sense, data.noun/verb/adj/adv and the *.exc lists
+// of irregular forms). Each word is linked with the synonyms of its most
+// frequent sense that have that sense among their own two most frequent
+// ones, and linked words form a group; groups that would grow past
+// --max-group words are not merged further, so one chain of loose senses
+// cannot fold unrelated words together. Only senses seen at least
+// --min-count times in WordNet's tagged corpus are used.
+//
+// Usage: npm run build-synonyms -- <WordNet dict folder> [--min-count 2] [--max-group 8] [--out synonyms.js]
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+
+const POS_FILES = { n: 'noun', v: 'verb', a: 'adj', s: 'adj', r: 'adv' };
+const SS_TYPES = { 1: 'n', 2: 'v', 3: 'a', 4: 'r', 5: 's' };
+const WORD_RE = /^[a-z]{2,}$/;
+
+function parseArgs(argv) {
+  const args = { folder: null, minCount: 2, maxGroup: 8, out: path.join(__dirname, 'synonyms.js') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--min-count') args.minCount = Number(argv[++i]);
+    else if (argv[i] === '--max-group') args.maxGroup = Number(argv[++i]);
+    else if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+    else args.folder = path.resolve(argv[i]);
+  }
+  if (!args.folder) throw new Error('Give the folder holding the WordNet database files (index.sense, data.noun, ...)');
+  if (!(Number.isInteger(args.minCount) && args.minCount >= 1)) throw new Error('--min-count must be a whole number of at least 1');
+  if (!(Number.isInteger(args.maxGroup) && args.maxGroup >= 2)) throw new Error('--max-group must be a whole number of at least 2');
+  return args;
+}
+
+function readLines(folder, name) {
+  const file = path.join(folder, name);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line && !line.startsWith('  '));
+}
+
+// Tagged senses: lemma -> [{ synset, count }], most frequent first
+function readSenses(folder) {
+  const senses = new Map();
+  for (const line of readLines(folder, 'index.sense')) {
+    const [key, offset, , count] = line.split(' ');
+    const [lemma, rest] = key.split('%');
+    const pos = SS_TYPES[rest.split(':')[0]];
+    if (!WORD_RE.test(lemma) || Number(count) < 1) continue;
+    if (!senses.has(lemma)) senses.set(lemma, []);
+    senses.get(lemma).push({ synset: `${POS_FILES[pos]}:${offset}`, count: Number(count) });
+  }
+  for (const list of senses.values()) list.sort((x, y) => y.count - x.count);
+  return senses;
+}
+
+// Words of the synsets in `wanted`: 'noun:00001740' -> ['entity']
+function readSynsets(folder, wanted) {
+  const members = new Map();
+  for (const file of new Set(Object.values(POS_FILES))) {
+    for (const line of readLines(folder, `data.${file}`)) {
+      const id = `${file}:${line.slice(0, 8)}`;
+      if (!wanted.has(id)) continue;
+      const fields = line.split(' ');
+      const count = parseInt(fields[3], 16);
+      const words = [];
+      for (let i = 0; i < count; i++) words.push(fields[4 + i * 2].toLowerCase().replace(/\(.*\)$/, ''));
+      members.set(id, words);
+    }
+  }
+  return members;
+}
+
+// Irregular forms of the *.exc lists: 'went' -> 'go'
+function readForms(folder, known) {
+  const forms = {};
+  for (const file of ['noun', 'verb', 'adj', 'adv']) {
+    for (const line of readLines(folder, `${file}.exc`)) {
+      const [form, base] = line.split(' ');
+      if (WORD_RE.test(form) && known.has(base) && form !== base && !forms[form]) forms[form] = base;
+    }
+  }
+  return forms;
+}
+
+function buildGroups(senses, members, args) {
+  const skip = new Set(engine.FUNCTION_WORDS);
+  const parent = new Map();
+  const size = new Map();
+  const find = w => (parent.get(w) === w ? w : (parent.set(w, find(parent.get(w))), parent.get(w)));
+  const add = w => { if (!parent.has(w)) { parent.set(w, w); size.set(w, 1); } };
+  // a synonym counts when the shared synset is one of its own two most
+  // frequent senses
+  const usedIn = (word, synset) => (senses.get(word) || []).slice(0, 2).some(s => s.synset === synset && s.count >= args.minCount);
+
+  for (const [word, list] of senses) {
+    if (skip.has(word) || list[0].count < args.minCount) continue;
+    for (const other of members.get(list[0].synset) || []) {
+      if (other === word || skip.has(other) || !usedIn(other, list[0].synset)) continue;
+      add(word);
+      add(other);
+      const a = find(word);
+      const b = find(other);
+      if (a === b || size.get(a) + size.get(b) > args.maxGroup) continue;
+      parent.set(a, b);
+      size.set(b, size.get(a) + size.get(b));
+    }
+  }
+
+  const groups = new Map();
+  for (const word of parent.keys()) {
+    const root = find(word);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(word);
+  }
+  // the most frequent word of a group stands for it
+  const frequency = w => senses.get(w).reduce((n, s) => n + s.count, 0);
+  return Array.from(groups.values())
+    .filter(g => g.length > 1)
+    .map(g => g.sort((x, y) => frequency(y) - frequency(x) || (x < y ? -1 : 1)))
+    .sort((x, y) => (x[0] < y[0] ? -1 : 1))
+    .map(g => g.join(' '));
+}
+
+function writeDictionary(data, out, folder) {
+  const source = [
+    '// Synonym groups and irregular word forms for paraphrase detection.',
+    `// Generated by build-synonyms.js from the WordNet database in ${path.basename(folder)}/ - do not`,
+    '// edit; run `npm run build-synonyms -- <WordNet dict folder>` to rebuild it.',
+    '// Derived from WordNet 3.0, Copyright 2006 by Princeton University. All',
+    '// rights reserved. Used under the WordNet license:',
+    '// https://wordnet.princeton.edu/license-and-commercial-use',
+    '(function (root, data) {',
+    "  if (typeof module === 'object' && module.exports) module.exports = data;",
+    '  else root.DetectorSynonyms = data;',
+    "})(typeof self !== 'undefined' ? self : this, " + JSON.stringify(data) + ');',
+    ''
+  ].join('\n');
+  fs.writeFileSync(out, source);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const senses = readSenses(args.folder);
+  if (!senses.size) throw new Error(`No tagged senses in ${path.join(args.folder, 'index.sense')}`);
+  const wanted = new Set(Array.from(senses.values()).map(list => list[0].synset));
+  const groups = buildGroups(senses, readSynsets(args.folder, wanted), args);
+  const forms = readForms(args.folder, senses);
+  writeDictionary({ groups, forms }, args.out, args.folder);
+
+  const words = groups.reduce((n, g) => n + g.split(' ').length, 0);
+  console.log(`Wrote ${groups.length} synonym groups (${words} words) and ${Object.keys(forms).length} irregular forms`);
+  console.log(`Wrote ${path.relative(process.cwd(), args.out) || args.out}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
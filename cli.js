@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// ai-detector: offline bulk analysis from the command line, with the same
+// extraction (extract.js) and scoring (engine.js) as the server. Takes
+// files, folders and glob patterns; prints the report as text, HTML, a CSV
+// gradebook or versioned JSON (report-schema.json).
+//
+// Exit codes: 0 nothing crossed a --fail-* limit, 2 something did, 1 error.
+//
+// Usage: ai-detector <file|folder|glob>... [--format text|html|csv|json] [--out file]
+//          [--profile name|file.json] [--subject name] [--rubric name|file.json]
+//          [--threshold 20] [--corpus] [--students] [--fail-on mixed|ai] [--fail-above 70] [--fail-similarity 40]
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+const { extractDocuments, listFolder, ARCHIVE_EXTENSIONS } = require('./extract');
+const ocr = require('./ocr');
+const { createProfileStore, loadProfile } = require('./profiles');
+const { createRubricStore, loadRubric } = require('./rubrics');
+
+const DATA_DIR = path.join(__dirname, 'data');
+// --fail-on: labels that fail the run
+const FAIL_LABELS = {
+  mixed: ['Mixed', 'Likely AI-generated'],
+  ai: ['Likely AI-generated']
+};
+
+const USAGE = 'Usage: ai-detector <file|folder|glob>... [--format text|html|csv|json] [--out file] [--profile name|file.json] ' +
+  '[--subject name] [--rubric name|file.json] [--threshold 20] [--corpus] [--students] [--fail-on mixed|ai] [--fail-above pct] [--fail-similarity pct]';
+
+/* ---------------- INPUTS ---------------- */
+
+const GLOB_CHARS = /[*?[]/;
+
+// Regex for a glob relative to its base folder: ** spans folders, * and ?
+// stay within one name, [...] is a character class
+function globRegex(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else if (c === '[') {
+      const close = pattern.indexOf(']', i);
+      if (close < 0) re += '\\[';
+      else {
+        re += '[' + pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = close;
+      }
+    } else re += c.replace(/[.+^${}()|\\]/g, '\\$&');
+  }
+  return new RegExp('^' + re + '$');
+}
+
+// Files matching a glob, searched from its longest folder without wildcards
+function expandGlob(pattern) {
+  const parts = pattern.split(/[\\/]/);
+  const first = parts.findIndex(p => GLOB_CHARS.test(p));
+  const base = parts.slice(0, first).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) return [];
+  const re = globRegex(parts.slice(first).join('/'));
+  return listFolder(base)
+    .filter(f => re.test(f.split(path.sep).join('/')))
+    .map(f => path.join(base, f));
+}
+
+// Readable files named by the arguments, in order and without repeats
+function expandInputs(inputs) {
+  const files = [];
+  const seen = new Set();
+  const add = file => {
+    const key = path.resolve(file);
+    if (!seen.has(key)) { seen.add(key); files.push(file); }
+  };
+  for (const input of inputs) {
+    if (fs.existsSync(input)) {
+      if (fs.statSync(input).isDirectory()) listFolder(input).forEach(f => add(path.join(input, f)));
+      else add(input);
+    } else if (GLOB_CHARS.test(input)) {
+      const matched = expandGlob(input);
+      if (!matched.length) throw new Error(`No readable files match ${input}`);
+      matched.forEach(add);
+    } else {
+      throw new Error(`No such file or folder: ${input}`);
+    }
+  }
+  return files;
+}
+
+/* ---------------- ANALYSIS ---------------- */
+
+// Per-file results and cross-file comparison, shaped like /analyze/batch.
+// Student IDs are parsed from file (or archive) names. With a corpus every
+// document is also searched in the reference corpus; with a student store
+// its writing style is compared with the student's earlier submissions.
+// File metadata is checked against the student's earlier submissions and
+// the rest of the batch.
+function analyzeBatch(docs, options) {
+  const fps = docs.map(d => engine.fingerprintText(d.text));
+  const files = docs.map((d, i) => {
+    const result = engine.analyzeText(d.text, options.profile, { subject: options.subject, rubric: options.rubric });
+    const studentId = engine.parseStudentId(d.fileName) || engine.parseStudentId(d.archive);
+    const metadata = d.metadata || null;
+    const submission = studentId && options.students ? engine.styleSubmission(d.text, d.fileName, undefined, metadata && metadata.author) : null;
+    const style = submission ? options.students.compare(studentId, submission) : null;
+    const file = { fileName: d.fileName, archive: d.archive || null, text: d.text, ...result, ocr: d.ocr || null, metadata, studentId, style };
+    if (options.corpus) {
+      const corpusMatches = options.corpus.search(fps[i]);
+      const top = corpusMatches[0];
+      file.breakdown = [...result.breakdown, engine.overlapSignal(top && top.containment, top && top.title)];
+      file.corpusMatches = corpusMatches;
+    }
+    return file;
+  });
+  const anomalies = engine.metadataAnomalies(files.map(f => ({ ...f, name: docName(f) })));
+  files.forEach((f, i) => { f.metadataAnomalies = anomalies[i]; });
+  return {
+    engineVersion: engine.ENGINE_VERSION,
+    profile: options.profile.name,
+    subject: options.subject,
+    files,
+    comparison: {
+      threshold: options.threshold,
+      ...engine.compareBatch(fps, options.threshold),
+      code: engine.compareBatch(docs.map(d => engine.fingerprintCode(d.text)), options.threshold)
+    }
+  };
+}
+
+// Display name of a document: "archive.zip: entry" for archive entries
+function docName(file) {
+  return file.archive ? `${file.archive}: ${file.fileName}` : file.fileName;
+}
+
+// Matches of document i against the others, most similar first
+function matchesOf(comparison, files, i) {
+  return comparison.pairs
+    .filter(p => p.a === i)
+    .map(p => ({ name: docName(files[p.b]), containment: p.containment, spans: p.spans, paraphrase: p.paraphrase, paraphrases: p.paraphrases }))
+    .sort((x, y) => engine.similarityOf(y) - engine.similarityOf(x));
+}
+
+// Reasons the run fails under the --fail-* limits, one per document and limit
+function failures(batch, args) {
+  const reasons = [];
+  batch.files.forEach((f, i) => {
+    const name = docName(f);
+    if (args.failOn && FAIL_LABELS[args.failOn].includes(f.aiLabel)) reasons.push(`${name}: labelled ${f.aiLabel}`);
+    if (args.failAbove !== null && f.aiLikelihood > args.failAbove) reasons.push(`${name}: AI likelihood ${f.aiLikelihood}% above ${args.failAbove}%`);
+    if (args.failSimilarity === null) return;
+    const top = [
+      ...matchesOf(batch.comparison, batch.files, i),
+      ...matchesOf(batch.comparison.code, batch.files, i).map(m => ({ ...m, name: `${m.name} (code)` })),
+      ...(f.corpusMatches || []).map(m => ({ name: `corpus: ${m.title}`, containment: m.containment, paraphrase: m.paraphrase }))
+    ].sort((x, y) => engine.similarityOf(y) - engine.similarityOf(x))[0];
+    if (top && engine.similarityOf(top) >= args.failSimilarity) reasons.push(`${name}: ${engine.similarityOf(top)}% found in ${top.name}`);
+  });
+  return reasons;
+}
+
+/* ---------------- OUTPUT ---------------- */
+
+// Versioned report (report-schema.json) of a batch
+function toReport(batch) {
+  const files = batch.files.map((f, i) => ({
+    ...f,
+    name: f.fileName,
+    matches: matchesOf(batch.comparison, batch.files, i),
+    codeMatches: matchesOf(batch.comparison.code, batch.files, i)
+  }));
+  const { threshold, matrix, clusters, code } = batch.comparison;
+  return engine.buildReport(files, {
+    profile: batch.profile,
+    subject: batch.subject,
+    comparison: { threshold, matrix, codeMatrix: code.matrix, clusters }
+  });
+}
+
+const RENDERERS = {
+  text: engine.reportToText,
+  json: report => JSON.stringify(report, null, 2) + '\n',
+  csv: engine.reportToCsv,
+  html: engine.reportToHtml
+};
+
+/* ---------------- CLI ---------------- */
+
+function parseArgs(argv) {
+  const args = {
+    inputs: [], format: 'text', out: null, profile: null, subject: 'General', rubric: null,
+    threshold: 20, corpus: false, students: false, failOn: null, failAbove: null, failSimilarity: null
+  };
+  const percent = (flag, value) => {
+    const n = Number(value);
+    if (value === undefined || !(n >= 0 && n <= 100)) throw new Error(`${flag} must be a number from 0 to 100`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--format') args.format = argv[++i];
+    else if (a === '--out') args.out = argv[++i];
+    else if (a === '--profile') args.profile = argv[++i];
+    else if (a === '--subject') args.subject = argv[++i];
+    else if (a === '--rubric') args.rubric = argv[++i];
+    else if (a === '--threshold') args.threshold = percent(a, argv[++i]);
+    else if (a === '--corpus') args.corpus = true;
+    else if (a === '--students') args.students = true;
+    else if (a === '--fail-on') args.failOn = argv[++i];
+    else if (a === '--fail-above') args.failAbove = percent(a, argv[++i]);
+    else if (a === '--fail-similarity') args.failSimilarity = percent(a, argv[++i]);
+    else if (a === '--help' || a === '-h') throw new Error(USAGE);
+    else if (a.startsWith('--')) throw new Error(`Unknown option ${a}\n${USAGE}`);
+    else args.inputs.push(a);
+  }
+  if (!args.inputs.length) throw new Error(USAGE);
+  if (!RENDERERS[args.format]) throw new Error(`--format must be one of ${Object.keys(RENDERERS).join(', ')}`);
+  if (args.failOn !== null && !FAIL_LABELS[args.failOn]) throw new Error(`--fail-on must be one of ${Object.keys(FAIL_LABELS).join(', ')}`);
+  if (!Object.prototype.hasOwnProperty.call(engine.SUBJECT_PROFILES, args.subject)) throw new Error(`Unknown subject "${args.subject}"`);
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const profile = loadProfile(args.profile, createProfileStore(path.join(DATA_DIR, 'profiles.json')));
+  const rubric = loadRubric(args.rubric, createRubricStore(path.join(DATA_DIR, 'rubrics.json')));
+  // the corpus store is only opened when asked for; the CLI never adds to it
+  const corpus = args.corpus ? require('./corpus').createCorpus(path.join(DATA_DIR, 'corpus.jsonl')) : null;
+  const students = args.students ? require('./students').createStudentStore(path.join(DATA_DIR, 'students.json')) : null;
+
+  const docs = [];
+  try {
+    for (const file of expandInputs(args.inputs)) docs.push(...await extractDocuments(file, file));
+  } finally {
+    await ocr.terminate(); // lets the process exit
+  }
+  if (!docs.length) throw new Error(`No readable files (${[...ARCHIVE_EXTENSIONS, '.zip'].join(', ')}) found`);
+
+  const batch = analyzeBatch(docs, { profile, subject: args.subject, rubric, threshold: args.threshold, corpus, students });
+  const output = RENDERERS[args.format](toReport(batch));
+  if (args.out) fs.writeFileSync(args.out, output);
+  else process.stdout.write(output);
+
+  const reasons = failures(batch, args);
+  for (const r of reasons) console.error('FAIL ' + r);
+  return reasons.length ? 2 : 0;
+}
+
+if (require.main === module) {
+  main().then(code => { process.exitCode = code; }).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { globRegex, expandInputs, analyzeBatch, failures, toReport };
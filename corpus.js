@@ -0,0 +1,190 @@
+// Reference corpus store (server-side)
+// Documents live one per line in a JSON-lines file. Fingerprints are
+// recomputed on load and kept in an in-memory inverted index
+// (fingerprint hash -> documents) so a submission is only compared in full
+// against documents that share at least one fingerprint with it. The same
+// text is stored once: adding it again returns the stored document.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const engine = require('./engine');
+
+const KINDS = ['reference', 'submission'];
+
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return Array.from(new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+}
+
+// Identity of a text for deduplication; whitespace differences (as between
+// two extractions of the same file) do not count
+function textHash(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Public listing shape (no full text)
+function summarize(doc) {
+  return {
+    id: doc.id,
+    title: doc.title,
+    kind: doc.kind,
+    tags: doc.tags,
+    wordCount: doc.wordCount,
+    createdAt: doc.createdAt
+  };
+}
+
+function createCorpus(filePath) {
+  const docs = new Map();
+  const fingerprints = new Map();
+  const index = new Map();
+  const hashes = new Map(); // text hash -> document id
+
+  // Verbatim and canonical fingerprints share the index: either kind can
+  // lead to a candidate, and compareDocuments sorts out which matched
+  const hashesOf = fp => [...fp.fingerprints, ...(fp.canonicalFingerprints || [])];
+
+  function indexDoc(doc) {
+    const fp = engine.fingerprintText(doc.text);
+    fingerprints.set(doc.id, fp);
+    hashes.set(textHash(doc.text), doc.id);
+    for (const f of hashesOf(fp)) {
+      if (!index.has(f.hash)) index.set(f.hash, new Set());
+      index.get(f.hash).add(doc.id);
+    }
+  }
+
+  function unindexDoc(id) {
+    const fp = fingerprints.get(id);
+    if (!fp) return;
+    const hash = textHash(fp.text);
+    if (hashes.get(hash) === id) hashes.delete(hash);
+    for (const f of hashesOf(fp)) {
+      const ids = index.get(f.hash);
+      if (!ids) continue;
+      ids.delete(id);
+      if (ids.size === 0) index.delete(f.hash);
+    }
+    fingerprints.delete(id);
+  }
+
+  function rewrite() {
+    const lines = Array.from(docs.values()).map(d => JSON.stringify(d));
+    fs.writeFileSync(filePath, lines.length ? lines.join('\n') + '\n' : '');
+  }
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    let raw = '';
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch {
+      raw = '';
+    }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const doc = JSON.parse(line);
+        // older files may hold the same text more than once
+        if (hashes.has(textHash(doc.text))) continue;
+        docs.set(doc.id, doc);
+        indexDoc(doc);
+      } catch (err) {
+        console.error('Skipping corrupt corpus line', err.message);
+      }
+    }
+  }
+
+  function list(filter) {
+    const { tag, kind } = filter || {};
+    const wanted = tag ? String(tag).toLowerCase() : '';
+    return Array.from(docs.values())
+      .filter(d => (!kind || d.kind === kind) && (!wanted || d.tags.includes(wanted)))
+      .map(summarize);
+  }
+
+  function get(id) {
+    return docs.get(id) || null;
+  }
+
+  // Stored document with the same text, or null
+  function findByText(text) {
+    const id = hashes.get(textHash(text));
+    return id ? docs.get(id) : null;
+  }
+
+  function add({ title, text, tags, kind }) {
+    const stored = findByText(text);
+    if (stored) return stored;
+    const doc = {
+      id: crypto.randomUUID(),
+      title: (title || 'Untitled').toString(),
+      kind: KINDS.includes(kind) ? kind : 'reference',
+      tags: normalizeTags(tags),
+      wordCount: engine.normalizeToWords(text).length,
+      createdAt: new Date().toISOString(),
+      text: text || ''
+    };
+    docs.set(doc.id, doc);
+    indexDoc(doc);
+    fs.appendFileSync(filePath, JSON.stringify(doc) + '\n');
+    return doc;
+  }
+
+  function update(id, changes) {
+    const doc = docs.get(id);
+    if (!doc) return null;
+    if (changes.title !== undefined) doc.title = String(changes.title);
+    if (changes.tags !== undefined) doc.tags = normalizeTags(changes.tags);
+    if (changes.kind !== undefined && KINDS.includes(changes.kind)) doc.kind = changes.kind;
+    rewrite();
+    return doc;
+  }
+
+  function remove(id) {
+    if (!docs.has(id)) return false;
+    docs.delete(id);
+    unindexDoc(id);
+    rewrite();
+    return true;
+  }
+
+  // Compare a fingerprinted text with every indexed document it shares a
+  // fingerprint with. Returns matches sorted by similarity (verbatim plus
+  // paraphrased), highest first.
+  function search(fp, options) {
+    const { excludeId, limit = 10 } = options || {};
+    const candidates = new Set();
+    for (const f of hashesOf(fp)) {
+      const ids = index.get(f.hash);
+      if (ids) ids.forEach(id => candidates.add(id));
+    }
+    candidates.delete(excludeId);
+
+    const matches = [];
+    for (const id of candidates) {
+      const cmp = engine.compareDocuments(fp, fingerprints.get(id));
+      if (!cmp.spans.length && !cmp.paraphrases.length) continue;
+      matches.push({ ...summarize(docs.get(id)), containment: cmp.containment, spans: cmp.spans, paraphrase: cmp.paraphrase, paraphrases: cmp.paraphrases });
+    }
+    return matches.sort((a, b) => engine.similarityOf(b) - engine.similarityOf(a)).slice(0, limit);
+  }
+
+  load();
+
+  return {
+    get size() { return docs.size; },
+    list,
+    get,
+    findByText,
+    add,
+    update,
+    remove,
+    search
+  };
+}
+
+module.exports = { createCorpus, normalizeTags, summarize, textHash, KINDS };
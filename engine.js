@@ -0,0 +1,3515 @@
+// Shared detection engine (server + browser)
+// Loaded by server.js with require('./engine') and by the pages with
+// <script src="engine.js"> (exposed as window.DetectorEngine). The bundled
+// language model (lm-model.js) and synonym dictionary (synonyms.js) must
+// load first.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./lm-model'), require('./synonyms'));
+  else root.DetectorEngine = factory(root.DetectorLanguageModel, root.DetectorSynonyms);
+})(typeof self !== 'undefined' ? self : this, function (bundledModel, bundledSynonyms) {
+
+  // Bump whenever a formula, weight or threshold changes so stored reports
+  // can be traced back to the model that produced them.
+  const ENGINE_VERSION = '1.12.0';
+
+  /* ---------------- SCORING PROFILES ---------------- */
+
+  // A profile holds every tunable number of the AI-likelihood model.
+  // `weights` blend the document signals, `sentenceWeights` the per-sentence
+  // ones, and `thresholds` are inclusive upper bounds (percent) of the
+  // Human-written and Mixed labels. `highlightCap` is the largest share of
+  // the text (percent) the preview may flag; 100 disables the cap.
+  const DEFAULT_PROFILE = {
+    name: 'default',
+    description: 'Balanced weights used when no profile is chosen',
+    weights: { consistency: 0.35, formal: 0.25, repetition: 0.15, punctuation: 0.05, perplexity: 0.12, burstiness: 0.08 },
+    sentenceWeights: { formal: 0.35, repetition: 0.35, punctuation: 0.3 },
+    thresholds: { human: 30, mixed: 60 },
+    highlightCap: 30,
+    // drop equations and LaTeX before scoring prose (set by the Mathematics subjects)
+    stripFormulas: false,
+    formalWords: ['moreover', 'furthermore', 'therefore', 'however', 'hence', 'thus', 'consequently', 'in conclusion', 'whereas', 'additionally']
+  };
+
+  const BUILTIN_PROFILES = {
+    default: DEFAULT_PROFILE,
+    strict: {
+      ...DEFAULT_PROFILE,
+      name: 'strict',
+      description: 'Flags sooner: lower label cutoffs, more weight on connectives',
+      weights: { consistency: 0.3, formal: 0.3, repetition: 0.15, punctuation: 0.05, perplexity: 0.12, burstiness: 0.08 },
+      thresholds: { human: 20, mixed: 45 }
+    },
+    lenient: {
+      ...DEFAULT_PROFILE,
+      name: 'lenient',
+      description: 'Flags later: higher label cutoffs for formal academic writing',
+      weights: { consistency: 0.4, formal: 0.15, repetition: 0.2, punctuation: 0.05, perplexity: 0.12, burstiness: 0.08 },
+      thresholds: { human: 40, mixed: 75 }
+    }
+  };
+
+  // Kept for callers that only need the default cutoffs
+  const AI_THRESHOLDS = DEFAULT_PROFILE.thresholds;
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Problems with a (partial) profile, as readable messages; empty when valid
+  function validateProfile(profile) {
+    const errors = [];
+    if (!profile || typeof profile !== 'object') return ['Profile must be an object'];
+    if (profile.name !== undefined && !/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(String(profile.name))) {
+      errors.push('Name must be 1-40 letters, digits, dashes or underscores');
+    }
+    for (const group of ['weights', 'sentenceWeights']) {
+      const values = profile[group];
+      if (values === undefined) continue;
+      if (!isPlainObject(values)) {
+        errors.push(`${group} must be an object of numbers`);
+        continue;
+      }
+      for (const key of Object.keys(values)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_PROFILE[group], key)) errors.push(`Unknown ${group} entry "${key}"`);
+        else if (!(typeof values[key] === 'number' && values[key] >= 0 && values[key] <= 1)) errors.push(`${group}.${key} must be a number between 0 and 1`);
+      }
+    }
+    if (profile.thresholds !== undefined && !isPlainObject(profile.thresholds)) {
+      errors.push('thresholds must be an object with human and mixed cutoffs');
+    } else if (profile.thresholds !== undefined) {
+      const t = { ...DEFAULT_PROFILE.thresholds, ...profile.thresholds };
+      if (![t.human, t.mixed].every(v => typeof v === 'number' && v >= 0 && v <= 100)) errors.push('Thresholds must be numbers between 0 and 100');
+      else if (t.human >= t.mixed) errors.push('The Human-written cutoff must be below the Mixed cutoff');
+    }
+    if (profile.highlightCap !== undefined && !(typeof profile.highlightCap === 'number' && profile.highlightCap >= 1 && profile.highlightCap <= 100)) {
+      errors.push('highlightCap must be a number between 1 and 100');
+    }
+    if (profile.stripFormulas !== undefined && typeof profile.stripFormulas !== 'boolean') errors.push('stripFormulas must be true or false');
+    if (profile.formalWords !== undefined && !(Array.isArray(profile.formalWords) && profile.formalWords.every(w => typeof w === 'string' && w.trim()))) {
+      errors.push('formalWords must be a list of phrases');
+    }
+    return errors;
+  }
+
+  // Complete profile from a partial one (missing values fall back to the
+  // default profile). Accepts a built-in profile name as well.
+  function resolveProfile(profile) {
+    if (!profile) return DEFAULT_PROFILE;
+    if (typeof profile === 'string') return BUILTIN_PROFILES[profile] || DEFAULT_PROFILE;
+    return {
+      name: profile.name || 'custom',
+      description: profile.description || '',
+      weights: { ...DEFAULT_PROFILE.weights, ...profile.weights },
+      sentenceWeights: { ...DEFAULT_PROFILE.sentenceWeights, ...profile.sentenceWeights },
+      thresholds: { ...DEFAULT_PROFILE.thresholds, ...profile.thresholds },
+      highlightCap: profile.highlightCap !== undefined ? profile.highlightCap : DEFAULT_PROFILE.highlightCap,
+      stripFormulas: profile.stripFormulas === true,
+      formalWords: (profile.formalWords || DEFAULT_PROFILE.formalWords).map(w => w.trim().toLowerCase()).filter(Boolean)
+    };
+  }
+
+  /* ---------------- UTILITIES ---------------- */
+
+  function normalizeToWords(text) {
+    const cleaned = (text || '')
+      .toLowerCase()
+      .replace(/[\.,\/#!$%\^&\*;:{}=\-_`~()\[\]\"'<>?@+]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!cleaned) return [];
+    return cleaned.split(' ').filter(Boolean);
+  }
+
+  function mean(values) {
+    if (!values || values.length === 0) return 0;
+    return values.reduce((a, b) => a + b, 0) / values.length;
+  }
+
+  function stddev(values) {
+    if (!values || values.length <= 1) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((s, x) => s + (x - m) ** 2, 0) / (values.length - 1));
+  }
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function countPhrases(lowered, phrases) {
+    let count = 0;
+    for (const p of phrases) {
+      const m = lowered.match(new RegExp('\\b' + escapeRegExp(p) + '\\b', 'g'));
+      if (m) count += m.length;
+    }
+    return count;
+  }
+
+  /* ---------------- SENTENCES ---------------- */
+
+  // Abbreviations whose period never ends a sentence (lower case, without
+  // the final period)
+  const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'hon', 'gen', 'col', 'lt', 'sgt', 'capt',
+    'e.g', 'i.e', 'cf', 'vs', 'viz', 'approx', 'ca', 'esp', 'dept', 'univ', 'assoc', 'ed', 'eds', 'est',
+    'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+  ]);
+  // Abbreviations that end a sentence when the next word is capitalized
+  // ("... and so on, etc. The next")
+  const TERMINAL_ABBREVIATIONS = new Set(['etc', 'al', 'inc', 'ltd', 'co', 'corp', 'a.m', 'p.m', 'u.s', 'u.k', 'ph.d']);
+  // Abbreviations that only count as such before a number ("No. 5", "Fig. 2")
+  const NUMBER_ABBREVIATIONS = new Set(['no', 'nos', 'vol', 'pp', 'p', 'fig', 'figs', 'eq', 'eqs', 'ch', 'sec', 'ref']);
+
+  const BULLET_RE = /^(\s*)(?:[-*•‣◦▪–]|\(?\d{1,3}[.)]|\(?[a-z][.)]|\((?:i|ii|iii|iv|v|vi|vii|viii|ix|x)\))\s+/;
+  const MARKDOWN_HEADING_RE = /^\s*#{1,6}\s+\S/;
+  // Lines that look like source code; keyword starts need code syntax after
+  // them so wrapped prose ("public opinion ...", "import duties ...") is not matched
+  const CODE_LINE_RE = new RegExp([
+    /^\s*(?:#include\b|\/\/|\/\*|[{}])/.source,
+    /^\s*(?:import\s+(?:[\w.]+\s*;?|[\w.]+\s+as\s+\w+|.*\bfrom\b.*|\{.*)|from\s+[\w.]+\s+import\s+.+)\s*$/.source,
+    /^\s*(?:def\s+\w+\s*\(|class\s+\w+\s*[:({]|function\b\s*\w*\s*\(|return(?:\s+[^\s.!?]+)?\s*;?\s*$|(?:for|while|if|switch)\s*\()/.source,
+    /^\s*(?:public|private|protected)\s+(?:static\s+)?[\w<>[\],]+\s+\w+\s*[({=;]/.source,
+    /[{};]\s*$/.source,
+    /^\s*[A-Za-z_][\w.[\]]*\s*[-+*/]?=\s*[^=\s](?:.*[^.!?\s])?\s*$/.source,
+    /^\s*[A-Za-z_][\w.]*\([^()]*\)\s*;?\s*$/.source
+  ].join('|'));
+  // Python block headers: the condition needs code syntax or a single name
+  // so prose ending in a colon ("if the data allows:") is not matched
+  const PY_BLOCK_RE = /^\s*(?:for\s+[\w, ()]+\s+in\s+\S.*|(?:el)?if\s+(?:[\w.]+|.*[=<>!()[\]%].*)|while\s+(?:[\w.]+|.*[=<>!()[\]%].*)|with\s+.+\s+as\s+\w+|except(?:\s+[\w.]+(?:\s+as\s+\w+)?)?|try|else|finally)\s*:\s*(?:#.*)?$/;
+  const CODE_FENCE_RE = /^\s*(?:```|~~~)/;
+  const SENTENCE_END_RE = /[.!?…]/;
+  const CLOSERS_RE = /["'”’)\]]/;
+
+  // Next non-space character at or after `i` (empty string at the end)
+  function nextVisible(source, i, end) {
+    while (i < end && /\s/.test(source[i])) i++;
+    return i < end ? source[i] : '';
+  }
+
+  // Whether the period at `i` belongs to an abbreviation or initial;
+  // `after` is the first character following the punctuation
+  function isAbbreviation(source, blockStart, i, after, blockEnd) {
+    let s = i;
+    while (s > blockStart && /[A-Za-z.]/.test(source[s - 1])) s--;
+    const token = source.slice(s, i).replace(/^\.+/, '');
+    if (!token) return false;
+    const lower = token.toLowerCase();
+    const next = nextVisible(source, after, blockEnd);
+    if (ABBREVIATIONS.has(lower)) return true;
+    if (TERMINAL_ABBREVIATIONS.has(lower)) return !/[A-Z]/.test(next);
+    if (NUMBER_ABBREVIATIONS.has(lower)) return /[\d(]/.test(next);
+    // single initial ("J. Smith") or dotted form ("U.N.") before a lower-case word or number
+    if (/^[A-Z]$/.test(token)) return true;
+    if (token.includes('.')) return /[a-z\d]/.test(next);
+    return false;
+  }
+
+  // Sentence ranges inside [start, end) of `source`
+  function splitBlock(source, start, end) {
+    const ranges = [];
+    let from = start;
+    for (let i = start; i < end; i++) {
+      if (!SENTENCE_END_RE.test(source[i])) continue;
+      let j = i;
+      while (j + 1 < end && SENTENCE_END_RE.test(source[j + 1])) j++;
+      let k = j;
+      while (k + 1 < end && CLOSERS_RE.test(source[k + 1])) k++;
+      const after = k + 1;
+      const run = source.slice(i, j + 1);
+      i = j;
+      // "3.14", "e.g.x", "file.txt", "console.log": no space after the mark
+      if (after < end && !/\s/.test(source[after])) continue;
+      if (run === '.' && isAbbreviation(source, start, j, after, end)) continue;
+      // an ellipsis ends a sentence only before a capitalized word
+      if (/^(?:\.{2,}|…)$/.test(run) && !/[A-Z]/.test(nextVisible(source, after, end))) continue;
+      ranges.push([from, after]);
+      from = after;
+    }
+    ranges.push([from, end]);
+    return ranges;
+  }
+
+  // Split text into paragraphs (separated by blank lines) and segments with
+  // character offsets. Segment types: 'sentence', 'list' (one per list
+  // item, bullet excluded), 'heading' (Markdown headings and short
+  // unpunctuated one-line paragraphs followed by more text) and 'code'
+  // (one per line that looks like source code, every line of a fenced
+  // Markdown block, and indented or '#' lines right after a code line).
+  // Periods in abbreviations, initials, decimals, file names and ellipses
+  // inside a sentence do not end it.
+  function segmentText(text) {
+    const source = text || '';
+    const lines = [];
+    const lineRe = /[^\n]*(?:\n|$)/g;
+    let m;
+    while ((m = lineRe.exec(source)) !== null && m.index < source.length) {
+      const body = m[0].replace(/\r?\n$/, '');
+      lines.push({ start: m.index, end: m.index + body.length, body });
+    }
+
+    // Blocks: runs of lines that are split into sentences together
+    const paragraphs = [];
+    const blocks = [];
+    let current = null;
+    let paragraph = null;
+    let fenced = false;
+    let afterCode = false;
+    const closeBlock = () => { if (current) blocks.push(current); current = null; };
+    for (const line of lines) {
+      if (!line.body.trim()) {
+        closeBlock();
+        paragraph = null;
+        afterCode = false;
+        continue;
+      }
+      if (!paragraph) {
+        paragraph = { start: line.start, end: line.end, lines: 0 };
+        paragraphs.push(paragraph);
+      }
+      paragraph.end = line.end;
+      paragraph.lines++;
+      const p = paragraphs.length - 1;
+      const bullet = line.body.match(BULLET_RE);
+      const fence = CODE_FENCE_RE.test(line.body);
+      const code = fenced || fence || (afterCode && /^(?:\s{2,}|\t|\s*#)/.test(line.body)) ||
+        (!MARKDOWN_HEADING_RE.test(line.body) && (CODE_LINE_RE.test(line.body) || PY_BLOCK_RE.test(line.body)));
+      if (fence) fenced = !fenced;
+      afterCode = code;
+      if (code || MARKDOWN_HEADING_RE.test(line.body)) {
+        closeBlock();
+        const type = code ? 'code' : 'heading';
+        const offset = type === 'heading' ? line.body.search(/[^\s#]/) : line.body.search(/\S/);
+        blocks.push({ type, start: line.start + offset, end: line.end, paragraph: p });
+      } else if (bullet) {
+        closeBlock();
+        current = { type: 'list', start: line.start + bullet[0].length, end: line.end, paragraph: p };
+      } else if (current) {
+        current.end = line.end;
+      } else {
+        current = { type: 'sentence', start: line.start, end: line.end, paragraph: p };
+      }
+    }
+    closeBlock();
+
+    // A one-line paragraph without closing punctuation followed by more text is a heading
+    blocks.forEach(b => {
+      const para = paragraphs[b.paragraph];
+      if (b.type !== 'sentence' || para.lines !== 1 || b.paragraph === paragraphs.length - 1) return;
+      const body = source.slice(b.start, b.end).trim();
+      if (!/[.!?:;,]["')\]]?$/.test(body) && normalizeToWords(body).length <= 12) b.type = 'heading';
+    });
+
+    const segments = [];
+    for (const b of blocks) {
+      const ranges = b.type === 'sentence' || b.type === 'list' ? splitBlock(source, b.start, b.end) : [[b.start, b.end]];
+      ranges.forEach(([s, e], n) => {
+        const raw = source.slice(s, e);
+        const trimmed = raw.trim();
+        if (!trimmed) return;
+        const start = s + raw.indexOf(trimmed);
+        // continuation sentences of a list item are ordinary sentences
+        const type = b.type === 'list' && n > 0 ? 'sentence' : b.type;
+        segments.push({ text: trimmed, start, end: start + trimmed.length, type, paragraph: b.paragraph });
+      });
+    }
+
+    return { paragraphs: paragraphs.map(p => ({ start: p.start, end: p.end, text: source.slice(p.start, p.end) })), segments };
+  }
+
+  // Prose sentences (including list items) with character offsets into the
+  // original text; headings and code lines are left out
+  function splitSentencesWithPosition(text) {
+    return segmentText(text).segments.filter(s => s.type === 'sentence' || s.type === 'list');
+  }
+
+  function splitToSentences(text) {
+    return splitSentencesWithPosition(text).map(s => s.text);
+  }
+
+  function splitParagraphs(text) {
+    return segmentText(text).paragraphs.map(p => p.text);
+  }
+
+  /* ---------------- SIMILARITY ---------------- */
+
+  // Word n-gram shingles reduced with winnowing (Schleimer et al. 2003).
+  // A match needs SHINGLE_SIZE consecutive identical words, so common words
+  // like "the" or "and" on their own never count as overlap.
+  const SHINGLE_SIZE = 5;
+  const WINNOW_WINDOW = 4;
+
+  // Words with their character offsets in the original text
+  function tokenizeWithPosition(text) {
+    const source = text || '';
+    const re = /[A-Za-z0-9]+(?:['\u2019][A-Za-z0-9]+)*/g;
+    const tokens = [];
+    let m;
+    while ((m = re.exec(source)) !== null) {
+      tokens.push({ word: m[0].toLowerCase().replace(/['\u2019]/g, ''), start: m.index, end: m.index + m[0].length });
+    }
+    return tokens;
+  }
+
+  // 32-bit FNV-1a
+  function hashString(s) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Keep the minimum hash of every window of consecutive shingles
+  // (rightmost on ties) so any shared run of at least
+  // SHINGLE_SIZE + WINNOW_WINDOW - 1 words is guaranteed a common fingerprint.
+  function winnow(hashes, windowSize) {
+    const picked = [];
+    if (hashes.length === 0) return picked;
+    const w = Math.min(windowSize, hashes.length);
+    let last = -1;
+    for (let i = 0; i + w <= hashes.length; i++) {
+      let min = i;
+      for (let j = i + 1; j < i + w; j++) if (hashes[j] <= hashes[min]) min = j;
+      if (min !== last) {
+        picked.push({ hash: hashes[min], pos: min });
+        last = min;
+      }
+    }
+    return picked;
+  }
+
+  // Winnowed fingerprints of the k-word shingles of `words`
+  function winnowWords(words, k, w) {
+    const hashes = [];
+    for (let i = 0; i + k <= words.length; i++) hashes.push(hashString(words.slice(i, i + k).join(' ')));
+    return winnow(hashes, w);
+  }
+
+  // Winnowed k-gram fingerprints of positioned tokens ({ word, start, end })
+  function fingerprintTokens(text, tokens, k, w) {
+    return { text: text || '', tokens, shingleSize: k, fingerprints: winnowWords(tokens.map(t => t.word), k, w) };
+  }
+
+  // Fingerprints of prose. The reference list and in-text citations are
+  // left out, so shared sources do not count as overlap, and words in
+  // quotations or cited sentences carry their `attribution` (see
+  // attributeTokens). Every token also gets its `canonical` form, and
+  // `canonicalFingerprints` are taken over those to find paraphrases (see
+  // PARAPHRASE). `options.structure` is the text's documentStructure when
+  // already known.
+  function fingerprintText(text, options) {
+    const k = (options && options.shingleSize) || SHINGLE_SIZE;
+    const w = (options && options.window) || WINNOW_WINDOW;
+    const structure = (options && options.structure) || documentStructure(text);
+    const tokens = attributeTokens(tokenizeWithPosition(text), structure);
+    for (const t of tokens) t.canonical = canonicalWord(t.word);
+    const fp = fingerprintTokens(text, tokens, k, w);
+    fp.canonicalFingerprints = winnowWords(tokens.map(t => t.canonical), k, w);
+    return fp;
+  }
+
+  // Share of a matched word that counts toward containment: none when
+  // quoted, CITED_MATCH_WEIGHT when its sentence cites a source
+  function matchWeight(token) {
+    return token.attribution === 'quoted' ? 0 : token.attribution === 'cited' ? CITED_MATCH_WEIGHT : 1;
+  }
+
+  // Shared runs of at least k tokens whose `field` ('word' or 'canonical')
+  // agrees, found from common fingerprints, in order of their start in `at`
+  // and with runs inside a longer one dropped: [{ aFrom, aTo, bFrom, bTo }]
+  function matchRuns(aFingerprints, bFingerprints, at, bt, field, k) {
+    const index = new Map();
+    for (const f of bFingerprints) {
+      if (!index.has(f.hash)) index.set(f.hash, []);
+      index.get(f.hash).push(f.pos);
+    }
+
+    const runs = [];
+    const seen = new Set();
+    for (const f of aFingerprints) {
+      const candidates = index.get(f.hash);
+      if (!candidates) continue;
+      for (const pos of candidates) {
+        let i = f.pos;
+        let j = pos;
+        // walk back to the start of the shared run
+        while (i > 0 && j > 0 && at[i - 1][field] === bt[j - 1][field]) { i--; j--; }
+        const key = i + ':' + j;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        let n = 0;
+        while (i + n < at.length && j + n < bt.length && at[i + n][field] === bt[j + n][field]) n++;
+        if (n >= k) runs.push({ a: i, b: j, length: n });
+      }
+    }
+
+    runs.sort((x, y) => x.a - y.a || y.length - x.length);
+    const spans = [];
+    for (const r of runs) {
+      const last = spans[spans.length - 1];
+      // drop runs fully inside a longer run already kept
+      if (last && r.a >= last.aFrom && r.a + r.length <= last.aTo && r.b >= last.bFrom && r.b + r.length <= last.bTo) continue;
+      spans.push({ aFrom: r.a, aTo: r.a + r.length, bFrom: r.b, bTo: r.b + r.length });
+    }
+    return spans;
+  }
+
+  // Compare two fingerprinted documents. Returns the containment of `a` in
+  // `b` (percent of a's words inside matched passages, attributed words
+  // weighted by matchWeight) and the matched passages with character
+  // offsets in both sources; a passage whose words are mostly quoted or
+  // cited has that `attribution`, else null. Documents fingerprinted by
+  // fingerprintText are also compared on canonical words: `paraphrases`
+  // are the passages that match only once synonyms and word forms are
+  // mapped together, with the number of `substitutions`, and `paraphrase`
+  // the percent of a's words they add beyond the verbatim passages.
+  function compareDocuments(a, b) {
+    const k = a.shingleSize;
+    const at = a.tokens;
+    const bt = b.tokens;
+    const spans = matchRuns(a.fingerprints, b.fingerprints, at, bt, 'word', k);
+    const covered = new Uint8Array(at.length);
+    for (const s of spans) covered.fill(1, s.aFrom, s.aTo);
+
+    const paraphrases = [];
+    const reworded = new Uint8Array(at.length);
+    if (a.canonicalFingerprints && b.canonicalFingerprints) {
+      for (const s of matchRuns(a.canonicalFingerprints, b.canonicalFingerprints, at, bt, 'canonical', Math.max(k, PARAPHRASE_MIN_WORDS))) {
+        let substitutions = 0;
+        let fresh = false;
+        for (let n = 0; n < s.aTo - s.aFrom; n++) {
+          if (at[s.aFrom + n].word !== bt[s.bFrom + n].word) substitutions++;
+          if (!covered[s.aFrom + n]) fresh = true;
+        }
+        if (!substitutions || !fresh) continue;
+        paraphrases.push({ ...s, substitutions });
+        for (let i = s.aFrom; i < s.aTo; i++) if (!covered[i]) reworded[i] = 1;
+      }
+    }
+
+    const share = marks => {
+      let count = 0;
+      for (let i = 0; i < marks.length; i++) if (marks[i]) count += matchWeight(at[i]);
+      return at.length ? Math.round((count / at.length) * 10000) / 100 : 0;
+    };
+    const attribution = s => {
+      const counts = { quoted: 0, cited: 0 };
+      for (let i = s.aFrom; i < s.aTo; i++) if (at[i].attribution) counts[at[i].attribution]++;
+      const top = counts.quoted >= counts.cited ? 'quoted' : 'cited';
+      return counts[top] * 2 > s.aTo - s.aFrom ? top : null;
+    };
+    const passage = s => ({
+      start: at[s.aFrom].start,
+      end: at[s.aTo - 1].end,
+      sourceStart: bt[s.bFrom].start,
+      sourceEnd: bt[s.bTo - 1].end,
+      words: s.aTo - s.aFrom,
+      attribution: attribution(s),
+      text: a.text.slice(at[s.aFrom].start, at[s.aTo - 1].end)
+    });
+
+    return {
+      containment: share(covered),
+      spans: spans.map(passage),
+      paraphrase: share(reworded),
+      paraphrases: paraphrases.map(s => ({ ...passage(s), substitutions: s.substitutions }))
+    };
+  }
+
+  /* ---------------- PARAPHRASE ---------------- */
+
+  // Paraphrases that swap words for synonyms or change their form keep the
+  // sentence otherwise intact, so they still share long runs of canonical
+  // words: each word is reduced to its base form (irregular forms from the
+  // dictionary, regular endings as WordNet's morphy strips them), mapped to
+  // the head word of its synonym group in the bundled dictionary
+  // (synonyms.js, built from WordNet by build-synonyms.js), and stemmed
+  // when the dictionary does not know it. Function words are kept as they
+  // are. A paraphrased passage needs PARAPHRASE_MIN_WORDS canonical words
+  // in a row, longer than a verbatim match, since stems and synonyms make
+  // chance agreement likelier.
+  const PARAPHRASE_MIN_WORDS = 6;
+  // Regular endings and their replacements, tried in order; adverbs the
+  // dictionary does not list fall back to their adjective
+  const MORPHY_ENDINGS = [
+    ['ies', 'y'], ['ses', 's'], ['xes', 'x'], ['zes', 'z'], ['ches', 'ch'], ['shes', 'sh'], ['men', 'man'],
+    ['es', 'e'], ['es', ''], ['s', ''], ['ed', 'e'], ['ed', ''], ['ing', 'e'], ['ing', ''], ['ily', 'y'], ['ly', '']
+  ];
+
+  // word -> head word of its synonym group, and irregular form -> base form
+  function prepareSynonyms(data) {
+    const heads = new Map();
+    for (const group of (data && data.groups) || []) {
+      const words = group.split(' ');
+      for (const w of words) heads.set(w, words[0]);
+    }
+    return { heads, forms: new Map(Object.entries((data && data.forms) || {})) };
+  }
+
+  const synonyms = prepareSynonyms(bundledSynonyms);
+
+  // Canonical form of a lower-case word: "utilised", "employing" and "uses"
+  // all become "use"; words outside the dictionary are stemmed
+  function canonicalWord(word) {
+    if (word.length < 3 || /\d/.test(word) || FUNCTION_WORD_SET.has(word)) return word;
+    const base = synonyms.forms.get(word) || word;
+    // the dictionary spells "-ize" words the American way
+    for (const form of new Set([base, base.replace(/is(e|es|ed|ing|ation|ations)$/, 'iz$1')])) {
+      if (synonyms.heads.has(form)) return synonyms.heads.get(form);
+      for (const [ending, replacement] of MORPHY_ENDINGS) {
+        if (!form.endsWith(ending)) continue;
+        const lemma = form.slice(0, -ending.length) + replacement;
+        if (synonyms.heads.has(lemma)) return synonyms.heads.get(lemma);
+      }
+    }
+    return porterStem(base);
+  }
+
+  // Porter (1980) stemmer
+  const PORTER_C = '[^aeiou][^aeiouy]*';
+  const PORTER_V = '[aeiouy][aeiou]*';
+  const PORTER_MGR0 = new RegExp(`^(${PORTER_C})?${PORTER_V}${PORTER_C}`);
+  const PORTER_MEQ1 = new RegExp(`^(${PORTER_C})?${PORTER_V}${PORTER_C}(${PORTER_V})?$`);
+  const PORTER_MGR1 = new RegExp(`^(${PORTER_C})?${PORTER_V}${PORTER_C}${PORTER_V}${PORTER_C}`);
+  const PORTER_HAS_VOWEL = new RegExp(`^(${PORTER_C})?[aeiouy]`);
+  const PORTER_CVC = new RegExp(`^${PORTER_C}[aeiouy][^aeiouwxy]$`);
+  const PORTER_STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+    ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+  };
+  const PORTER_STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+  const PORTER_STEP2_RE = new RegExp(`^(.+?)(${Object.keys(PORTER_STEP2).join('|')})$`);
+  const PORTER_STEP3_RE = new RegExp(`^(.+?)(${Object.keys(PORTER_STEP3).join('|')})$`);
+  const PORTER_STEP4_RE = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+  function porterStem(word) {
+    if (word.length < 3) return word;
+    // an initial y is a consonant
+    let w = word[0] === 'y' ? 'Y' + word.slice(1) : word;
+    let m;
+
+    if (/(ss|i)es$/.test(w)) w = w.slice(0, -2);
+    else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+    if ((m = /^(.+?)eed$/.exec(w))) {
+      if (PORTER_MGR0.test(m[1])) w = w.slice(0, -1);
+    } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && PORTER_HAS_VOWEL.test(m[1])) {
+      w = m[1];
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (PORTER_CVC.test(w)) w += 'e';
+    }
+    if ((m = /^(.+?)y$/.exec(w)) && PORTER_HAS_VOWEL.test(m[1])) w = m[1] + 'i';
+
+    if ((m = PORTER_STEP2_RE.exec(w)) && PORTER_MGR0.test(m[1])) w = m[1] + PORTER_STEP2[m[2]];
+    if ((m = PORTER_STEP3_RE.exec(w)) && PORTER_MGR0.test(m[1])) w = m[1] + PORTER_STEP3[m[2]];
+    if ((m = PORTER_STEP4_RE.exec(w))) {
+      if (PORTER_MGR1.test(m[1])) w = m[1];
+    } else if ((m = /^(.+?[st])ion$/.exec(w)) && PORTER_MGR1.test(m[1])) {
+      w = m[1];
+    }
+
+    if ((m = /^(.+?)e$/.exec(w)) && (PORTER_MGR1.test(m[1]) || (PORTER_MEQ1.test(m[1]) && !PORTER_CVC.test(m[1])))) w = m[1];
+    if (/ll$/.test(w) && PORTER_MGR1.test(w)) w = w.slice(0, -1);
+    return w[0] === 'Y' ? 'y' + w.slice(1) : w;
+  }
+
+  /* ---------------- COLLUSION ---------------- */
+
+  // All pairwise comparisons of a batch: result[i][j] compares i against j
+  // (null on the diagonal).
+  function comparePairwise(fps) {
+    return fps.map((a, i) => fps.map((b, j) => (i === j ? null : compareDocuments(a, b))));
+  }
+
+  // Percent of a document found in another, verbatim or paraphrased
+  function similarityOf(c) {
+    return Math.min(100, Math.round((c.containment + (c.paraphrase || 0)) * 100) / 100);
+  }
+
+  // Similarity matrix in percent from comparePairwise output
+  function similarityMatrix(comparisons) {
+    return comparisons.map(row => row.map(c => (c ? similarityOf(c) : 100)));
+  }
+
+  // Groups of documents connected by pairs whose similarity (the larger of
+  // the two containment directions) is at least `threshold` percent.
+  // Single documents are not reported.
+  function clusterBySimilarity(matrix, threshold) {
+    const n = matrix.length;
+    const parent = matrix.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const links = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const sim = Math.max(matrix[i][j], matrix[j][i]);
+        if (sim < threshold) continue;
+        links.push({ a: i, b: j, similarity: sim });
+        parent[find(i)] = find(j);
+      }
+    }
+    const groups = new Map();
+    for (const l of links) {
+      const root = find(l.a);
+      if (!groups.has(root)) groups.set(root, { members: new Set(), links: [] });
+      const g = groups.get(root);
+      g.members.add(l.a);
+      g.members.add(l.b);
+      g.links.push(l);
+    }
+    return Array.from(groups.values())
+      .map(g => ({
+        members: Array.from(g.members).sort((x, y) => x - y),
+        links: g.links.sort((x, y) => y.similarity - x.similarity),
+        maxSimilarity: Math.max(...g.links.map(l => l.similarity))
+      }))
+      .sort((x, y) => y.maxSimilarity - x.maxSimilarity);
+  }
+
+  // Similarity matrix, matched pairs and suspicious clusters of fingerprints
+  function compareBatch(fps, threshold) {
+    const comparisons = comparePairwise(fps);
+    const matrix = similarityMatrix(comparisons);
+    const pairs = [];
+    comparisons.forEach((row, i) => row.forEach((c, j) => {
+      if (c && (c.spans.length || c.paraphrases.length)) {
+        pairs.push({ a: i, b: j, containment: c.containment, spans: c.spans, paraphrase: c.paraphrase, paraphrases: c.paraphrases });
+      }
+    }));
+    return { matrix, pairs, clusters: clusterBySimilarity(matrix, threshold) };
+  }
+
+  /* ---------------- CODE ---------------- */
+
+  // Source code in a submission is analysed on its own: code blocks are
+  // taken out of the prose heuristics, measured for naming style and
+  // comment density, and compared between students on token-normalised
+  // fingerprints (identifiers, numbers and strings collapse to placeholders,
+  // so renaming variables does not hide a copied program). Each submission
+  // is lexed as the language its code looks like, so comments, strings and
+  // keywords are told apart the way that language does.
+  const CODE_SHINGLE_SIZE = 20;
+
+  // Lexer pieces shared by the language definitions below
+  const LEX = {
+    lineComment: /\/\/[^\n]*/.source,
+    blockComment: /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/.source,
+    hashComment: /#[^\n]*/.source,
+    docstring: /[rRuUbB]?(?:"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S])))/.source,
+    doubleQuoted: /"(?:\\.|[^"\\\n])*"?/.source,
+    singleQuoted: /'(?:\\.|[^'\\\n])*'?/.source,
+    pyString: /[rRbBfFuU]{0,2}(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/.source,
+    template: /`(?:\\.|[^`\\])*`?/.source,
+    directive: /#[ \t]*(?:include|define|undef|ifn?def|if|elif|else|endif|pragma)\b[^\n]*/.source,
+    annotation: /@[A-Za-z_]\w*/.source
+  };
+
+  const wordSet = s => new Set(s.split(' '));
+
+  // Languages the code lexer knows. `detect` patterns vote for a language;
+  // `extra` tokens (preprocessor lines, annotations) keep their name when
+  // normalised. 'other' is used when no language wins and lexes every
+  // comment and string form.
+  const CODE_LANGUAGES = {
+    c: {
+      label: 'C/C++',
+      keywords: wordSet('auto bool break case catch char class const continue default delete do double else enum extern false float for friend goto if inline int long namespace new nullptr operator private protected public register return short signed sizeof static struct switch template this throw true try typedef typename union unsigned using virtual void volatile while'),
+      comments: [LEX.lineComment, LEX.blockComment],
+      strings: [LEX.doubleQuoted, LEX.singleQuoted],
+      extra: [LEX.directive],
+      detect: [/#include\s*[<"]/, /\bstd::/, /\b(?:printf|scanf|cout|cin)\b/, /\bint\s+main\s*\(/, /->\w/]
+    },
+    java: {
+      label: 'Java',
+      keywords: wordSet('abstract assert boolean break byte case catch char class const continue default do double else enum extends false final finally float for goto if implements import instanceof int interface long native new null package private protected public record return short static strictfp super switch synchronized this throw throws transient true try var void volatile while'),
+      comments: [LEX.lineComment, LEX.blockComment],
+      strings: [LEX.doubleQuoted, LEX.singleQuoted],
+      extra: [LEX.annotation],
+      detect: [/\bpublic\s+(?:final\s+)?class\b/, /\bSystem\.(?:out|in|err)\b/, /\bimport\s+java\./, /@Override\b/, /\bpublic\s+static\s+void\s+main\b/, /\bnew\s+Scanner\s*\(/]
+    },
+    python: {
+      label: 'Python',
+      keywords: wordSet('False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield'),
+      comments: [LEX.hashComment, LEX.docstring],
+      strings: [LEX.pyString],
+      extra: [LEX.annotation],
+      detect: [/^\s*def\s+\w+\s*\(.*\)\s*(?:->.*)?:\s*$/m, /^\s*(?:el)?if\s.*:\s*$/m, /^\s*for\s+\w+\s+in\s.*:\s*$/m, /\bprint\s*\(/, /\bself\b/, /\belif\b/, /^\s*(?:from\s+[\w.]+\s+)?import\s+[\w.]+(?:\s+as\s+\w+)?\s*$/m]
+    },
+    javascript: {
+      label: 'JavaScript',
+      keywords: wordSet('async await break case catch class const continue debugger default delete do else export extends false finally for function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield'),
+      comments: [LEX.lineComment, LEX.blockComment],
+      strings: [LEX.doubleQuoted, LEX.singleQuoted, LEX.template],
+      extra: [],
+      detect: [/\bfunction\b/, /\b(?:const|let)\s+\w+\s*=/, /=>/, /\bconsole\.\w+\(/, /\brequire\s*\(/, /\bdocument\./]
+    },
+    other: {
+      label: 'Other',
+      keywords: null,
+      comments: [LEX.lineComment, LEX.blockComment, LEX.docstring, LEX.hashComment],
+      strings: [LEX.doubleQuoted, LEX.singleQuoted, LEX.template],
+      extra: [LEX.directive],
+      detect: []
+    }
+  };
+  CODE_LANGUAGES.other.keywords = new Set(Object.values(CODE_LANGUAGES).flatMap(l => (l.keywords ? Array.from(l.keywords) : [])));
+
+  // One regex per language; the capture group that matched tells the token
+  // kind: 1 fence line, 2 extra, 3 comment, 4 string, 5 number, 6 name
+  Object.values(CODE_LANGUAGES).forEach(lang => {
+    const group = list => '(' + (list.length ? list.join('|') : '(?!)') + ')';
+    lang.lexer = new RegExp([
+      '(' + /^[ \t]*(?:```|~~~)[^\n]*/.source + ')',
+      group(lang.extra),
+      group(lang.comments),
+      group(lang.strings),
+      /(\d[\w.]*)/.source,
+      /([A-Za-z_$][\w$]*)/.source,
+      /[-+*/%=<>!&|^~]+|\S/.source
+    ].join('|'), 'gm');
+  });
+
+  // Language of a piece of code: the one with the most matching `detect`
+  // patterns, or 'other'
+  function detectCodeLanguage(code) {
+    let best = 'other';
+    let bestScore = 0;
+    for (const [key, lang] of Object.entries(CODE_LANGUAGES)) {
+      const score = lang.detect.filter(re => re.test(code)).length;
+      if (score > bestScore) { best = key; bestScore = score; }
+    }
+    return best;
+  }
+  // Library and built-in names left out of the naming-style statistics
+  const CODE_LIBRARY_NAMES = new Set([
+    'print', 'printf', 'scanf', 'puts', 'cout', 'cin', 'endl', 'std', 'System', 'out', 'println', 'console', 'log',
+    'len', 'range', 'input', 'main', 'append', 'push', 'length', 'size', 'string', 'String', 'vector', 'Math',
+    'Scanner', 'list', 'dict', 'str', 'Integer', 'args', 'argv', 'argc', 'include', 'iostream', 'stdio', 'h'
+  ]);
+  const NAMING_STYLES = {
+    camelCase: /^[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+$/,
+    snake_case: /^_?[a-z][a-z0-9]*(?:_[a-z0-9]+)+$/,
+    PascalCase: /^[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)*$/,
+    UPPER_CASE: /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/,
+    lowercase: /^[a-z][a-z0-9]+$/,
+    single: /^[A-Za-z_]$/
+  };
+
+  // Code blocks (runs of code segments separated only by whitespace) and the
+  // prose left when they are blanked out. Blanking keeps every offset and
+  // line break, so prose positions still point into the original text.
+  function extractCode(text) {
+    const source = text || '';
+    const blocks = [];
+    for (const s of segmentText(source).segments) {
+      if (s.type !== 'code') continue;
+      const last = blocks[blocks.length - 1];
+      if (last && !source.slice(last.end, s.start).trim()) last.end = s.end;
+      else blocks.push({ start: s.start, end: s.end });
+    }
+    let prose = '';
+    let pos = 0;
+    for (const b of blocks) {
+      b.text = source.slice(b.start, b.end);
+      b.lines = b.text.split('\n').filter(l => l.trim() && !CODE_FENCE_RE.test(l)).length;
+      prose += source.slice(pos, b.start) + b.text.replace(/[^\r\n]/g, ' ');
+      pos = b.end;
+    }
+    return { blocks, prose: prose + source.slice(pos) };
+  }
+
+  // Tokens and comments of source[from, to) in `language` (a key of
+  // CODE_LANGUAGES, default 'other'). Identifiers, numbers and strings are
+  // normalised to 'id', 'num' and 'str'; keywords, operators, preprocessor
+  // directives and annotations keep their text. Comments (including
+  // docstrings) and fence lines are not tokens.
+  function lexCode(source, from, to, language) {
+    const lang = CODE_LANGUAGES[language] || CODE_LANGUAGES.other;
+    const re = lang.lexer;
+    re.lastIndex = 0;
+    const body = source.slice(from, to);
+    const tokens = [];
+    const comments = [];
+    let m;
+    while ((m = re.exec(body)) !== null) {
+      const raw = m[0];
+      const start = from + m.index;
+      const end = start + raw.length;
+      if (m[1] !== undefined) continue;
+      if (m[3] !== undefined) {
+        comments.push({ start, end });
+        continue;
+      }
+      let word = raw;
+      let type = 'op';
+      if (m[2] !== undefined) { word = raw[0] === '#' ? '#' + raw.match(/[a-z]+/)[0] : raw; type = 'directive'; }
+      else if (m[4] !== undefined) { word = 'str'; type = 'str'; }
+      else if (m[5] !== undefined) { word = 'num'; type = 'num'; }
+      else if (m[6] !== undefined) {
+        type = lang.keywords.has(raw) ? 'keyword' : 'id';
+        if (type === 'id') word = 'id';
+      }
+      tokens.push({ word, value: raw, type, start, end });
+    }
+    return { tokens, comments };
+  }
+
+  // Code blocks of a submission lexed in the language detected from all of them
+  function lexSubmission(source) {
+    const { blocks } = extractCode(source);
+    const language = detectCodeLanguage(blocks.map(b => b.text).join('\n'));
+    const tokens = [];
+    const comments = [];
+    for (const b of blocks) {
+      const lexed = lexCode(source, b.start, b.end, language);
+      tokens.push(...lexed.tokens);
+      comments.push(...lexed.comments);
+    }
+    return { blocks, language, tokens, comments };
+  }
+
+  // Fingerprints of the code in a submission, comparable with
+  // compareDocuments: matched spans point at the code in the original text
+  // and count tokens instead of words.
+  function fingerprintCode(text, options) {
+    const source = text || '';
+    const k = (options && options.shingleSize) || CODE_SHINGLE_SIZE;
+    const w = (options && options.window) || WINNOW_WINDOW;
+    const { tokens, language } = lexSubmission(source);
+    return { ...fingerprintTokens(source, tokens, k, w), language };
+  }
+
+  // Naming-style share of user identifiers: the dominant of camelCase and
+  // snake_case (the two styles a program should not mix), or 'mixed'
+  function namingStyle(counts) {
+    const camel = counts.camelCase;
+    const snake = counts.snake_case;
+    if (camel + snake === 0) return { style: 'none', consistency: 100 };
+    const top = Math.max(camel, snake);
+    const consistency = Math.round((top / (camel + snake)) * 100);
+    return { style: consistency >= 80 ? (camel >= snake ? 'camelCase' : 'snake_case') : 'mixed', consistency };
+  }
+
+  // Code metrics of a submission: language, block and line counts, the
+  // share of non-blank lines that are code, comment density and identifier
+  // naming
+  function analyzeCode(text) {
+    const source = text || '';
+    const { blocks, language, tokens, comments } = lexSubmission(source);
+    const lines = blocks.reduce((s, b) => s + b.lines, 0);
+    const allLines = source.split('\n').filter(l => l.trim() && !CODE_FENCE_RE.test(l)).length;
+
+    // lines touched by a comment
+    const commented = new Set();
+    for (const c of comments) {
+      const first = source.slice(0, c.start).split('\n').length;
+      const count = source.slice(c.start, c.end).split('\n').length;
+      for (let n = 0; n < count; n++) commented.add(first + n);
+    }
+
+    const names = new Set(tokens.filter(t => t.type === 'id' && !CODE_LIBRARY_NAMES.has(t.value)).map(t => t.value));
+    const naming = {};
+    Object.keys(NAMING_STYLES).forEach(k => { naming[k] = 0; });
+    for (const name of names) {
+      const style = Object.keys(NAMING_STYLES).find(k => NAMING_STYLES[k].test(name));
+      if (style) naming[style]++;
+    }
+    const { style, consistency } = namingStyle(naming);
+    const lengths = Array.from(names).map(n => n.length);
+
+    return {
+      language: lines ? language : null,
+      blocks: blocks.length,
+      lines,
+      percentage: Math.round((lines / Math.max(1, allLines)) * 100),
+      tokens: tokens.length,
+      commentLines: commented.size,
+      commentDensity: lines ? Math.round((Math.min(commented.size, lines) / lines) * 100) : 0,
+      identifiers: names.size,
+      naming,
+      namingStyle: style,
+      namingConsistency: consistency,
+      averageIdentifierLength: Math.round(mean(lengths) * 10) / 10
+    };
+  }
+
+  /* ---------------- DOCUMENT FORMATS ---------------- */
+
+  // Converters from other document formats to the plain text the engine
+  // analyses, shared by the browser and the server. The structure of a
+  // document stays in its text the way Markdown writes it: '#' headings,
+  // "- " list items, "> " block quotations, fenced code and table rows with
+  // their cells separated by tabs (see documentStructure).
+
+  const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·', deg: '°',
+    copy: '©', reg: '®', trade: '™', times: '×', divide: '÷', plusmn: '±', minus: '−', le: '≤', ge: '≥', ne: '≠',
+    euro: '€', pound: '£', cent: '¢', sect: '§', para: '¶', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+    aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', ntilde: 'ñ', uuml: 'ü', ouml: 'ö', auml: 'ä', ccedil: 'ç'
+  };
+
+  function decodeEntities(s) {
+    return s.replace(/&(#x[0-9a-f]{1,6}|#\d{1,7}|[a-z]{2,8});/gi, (m, e) => {
+      if (e[0] !== '#') return NAMED_ENTITIES[e] !== undefined ? NAMED_ENTITIES[e] : m;
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    });
+  }
+
+  // Trailing spaces off every line and at most one blank line in a row
+  function tidyLines(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  const HTML_DROP_RE = /<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi;
+  const HTML_BLOCK_RE = /<\/?(?:p|div|ul|ol|section|article|header|footer|main|aside|nav|dl|dt|dd|figure|figcaption|hr)\b[^>]*>/gi;
+  // Footnotes and endnotes as Word exports them (and mammoth converts them)
+  const HTML_NOTE_RE = /<li\b[^>]*\bid="(?:foot|end)note-\d+"[^>]*>/gi;
+
+  // Text of inline HTML on one line
+  function inlineHtml(html) {
+    return decodeEntities(html.replace(/<br\s*\/?>|<\/?p\b[^>]*>/gi, ' ').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+  }
+
+  // HTML as text: scripts and styles dropped, block elements on their own
+  // paragraphs, headings marked with '#', list items as "- " lines, block
+  // quotations as "> " lines, table rows as tab-separated cells, <pre>
+  // blocks as fenced code and footnotes as "[n] " lines under "# Notes"
+  function htmlToText(html) {
+    const held = [];
+    // notes are numbered in order, as their markers in the text are
+    let notes = 0;
+    const hold = text => {
+      held.push(text);
+      return `\n\n\u0000${held.length - 1}\u0000\n\n`;
+    };
+    const body = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(HTML_DROP_RE, '')
+      .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (m, code) =>
+        hold('```\n' + decodeEntities(code.replace(/<[^>]*>/g, '')).replace(/^\n/, '').replace(/\s+$/, '') + '\n```'))
+      .replace(/<blockquote\b[^>]*>([\s\S]*?)<\/blockquote\s*>/gi, (m, inner) =>
+        hold(htmlToText(inner).split('\n').map(l => (l ? '> ' + l : '>')).join('\n')))
+      .replace(/<table\b[^>]*>([\s\S]*?)<\/table\s*>/gi, (m, inner) =>
+        hold((inner.match(/<tr\b[\s\S]*?<\/tr\s*>/gi) || [])
+          .map(row => (row.match(/<t[dh]\b[^>]*>[\s\S]*?<\/t[dh]\s*>/gi) || []).map(cell => inlineHtml(cell)).join('\t'))
+          .filter(row => row.trim()).join('\n')))
+      .replace(/<a\b[^>]*\bhref="#(?:foot|end)note-ref-\d+"[^>]*>[\s\S]*?<\/a\s*>/gi, '')
+      .replace(/<ol\b[^>]*>(?=\s*<li\b[^>]*\bid="(?:foot|end)note-)/i, '\n\n# Notes\n\n')
+      .replace(/(<li\b[^>]*>)\s*<p\b[^>]*>/gi, '$1')
+      .replace(/<\/p\s*>\s*(<\/li\s*>)/gi, '$1')
+      .replace(HTML_NOTE_RE, () => `\n[${++notes}] `)
+      .replace(/<h([1-6])\b[^>]*>/gi, (m, n) => '\n\n' + '#'.repeat(Number(n)) + ' ')
+      .replace(/<\/h[1-6]\s*>/gi, '\n\n')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/li\s*>/gi, '')
+      .replace(HTML_BLOCK_RE, '\n\n')
+      .replace(/<[^>]*>/g, '');
+    const text = decodeEntities(body).split('\n').map(l => l.replace(/[ \t\r\f\v ]+/g, ' ').trim()).join('\n');
+    return tidyLines(text.replace(/\u0000(\d+)\u0000/g, (m, i) => held[Number(i)]));
+  }
+
+  // Markdown as text: inline markup (emphasis, links, images, inline code,
+  // HTML tags) removed; headings, lists, block quotations and fenced code
+  // blocks stay, since the sentence splitter, extractCode and
+  // documentStructure read them, and table rows keep their cells apart
+  // with tabs
+  function markdownToText(md) {
+    let fenced = false;
+    return tidyLines(md.replace(/\r\n?/g, '\n').split('\n').map(line => {
+      if (CODE_FENCE_RE.test(line)) {
+        fenced = !fenced;
+        return line;
+      }
+      if (fenced) return line;
+      // table separator rows go (the table stays one block); horizontal
+      // rules and link definitions leave a blank line
+      if (/^\s*\|?(?:\s*:?-{3,}:?\s*\|)+\s*(?::?-{3,}:?)?\s*$/.test(line)) return null;
+      if (/^ {0,3}(?:[-*_][ \t]*){3,}$/.test(line) || /^ {0,3}\[[^\]]+\]:\s*\S+/.test(line)) return '';
+      const quote = /^\s*>/.test(line) ? '> ' : '';
+      let out = line.replace(/^(\s*)(?:>\s?)+/, quote ? '' : '$1');
+      if (/^\s*\|.*\|\s*$/.test(out)) out = out.replace(/^\s*\||\|\s*$/g, '').split('|').map(c => c.trim()).join('\t');
+      return quote + out
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/(^|[^\w*])(\*\*|__)(?=\S)(.+?)(?<=\S)\2(?![\w*])/g, '$1$3')
+        .replace(/(^|[^\w*])([*_])(?=\S)(.+?)(?<=\S)\2(?![\w*])/g, '$1$3')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');
+    }).filter(line => line !== null).join('\n'));
+  }
+
+  // RTF destinations whose text is not part of the document body
+  const RTF_SKIP = new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst', 'header', 'headerl', 'headerr', 'headerf',
+    'footer', 'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+    'latentstyles', 'datastore', 'xmlnstbl', 'revtbl', 'bkmkstart', 'bkmkend', 'filetbl', 'mmathPr']);
+  const RTF_SYMBOLS = { par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t', emdash: '—', endash: '–', bullet: '•',
+    lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ' };
+  // Windows-1252 characters that differ from Latin-1 (\'80 to \'9f)
+  const CP1252 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+  const RTF_WORD_RE = /([a-zA-Z]{1,32})(-?\d{1,10})? ?/y;
+
+  // RTF as text: control words for paragraphs, tabs, quotes and Unicode
+  // characters applied; font tables, pictures and other destinations skipped
+  function rtfToText(rtf) {
+    let out = '';
+    const stack = [];
+    let skip = false;
+    let uc = 1;
+    const emit = s => { if (!skip) out += s; };
+    const hexChar = code => (code >= 0x80 && code < 0xa0 ? CP1252[code - 0x80] : String.fromCharCode(code));
+    let i = 0;
+    while (i < rtf.length) {
+      const c = rtf[i];
+      if (c === '{' || c === '}') {
+        if (c === '{') stack.push({ skip, uc });
+        else if (stack.length) ({ skip, uc } = stack.pop());
+        i++;
+      } else if (c === '\\') {
+        const next = rtf[i + 1];
+        if (next === '\\' || next === '{' || next === '}') {
+          emit(next);
+          i += 2;
+        } else if (next === "'") {
+          emit(hexChar(parseInt(rtf.substr(i + 2, 2), 16)));
+          i += 4;
+        } else if (next === '*') {
+          skip = true;
+          i += 2;
+        } else if (next === '~' || next === '_') {
+          emit(next === '~' ? ' ' : '-');
+          i += 2;
+        } else if (next === '\n' || next === '\r') {
+          emit('\n');
+          i += 2;
+        } else {
+          RTF_WORD_RE.lastIndex = i + 1;
+          const m = RTF_WORD_RE.exec(rtf);
+          if (!m) {
+            i += 2;
+            continue;
+          }
+          i = RTF_WORD_RE.lastIndex;
+          const word = m[1];
+          const arg = m[2] === undefined ? null : Number(m[2]);
+          if (RTF_SKIP.has(word)) skip = true;
+          else if (word === 'uc') uc = arg === null ? 1 : arg;
+          else if (word === 'u' && arg !== null) {
+            emit(String.fromCharCode(arg < 0 ? arg + 65536 : arg));
+            // skip the substitute characters written for readers without Unicode
+            for (let n = 0; n < uc && i < rtf.length && rtf[i] !== '{' && rtf[i] !== '}'; n++) i += rtf[i] === '\\' && rtf[i + 1] === "'" ? 4 : 1;
+          } else if (RTF_SYMBOLS[word] !== undefined) emit(RTF_SYMBOLS[word]);
+        }
+      } else {
+        if (c !== '\r' && c !== '\n') emit(c);
+        i++;
+      }
+    }
+    return tidyLines(out);
+  }
+
+  // Text of an OpenDocument fragment on one line
+  function odfInline(xml) {
+    return decodeEntities(xml
+      .replace(/<text:(?:tab|line-break|s)\b[^>]*\/>|<\/text:(?:p|h)>/g, ' ')
+      .replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+  }
+
+  // OpenDocument text (content.xml of an .odt): paragraphs and headings
+  // separated by blank lines, headings marked with their outline level,
+  // list items as "- " lines, paragraphs in the Quotations style as "> "
+  // lines, table rows as tab-separated cells, spaces, tabs and line breaks
+  // as written; notes become "[n]" markers with their text under
+  // "# Notes", tracked deletions are left out
+  function odtToText(xml) {
+    const body = (xml.match(/<office:text\b[\s\S]*<\/office:text>/) || [xml])[0];
+    const held = [];
+    const notes = [];
+    const text = tidyLines(decodeEntities(body
+      .replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, '')
+      .replace(/<text:note\b[^>]*>([\s\S]*?)<\/text:note>/g, (m, inner) => {
+        const mark = odfInline((inner.match(/<text:note-citation\b[^>]*>([\s\S]*?)<\/text:note-citation>/) || [0, String(notes.length + 1)])[1]);
+        notes.push(`[${mark}] ${odfInline(inner.replace(/<text:note-citation\b[\s\S]*?<\/text:note-citation>/, ''))}`);
+        return `[${mark}]`;
+      })
+      .replace(/<table:table\b[^>]*>([\s\S]*?)<\/table:table>/g, (m, inner) => {
+        held.push((inner.match(/<table:table-row\b[\s\S]*?<\/table:table-row>/g) || [])
+          .map(row => (row.match(/<table:table-cell\b[^>]*?(?:\/>|>[\s\S]*?<\/table:table-cell>)/g) || []).map(odfInline).join('\t'))
+          .filter(row => row.trim()).join('\n'));
+        return `\n\n\u0000${held.length - 1}\u0000\n\n`;
+      })
+      .replace(/<text:h\b([^>]*)>/g, (m, attrs) => '#'.repeat(Math.min(6, Number((attrs.match(/text:outline-level="(\d+)"/) || [0, 1])[1]) || 1)) + ' ')
+      .replace(/<text:p\b[^>]*text:style-name="Quotations"[^>]*>/g, '> ')
+      .replace(/<text:tab\s*\/>/g, '\t')
+      .replace(/<text:line-break\s*\/>/g, '\n')
+      .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, n) => ' '.repeat(Math.min(Number(n || 1), 100)))
+      .replace(/<text:list-item\b[^>]*>/g, '\u0001')
+      .replace(/<\/text:list-item>/g, '\u0002')
+      .replace(/<\/text:(?:p|h)>/g, '\n\n')
+      .replace(/<[^>]+>/g, ''))
+      .replace(/\s*\u0002\s*\u0001\s*/g, '\n- ')
+      .replace(/\u0001\s*/g, '- ')
+      .replace(/\u0002/g, '')
+      .replace(/\u0000(\d+)\u0000/g, (m, i) => held[Number(i)]));
+    return notes.length ? `${text}\n\n# Notes\n\n${notes.join('\n')}` : text;
+  }
+
+  // PowerPoint slides (ppt/slides/slideN.xml, in order): each slide's first
+  // paragraph (usually its title) as a heading, the others as "- " lines
+  function pptxToText(slides) {
+    return slides.map(xml => {
+      const paragraphs = xml.split(/<\/a:p>/).map(p => decodeEntities((p.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>|<a:br\b[^>]*\/>/g) || [])
+        .map(t => (t.startsWith('<a:br') ? '\n' : t.replace(/<[^>]+>/g, ''))).join('')).trim()).filter(Boolean);
+      return paragraphs.length ? ['# ' + paragraphs[0], paragraphs.slice(1).map(p => '- ' + p).join('\n')].filter(Boolean).join('\n\n') : '';
+    }).filter(Boolean).join('\n\n');
+  }
+
+  // Jupyter notebook (.ipynb JSON): markdown cells as text, code cells as
+  // fenced blocks tagged with the kernel language; outputs are left out
+  function notebookToText(source) {
+    const nb = JSON.parse(source);
+    const meta = nb.metadata || {};
+    const language = (meta.kernelspec && meta.kernelspec.language) || (meta.language_info && meta.language_info.name) || '';
+    const cells = nb.cells || (nb.worksheets && nb.worksheets[0] && nb.worksheets[0].cells) || [];
+    return cells.map(cell => {
+      const raw = cell.source !== undefined ? cell.source : cell.input;
+      const text = (Array.isArray(raw) ? raw.join('') : String(raw || '')).replace(/\s+$/, '');
+      if (!text.trim()) return '';
+      if (cell.cell_type === 'code') return '```' + language + '\n' + text + '\n```';
+      return cell.cell_type === 'markdown' ? markdownToText(text) : text;
+    }).filter(Boolean).join('\n\n');
+  }
+
+  // Text of one PDF page from its pdf.js text items ({ str, transform }),
+  // joined line by line the way pdf-parse does it, plus the structure the
+  // text layer only shows through layout: a blank line where lines are
+  // further apart than usual (or a new column starts) and '#' marks on
+  // short lines set larger than the body text ('#' for the largest size on
+  // the page, '##' for the next)
+  function pdfPageText(items) {
+    const lines = [];
+    let line = null;
+    let lastY;
+    for (const item of items || []) {
+      const y = item.transform[5];
+      if (!line || (lastY !== y && lastY)) {
+        line = { text: '', y, sizes: {} };
+        lines.push(line);
+      }
+      line.text += item.str;
+      const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10;
+      if (item.str.trim()) line.sizes[size] = (line.sizes[size] || 0) + item.str.trim().length;
+      lastY = y;
+    }
+    const commonest = counts => Number(Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0]);
+    const all = {};
+    for (const l of lines) {
+      for (const [size, n] of Object.entries(l.sizes)) all[size] = (all[size] || 0) + n;
+      l.size = Object.keys(l.sizes).length ? commonest(l.sizes) : 0;
+    }
+    if (!Object.keys(all).length) return lines.map(l => l.text).join('\n');
+    const body = commonest(all);
+    const isHeading = l => l.size >= body * 1.15 && l.text.trim() && l.text.trim().split(/\s+/).length <= 15;
+    // usual gap between body lines; headings sit further apart
+    const gaps = lines.slice(1).map((l, i) => (isHeading(l) || isHeading(lines[i]) ? 0 : lines[i].y - l.y)).filter(g => g > 0).sort((a, b) => a - b);
+    const usualGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+    const headingSizes = Array.from(new Set(lines.filter(isHeading).map(l => l.size))).sort((a, b) => b - a);
+    let out = '';
+    lines.forEach((l, i) => {
+      const heading = isHeading(l);
+      if (i > 0) {
+        const gap = lines[i - 1].y - l.y;
+        const apart = heading || isHeading(lines[i - 1]) || gap < 0 || (usualGap && gap > usualGap * 1.5);
+        out += apart ? '\n\n' : '\n';
+      }
+      out += heading ? '#'.repeat(Math.min(6, headingSizes.indexOf(l.size) + 1)) + ' ' + l.text.trim() : l.text;
+    });
+    return out.replace(/\n{3,}/g, '\n\n');
+  }
+
+  // File metadata: title, author, who saved it last, creation and last
+  // modification dates (ISO 8601), the application that produced it and
+  // the total editing time in minutes. Fields a format does not record are
+  // null; a file without any of them has no metadata (null).
+  const METADATA_FIELDS = ['title', 'author', 'lastModifiedBy', 'created', 'modified', 'application', 'editingMinutes'];
+  // Metadata parts of Office Open XML files (.docx, .pptx)
+  const OFFICE_METADATA_ENTRIES = ['docProps/core.xml', 'docProps/app.xml'];
+
+  function isoDate(value) {
+    if (!value) return null;
+    const d = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  function metadataRecord(fields) {
+    const out = {};
+    for (const key of METADATA_FIELDS) {
+      let v = fields[key];
+      if (typeof v === 'string') v = v.replace(/\s+/g, ' ').trim();
+      if (key === 'created' || key === 'modified') v = isoDate(v);
+      out[key] = v === undefined || v === '' || (typeof v === 'number' && !Number.isFinite(v)) ? null : v;
+    }
+    return METADATA_FIELDS.some(k => out[k] !== null) ? out : null;
+  }
+
+  // Text of the first <tag> element of an XML part
+  function xmlField(xml, tag) {
+    const m = String(xml || '').match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+    return m ? decodeEntities(m[1]) : null;
+  }
+
+  // Office Open XML (docProps/core.xml and docProps/app.xml)
+  function officeMetadata(coreXml, appXml) {
+    const minutes = xmlField(appXml, 'TotalTime');
+    return metadataRecord({
+      title: xmlField(coreXml, 'dc:title'),
+      author: xmlField(coreXml, 'dc:creator'),
+      lastModifiedBy: xmlField(coreXml, 'cp:lastModifiedBy'),
+      created: xmlField(coreXml, 'dcterms:created'),
+      modified: xmlField(coreXml, 'dcterms:modified'),
+      application: [xmlField(appXml, 'Application'), xmlField(appXml, 'AppVersion')].filter(Boolean).join(' '),
+      editingMinutes: minutes === null ? null : Number(minutes)
+    });
+  }
+
+  // OpenDocument (meta.xml); dc:creator there is whoever saved it last
+  function odfMetadata(metaXml) {
+    const duration = (xmlField(metaXml, 'meta:editing-duration') || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/);
+    return metadataRecord({
+      title: xmlField(metaXml, 'dc:title'),
+      author: xmlField(metaXml, 'meta:initial-creator'),
+      lastModifiedBy: xmlField(metaXml, 'dc:creator'),
+      created: xmlField(metaXml, 'meta:creation-date'),
+      modified: xmlField(metaXml, 'dc:date'),
+      application: xmlField(metaXml, 'meta:generator'),
+      editingMinutes: duration ? Math.round(Number(duration[1] || 0) * 1440 + Number(duration[2] || 0) * 60 + Number(duration[3] || 0) + Number(duration[4] || 0) / 60) : null
+    });
+  }
+
+  // PDF date string, e.g. "D:20240301093000+08'00'"
+  function pdfDate(value) {
+    const m = String(value || '').match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Zz+-])(\d{2})?'?(\d{2})?)?/);
+    if (!m) return null;
+    const n = (v, d) => (v === undefined ? d : Number(v));
+    const offset = m[7] === '+' || m[7] === '-' ? (m[7] === '-' ? -1 : 1) * (n(m[8], 0) * 60 + n(m[9], 0)) : 0;
+    return isoDate(new Date(Date.UTC(n(m[1]), n(m[2], 1) - 1, n(m[3], 1), n(m[4], 0), n(m[5], 0), n(m[6], 0)) - offset * 60000));
+  }
+
+  // PDF document information dictionary (pdf.js getMetadata().info);
+  // Creator is the application the document was written in, Producer the
+  // one that made the PDF
+  function pdfMetadata(info) {
+    const i = info || {};
+    return metadataRecord({
+      title: i.Title,
+      author: i.Author,
+      created: pdfDate(i.CreationDate),
+      modified: pdfDate(i.ModDate),
+      application: [i.Creator, i.Producer].filter(Boolean).filter((v, k, all) => all.indexOf(v) === k).join(' / ')
+    });
+  }
+
+  // HTML <title> and <meta name="author|generator|dcterms.created|dcterms.modified">
+  function htmlMetadata(html) {
+    const head = String(html || '').slice(0, 20000);
+    const meta = {};
+    for (const tag of head.match(/<meta\b[^>]*>/gi) || []) {
+      const name = tag.match(/\bname\s*=\s*["']([^"']*)["']/i);
+      const content = tag.match(/\bcontent\s*=\s*["']([^"']*)["']/i);
+      if (name && content) meta[name[1].toLowerCase()] = decodeEntities(content[1]);
+    }
+    const title = head.match(/<title\b[^>]*>([^<]*)<\/title>/i);
+    return metadataRecord({
+      title: title ? decodeEntities(title[1]) : null,
+      author: meta.author,
+      created: meta['dcterms.created'] || meta.date,
+      modified: meta['dcterms.modified'],
+      application: meta.generator
+    });
+  }
+
+  // RTF {\info} group: \title, \author, \operator (last saved by),
+  // \creatim and \revtim dates, \edmins editing minutes, and \generator
+  function rtfMetadata(rtf) {
+    const source = String(rtf || '');
+    const text = word => {
+      const m = source.match(new RegExp(`\\{\\\\${word} ([^{}]*)\\}`));
+      return m ? rtfToText(m[1]) : null;
+    };
+    const time = word => {
+      const m = source.match(new RegExp(`\\{\\\\${word}((?:\\\\[a-z]+\\d+)+)\\}`));
+      if (!m) return null;
+      const part = key => Number((m[1].match(new RegExp(`\\\\${key}(\\d+)`)) || [0, 0])[1]);
+      return part('yr') ? isoDate(new Date(part('yr'), Math.max(0, part('mo') - 1), part('dy') || 1, part('hr'), part('min'))) : null;
+    };
+    const minutes = source.match(/\{\\edmins(\d+)\}/);
+    const generator = source.match(/\{\\\*\\generator ([^{}]*?);?\}/);
+    return metadataRecord({
+      title: text('title'),
+      author: text('author'),
+      lastModifiedBy: text('operator'),
+      created: time('creatim'),
+      modified: time('revtim'),
+      application: generator ? generator[1] : null,
+      editingMinutes: minutes ? Number(minutes[1]) : null
+    });
+  }
+
+  // Jupyter notebook metadata: title and authors ([{ name }])
+  function notebookMetadata(source) {
+    const meta = JSON.parse(source).metadata || {};
+    const authors = Array.isArray(meta.authors) ? meta.authors.map(a => (a && a.name) || a).filter(a => typeof a === 'string') : [];
+    return metadataRecord({ title: meta.title, author: authors.join(', ') });
+  }
+
+  const slideNumber = name => Number((name.match(/(\d+)\.xml$/) || [0, 0])[1]);
+
+  // Formats read the same way everywhere. `source` says what the reader
+  // hands to `toText`: 'text' the file decoded as UTF-8, 'zip' the UTF-8
+  // contents of the archive entries picked by `entries(names)`, in order.
+  // `metadata`, where the format records any, gets the same file text, or
+  // for 'zip' the contents of the `metaEntries`. PDF, DOCX and images need
+  // libraries of their own and are read in extract.js and script.js.
+  const DOCUMENT_FORMATS = {
+    '.md': { label: 'Markdown', source: 'text', toText: markdownToText },
+    '.markdown': { label: 'Markdown', source: 'text', toText: markdownToText },
+    '.html': { label: 'HTML', source: 'text', toText: htmlToText, metadata: htmlMetadata },
+    '.htm': { label: 'HTML', source: 'text', toText: htmlToText, metadata: htmlMetadata },
+    '.rtf': { label: 'Rich Text', source: 'text', toText: rtfToText, metadata: rtfMetadata },
+    '.ipynb': { label: 'Jupyter notebook', source: 'text', toText: notebookToText, metadata: notebookMetadata },
+    '.odt': {
+      label: 'OpenDocument text',
+      source: 'zip',
+      entries: () => ['content.xml'],
+      toText: ([xml]) => odtToText(xml || ''),
+      metaEntries: ['meta.xml'],
+      metadata: ([xml]) => odfMetadata(xml)
+    },
+    '.pptx': {
+      label: 'PowerPoint',
+      source: 'zip',
+      entries: names => names.filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n)).sort((a, b) => slideNumber(a) - slideNumber(b)),
+      toText: pptxToText,
+      metaEntries: OFFICE_METADATA_ENTRIES,
+      metadata: ([core, app]) => officeMetadata(core, app)
+    }
+  };
+
+  // Converter entry for a file name, or null for formats not listed above
+  function documentFormat(fileName) {
+    const m = String(fileName || '').toLowerCase().match(/\.[a-z0-9]+$/);
+    return (m && Object.prototype.hasOwnProperty.call(DOCUMENT_FORMATS, m[0]) && DOCUMENT_FORMATS[m[0]]) || null;
+  }
+
+  /* ---------------- DOCUMENT STRUCTURE ---------------- */
+
+  // The document model read back from the text the readers produce (see
+  // DOCUMENT FORMATS): headings with their levels, the sections they open,
+  // blocks (paragraphs, lists, tables, code, block quotations, notes and
+  // reference entries) with character offsets, and the reference list.
+  // Scoring leaves the reference list and block quotations out.
+  const REFERENCES_HEADING_RE = /^(?:\d+(?:\.\d+)*\.?\s+)?(?:references?|bibliography|works cited|literature cited|reference list|list of references|sources(?: cited)?)\s*:?$/i;
+  const NOTES_HEADING_RE = /^(?:foot|end)?notes\s*:?$/i;
+  const APPENDIX_HEADING_RE = /^appendi(?:x|ces)\b/i;
+  // A line that starts a new reference entry: numbered, bulleted, or
+  // "Surname, A." / "Surname, Given" with a year later on
+  const ENTRY_START_RE = /^\s*(?:\[\d+\]|\d{1,3}[.)]|[-*•])\s+/;
+  const CITATION_ENTRY_RE = /^\s*(?:\[\d+\]\s*|\d{1,3}[.)]\s+)?[A-Z][A-Za-zÀ-ÿ'’-]+,\s+(?:[A-Z]\.|[A-Z][A-Za-zÀ-ÿ'’-]+).*?\b(?:1[6-9]|20)\d{2}[a-z]?\b/;
+  // A whole paragraph in quotation marks, optionally followed by its source
+  const QUOTED_PARAGRAPH_RE = /^["“][\s\S]+["”][.,]?(?:\s*[—–-]?\s*\([^()]*\))?[.!?]?$/;
+
+  const isQuotedParagraph = text => QUOTED_PARAGRAPH_RE.test(text) && normalizeToWords(text).length >= 3;
+
+  // Line of the text around an offset
+  function lineAt(source, offset) {
+    const start = source.lastIndexOf('\n', offset - 1) + 1;
+    const end = source.indexOf('\n', offset);
+    return { start, end: end < 0 ? source.length : end, text: source.slice(start, end < 0 ? source.length : end) };
+  }
+
+  // Entries of a reference list or notes section between two offsets: one
+  // per paragraph, or per line where lines start entries of their own
+  function listEntries(source, paragraphs, from, to) {
+    const entries = [];
+    for (const p of paragraphs) {
+      if (p.end <= from || p.start >= to) continue;
+      let offset = Math.max(p.start, from);
+      const lines = source.slice(offset, Math.min(p.end, to)).split('\n');
+      let entry = null;
+      for (const [i, line] of lines.entries()) {
+        if (line.trim() && (!entry || (i > 0 && (ENTRY_START_RE.test(line) || CITATION_ENTRY_RE.test(line))))) {
+          entry = { start: offset, end: offset + line.length };
+          entries.push(entry);
+        } else if (entry && line.trim()) entry.end = offset + line.length;
+        offset += line.length + 1;
+      }
+    }
+    return entries.map(e => {
+      const raw = source.slice(e.start, e.end);
+      const bullet = raw.match(/^\s*(?:[-*•]\s+)?/)[0].length;
+      const text = raw.slice(bullet).trim();
+      const start = e.start + bullet + raw.slice(bullet).indexOf(text);
+      return { start, end: start + text.length, text: text.replace(/\s*\n\s*/g, ' ') };
+    });
+  }
+
+  // Structure of a text: { headings, sections, blocks, tables, quotes,
+  // references, notes }. Headings are { text, level, start, end }; '#'
+  // marks give the level, other headings (short unpunctuated lines, see
+  // segmentText) count as level 1. Sections run from one heading to the
+  // next; text before the first heading is a section without one. Blocks
+  // are { type, start, end } with type 'heading', 'paragraph', 'list',
+  // 'table' (plus its `rows` of cells), 'code', 'quote', 'reference' or
+  // 'note'. `references` is the reference list, found under a heading such
+  // as "References" or "Bibliography" or as citation-like paragraphs at the
+  // end, with its `entries`; null when there is none. `quotes` are the block
+  // quotations and `inlineQuotes` the quotations in quotation marks, each
+  // { start, end, cited }; `citations` the in-text citations (see
+  // findCitations) and `citedSentences` the sentences carrying one.
+  function documentStructure(text) {
+    const source = text || '';
+    const { paragraphs, segments } = segmentText(source);
+    const blocks = [];
+    paragraphs.forEach((p, i) => {
+      const lines = p.text.split('\n').filter(l => l.trim());
+      if (lines.every(l => /^\s*>/.test(l))) return blocks.push({ type: 'quote', start: p.start, end: p.end });
+      if (lines.every(l => l.includes('\t'))) {
+        return blocks.push({ type: 'table', start: p.start, end: p.end, rows: lines.map(l => l.split('\t').map(c => c.trim())) });
+      }
+      let run = [];
+      const flush = () => {
+        if (!run.length) return;
+        const start = run[0].start;
+        const end = run[run.length - 1].end;
+        const type = run.every(s => s.type === 'code') ? 'code'
+          : run.some(s => s.type === 'list') ? 'list'
+            : isQuotedParagraph(source.slice(start, end)) ? 'quote' : 'paragraph';
+        blocks.push({ type, start, end });
+        run = [];
+      };
+      for (const s of segments.filter(x => x.paragraph === i)) {
+        const marks = lineAt(source, s.start).text.match(/^\s*(#{1,6})\s/);
+        // page numbers, one-line quotations ending in their source and
+        // citations on a line of their own have no closing punctuation either
+        if (s.type !== 'heading' || (!marks && (!/[A-Za-z]/.test(s.text) || isQuotedParagraph(s.text) || /^\(.*\)$/.test(s.text)))) run.push(s);
+        else {
+          flush();
+          blocks.push({ type: 'heading', start: s.start, end: s.end, level: marks ? marks[1].length : 1, marked: !!marks });
+        }
+      }
+      flush();
+    });
+
+    // "References:" and the like start the list even when followed by a colon
+    for (const b of blocks) {
+      if (b.type !== 'paragraph' && b.type !== 'list') continue;
+      const first = lineAt(source, b.start);
+      if (!REFERENCES_HEADING_RE.test(first.text.trim()) || b.start !== first.start) continue;
+      const rest = source.slice(first.end, b.end).match(/\S/);
+      Object.assign(b, { type: 'heading', end: first.end, level: 1, marked: false });
+      if (rest) blocks.push({ type: b.type === 'list' ? 'list' : 'paragraph', start: first.end + rest.index, end: b.end });
+    }
+    blocks.sort((a, b) => a.start - b.start);
+
+    const headings = blocks.filter(b => b.type === 'heading');
+    const headingText = h => source.slice(h.start, h.end).replace(/\s*#+\s*$/, '').trim();
+    // where a list under `heading` ends: the next heading of its level or
+    // above ('#'-marked ones only when the heading itself was marked), an
+    // appendix, or the end of the text
+    const listEnd = heading => {
+      const next = headings.find(h => h.start > heading.start && (
+        APPENDIX_HEADING_RE.test(headingText(h)) || NOTES_HEADING_RE.test(headingText(h)) || REFERENCES_HEADING_RE.test(headingText(h)) ||
+        (h.marked && (!heading.marked || h.level <= heading.level))));
+      return next ? lineAt(source, next.start).start : source.length;
+    };
+
+    let references = null;
+    const refHeading = headings.filter(h => REFERENCES_HEADING_RE.test(headingText(h))).pop();
+    if (refHeading) {
+      const end = listEnd(refHeading);
+      const entries = listEntries(source, paragraphs, refHeading.end, end);
+      references = { heading: headingText(refHeading), start: lineAt(source, refHeading.start).start, end: entries.length ? entries[entries.length - 1].end : refHeading.end, entries };
+    } else {
+      // no heading: citation-like paragraphs closing the text
+      let from = null;
+      for (let i = paragraphs.length - 1; i >= 0 && CITATION_ENTRY_RE.test(paragraphs[i].text); i--) from = paragraphs[i].start;
+      const entries = from === null ? [] : listEntries(source, paragraphs, from, source.length);
+      if (entries.length >= 2) references = { heading: null, start: from, end: entries[entries.length - 1].end, entries };
+    }
+
+    const notesHeading = headings.filter(h => NOTES_HEADING_RE.test(headingText(h))).pop();
+    const notes = notesHeading ? listEntries(source, paragraphs, notesHeading.end, listEnd(notesHeading)) : [];
+    const within = (b, list) => list.some(e => b.start < e.end && b.end > e.start);
+    for (const b of blocks) {
+      if (b.type === 'heading') continue;
+      if (references && b.start >= references.start && b.start < references.end) b.type = 'reference';
+      else if (within(b, notes)) b.type = 'note';
+    }
+
+    const sections = headings.map((h, i) => ({
+      heading: headingText(h),
+      level: h.level,
+      start: lineAt(source, h.start).start,
+      end: i + 1 < headings.length ? lineAt(source, headings[i + 1].start).start : source.length
+    }));
+    if (source.slice(0, sections.length ? sections[0].start : source.length).trim()) {
+      sections.unshift({ heading: null, level: 0, start: 0, end: sections.length ? sections[0].start : source.length });
+    }
+
+    // citations and inline quotations of the running text (see CITATIONS)
+    const skip = [...(references ? [references] : []), ...notes, ...blocks.filter(b => ['heading', 'code', 'reference', 'note'].includes(b.type))];
+    const found = findCitations(source, skip, !notes.length);
+    const quotes = blocks.filter(b => b.type === 'quote').map(b => ({ start: b.start, end: b.end }));
+    const inlineQuotes = found.quotes.filter(q => !within(q, quotes));
+    const sentences = segments.filter(x => x.type === 'sentence' || x.type === 'list');
+    const citing = x => found.citations.some(c => c.start < x.end && c.end > x.start);
+    // a citation placed after the full stop, or after a closing quotation
+    // mark, starts the next sentence but cites the one before
+    const leading = (x, i) => i > 0 && found.citations.some(c => c.start === x.start);
+    const citedSentences = sentences.filter((x, i) => found.citations.some(c => c.start < x.end && c.end > x.start && !(i > 0 && c.start === x.start)) ||
+      (i + 1 < sentences.length && leading(sentences[i + 1], i + 1)))
+      .map(x => ({ start: x.start, end: x.end }));
+    for (const q of inlineQuotes) {
+      q.cited = within(q, citedSentences) || found.citations.some(c => c.start >= q.end && /^[\s,.;:]*$/.test(source.slice(q.end, c.start)));
+    }
+    for (const q of quotes) {
+      const before = sentences.filter(x => x.end <= q.start).pop();
+      const after = sentences.find(x => x.start >= q.end);
+      q.cited = found.citations.some(c => c.start < q.end && c.end > q.start) || [before, after].some(x => x && citing(x));
+    }
+    return {
+      headings: headings.map(h => ({ text: headingText(h), level: h.level, start: h.start, end: h.end })),
+      sections,
+      blocks: blocks.map(({ marked, ...b }) => b),
+      tables: blocks.filter(b => b.type === 'table').map(b => ({ start: b.start, end: b.end, rows: b.rows })),
+      quotes,
+      inlineQuotes,
+      references,
+      notes,
+      citations: found.citations,
+      citedSentences
+    };
+  }
+
+  // Ranges that scoring leaves out: the reference list, quotations and
+  // in-text citations
+  function scoringExclusions(structure) {
+    const s = structure || {};
+    return [...(s.quotes || []), ...(s.inlineQuotes || []), ...(s.citations || []), ...(s.references ? [s.references] : [])]
+      .sort((a, b) => a.start - b.start);
+  }
+
+  // The text with the ranges left out of scoring blanked: same length and
+  // line breaks, so offsets into it are offsets into the text
+  function maskExcluded(text, structure) {
+    const source = text || '';
+    let out = '';
+    let pos = 0;
+    for (const r of scoringExclusions(structure || documentStructure(source))) {
+      if (r.end <= pos) continue;
+      const start = Math.max(pos, r.start);
+      out += source.slice(pos, start) + source.slice(start, r.end).replace(/[^\n]/g, ' ');
+      pos = r.end;
+    }
+    return out + source.slice(pos);
+  }
+
+  // Report shape of a structure: the outline, counts of each kind of block,
+  // the reference entries and how many words scoring left out
+  function summarizeStructure(structure, text) {
+    const s = structure || documentStructure(text);
+    const count = type => s.blocks.filter(b => b.type === type).length;
+    return {
+      sections: s.sections.length,
+      headings: s.headings.map(h => ({ text: h.text, level: h.level })),
+      paragraphs: count('paragraph'),
+      lists: count('list'),
+      tables: s.tables.length,
+      quotes: s.quotes.length,
+      notes: s.notes.length,
+      references: s.references ? s.references.entries.map(e => e.text) : [],
+      excludedWords: scoringExclusions(s).reduce((n, r) => n + normalizeToWords((text || '').slice(r.start, r.end)).length, 0)
+    };
+  }
+
+  // One-line summary of a structure summary for reports and result cards
+  function formatStructure(summary) {
+    if (!summary) return 'Not analysed';
+    const n = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const parts = [n(summary.sections, 'section'), n(summary.headings.length, 'heading'), n(summary.paragraphs, 'paragraph')];
+    if (summary.lists) parts.push(n(summary.lists, 'list'));
+    if (summary.tables) parts.push(n(summary.tables, 'table'));
+    if (summary.quotes) parts.push(n(summary.quotes, 'block quotation'));
+    if (summary.notes) parts.push(n(summary.notes, 'note'));
+    if (summary.references.length) parts.push(n(summary.references.length, 'reference'));
+    const left = summary.excludedWords ? ` (${summary.excludedWords} words of references, quotations and citations left out of scoring)` : '';
+    return parts.join(' · ') + left;
+  }
+
+  // Whether two author names can be the same person: every word of the
+  // shorter name appears in the longer one, initials matching whole words
+  function sameAuthor(a, b) {
+    const words = name => String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    let [x, y] = [words(a), words(b)];
+    if (!x.length || !y.length) return false;
+    if (x.length > y.length) [x, y] = [y, x];
+    return x.every(w => y.some(v => v === w || (w.length === 1 && v[0] === w) || (v.length === 1 && w[0] === v)));
+  }
+
+  // Least editing time, in seconds per word, before a document's recorded
+  // editing time looks too short for its length (pasted in)
+  const METADATA_MIN_SECONDS_PER_WORD = 1;
+  const METADATA_MIN_WORDS = 200;
+
+  // Metadata anomalies of every document in a batch ({ name, studentId,
+  // wordCount, metadata, style }); returns one list per document of
+  // { type, message }. Types: 'author-mismatch' (author differs from the
+  // authors of the student's earlier submissions, `style.authors`),
+  // 'shared-author' (same author as another student's document),
+  // 'other-editor' (last saved by someone else), 'dates' (last saved
+  // before it was created) and 'editing-time' (too little editing for the
+  // length).
+  function metadataAnomalies(files) {
+    const list = files || [];
+    return list.map((f, i) => {
+      const meta = f.metadata;
+      const out = [];
+      if (!meta) return out;
+      const author = meta.author;
+      const known = (f.style && f.style.authors) || [];
+      if (author && known.length && !known.some(a => sameAuthor(a, author))) {
+        out.push({ type: 'author-mismatch', message: `Author "${author}" differs from the author of ${f.studentId || 'this student'}'s earlier submissions (${known.join(', ')})` });
+      }
+      if (author && f.studentId) {
+        const others = list.filter((o, j) => j !== i && o.studentId && o.studentId !== f.studentId && o.metadata && sameAuthor(o.metadata.author, author));
+        if (others.length) out.push({ type: 'shared-author', message: `Same author "${author}" as ${others.map(o => `${o.name} (${o.studentId})`).join(', ')}` });
+      }
+      if (author && meta.lastModifiedBy && !sameAuthor(author, meta.lastModifiedBy)) {
+        out.push({ type: 'other-editor', message: `Created by "${author}" but last saved by "${meta.lastModifiedBy}"` });
+      }
+      if (meta.created && meta.modified && Date.parse(meta.modified) < Date.parse(meta.created) - 60000) {
+        out.push({ type: 'dates', message: 'Last saved before it was created' });
+      }
+      if (meta.editingMinutes !== null && f.wordCount >= METADATA_MIN_WORDS && meta.editingMinutes * 60 < f.wordCount * METADATA_MIN_SECONDS_PER_WORD) {
+        out.push({ type: 'editing-time', message: `Only ${meta.editingMinutes} minute${meta.editingMinutes === 1 ? '' : 's'} of editing recorded for ${f.wordCount} words` });
+      }
+      return out;
+    });
+  }
+
+  // One-line summary of file metadata for reports and result cards
+  function formatMetadata(meta) {
+    if (!meta) return 'None recorded';
+    const when = iso => iso.slice(0, 16).replace('T', ' ') + ' UTC';
+    const parts = [];
+    if (meta.title) parts.push(`"${meta.title}"`);
+    if (meta.author) parts.push(`by ${meta.author}`);
+    if (meta.lastModifiedBy && meta.lastModifiedBy !== meta.author) parts.push(`last saved by ${meta.lastModifiedBy}`);
+    if (meta.created) parts.push(`created ${when(meta.created)}`);
+    if (meta.modified) parts.push(`modified ${when(meta.modified)}`);
+    if (meta.editingMinutes !== null) parts.push(`${meta.editingMinutes} min editing`);
+    if (meta.application) parts.push(meta.application);
+    return parts.join(' · ');
+  }
+
+  /* ---------------- CITATIONS ---------------- */
+
+  // In-text citations, in author-date form (APA "(Smith & Lee, 2020, p. 4)",
+  // Harvard "(Smith and Lee 2020: 4)", narrative "Smith et al. (2020)") or
+  // numbered (IEEE "[3]", "[1, 4-6]"), and quotations in quotation marks.
+  // Quoted text is not the student's own and citations are not prose, so
+  // scoring leaves both out; sentences carrying a citation are attributed
+  // to their source, which similarity counts at CITED_MATCH_WEIGHT.
+  const SURNAME = "(?:(?:van|von|de|der|den|da|di|du|del|la|le)\\s+)*[A-Z][A-Za-zÀ-ÿ'’-]+";
+  const AUTHOR_LIST = `${SURNAME}(?:(?:,\\s*|\\s+)(?:&|and)\\s+${SURNAME}|,\\s*${SURNAME})*(?:\\s+et\\s+al\\.?)?`;
+  const YEAR = '(?:1[6-9]|20)\\d{2}[a-z]?|n\\.d\\.';
+  const LOCATOR = '(?:[,:]\\s*(?:(?:pp?|para|ch)\\.\\s*)?\\d+(?:\\s*[-–]\\s*\\d+)?)?';
+  // One work inside parentheses, optionally introduced by "see" or "e.g."
+  const CITED_WORK_RE = new RegExp(`^(?:(?:see(?: also)?|e\\.g\\.|cf\\.),?\\s+)?(${AUTHOR_LIST})(,?)\\s+((?:${YEAR})(?:,\\s*(?:${YEAR}))*)${LOCATOR}$`);
+  const NARRATIVE_CITATION_RE = new RegExp(`(${AUTHOR_LIST})\\s+\\(((?:${YEAR})(?:,\\s*(?:${YEAR}))*)${LOCATOR}\\)`, 'g');
+  const NUMBERED_CITATION_RE = /\[(\d{1,3}(?:\s*[-–,]\s*\d{1,3})*)\]/g;
+  const INLINE_QUOTE_RE = /“[^“”\n]+”|"[^"\n]+"/g;
+  // Words an inline quotation needs; shorter ones are scare quotes or terms
+  const QUOTE_MIN_WORDS = 4;
+  const CITED_MATCH_WEIGHT = 0.5;
+
+  // Works of the form { authors, surname, years } for "Smith & Lee" and "2019, 2020a"
+  function citedWork(authors, years) {
+    const surname = authors.replace(/\s+et\s+al\.?$/, '').split(/,|\s+(?:&|and)\s+/)[0].trim();
+    return { authors: authors.trim(), surname, years: years.split(/,\s*/) };
+  }
+
+  // Cited numbers of "1, 4-6"
+  function citedNumbers(list) {
+    const out = [];
+    for (const part of list.split(',')) {
+      const [from, to] = part.split(/[-–]/).map(n => Number(n.trim()));
+      if (to === undefined) out.push(from);
+      else for (let n = from; n <= to && n - from < 50; n++) out.push(n);
+    }
+    return out;
+  }
+
+  // Citations and inline quotations of a text, outside the reference list,
+  // notes, headings and code (`skip`, ranges sorted by start). Citations are
+  // { start, end, text, style, works }: style 'APA' (comma before the year
+  // or "&"), 'Harvard' (neither), 'author-date' (narrative, either style) or
+  // 'IEEE', works { authors, surname, years } or { number }. Numbered
+  // citations are not looked for when the text has notes, whose markers
+  // look the same.
+  function findCitations(source, skip, numbered) {
+    const outside = (start, end) => !skip.some(r => start < r.end && end > r.start);
+    const citations = [];
+    const parenRe = /\(([^()\n]{4,300})\)/g;
+    let m;
+    while ((m = parenRe.exec(source)) !== null) {
+      if (!outside(m.index, m.index + m[0].length)) continue;
+      const works = [];
+      let comma = false;
+      let amp = false;
+      for (const part of m[1].split(';')) {
+        const w = part.trim().match(CITED_WORK_RE);
+        if (!w) continue;
+        works.push(citedWork(w[1], w[3]));
+        comma = comma || w[2] === ',';
+        amp = amp || w[1].includes('&');
+      }
+      if (works.length) citations.push({ start: m.index, end: m.index + m[0].length, text: m[0], style: comma || amp ? 'APA' : 'Harvard', works });
+    }
+    NARRATIVE_CITATION_RE.lastIndex = 0;
+    while ((m = NARRATIVE_CITATION_RE.exec(source)) !== null) {
+      if (!outside(m.index, m.index + m[0].length)) continue;
+      citations.push({ start: m.index, end: m.index + m[0].length, text: m[0], style: m[1].includes('&') ? 'APA' : 'author-date', works: [citedWork(m[1], m[2])] });
+    }
+    if (numbered) {
+      NUMBERED_CITATION_RE.lastIndex = 0;
+      while ((m = NUMBERED_CITATION_RE.exec(source)) !== null) {
+        // "[1] ..." at the start of a line is a note or reference entry
+        if (/(?:^|\n)\s*$/.test(source.slice(Math.max(0, m.index - 40), m.index)) || !outside(m.index, m.index + m[0].length)) continue;
+        citations.push({ start: m.index, end: m.index + m[0].length, text: m[0], style: 'IEEE', works: citedNumbers(m[1]).map(number => ({ number })) });
+      }
+    }
+    citations.sort((a, b) => a.start - b.start);
+
+    const quotes = [];
+    INLINE_QUOTE_RE.lastIndex = 0;
+    while ((m = INLINE_QUOTE_RE.exec(source)) !== null) {
+      if (normalizeToWords(m[0]).length < QUOTE_MIN_WORDS || !outside(m.index, m.index + m[0].length)) continue;
+      quotes.push({ start: m.index, end: m.index + m[0].length });
+    }
+    return { citations, quotes };
+  }
+
+  // Index of the reference entry a cited work points to, -1 when none: the
+  // entry numbered like it (or in that position) for numbered citations,
+  // else the first entry starting with the surname and giving the year
+  function referenceIndex(entries, work) {
+    if (work.number !== undefined) {
+      const numbered = entries.findIndex(e => new RegExp(`^\\[?${work.number}[\\].)]\\s`).test(e.text));
+      if (numbered >= 0 || entries.some(e => /^\[?\d+[\].)]\s/.test(e.text))) return numbered;
+      return work.number >= 1 && work.number <= entries.length ? work.number - 1 : -1;
+    }
+    const plain = s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const surname = plain(work.surname);
+    return entries.findIndex(e => {
+      const text = plain(e.text.replace(/^\s*(?:\[\d+\]|\d{1,3}[.)])\s*/, ''));
+      return text.startsWith(surname) && work.years.some(y => y === 'n.d.' || text.includes(y.replace(/[a-z]$/, '')));
+    });
+  }
+
+  function citationLabel(work) {
+    return work.number !== undefined ? `[${work.number}]` : `${work.authors} (${work.years.join(', ')})`;
+  }
+
+  // Citation report of a document structure: the most used citation style,
+  // how often each reference entry is cited, the cited works missing from
+  // the reference list, and how many quotations (inline and block) carry no
+  // citation
+  function citationReport(structure) {
+    const s = structure;
+    const entries = s.references ? s.references.entries : [];
+    const counts = entries.map(() => 0);
+    const missing = [];
+    const styles = {};
+    for (const c of s.citations) {
+      styles[c.style] = (styles[c.style] || 0) + 1;
+      for (const work of c.works) {
+        const i = referenceIndex(entries, work);
+        if (i >= 0) counts[i]++;
+        else if (!missing.includes(citationLabel(work))) missing.push(citationLabel(work));
+      }
+    }
+    // narrative citations fit either author-date style
+    const named = Object.entries(styles).filter(([style]) => style !== 'author-date').sort((a, b) => b[1] - a[1]);
+    const quotes = [...s.quotes, ...s.inlineQuotes];
+    return {
+      style: named.length ? named[0][0] : (styles['author-date'] ? 'author-date' : null),
+      citations: s.citations.length,
+      sources: entries.map((e, i) => ({ reference: e.text, citations: counts[i] })),
+      missing,
+      quotations: quotes.length,
+      uncitedQuotations: quotes.filter(q => !q.cited).length
+    };
+  }
+
+  // One-line summary of a citation report
+  function formatCitations(report) {
+    if (!report) return 'Not analysed';
+    const n = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const parts = [`${n(report.citations, 'in-text citation')}${report.style ? ` (${report.style})` : ''}`];
+    if (report.sources.length) parts.push(`${report.sources.filter(x => x.citations).length} of ${n(report.sources.length, 'reference')} cited`);
+    if (report.missing.length) parts.push(`not in the reference list: ${report.missing.join(', ')}`);
+    if (report.quotations) parts.push(`${n(report.quotations, 'quotation')}${report.uncitedQuotations ? `, ${report.uncitedQuotations} without a citation` : ''}`);
+    return parts.join(' · ');
+  }
+
+  // Attribution of the words of a text for similarity: words of the
+  // reference list and of citations are dropped, words in quotations are
+  // 'quoted' and words in sentences carrying a citation 'cited'
+  function attributeTokens(tokens, structure) {
+    const s = structure;
+    const dropped = [...s.citations, ...(s.references ? [s.references] : [])];
+    const quoted = [...s.quotes, ...s.inlineQuotes];
+    const inside = (t, ranges) => ranges.some(r => t.start < r.end && t.end > r.start);
+    return tokens.filter(t => !inside(t, dropped)).map(t => {
+      const attribution = inside(t, quoted) ? 'quoted' : inside(t, s.citedSentences) ? 'cited' : null;
+      return attribution ? { ...t, attribution } : t;
+    });
+  }
+
+  // How the matched passages of a list of matches are attributed:
+  // { passages, quoted, cited, unattributed }
+  function matchAttribution(matches) {
+    const out = { passages: 0, quoted: 0, cited: 0, unattributed: 0 };
+    for (const m of matches || []) {
+      for (const span of m.spans || []) {
+        out.passages++;
+        out[span.attribution || 'unattributed']++;
+      }
+    }
+    return out;
+  }
+
+  /* ---------------- SUBJECTS ---------------- */
+
+  // Keyword patterns for detectSubjects
+  const SUBJECT_PATTERNS = {
+    'Programming': [/\bfunction\b/, /\bdef\b/, /\bclass\b/, /\bconsole\.log\b/, /\bsystem\.out\b/, /#include/, /\bimport\b/, /\bpublic\b/, /\bprivate\b/, /\bvar\b/, /\blet\b/, /\bconst\b/],
+    'Data Structures': [/\bstack\b/, /\bqueue\b/, /\blinked list\b/, /\bbinary tree\b/, /\bhash table\b/, /\bgraph\b/, /\bdfs\b/, /\bbfs\b/],
+    'Algorithms': [/\bsort\b/, /\bsearch\b/, /\bdynamic programming\b/, /\bgreedy\b/, /\bbinary search\b/, /\bmerge sort\b/, /\bquick sort\b/],
+    'Databases': [/\bselect\b/, /\binsert\b/, /\bupdate\b/, /\bdelete\b/, /\bfrom\b/, /\bwhere\b/, /\bjoin\b/, /\bsql\b/, /\bnosql\b/],
+    'Operating Systems': [/\bprocess\b/, /\bthread\b/, /\bscheduler\b/, /\bkernel\b/, /\bmutex\b/, /\bdeadlock\b/],
+    'Networks': [/\bprotocol\b/, /\btcp\b/, /\budp\b/, /\bip\b/, /\brouting\b/, /\blayer\b/],
+    'Software Engineering': [/\buml\b/, /\brequirements\b/, /\btesting\b/, /\bversion control\b/, /\bagile\b/, /\bwaterfall\b/],
+    'Web Development': [/<html/, /<body/, /<script/, /\bhttp\b/, /\bhtml\b/, /\bcss\b/, /\bjavascript\b/],
+    'AI/ML': [/\bmachine learning\b/, /\bneural network\b/, /\bdeep learning\b/, /\bclassification\b/, /\bregression\b/, /\bsvm\b/, /\bpython\b\s+import\s+tensorflow/],
+    'Cybersecurity': [/\bencryption\b/, /\bssl\b/, /\btls\b/, /\battack\b/, /\bvulnerability\b/, /\bcrypt\b/],
+    'Computer Architecture': [/\bcache\b/, /\binstruction\b/, /\bpipeline\b/, /\bregister\b/, /\balu\b/],
+    'Mathematics': [/\bequation\b/, /\bderivative\b/, /\bintegral\b/, /\bmatrix\b/, /\bmatrices\b/, /\btheorem\b/, /\bproof\b/, /\blimit\b/, /\bpolynomial\b/, /\bcalculus\b/, /\\frac\b/, /\bsolve\b/],
+    'Discrete Structure': [/\bset theory\b/, /\bsubset\b/, /\brelation\b/, /\bpropositional\b/, /\bpredicate\b/, /\btruth table\b/, /\bcombinatorics\b/, /\binduction\b/, /\bbijection\b/, /\bpermutation\b/, /\bboolean algebra\b/, /\bpigeonhole\b/],
+    'English': [/\bessay\b/, /\bpoem\b/, /\bnovel\b/, /\bliterature\b/, /\bgrammar\b/, /\bnarrative\b/, /\bmetaphor\b/, /\bauthor\b/, /\bprotagonist\b/, /\bthesis statement\b/]
+  };
+
+  // Detect subjects from content using keyword matching (simple heuristic).
+  // Returns up to three subjects, most matches first, or ['General'].
+  function detectSubjects(text) {
+    const lowered = (text || '').toLowerCase();
+    const scores = {};
+    for (const [subject, patterns] of Object.entries(SUBJECT_PATTERNS)) {
+      let count = 0;
+      for (const p of patterns) {
+        const m = lowered.match(new RegExp(p.source, 'g'));
+        if (m) count += m.length;
+      }
+      if (count > 0) scores[subject] = count;
+    }
+    const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]).map(s => s[0]);
+    return sorted.length ? sorted.slice(0, 3) : ['General'];
+  }
+
+  // Per-subject adjustments for the values in the Subject selector.
+  // `detection` scales the weights of the active scoring profile (so custom
+  // profiles keep their tuning); `marking` sets the weights of the seven
+  // mark sub-scores and which of them apply; `detectedAs` lists the
+  // detectSubjects categories consistent with the subject.
+  const SUBJECT_PROFILES = {
+    General: {
+      detection: {},
+      marking: {},
+      detectedAs: []
+    },
+    Programming: {
+      description: 'Code reuses identifiers and keywords, so repetition and low vocabulary diversity are not held against it',
+      detection: { weightScale: { repetition: 0.25 }, sentenceWeightScale: { repetition: 0.25 } },
+      marking: { weights: { language: 0.1, originality: 0.05, structure: 0.25, depth: 0.2 }, vocabularyDiversity: false },
+      detectedAs: ['Programming', 'Data Structures', 'Algorithms', 'Databases', 'Operating Systems', 'Software Engineering', 'Web Development', 'AI/ML', 'Computer Architecture']
+    },
+    'Discrete Structure': {
+      description: 'Formulas and symbolic notation are removed before prose scoring',
+      detection: { stripFormulas: true },
+      marking: { weights: { language: 0.1, relevance: 0.15 } },
+      detectedAs: ['Discrete Structure', 'Mathematics', 'Algorithms', 'Data Structures']
+    },
+    Mathematics: {
+      description: 'Formulas are removed before prose scoring; worked steps repeat symbols, so repetition counts less',
+      detection: { stripFormulas: true, weightScale: { repetition: 0.5 } },
+      marking: { weights: { language: 0.1, relevance: 0.15 }, vocabularyDiversity: false },
+      detectedAs: ['Mathematics', 'Discrete Structure']
+    },
+    English: {
+      description: 'Prose subject: language quality carries more of the mark',
+      detection: {},
+      marking: { weights: { language: 0.25, depth: 0.1, relevance: 0.05 } },
+      detectedAs: ['English']
+    }
+  };
+
+  function getSubjectProfile(subject) {
+    return SUBJECT_PROFILES[subject] || SUBJECT_PROFILES.General;
+  }
+
+  // The scoring profile with the subject's detection adjustments applied
+  function applySubjectProfile(profile, subject) {
+    const p = resolveProfile(profile);
+    const d = getSubjectProfile(subject).detection;
+    const scale = (weights, factors) => {
+      const out = { ...weights };
+      for (const [k, f] of Object.entries(factors || {})) out[k] = weights[k] * f;
+      return out;
+    };
+    return {
+      ...p,
+      weights: scale(p.weights, d.weightScale),
+      sentenceWeights: scale(p.sentenceWeights, d.sentenceWeightScale),
+      stripFormulas: p.stripFormulas || d.stripFormulas === true
+    };
+  }
+
+  // Warning when the detected subjects do not fit the selected one, else null
+  function subjectMismatch(selected, detected) {
+    const expected = getSubjectProfile(selected).detectedAs;
+    if (!expected.length || !detected || !detected.length || detected[0] === 'General') return null;
+    if (detected.some(d => expected.includes(d))) return null;
+    return `Selected subject is ${selected}, but the content looks like ${detected.join(', ')}`;
+  }
+
+  // Remove LaTeX, equation lines and inline equations so they do not skew
+  // sentence splitting and prose heuristics.
+  function stripFormulas(text) {
+    return (text || '')
+      .replace(/\$\$[\s\S]*?\$\$|\$[^$\n]+\$|\\\([\s\S]*?\\\)|\\\[[\s\S]*?\\\]/g, ' ')
+      .split('\n')
+      .filter(line => {
+        const letters = (line.match(/[A-Za-z]/g) || []).length;
+        const symbols = (line.match(/[=<>+\-*/^()\d\u2200-\u22ff]/g) || []).length;
+        return !(symbols > 0 && /[=\u2200-\u22ff]/.test(line) && letters < symbols);
+      })
+      .join('\n')
+      .replace(/\d+\.\d+/g, '0')
+      .replace(/[A-Za-z0-9()^_]+(?:\s*[-+*/^]\s*[A-Za-z0-9()^_]+)*\s*(?:=|<=|>=|<|>|\u2264|\u2265|\u2260)\s*[A-Za-z0-9()^_]+(?:\s*[-+*/^=]\s*[A-Za-z0-9()^_]+)*/g, ' ')
+      .replace(/[ \t]{2,}/g, ' ');
+  }
+
+  // Text the prose heuristics should see under a profile
+  function prepareText(text, profile) {
+    return resolveProfile(profile).stripFormulas ? stripFormulas(text) : (text || '');
+  }
+
+  /* ---------------- LANGUAGE MODEL ---------------- */
+
+  // Character n-gram language model trained offline on known human-written
+  // assignments (train-lm.js writes it to lm-model.js). Perplexity is how
+  // surprised the model is by a text, per character: wording that is more
+  // predictable than typical student writing scores low. Smoothing is
+  // interpolated Witten-Bell, so unseen sequences back off to shorter
+  // contexts instead of getting zero probability.
+  const LM_DEFAULT_ORDER = 4;
+  // Sentences shorter than this (in words) are too noisy for the document signals
+  const LM_MIN_WORDS = 4;
+
+  // Text as the model sees it: lower case, single spaces, digits as '0' and
+  // uncommon characters as '#'
+  function lmNormalize(text) {
+    return (text || '')
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/\d/g, '0')
+      .replace(/[^a-z0 .,;:!?'"()-]/g, '#')
+      .trim();
+  }
+
+  // Raw model (n-gram counts of orders 1..order) from a list of texts.
+  // Highest-order n-grams seen once are dropped to keep the model small.
+  function trainLanguageModel(texts, options) {
+    const order = (options && options.order) || LM_DEFAULT_ORDER;
+    const counts = [];
+    for (let n = 0; n < order; n++) counts.push({});
+    let characters = 0;
+    for (const text of texts) {
+      const s = ' ' + lmNormalize(text) + ' ';
+      characters += s.length;
+      for (let i = 0; i < s.length; i++) {
+        for (let n = 1; n <= order && i + n <= s.length; n++) {
+          const gram = s.substr(i, n);
+          counts[n - 1][gram] = (counts[n - 1][gram] || 0) + 1;
+        }
+      }
+    }
+    const top = counts[order - 1];
+    for (const gram of Object.keys(top)) if (top[gram] === 1) delete top[gram];
+    return { type: 'char-ngram', order, counts, trainedOn: { documents: texts.length, characters }, calibration: null };
+  }
+
+  // Lookup tables for a raw model; null when there is no model
+  function prepareLanguageModel(model) {
+    if (!model || !Array.isArray(model.counts)) return null;
+    const grams = model.counts.map(c => new Map(Object.entries(c)));
+    const contexts = new Map();
+    let unigramTotal = 0;
+    grams.forEach((map, n) => {
+      for (const [gram, count] of map) {
+        if (n === 0) { unigramTotal += count; continue; }
+        const ctx = gram.slice(0, -1);
+        const stats = contexts.get(ctx) || { total: 0, types: 0 };
+        stats.total += count;
+        stats.types++;
+        contexts.set(ctx, stats);
+      }
+    });
+    return {
+      order: model.order,
+      grams,
+      contexts,
+      unigramTotal,
+      vocabulary: grams[0].size + 1,
+      calibration: model.calibration || null,
+      trainedOn: model.trainedOn || null
+    };
+  }
+
+  // The model used by the AI signals: the bundled one unless replaced
+  let languageModel = prepareLanguageModel(bundledModel);
+
+  // Replace the model (a raw model as written by train-lm.js), or remove it with null
+  function setLanguageModel(model) {
+    languageModel = prepareLanguageModel(model);
+    return languageModel;
+  }
+
+  function getLanguageModel() {
+    return languageModel;
+  }
+
+  // P(c | history) interpolated from the unigram up to the longest known context
+  function charProbability(lm, history, c) {
+    let p = ((lm.grams[0].get(c) || 0) + 1) / (lm.unigramTotal + lm.vocabulary);
+    for (let n = 1; n < lm.order && n <= history.length; n++) {
+      const ctx = history.slice(-n);
+      const stats = lm.contexts.get(ctx);
+      if (!stats) break;
+      p = ((lm.grams[n].get(ctx + c) || 0) + stats.types * p) / (stats.total + stats.types);
+    }
+    return p;
+  }
+
+  // Per-character perplexity of `text` (null for empty text or no model).
+  // `lm` is a prepared model; defaults to the loaded one.
+  function computePerplexity(text, lm) {
+    const model = lm === undefined ? languageModel : lm;
+    if (!model) return null;
+    const s = ' ' + lmNormalize(text);
+    if (s.length < 2) return null;
+    let bits = 0;
+    for (let i = 1; i < s.length; i++) {
+      bits -= Math.log2(charProbability(model, s.slice(Math.max(0, i - model.order + 1), i), s[i]));
+    }
+    return Math.pow(2, bits / (s.length - 1));
+  }
+
+  // Perplexity of every sentence long enough to measure, and how much it
+  // varies between them (coefficient of variation; human writing is bursty)
+  function perplexityProfile(sentences, lm) {
+    const values = (sentences || [])
+      .filter(s => normalizeToWords(s).length >= LM_MIN_WORDS)
+      .map(s => computePerplexity(s, lm))
+      .filter(v => v !== null);
+    const avg = mean(values);
+    return { values, mean: avg, burstiness: values.length >= 3 && avg > 0 ? stddev(values) / avg : null };
+  }
+
+  /* ---------------- AI DETECTION ---------------- */
+
+  // Labels of the document signals, in the order they are reported
+  const SIGNAL_LABELS = {
+    consistency: 'Sentence-length consistency',
+    formal: 'Formal-connective density',
+    repetition: 'Repetition',
+    punctuation: 'Punctuation density',
+    perplexity: 'Language-model perplexity',
+    burstiness: 'Burstiness',
+    overlap: 'Reference overlap'
+  };
+
+  const round3 = n => Math.round(n * 1000) / 1000;
+
+  // Document-level AI likelihood with the signals behind it. Each signal has
+  // its raw measurement, the normalized value (0-1) that enters the blend,
+  // its profile weight and its contribution in percentage points; the
+  // contributions add up to `score` before clamping.
+  function explainAiLikelihood(text, sentences, words, profile) {
+    const p = resolveProfile(profile);
+    const w = p.weights;
+    const sentenceLengths = (sentences || []).map(s => normalizeToWords(s).length).filter(n => n > 0);
+    const avg = mean(sentenceLengths);
+    const sd = stddev(sentenceLengths);
+    const consistency = avg > 0 ? 1 - Math.min(1, sd / (avg + 1)) : 0;
+
+    const formalCount = countPhrases((text || '').toLowerCase(), p.formalWords);
+    const formalScore = Math.min(1, formalCount / Math.max(1, sentenceLengths.length * 0.3));
+
+    const vocabRatio = new Set(words || []).size / Math.max(1, (words || []).length);
+    const repetitionScore = Math.min(1, (1 - vocabRatio) * 1.5);
+
+    // small heuristic for punctuation / short words indicating human writing
+    const punctuationCount = ((text || '').match(/[!?\.]/g) || []).length;
+    const punctuationScore = punctuationCount / Math.max(1, (text || '').split(' ').length);
+
+    // more predictable than the human-written training texts, and less
+    // variation in predictability between sentences
+    const cal = languageModel && languageModel.calibration;
+    const ppl = cal ? perplexityProfile(sentences, languageModel) : null;
+    const perplexityScore = ppl && ppl.values.length ? Math.max(0, Math.min(1, (cal.sentenceMean - ppl.mean) / (2 * cal.sentenceSd))) : 0;
+    const burstinessScore = ppl && ppl.burstiness !== null ? Math.max(0, Math.min(1, 1 - ppl.burstiness / cal.burstiness)) : 0;
+    let perplexityDetail = 'no calibrated language model loaded';
+    let burstinessDetail = perplexityDetail;
+    if (ppl) {
+      perplexityDetail = ppl.values.length ? `${ppl.mean.toFixed(2)} per character (human-written average ${cal.sentenceMean.toFixed(2)})` : 'no sentence long enough to measure';
+      burstinessDetail = ppl.burstiness !== null ? `perplexity varies ${Math.round(ppl.burstiness * 100)}% between sentences (human-written average ${Math.round(cal.burstiness * 100)}%)` : 'needs at least 3 sentences';
+    }
+
+    const signal = (key, raw, detail, normalized) => ({
+      key,
+      label: SIGNAL_LABELS[key],
+      raw: round3(raw),
+      detail,
+      normalized: round3(normalized),
+      weight: w[key],
+      contribution: Math.round(normalized * w[key] * 1000) / 10
+    });
+    const signals = [
+      signal('consistency', sd, `sentence length ${avg.toFixed(1)} ± ${sd.toFixed(1)} words`, consistency),
+      signal('formal', formalCount, `${formalCount} formal phrase(s) in ${sentenceLengths.length} sentence(s)`, formalScore),
+      signal('repetition', vocabRatio, `${Math.round(vocabRatio * 100)}% of words are distinct`, repetitionScore),
+      signal('punctuation', punctuationScore, `${punctuationCount} sentence mark(s)`, punctuationScore),
+      signal('perplexity', ppl ? ppl.mean : 0, perplexityDetail, perplexityScore),
+      signal('burstiness', ppl && ppl.burstiness !== null ? ppl.burstiness : 0, burstinessDetail, burstinessScore)
+    ];
+
+    if (!words || words.length === 0) return { score: 0, signals };
+    const aiScore = (consistency * w.consistency) + (formalScore * w.formal) + (repetitionScore * w.repetition) + (punctuationScore * w.punctuation) +
+      (perplexityScore * w.perplexity) + (burstinessScore * w.burstiness);
+    return { score: Math.round(Math.max(0, Math.min(1, aiScore)) * 100), signals };
+  }
+
+  // Reference overlap as a breakdown entry. It is reported next to the AI
+  // signals but has no weight: copied text is flagged by the match list,
+  // not by the AI likelihood.
+  function overlapSignal(containment, source) {
+    const pct = containment || 0;
+    return {
+      key: 'overlap',
+      label: SIGNAL_LABELS.overlap,
+      raw: pct,
+      detail: source ? `${pct}% found in ${source}` : 'no matching passages',
+      normalized: round3(pct / 100),
+      weight: 0,
+      contribution: 0
+    };
+  }
+
+  // Document-level AI likelihood (0-100): weighted blend of sentence-length
+  // consistency, formal connectives, repetition, punctuation density and the
+  // language-model perplexity and burstiness.
+  function computeAiLikelihood(text, sentences, words, profile) {
+    return explainAiLikelihood(text, sentences, words, profile).score;
+  }
+
+  // Lightweight per-sentence AI likelihood (0-100)
+  function computeSentenceAiScore(sentence, profile) {
+    const text = (sentence || '').trim();
+    const words = normalizeToWords(text);
+    if (words.length === 0) return 0;
+    const p = resolveProfile(profile);
+
+    const formalScore = Math.min(1, countPhrases(text.toLowerCase(), p.formalWords) / 2);
+
+    const vocabRatio = new Set(words).size / Math.max(1, words.length);
+    const repetitionScore = Math.min(1, (1 - vocabRatio) * 1.8);
+
+    const punctuationCount = (text.match(/[!?\.]/g) || []).length;
+    const punctuationScore = 1 - Math.min(1, punctuationCount / Math.max(1, Math.ceil(words.length / 8)));
+
+    const w = p.sentenceWeights;
+    const score = (formalScore * w.formal) + (repetitionScore * w.repetition) + (punctuationScore * w.punctuation);
+    return Math.round(Math.max(0, Math.min(1, score)) * 100);
+  }
+
+  function labelAiScore(pct, profile) {
+    const t = resolveProfile(profile).thresholds;
+    if (pct <= t.human) return 'Human-written';
+    if (pct <= t.mixed) return 'Mixed';
+    return 'Likely AI-generated';
+  }
+
+  // CSS status class matching labelAiScore
+  function aiStatusClass(pct, profile) {
+    const t = resolveProfile(profile).thresholds;
+    if (pct <= t.human) return 'status-human';
+    if (pct <= t.mixed) return 'status-mixed';
+    return 'status-ai';
+  }
+
+  // Phrasing signals checked per sentence, with the labels shown in the preview
+  const SENTENCE_SIGNALS = {
+    generic: 'Generic phrasing',
+    template: 'Template-like numbering',
+    transition: 'Predictable transitions',
+    repetitive: 'Repetitive wording',
+    vague: 'Vague quantifiers',
+    mechanical: 'No personal voice',
+    passive: 'Passive constructions',
+    nonspecific: 'No specific details',
+    predictable: 'Low perplexity (predictable wording)'
+  };
+  // A sentence needs this many signals before it may be flagged
+  const HIGHLIGHT_MIN_SIGNALS = 3;
+
+  // Keys of the SENTENCE_SIGNALS a sentence fires (conservative heuristics).
+  // `perplexity` is the sentence's perplexity if already computed.
+  function sentenceSignals(sentence, perplexity) {
+    const t = (sentence || '').trim();
+    const low = t.toLowerCase();
+    const words = normalizeToWords(t);
+    const freq = {};
+    for (const w of words) freq[w] = (freq[w] || 0) + 1;
+    const pronouns = (t.match(/\b(I|we|my|our|us|mine)\b/gi) || []).length;
+    const fired = {
+      generic: /\b(in conclusion|overall|this paper|this document|this study|the purpose of)\b/.test(low),
+      template: /^\s*(first|second|third|finally|in the first|in the second)\b|\b\d+\.|\b(i|ii|iii)\b/i.test(t),
+      transition: /\b(moreover|furthermore|therefore|however|thus|consequently|additionally)\b/.test(low),
+      repetitive: Object.values(freq).some(c => c >= 3),
+      vague: /\b(some|many|various|several|often|generally|typically|may|might|could)\b/.test(low),
+      mechanical: pronouns === 0 && words.length > 6,
+      // over-neutral language: 'is' / 'was' + past participle
+      passive: /\bis\s+\w+ed\b|\bwas\s+\w+ed\b/.test(low),
+      // no numbers and no proper nouns
+      nonspecific: !/\d/.test(t) && !/\b[A-Z][a-z]{2,}\b/.test(t) && words.length > 6,
+      // one standard deviation more predictable than human-written sentences
+      predictable: predictableSentence(t, words, perplexity)
+    };
+    return Object.keys(SENTENCE_SIGNALS).filter(k => fired[k]);
+  }
+
+  function predictableSentence(sentence, words, perplexity) {
+    const cal = languageModel && languageModel.calibration;
+    if (!cal || words.length < LM_MIN_WORDS) return false;
+    const ppl = perplexity === undefined ? computePerplexity(sentence) : perplexity;
+    return ppl !== null && ppl < cal.sentenceMean - cal.sentenceSd;
+  }
+
+  // Mark sentences as `flagged`: those with at least HIGHLIGHT_MIN_SIGNALS
+  // signals, most signals first (shorter first on ties), while the flagged
+  // characters stay within `capPercent` of the text
+  function flagSentences(sentences, textLength, capPercent) {
+    const cap = Math.floor(Math.max(1, textLength) * capPercent / 100);
+    const candidates = sentences
+      .map((s, i) => ({ i, count: s.signals.length, len: s.end - s.start }))
+      .filter(c => c.count >= HIGHLIGHT_MIN_SIGNALS)
+      .sort((a, b) => b.count - a.count || a.len - b.len);
+    const flagged = new Set();
+    let used = 0;
+    for (const c of candidates) {
+      if (used + c.len > cap) continue;
+      used += c.len;
+      flagged.add(c.i);
+    }
+    return sentences.map((s, i) => ({ ...s, flagged: flagged.has(i) }));
+  }
+
+  // Per-sentence spans with character offsets, AI score, label, language
+  // model perplexity (null without a model), fired signals and whether the
+  // preview flags them (see flagSentences)
+  function analyzeSentences(text, profile) {
+    const p = resolveProfile(profile);
+    const sentences = splitSentencesWithPosition(text).map(s => {
+      const score = computeSentenceAiScore(s.text, p);
+      const ppl = computePerplexity(s.text);
+      const perplexity = ppl === null ? null : Math.round(ppl * 100) / 100;
+      return { ...s, score, label: labelAiScore(score, p), perplexity, signals: sentenceSignals(s.text, ppl) };
+    });
+    return flagSentences(sentences, (text || '').length, p.highlightCap);
+  }
+
+  // Full single-document analysis; every result carries engineVersion, the
+  // name of the scoring profile that produced it and the subject it was
+  // scored as. Highlights keep offsets into the original text; `mark` uses
+  // `options.rubric` (default: the subject's rubric). Code blocks are left
+  // out of AI likelihood, word count and mark and reported under `code`.
+  // The reference list, quotations and in-text citations (see
+  // documentStructure) are left out of AI likelihood, word count and
+  // highlights; `structure` summarizes the document's outline and
+  // `citations` its use of sources (see citationReport).
+  function analyzeText(text, profile, options) {
+    const subject = (options && options.subject) || 'General';
+    const p = applySubjectProfile(profile, subject);
+    const source = text || '';
+    const structure = documentStructure(source);
+    const scored = maskExcluded(source, structure);
+    const prose = extractCode(scored).prose;
+    const scoring = prepareText(prose, p);
+    const words = normalizeToWords(prose);
+    const highlights = analyzeSentences(scored, p);
+    const explained = explainAiLikelihood(scoring, splitToSentences(scoring), normalizeToWords(scoring), p);
+    const aiLikelihood = explained.score;
+    const detectedSubjects = detectSubjects(source);
+    return {
+      engineVersion: ENGINE_VERSION,
+      profile: p.name,
+      subject,
+      detectedSubjects,
+      subjectWarning: subjectMismatch(subject, detectedSubjects),
+      wordCount: words.length,
+      sentenceCount: highlights.length,
+      aiLikelihood,
+      aiLabel: labelAiScore(aiLikelihood, p),
+      breakdown: explained.signals,
+      mark: markSubmission(source, options && options.rubric, { profile, subject }),
+      code: analyzeCode(source),
+      structure: summarizeStructure(structure, source),
+      citations: citationReport(structure),
+      highlightCap: p.highlightCap,
+      highlights
+    };
+  }
+
+  /* ---------------- MARKING ---------------- */
+
+  // A rubric lists the criteria of the mark. Each criterion has a `weight`
+  // (the points it is worth; the mark is out of the sum of the weights) and
+  // a `type`: one of the MARK_METRICS text-quality measures, `wordCount`
+  // (scored against `min`/`max` words) or `keywords` (share of required
+  // keywords or topics found; a topic may list alternatives as an array).
+  const MARK_METRICS = {
+    structure: 'Structure & organization',
+    clarity: 'Clarity & coherence',
+    language: 'Language quality',
+    depth: 'Depth of content',
+    originality: 'Originality',
+    relevance: 'Relevance to topic',
+    consistency: 'Consistency & flow'
+  };
+  const CRITERION_TYPES = [...Object.keys(MARK_METRICS), 'wordCount', 'keywords'];
+
+  const DEFAULT_RUBRIC = {
+    name: 'default',
+    description: 'General assignment quality, marked out of 100',
+    criteria: [
+      { id: 'structure', type: 'structure', weight: 20 },
+      { id: 'clarity', type: 'clarity', weight: 20 },
+      { id: 'language', type: 'language', weight: 15 },
+      { id: 'depth', type: 'depth', weight: 15 },
+      { id: 'originality', type: 'originality', weight: 10 },
+      { id: 'relevance', type: 'relevance', weight: 10 },
+      { id: 'consistency', type: 'consistency', weight: 10 }
+    ].map(c => ({ ...c, label: MARK_METRICS[c.type] }))
+  };
+
+  // Problems with a rubric, as readable messages; empty when valid
+  function validateRubric(rubric) {
+    if (!rubric || typeof rubric !== 'object') return ['Rubric must be an object'];
+    const errors = [];
+    if (rubric.name !== undefined && !/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(String(rubric.name))) {
+      errors.push('Name must be 1-40 letters, digits, dashes or underscores');
+    }
+    if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) return errors.concat('criteria must be a non-empty list');
+    const ids = new Set();
+    rubric.criteria.forEach((c, i) => {
+      const at = `criteria[${i}]`;
+      if (!c || typeof c !== 'object') { errors.push(`${at} must be an object`); return; }
+      if (!CRITERION_TYPES.includes(c.type)) errors.push(`${at}.type must be one of ${CRITERION_TYPES.join(', ')}`);
+      if (!(typeof c.weight === 'number' && c.weight > 0)) errors.push(`${at}.weight must be a positive number`);
+      const id = c.id || c.type;
+      if (ids.has(id)) errors.push(`${at}: duplicate id "${id}"`);
+      ids.add(id);
+      if (c.type === 'wordCount') {
+        const bounds = [c.min, c.max].filter(v => v !== undefined);
+        if (!bounds.length) errors.push(`${at} needs min and/or max words`);
+        else if (!bounds.every(v => Number.isInteger(v) && v >= 0)) errors.push(`${at}.min and .max must be whole numbers`);
+        else if (c.min !== undefined && c.max !== undefined && c.min > c.max) errors.push(`${at}.min must not exceed .max`);
+      }
+      if (c.type === 'keywords') {
+        const topics = Array.isArray(c.keywords) ? c.keywords : [];
+        const ok = topics.length > 0 && topics.every(k => (typeof k === 'string' && k.trim()) || (Array.isArray(k) && k.length && k.every(a => typeof a === 'string' && a.trim())));
+        if (!ok) errors.push(`${at}.keywords must list keywords (or arrays of alternatives)`);
+      }
+    });
+    return errors;
+  }
+
+  // Complete rubric with ids and labels filled in
+  function resolveRubric(rubric) {
+    if (!rubric) return DEFAULT_RUBRIC;
+    return {
+      name: rubric.name || 'custom',
+      description: rubric.description || '',
+      criteria: rubric.criteria.map(c => ({
+        ...c,
+        id: c.id || c.type,
+        label: c.label || MARK_METRICS[c.type] || (c.type === 'wordCount' ? 'Length' : 'Required topics')
+      }))
+    };
+  }
+
+  // The default rubric with a subject's marking weights (see SUBJECT_PROFILES),
+  // rescaled so the mark stays out of 100
+  function subjectRubric(subject) {
+    const overrides = getSubjectProfile(subject).marking.weights || {};
+    const criteria = DEFAULT_RUBRIC.criteria.map(c => ({ ...c, weight: overrides[c.type] !== undefined ? overrides[c.type] * 100 : c.weight }));
+    const total = criteria.reduce((s, c) => s + c.weight, 0);
+    return { ...DEFAULT_RUBRIC, criteria: criteria.map(c => ({ ...c, weight: Math.round(c.weight / total * 1000) / 10 })) };
+  }
+
+  // Text-quality measures (0-100, or { score, detail } when the measure can
+  // explain itself) behind the MARK_METRICS criteria
+  function computeStructureScore(fileData) {
+    const sentences = fileData.sentences || [];
+    const text = fileData.text || '';
+
+    // Paragraph breaks
+    const paragraphs = splitParagraphs(text);
+    const paragraphCount = Math.max(1, paragraphs.length);
+    const avgSentencesPerPara = sentences.length / paragraphCount;
+
+    // Ideal: 3-5 sentences per paragraph
+    const paraStructureScore = avgSentencesPerPara >= 2 && avgSentencesPerPara <= 6 ? 80 : (avgSentencesPerPara > 0 ? 50 : 20);
+
+    // Sentence variety (length variation)
+    const sentenceLengths = sentences.map(s => normalizeToWords(s).length);
+    const avgLen = sentenceLengths.reduce((a, b) => a + b, 0) / sentenceLengths.length || 0;
+    const variance = sentenceLengths.reduce((sum, len) => sum + Math.pow(len - avgLen, 2), 0) / sentenceLengths.length;
+    const stdDev = Math.sqrt(variance);
+
+    // Low variance = repetitive structure (bad), high variance = good variation
+    const varietyScore = stdDev > 3 ? 90 : (stdDev > 1.5 ? 70 : 40);
+
+    return (paraStructureScore * 0.4 + varietyScore * 0.6);
+  }
+
+  function computeClarityScore(fileData) {
+    const sentences = fileData.sentences || [];
+    const sentenceScores = fileData.sentenceScores || [];
+
+    // Short sentences = clarity (average 10-25 words is ideal)
+    const words = normalizeToWords(fileData.text || '');
+    const avgWordPerSentence = sentences.length > 0 ? words.length / sentences.length : 0;
+
+    // Ideal range: 12-20 words per sentence
+    const lengthScore = (avgWordPerSentence > 8 && avgWordPerSentence < 30) ? 80 : (avgWordPerSentence > 5 ? 60 : 30);
+
+    // Consistency in sentence quality across document
+    if (sentenceScores.length > 1) {
+      const scoresAvg = sentenceScores.reduce((a, b) => a + b, 0) / sentenceScores.length;
+      const scoresVariance = sentenceScores.reduce((sum, score) => sum + Math.pow(score - scoresAvg, 2), 0) / sentenceScores.length;
+      const scoresStdDev = Math.sqrt(scoresVariance);
+
+      // Consistent quality (low variance) = better coherence
+      const coherenceScore = scoresStdDev < 20 ? 85 : (scoresStdDev < 40 ? 70 : 50);
+      return (lengthScore * 0.4 + coherenceScore * 0.6);
+    }
+
+    return lengthScore;
+  }
+
+  function computeLanguageQuality(fileData) {
+    const text = fileData.text || '';
+    const words = normalizeToWords(text);
+
+    // Vocabulary diversity (unique words / total words)
+    const uniqueWords = new Set(words).size;
+    const vocabDiversity = (uniqueWords / Math.max(1, words.length)) * 100;
+
+    // Good: 40-70% unique words
+    const diversityScore = (vocabDiversity > 35 && vocabDiversity < 75) ? 90 : (vocabDiversity > 20 ? 70 : 40);
+
+    // Formal language markers (transition words, conjunctions)
+    const formalWords = ['moreover', 'furthermore', 'therefore', 'however', 'thus', 'consequently', 'additionally', 'nevertheless', 'indeed', 'meanwhile'];
+    const lowered = text.toLowerCase();
+    let formalCount = 0;
+    for (const fw of formalWords) {
+      const re = new RegExp(`\\b${fw}\\b`, 'g');
+      const m = lowered.match(re);
+      if (m) formalCount += m.length;
+    }
+
+    const formalScore = Math.min(100, (formalCount / Math.max(1, fileData.sentenceCount || 1)) * 30 * 100 / 30);
+
+    // Punctuation variety (indicates expression nuance)
+    const punctuation = (text.match(/[!?;:—-]/g) || []).length;
+    const punctScore = Math.min(100, (punctuation / Math.max(1, words.length)) * 300);
+
+    // Subjects like Programming reuse identifiers: leave vocabulary diversity out
+    if (fileData.marking && fileData.marking.vocabularyDiversity === false) return (formalScore * 0.5 + punctScore * 0.5);
+    return (diversityScore * 0.4 + formalScore * 0.3 + punctScore * 0.3);
+  }
+
+  function computeContentDepth(fileData) {
+    const words = fileData.wordCount || 0;
+    const sentences = fileData.sentenceCount || 0;
+    const charCount = fileData.charCount || 0;
+
+    // Depth based on document length (word count)
+    // Shallow: <100 words, Medium: 100-500, Good: 500-2000, Excellent: 2000+
+    let lengthScore = 0;
+    if (words < 50) lengthScore = 20;
+    else if (words < 150) lengthScore = 40;
+    else if (words < 300) lengthScore = 60;
+    else if (words < 1000) lengthScore = 80;
+    else lengthScore = 95;
+
+    // Content density (average word length indicator of complexity)
+    const avgCharPerWord = words > 0 ? charCount / words : 0;
+    // Ideal: 4-6 characters per word (balanced)
+    const densityScore = (avgCharPerWord > 3.5 && avgCharPerWord < 7) ? 85 : (avgCharPerWord > 3 ? 70 : 50);
+
+    // Sentence count consistency (more sentences = more exploration)
+    const sentenceDepth = Math.min(100, (sentences / Math.max(1, words)) * 20 * 100);
+
+    return (lengthScore * 0.5 + densityScore * 0.3 + sentenceDepth * 0.2);
+  }
+
+  function computeOriginality(fileData) {
+    const words = normalizeToWords(fileData.text || '');
+    const topRepeatedWords = fileData.topRepeatedWords || '';
+
+    // Low repetition = high originality
+    // Parse top repeated words to count overall repetition
+    const matches = topRepeatedWords.match(/\((\d+)\)/g) || [];
+    let totalRepetition = 0;
+    for (const match of matches) {
+      totalRepetition += parseInt(match.slice(1, -1), 10);
+    }
+
+    // Repetition score: high repetition = low originality
+    const repetitionRate = (totalRepetition / Math.max(1, words.length)) * 100;
+    const repetitionScore = Math.max(20, 100 - repetitionRate * 2);
+
+    // Unique word ratio
+    const uniqueCount = new Set(words).size;
+    const uniqueRatio = (uniqueCount / Math.max(1, words.length)) * 100;
+
+    // Good: 40%+ unique words
+    const uniquenessScore = uniqueRatio > 40 ? 90 : (uniqueRatio > 25 ? 70 : 40);
+
+    if (fileData.marking && fileData.marking.vocabularyDiversity === false) return repetitionScore;
+    return (repetitionScore * 0.5 + uniquenessScore * 0.5);
+  }
+
+  // Relevance: whether the text keeps to its topic and how it uses its
+  // sources. The topic terms are the most frequent content words of the
+  // student's own prose (quotations, citations and the reference list left
+  // out) plus those of its headings; focus is the share of paragraphs using
+  // them. Sources score by citations per RELEVANCE_CITATION_WORDS words,
+  // less for cited works missing from the reference list and quotations
+  // without a citation; a text without citations or references is neutral.
+  // Returns { score, detail }.
+  const RELEVANCE_CITATION_WORDS = 250;
+
+  function computeRelevance(fileData) {
+    const structure = fileData.structure || documentStructure(fileData.text);
+    const own = maskExcluded(fileData.text, structure);
+    const content = t => normalizeToWords(t).filter(w => w.length >= 4 && !FUNCTION_WORD_SET.has(w) && !/^\d+$/.test(w));
+    const freq = {};
+    for (const w of content(own)) freq[w] = (freq[w] || 0) + 1;
+    const terms = new Set([
+      ...Object.entries(freq).filter(([, n]) => n > 1).sort((a, b) => b[1] - a[1]).slice(0, 8).map(([w]) => w),
+      ...structure.headings.flatMap(h => content(h.text)).filter(w => !NOTES_HEADING_RE.test(w) && !REFERENCES_HEADING_RE.test(w))
+    ]);
+    const paragraphs = structure.blocks.filter(b => b.type === 'paragraph' || b.type === 'list').map(b => content(own.slice(b.start, b.end))).filter(ws => ws.length);
+    const onTopic = paragraphs.filter(ws => ws.some(w => terms.has(w))).length;
+    const focusScore = paragraphs.length ? 30 + 70 * onTopic / paragraphs.length : 50;
+
+    const report = citationReport(structure);
+    const words = Math.max(1, normalizeToWords(own).length);
+    let sourceScore = 50;
+    if (report.citations) {
+      sourceScore = Math.min(100, 70 + 15 * report.citations * RELEVANCE_CITATION_WORDS / words) - 10 * Math.min(4, report.missing.length + report.uncitedQuotations);
+    } else if (report.sources.length || report.quotations) {
+      sourceScore = 35;
+    }
+
+    // Specific detail: names, figures and dates in the student's own prose, per 100 words
+    const properNouns = splitToSentences(own).reduce((n, s) => n + Math.max(0, (s.match(/\b[A-Z][a-z]+\b/g) || []).length - 1), 0);
+    const figures = (own.match(/\d+/g) || []).length;
+    const specificityScore = Math.min(90, 40 + (properNouns + figures) * 100 / words * 5);
+
+    const details = [paragraphs.length ? `topic terms in ${onTopic} of ${paragraphs.length} paragraph${paragraphs.length === 1 ? '' : 's'}` : 'no paragraphs'];
+    details.push(report.citations ? `${report.citations} citation${report.citations === 1 ? '' : 's'}` : 'no citations');
+    if (report.missing.length) details.push(`${report.missing.length} not in the reference list`);
+    if (report.uncitedQuotations) details.push(`${report.uncitedQuotations} quotation${report.uncitedQuotations === 1 ? '' : 's'} without a citation`);
+    return { score: focusScore * 0.4 + Math.max(0, sourceScore) * 0.35 + specificityScore * 0.25, detail: details.join(', ') };
+  }
+
+  function computeConsistency(fileData) {
+    const sentences = fileData.sentences || [];
+    const text = fileData.text || '';
+
+    // Transition words (moreover, however, therefore, etc.)
+    const transitionWords = ['moreover', 'however', 'therefore', 'meanwhile', 'furthermore', 'additionally', 'however', 'thus', 'hence', 'consequently', 'nevertheless'];
+    const lowered = text.toLowerCase();
+    let transitionCount = 0;
+    for (const tw of transitionWords) {
+      const re = new RegExp(`\\b${tw}\\b`, 'g');
+      const m = lowered.match(re);
+      if (m) transitionCount += m.length;
+    }
+
+    // Good: 1-3 transitions per 100 words
+    const transitionScore = transitionCount > 0 ? Math.min(90, 50 + transitionCount * 10) : 50;
+
+    // Semantic flow: check if sentences get progressively longer or shorter (indicates buildup/conclusion)
+    let flowScore = 50;
+    if (sentences.length > 3) {
+      const lengths = sentences.map(s => normalizeToWords(s).length);
+      let patternChanges = 0;
+      for (let i = 1; i < lengths.length; i++) {
+        if ((lengths[i] > lengths[i-1] && lengths[i-1] > lengths[i-2]) ||
+            (lengths[i] < lengths[i-1] && lengths[i-1] < lengths[i-2])) {
+          patternChanges++;
+        }
+      }
+      flowScore = Math.min(95, 50 + patternChanges * 8);
+    }
+
+    // Paragraph coherence (sentences within paragraphs relate to each other)
+    const paragraphs = splitParagraphs(text);
+    let coherenceScore = 50;
+    if (paragraphs.length > 1) {
+      coherenceScore = Math.min(90, 60 + paragraphs.length * 3);
+    }
+
+    return (transitionScore * 0.4 + flowScore * 0.3 + coherenceScore * 0.3);
+  }
+
+  const METRIC_SCORERS = {
+    structure: computeStructureScore,
+    clarity: computeClarityScore,
+    language: computeLanguageQuality,
+    depth: computeContentDepth,
+    originality: computeOriginality,
+    relevance: computeRelevance,
+    consistency: computeConsistency
+  };
+  // Score (0-100) of a wordCount criterion: full marks inside [min, max],
+  // proportionally less below min and above max
+  function scoreWordCount(c, wordCount) {
+    if (c.min !== undefined && wordCount < c.min) return { score: 100 * wordCount / Math.max(1, c.min), detail: `${wordCount} words, below the minimum of ${c.min}` };
+    if (c.max !== undefined && wordCount > c.max) return { score: Math.max(0, 100 - 100 * (wordCount - c.max) / Math.max(1, c.max)), detail: `${wordCount} words, above the maximum of ${c.max}` };
+    return { score: 100, detail: `${wordCount} words, within the target` };
+  }
+
+  // Score (0-100) of a keywords criterion: share of topics mentioned at least once
+  function scoreKeywords(c, lowered) {
+    const found = [];
+    const missing = [];
+    for (const topic of c.keywords) {
+      const alternatives = (Array.isArray(topic) ? topic : [topic]).map(k => k.trim().toLowerCase());
+      (countPhrases(lowered, alternatives) > 0 ? found : missing).push(alternatives[0]);
+    }
+    const detail = `found ${found.length}/${c.keywords.length}` + (missing.length ? `; missing: ${missing.join(', ')}` : '');
+    return { score: 100 * found.length / c.keywords.length, detail };
+  }
+
+  // Mark a submission against a rubric (default: the subject's rubric).
+  // `options.profile` is the scoring profile used for per-sentence scores.
+  // Returns the total, the maximum and one entry per criterion with its
+  // score (0-100) and the points it earned. Text-quality criteria and word
+  // counts see the prose that AI scoring sees, without code, quotations or
+  // the reference list; keywords are also found in code.
+  function markSubmission(text, rubric, options) {
+    const subject = (options && options.subject) || 'General';
+    const r = rubric ? resolveRubric(rubric) : subjectRubric(subject);
+    // same order as analyzeText: structure and masking on the full text, then code
+    const full = text || '';
+    const structure = documentStructure(full);
+    const source = extractCode(maskExcluded(full, structure)).prose;
+    const words = normalizeToWords(source);
+    const sentences = splitToSentences(source);
+    const profile = applySubjectProfile(options && options.profile, subject);
+    const freq = {};
+    for (const w of words) freq[w] = (freq[w] || 0) + 1;
+    const fileData = {
+      text: source,
+      sentences,
+      sentenceScores: sentences.map(s => computeSentenceAiScore(s, profile)),
+      topRepeatedWords: Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([w, c]) => `${w} (${c})`).join(', '),
+      wordCount: words.length,
+      charCount: source.length,
+      sentenceCount: sentences.length,
+      // the full text's structure: `text` has its citations and references blanked out
+      structure,
+      marking: getSubjectProfile(subject).marking
+    };
+
+    const scored = r.criteria.map(c => {
+      let result;
+      if (c.type === 'wordCount') result = scoreWordCount(c, words.length);
+      else if (c.type === 'keywords') result = scoreKeywords(c, (text || '').toLowerCase());
+      else if (!words.length) result = { score: 0, detail: 'No prose to assess' };
+      else {
+        const measured = METRIC_SCORERS[c.type](fileData);
+        result = typeof measured === 'number' ? { score: measured, detail: '' } : measured;
+      }
+      return { c, score: Math.max(0, Math.min(100, result.score)), detail: result.detail };
+    });
+    const maxMark = r.criteria.reduce((s, c) => s + c.weight, 0);
+    const earned = scored.reduce((s, x) => s + x.score * x.c.weight / 100, 0);
+    const criteria = scored.map(({ c, score, detail }) => ({
+      id: c.id,
+      label: c.label,
+      type: c.type,
+      weight: c.weight,
+      score: Math.round(score),
+      points: Math.round(score * c.weight / 10) / 10,
+      detail
+    }));
+    return { rubric: r.name, total: Math.round(Math.max(0, Math.min(maxMark, earned))), maxMark, criteria };
+  }
+
+  /* ---------------- STYLOMETRY ---------------- */
+
+  // A student's past submissions form a baseline of their own writing style:
+  // how often they use common function words, how long and how varied their
+  // sentences are, and how rich their vocabulary is. A new submission is
+  // compared with that baseline feature by feature as z-scores, so a student
+  // who always writes short, plain sentences is not flagged for doing so.
+  const FUNCTION_WORDS = [
+    'the', 'a', 'an', 'and', 'but', 'or', 'so', 'because', 'if', 'when', 'while', 'although', 'than', 'that', 'which', 'who',
+    'this', 'these', 'those', 'it', 'its', 'i', 'we', 'you', 'they', 'he', 'she', 'my', 'our', 'their', 'me', 'us', 'them',
+    'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from', 'about', 'as', 'into', 'not', 'no', 'very', 'just', 'also',
+    'then', 'there', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'did', 'can', 'could', 'would',
+    'should', 'will', 'may', 'might', 'must'
+  ];
+  const FUNCTION_WORD_SET = new Set(FUNCTION_WORDS);
+
+  // Features compared with the baseline. `floor` is the smallest spread
+  // assumed for a student, so a few very similar submissions do not turn
+  // every small change into a large deviation.
+  const STYLE_FEATURES = {
+    sentenceMean: { label: 'Average sentence length', unit: 'words', floor: 2 },
+    sentenceSd: { label: 'Sentence-length variation', unit: 'words', floor: 1.5 },
+    vocabulary: { label: 'Vocabulary richness', unit: 'distinct words per 50', floor: 0.03 },
+    wordLength: { label: 'Average word length', unit: 'letters', floor: 0.15 },
+    functionWords: { label: 'Function-word profile', unit: 'distance from baseline', floor: 0.03 }
+  };
+  const STYLE_MIN_WORDS = 50;        // shorter texts are neither compared nor recorded
+  const STYLE_MIN_SUBMISSIONS = 3;   // past submissions needed before comparing
+  const STYLE_MAX_SUBMISSIONS = 20;  // most recent submissions kept per student
+  const STYLE_FLAG_DEVIATION = 2.5;  // root-mean-square z-score that flags a submission
+  const VOCABULARY_WINDOW = 50;
+
+  // A leading ID with at least three digits, e.g. "BSIT-001 Essay.docx",
+  // "2021-CS-123_week4.pdf" or "s12345_hw.txt"
+  const STUDENT_ID_PATTERN = /^([a-z]{0,6}-?\d{3,}(?:[a-z0-9-]*\d)?)/i;
+
+  // Upper-case ID without surrounding spaces; null when empty
+  function normalizeStudentId(id) {
+    const s = String(id === null || id === undefined ? '' : id).trim().replace(/\s+/g, ' ').toUpperCase().slice(0, 40);
+    return s || null;
+  }
+
+  // Student ID at the start of a file name, or null
+  function parseStudentId(fileName) {
+    const base = String(fileName || '').replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').trim();
+    const m = base.match(STUDENT_ID_PATTERN);
+    return m ? normalizeStudentId(m[1]) : null;
+  }
+
+  // Distinct words per window, averaged over a window moving through the
+  // text (moving-average type-token ratio, which does not fall with length)
+  function vocabularyRichness(words) {
+    if (words.length <= VOCABULARY_WINDOW) return words.length ? new Set(words).size / words.length : 0;
+    const counts = new Map();
+    let distinct = 0;
+    let total = 0;
+    for (let i = 0; i < words.length; i++) {
+      const w = words[i];
+      counts.set(w, (counts.get(w) || 0) + 1);
+      if (counts.get(w) === 1) distinct++;
+      if (i >= VOCABULARY_WINDOW) {
+        const old = words[i - VOCABULARY_WINDOW];
+        counts.set(old, counts.get(old) - 1);
+        if (counts.get(old) === 0) distinct--;
+      }
+      if (i >= VOCABULARY_WINDOW - 1) total += distinct / VOCABULARY_WINDOW;
+    }
+    return total / (words.length - VOCABULARY_WINDOW + 1);
+  }
+
+  // Style features of the prose of a text (code blocks left out).
+  // functionWords holds the rate of each FUNCTION_WORDS entry per 1000 words.
+  function stylometricFeatures(text) {
+    const prose = extractCode(text || '').prose;
+    const words = normalizeToWords(prose);
+    const lengths = splitToSentences(prose).map(s => normalizeToWords(s).length).filter(n => n > 0);
+    const counts = {};
+    for (const w of words) if (FUNCTION_WORD_SET.has(w)) counts[w] = (counts[w] || 0) + 1;
+    const functionWords = {};
+    for (const w of FUNCTION_WORDS) functionWords[w] = Math.round((counts[w] || 0) / Math.max(1, words.length) * 100000) / 100;
+    const round = (n, d) => Math.round(n * 10 ** d) / 10 ** d;
+    return {
+      words: words.length,
+      sentenceMean: round(mean(lengths), 2),
+      sentenceSd: round(stddev(lengths), 2),
+      vocabulary: round(vocabularyRichness(words), 3),
+      wordLength: round(mean(words.map(w => w.length)), 2),
+      functionWords
+    };
+  }
+
+  // Cosine distance between two function-word rate profiles
+  function functionWordDistance(a, b) {
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (const w of FUNCTION_WORDS) {
+      const x = a[w] || 0;
+      const y = b[w] || 0;
+      dot += x * y;
+      na += x * x;
+      nb += y * y;
+    }
+    return na && nb ? 1 - dot / Math.sqrt(na * nb) : 1;
+  }
+
+  function meanProfile(list) {
+    const out = {};
+    for (const w of FUNCTION_WORDS) out[w] = mean(list.map(f => f.functionWords[w] || 0));
+    return out;
+  }
+
+  // Record of one submission for a student's profile; null when the text is
+  // too short to say anything about style. `author` is the author named in
+  // the file's metadata, if any.
+  function styleSubmission(text, fileName, createdAt, author) {
+    const features = stylometricFeatures(text);
+    if (features.words < STYLE_MIN_WORDS) return null;
+    return {
+      hash: hashString(text).toString(16),
+      fileName: fileName || '',
+      createdAt: createdAt || new Date().toISOString(),
+      author: author || null,
+      features
+    };
+  }
+
+  // Student profile with a submission added: the same text is recorded once
+  // and only the most recent STYLE_MAX_SUBMISSIONS are kept
+  function recordSubmission(profile, studentId, submission) {
+    const past = ((profile && profile.submissions) || []).filter(s => s.hash !== submission.hash);
+    return { studentId, submissions: [...past, submission].slice(-STYLE_MAX_SUBMISSIONS) };
+  }
+
+  // How far a submission departs from the student's earlier submissions
+  // (the same text, when re-analysed, is not part of its own baseline).
+  // Returns { submissions, deviation, flagged, features, authors }:
+  // `deviation` is the root-mean-square z-score of the features, null until
+  // the student has STYLE_MIN_SUBMISSIONS earlier submissions; `authors`
+  // lists the metadata authors of the earlier submissions.
+  function compareStyle(submission, profile) {
+    const earlier = ((profile && profile.submissions) || []).filter(s => s.hash !== submission.hash);
+    const past = earlier.map(s => s.features);
+    const authors = Array.from(new Set(earlier.map(s => s.author).filter(Boolean)));
+    if (past.length < STYLE_MIN_SUBMISSIONS) return { submissions: past.length, deviation: null, flagged: false, features: [], authors };
+
+    // each past submission's distance from the mean of the others gives the
+    // student's usual spread of function-word use
+    const centre = meanProfile(past);
+    const pastDistances = past.map((f, i) => functionWordDistance(f.functionWords, meanProfile(past.filter((_, j) => j !== i))));
+    const values = key => (key === 'functionWords' ? pastDistances : past.map(f => f[key]));
+    const features = Object.entries(STYLE_FEATURES).map(([key, spec]) => {
+      const value = key === 'functionWords' ? functionWordDistance(submission.features.functionWords, centre) : submission.features[key];
+      const m = mean(values(key));
+      const sd = Math.max(spec.floor, stddev(values(key)));
+      // only a larger distance from the usual function-word profile is unusual
+      const z = key === 'functionWords' ? Math.max(0, (value - m) / sd) : (value - m) / sd;
+      return {
+        key,
+        label: spec.label,
+        value: Math.round(value * 1000) / 1000,
+        mean: Math.round(m * 1000) / 1000,
+        sd: Math.round(sd * 1000) / 1000,
+        z: Math.round(z * 100) / 100
+      };
+    });
+    const deviation = Math.round(Math.sqrt(mean(features.map(f => f.z * f.z))) * 100) / 100;
+    return { submissions: past.length, deviation, flagged: deviation >= STYLE_FLAG_DEVIATION, features, authors };
+  }
+
+  // One-line summary of a style comparison for reports and result cards
+  function formatStyle(style) {
+    if (!style) return 'Not compared';
+    if (style.deviation === null) return `Baseline building (${style.submissions} of ${STYLE_MIN_SUBMISSIONS} earlier submissions)`;
+    const largest = style.features.slice().sort((a, b) => Math.abs(b.z) - Math.abs(a.z))[0];
+    const verdict = style.flagged ? 'Deviates sharply from' : 'Consistent with';
+    return `${verdict} the student's ${style.submissions} earlier submissions (deviation ${style.deviation}σ; largest: ${largest.label.toLowerCase()} ${largest.z > 0 ? '+' : ''}${largest.z}σ)`;
+  }
+
+  /* ---------------- REPORTS ---------------- */
+
+  // Report lines for a mark: one per rubric criterion with its score and points
+  function formatMark(mark, indent) {
+    return ((mark && mark.criteria) || []).map(c => `${indent || ''}${c.label}: ${c.points} / ${c.weight} (score ${c.score}%)${c.detail ? ' - ' + c.detail : ''}`);
+  }
+
+  // One-line summary of the code metrics of a submission (see analyzeCode)
+  function formatCode(code) {
+    if (!code || !code.lines) return 'None';
+    const naming = code.namingStyle === 'none' ? 'no multi-word names' : `${code.namingStyle} naming (${code.namingConsistency}% consistent)`;
+    const language = (CODE_LANGUAGES[code.language] || CODE_LANGUAGES.other).label;
+    return `${language} · ${code.lines} lines in ${code.blocks} block${code.blocks === 1 ? '' : 's'} (${code.percentage}%) · ${naming} · ${code.commentDensity}% of lines commented · ${code.identifiers} identifiers`;
+  }
+
+  // A PDF page with less text than this in its text layer counts as scanned
+  // and goes through OCR
+  const OCR_MIN_PAGE_TEXT = 20;
+
+  // OCR record of a document from its recognised regions ({ page, start,
+  // end, confidence, lines }): the regions plus their mean confidence,
+  // weighted by length; null when nothing was recognised
+  function summarizeOcr(regions) {
+    if (!regions || !regions.length) return null;
+    const chars = regions.reduce((n, r) => n + (r.end - r.start), 0);
+    const confidence = Math.round(regions.reduce((n, r) => n + r.confidence * (r.end - r.start), 0) / (chars || 1));
+    return { confidence, regions };
+  }
+
+  // Where the text came from OCR: the pages (none for an image upload) and
+  // the confidence of the recognised text
+  function formatOcr(ocr) {
+    if (!ocr || !ocr.regions.length) return 'None';
+    const pages = Array.from(new Set(ocr.regions.map(r => r.page).filter(p => p !== null)));
+    const where = pages.length ? `page${pages.length === 1 ? '' : 's'} ${pages.join(', ')}` : 'the image';
+    return `Text of ${where} recognised by OCR (confidence ${ocr.confidence}%)`;
+  }
+
+  // One report line per AI signal: raw value, normalized value, weight and contribution
+  function formatBreakdown(breakdown, indent) {
+    return (breakdown || []).map(b => `${indent || ''}${b.label}: ${b.detail} (raw ${b.raw}, normalized ${b.normalized}, weight ${b.weight}) -> +${b.contribution} pts`);
+  }
+
+  // Version of the report layout described by report-schema.json. Bump the
+  // minor number for added fields and the major number for anything that
+  // changes or removes one.
+  const REPORT_SCHEMA_VERSION = '1.5';
+
+  const spanEntry = s => ({ start: s.start, end: s.end, sourceStart: s.sourceStart, sourceEnd: s.sourceEnd, words: s.words, attribution: s.attribution || null, text: s.text });
+
+  const matchEntry = m => ({
+    name: m.name || m.title || '',
+    containment: m.containment,
+    spans: (m.spans || []).map(spanEntry),
+    paraphrase: m.paraphrase || 0,
+    paraphrases: (m.paraphrases || []).map(s => ({ ...spanEntry(s), substitutions: s.substitutions }))
+  });
+
+  // ", 1 quoted, 2 cited" for the attributed passages of a match
+  const attributionNote = m => {
+    const a = matchAttribution([m]);
+    return (a.quoted ? `, ${a.quoted} quoted` : '') + (a.cited ? `, ${a.cited} cited` : '');
+  };
+
+  // ", 2 paraphrased (+12.5%)" for the passages of a match found only as paraphrase
+  const paraphraseNote = m => ((m.paraphrases || []).length ? `, ${m.paraphrases.length} paraphrased (+${m.paraphrase}%)` : '');
+
+  // Versioned report of analysed documents (see report-schema.json). Each
+  // entry of `files` holds one document's results: its `name` and `text`,
+  // the analyzeText fields, `highlights`, and the `matches`/`codeMatches`
+  // found against the other documents (`corpusMatches` when the reference
+  // corpus was searched). `meta` gives the profile, subject and optional
+  // `comparison` ({ threshold, matrix, codeMatrix, clusters }) of the batch.
+  function buildReport(files, meta) {
+    const m = meta || {};
+    return {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      engineVersion: ENGINE_VERSION,
+      generatedAt: m.generatedAt || new Date().toISOString(),
+      profile: m.profile || DEFAULT_PROFILE.name,
+      subject: m.subject || 'General',
+      files: (files || []).map(f => {
+        const text = f.text || '';
+        const freq = {};
+        for (const w of normalizeToWords(extractCode(text).prose)) freq[w] = (freq[w] || 0) + 1;
+        return {
+          name: f.name || 'Untitled',
+          archive: f.archive || null,
+          subject: f.subject || m.subject || 'General',
+          detectedSubjects: f.detectedSubjects || [],
+          subjectWarning: f.subjectWarning || null,
+          characters: text.length,
+          wordCount: f.wordCount || 0,
+          sentenceCount: f.sentenceCount || 0,
+          aiLikelihood: f.aiLikelihood || 0,
+          aiLabel: f.aiLabel || labelAiScore(f.aiLikelihood || 0),
+          breakdown: f.breakdown || [],
+          mark: f.mark || null,
+          code: f.code || analyzeCode(text),
+          topWords: Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([word, count]) => ({ word, count })),
+          possibleScreenshot: f.possibleScreenshot === true,
+          studentId: f.studentId || null,
+          style: f.style || null,
+          ocr: f.ocr || null,
+          structure: f.structure || summarizeStructure(null, text),
+          citations: f.citations || citationReport(documentStructure(text)),
+          metadata: f.metadata || null,
+          metadataAnomalies: f.metadataAnomalies || [],
+          matches: (f.matches || []).map(matchEntry),
+          codeMatches: (f.codeMatches || []).map(matchEntry),
+          corpusMatches: f.corpusMatches ? f.corpusMatches.map(c => ({ ...matchEntry(c), kind: c.kind })) : null,
+          highlights: (f.highlights || []).map(h => ({
+            start: h.start, end: h.end, score: h.score, label: h.label, signals: h.signals || [], flagged: !!h.flagged, perplexity: h.perplexity === undefined ? null : h.perplexity
+          })),
+          text
+        };
+      }),
+      comparison: m.comparison || null
+    };
+  }
+
+  const displayName = f => (f.archive ? `${f.archive}: ${f.name}` : f.name);
+
+  // Plain-text report: batch header, totals and one section per document
+  function reportToText(report) {
+    const files = report.files;
+    const header = [];
+    header.push('AI Assignment Analysis System');
+    header.push('Report generated: ' + new Date(report.generatedAt).toLocaleString());
+    header.push('Engine version: ' + report.engineVersion);
+    header.push('Scoring profile: ' + report.profile);
+    header.push('Subject (selected): ' + report.subject);
+    const allSubjects = Array.from(new Set(files.flatMap(f => f.detectedSubjects)));
+    header.push('Subjects detected: ' + (allSubjects.length ? allSubjects.join(', ') : 'General'));
+    header.push('='.repeat(60));
+    header.push('Files analyzed:');
+    header.push(files.map(f => `- ${displayName(f)} (${f.characters} characters)`).join('\n'));
+    header.push('='.repeat(60));
+
+    const totalWords = files.reduce((s, f) => s + f.wordCount, 0);
+    const totalSentences = files.reduce((s, f) => s + f.sentenceCount, 0);
+    const summary = [];
+    summary.push('Basic statistics:');
+    summary.push(`Total word count: ${totalWords}`);
+    summary.push(`Total sentence count: ${totalSentences}`);
+    summary.push(`Average sentence length (overall): ${totalSentences ? (totalWords / totalSentences).toFixed(2) : '0.00'}`);
+    summary.push('='.repeat(60));
+
+    const sections = [];
+    for (const f of files) {
+      sections.push(`File: ${displayName(f)}`);
+      sections.push(`- Selected Subject: ${f.subject}`);
+      sections.push(`- Detected Subjects: ${f.detectedSubjects.length ? f.detectedSubjects.join(', ') : 'General'}`);
+      if (f.subjectWarning) sections.push(`- Subject warning: ${f.subjectWarning}`);
+      sections.push(`- AI likelihood: ${f.aiLikelihood}% (${f.aiLabel})`);
+      if (f.breakdown.length) sections.push('- Signal breakdown:', ...formatBreakdown(f.breakdown, '  * '));
+      sections.push(`- Word Count: ${f.wordCount}`);
+      sections.push(`- Character Count: ${f.characters}`);
+      sections.push(`- Sentences: ${f.sentenceCount}`);
+      sections.push(`- Avg. sentence length: ${f.sentenceCount ? (f.wordCount / f.sentenceCount).toFixed(2) : '0.00'}`);
+      sections.push('- Top repeated words: ' + (f.topWords.map(r => `${r.word}(${r.count})`).join(', ') || 'N/A'));
+      if (f.mark) sections.push(`- Mark: ${f.mark.total} / ${f.mark.maxMark} (${f.mark.rubric} rubric)`, ...formatMark(f.mark, '  * '));
+      if (f.studentId) {
+        sections.push(`- Student: ${f.studentId}`);
+        sections.push(`- Writing style: ${formatStyle(f.style)}`);
+        for (const x of (f.style && f.style.features) || []) sections.push(`  * ${x.label}: ${x.value} (usually ${x.mean} ± ${x.sd}) -> ${x.z}σ`);
+      }
+      if (f.matches.length) {
+        sections.push('- Matched passages:');
+        for (const m of f.matches) {
+          sections.push(`  * ${m.name}: ${m.containment}% contained, ${m.spans.length} passage(s)${attributionNote(m)}${paraphraseNote(m)}`);
+          for (const sp of m.spans.slice(0, 5)) sections.push(`    [${sp.start}-${sp.end} / ${sp.sourceStart}-${sp.sourceEnd}]${sp.attribution ? ` (${sp.attribution})` : ''} "${sp.text.slice(0, 120)}"`);
+          for (const sp of m.paraphrases.slice(0, 5)) sections.push(`    [${sp.start}-${sp.end} / ${sp.sourceStart}-${sp.sourceEnd}] (paraphrased, ${sp.substitutions} word(s) changed) "${sp.text.slice(0, 120)}"`);
+        }
+      } else sections.push('- Matched passages: none');
+      if (f.corpusMatches) {
+        sections.push('- Reference corpus: ' + (f.corpusMatches.length ? '' : 'no matches'));
+        for (const m of f.corpusMatches) sections.push(`  * ${m.name} (${m.kind}): ${m.containment}% contained, ${m.spans.length} passage(s)${paraphraseNote(m)}`);
+      }
+      sections.push(`- Code: ${formatCode(f.code)}`);
+      if (f.codeMatches.length) {
+        sections.push('- Matched code (token-normalised):');
+        for (const m of f.codeMatches) sections.push(`  * ${m.name}: ${m.containment}% of code tokens, ${m.spans.length} region(s)`);
+      }
+      sections.push(`- Structure: ${formatStructure(f.structure)}`);
+      sections.push(`- Citations: ${formatCitations(f.citations)}`);
+      for (const x of f.citations.sources.filter(x => !x.citations)) sections.push(`  * Not cited in the text: ${x.reference}`);
+      sections.push(`- Metadata: ${formatMetadata(f.metadata)}`);
+      for (const a of f.metadataAnomalies) sections.push(`  * Anomaly: ${a.message}`);
+      sections.push(`- Image / screenshot likely: ${f.possibleScreenshot ? 'Yes' : 'No'}`);
+      sections.push(`- OCR: ${formatOcr(f.ocr)}`);
+      for (const r of (f.ocr && f.ocr.regions) || []) sections.push(`  * ${r.page !== null ? `page ${r.page}, ` : ''}characters ${r.start}-${r.end}: confidence ${r.confidence}%`);
+      sections.push('-'.repeat(60));
+    }
+
+    const footer = [];
+    footer.push('Disclaimer: AI detection is based on linguistic patterns and provides an estimated likelihood, not a confirmed result.');
+    footer.push('End of report');
+
+    return [header.join('\n'), summary.join('\n'), sections.join('\n'), footer.join('\n')].join('\n\n') + '\n';
+  }
+
+  // Spreadsheets run cells starting with these characters as formulas
+  const CSV_FORMULA_RE = /^[=+\-@\t\r]/;
+
+  function csvField(value) {
+    let s = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && CSV_FORMULA_RE.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // Gradebook: one row per document with its scores, the points of every
+  // rubric criterion (one column each) and its closest matches
+  function reportToCsv(report) {
+    const criteria = [];
+    for (const f of report.files) {
+      for (const c of (f.mark && f.mark.criteria) || []) if (!criteria.includes(c.label)) criteria.push(c.label);
+    }
+    const header = ['file', 'archive', 'student_id', 'subject', 'words', 'sentences', 'ai_likelihood', 'ai_label', 'mark', 'max_mark', 'rubric', ...criteria,
+      'code_language', 'code_lines', 'closest_match', 'closest_match_pct', 'closest_match_paraphrase_pct', 'closest_code_match', 'closest_code_match_pct',
+      'corpus_match', 'corpus_match_pct', 'style_deviation', 'style_flagged', 'ocr_confidence', 'citations', 'closest_match_attributed', 'references', 'author', 'metadata_anomalies', 'subject_warning'];
+    const rows = report.files.map(f => {
+      const points = {};
+      for (const c of (f.mark && f.mark.criteria) || []) points[c.label] = c.points;
+      const text = f.matches[0];
+      const code = f.codeMatches[0];
+      const corpus = f.corpusMatches && f.corpusMatches[0];
+      return [
+        f.name, f.archive, f.studentId, f.subject, f.wordCount, f.sentenceCount, f.aiLikelihood, f.aiLabel,
+        f.mark && f.mark.total, f.mark && f.mark.maxMark, f.mark && f.mark.rubric, ...criteria.map(c => points[c]),
+        f.code.lines ? f.code.language : '', f.code.lines,
+        text && text.name, text && text.containment, text && text.paraphrase, code && code.name, code && code.containment,
+        corpus && corpus.name, corpus && corpus.containment,
+        f.style && f.style.deviation, f.style && f.style.deviation !== null ? (f.style.flagged ? 'yes' : 'no') : null, f.ocr && f.ocr.confidence,
+        f.citations.citations, text && text.spans.filter(sp => sp.attribution).length,
+        f.structure.references.length, f.metadata && f.metadata.author, f.metadataAnomalies.map(a => a.message).join('; '), f.subjectWarning
+      ];
+    });
+    return [header, ...rows].map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function escapeHtml(s) {
+    return String(s === null || s === undefined ? '' : s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
+  const REPORT_LABEL_CLASSES = { 'Human-written': 'human', Mixed: 'mixed', 'Likely AI-generated': 'ai' };
+
+  const REPORT_CSS = [
+    'body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#111827;margin:32px auto;max-width:920px;padding:0 16px;line-height:1.5}',
+    'h1{font-size:24px;margin:0 0 4px}h2{font-size:19px;margin:0 0 6px}h3{font-size:15px;margin:18px 0 6px}',
+    '.meta,.muted{color:#6b7280;font-size:13px}',
+    'table{border-collapse:collapse;width:100%;font-size:13px;margin:6px 0}th,td{border-bottom:1px solid #e5e7eb;padding:4px 6px;text-align:left;vertical-align:top}th{background:#f3f4f6}',
+    '.badge{display:inline-block;padding:2px 10px;border-radius:999px;font-size:13px;font-weight:600}',
+    '.badge-human{background:#dcfce7;color:#166534}.badge-mixed{background:#fef3c7;color:#92400e}.badge-ai{background:#fee2e2;color:#991b1b}',
+    '.warning{background:#fef3c7;border-radius:6px;padding:6px 10px;font-size:13px}',
+    'section.file{border-top:2px solid #111827;margin-top:28px;padding-top:14px}',
+    '.text{white-space:pre-wrap;font-family:Georgia,serif;font-size:14px;border:1px solid #e5e7eb;border-radius:6px;padding:12px}',
+    '.heat{border-radius:3px}.heat-flagged{outline:2px solid #ca8a04;outline-offset:1px}.heat sup{color:#92400e;font-weight:700}',
+    '.legend{display:inline-block;width:90px;height:10px;border-radius:5px;background:linear-gradient(90deg,rgba(239,68,68,0),rgba(239,68,68,0.6));vertical-align:middle}',
+    'footer{margin-top:32px;color:#6b7280;font-size:12px}',
+    '*{-webkit-print-color-adjust:exact;print-color-adjust:exact}',
+    '@media print{body{margin:0;max-width:none}section.file{break-before:page;border-top:none}tr,.warning{break-inside:avoid}}'
+  ].join('\n');
+
+  // The text with every sentence shaded by its AI score; flagged sentences
+  // are outlined and numbered for the list printed below the text
+  function reportHeatmap(text, highlights) {
+    let html = '';
+    let pos = 0;
+    let n = 0;
+    for (const h of highlights) {
+      if (h.start < pos) continue;
+      html += escapeHtml(text.slice(pos, h.start));
+      const alpha = (h.score / 100 * 0.6).toFixed(2);
+      const tip = `AI score ${h.score}% (${h.label})` + (h.signals.length ? ' - ' + h.signals.map(k => SENTENCE_SIGNALS[k] || k).join(', ') : '');
+      html += `<span class="heat${h.flagged ? ' heat-flagged' : ''}" style="background:rgba(239,68,68,${alpha})" title="${escapeHtml(tip)}">` +
+        (h.flagged ? `<sup>${++n}</sup>` : '') + `${escapeHtml(text.slice(h.start, h.end))}</span>`;
+      pos = h.end;
+    }
+    return html + escapeHtml(text.slice(pos));
+  }
+
+  // Self-contained, printable HTML report (print it to save a PDF): a
+  // summary table, then per document the label, signal breakdown, mark,
+  // matches, code metrics and the text with its sentence heatmap
+  function reportToHtml(report) {
+    const files = report.files;
+    const badge = f => `<span class="badge badge-${REPORT_LABEL_CLASSES[f.aiLabel] || 'mixed'}">${escapeHtml(f.aiLabel)}</span>`;
+    const table = (head, rows) => `<table><thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    const matchList = (list, unit) => (list.length
+      ? `<ul>${list.map(m => `<li>${escapeHtml(m.name)}: <strong>${m.containment}%</strong> ${unit}, ${m.spans.length} region(s)${attributionNote(m)}${paraphraseNote(m)}</li>`).join('')}</ul>`
+      : '<p class="muted">None</p>');
+    const out = [];
+    out.push('<!doctype html>', '<html lang="en">', '<head>', '<meta charset="utf-8">', '<title>AI Assignment Analysis Report</title>', `<style>\n${REPORT_CSS}\n</style>`, '</head>', '<body>');
+    out.push('<h1>AI Assignment Analysis Report</h1>');
+    out.push(`<p class="meta">Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())} · Engine ${escapeHtml(report.engineVersion)} · Profile ${escapeHtml(report.profile)} · Subject ${escapeHtml(report.subject)} · Report schema ${escapeHtml(report.schemaVersion)}</p>`);
+    out.push(table(['File', 'Student', 'Words', 'AI likelihood', 'Label', 'Mark', 'Closest match', 'Closest code match'], files.map(f => '<tr>' + [
+      escapeHtml(displayName(f)), f.studentId ? escapeHtml(f.studentId) + (f.style && f.style.flagged ? ' (style deviates)' : '') : '', f.wordCount, f.aiLikelihood + '%', badge(f), f.mark ? `${f.mark.total} / ${f.mark.maxMark}` : '',
+      f.matches[0] ? `${escapeHtml(f.matches[0].name)} (${f.matches[0].containment}%)` : '',
+      f.codeMatches[0] ? `${escapeHtml(f.codeMatches[0].name)} (${f.codeMatches[0].containment}%)` : ''
+    ].map(c => `<td>${c}</td>`).join('') + '</tr>')));
+
+    for (const f of files) {
+      out.push('<section class="file">');
+      out.push(`<h2>${escapeHtml(displayName(f))}</h2>`);
+      out.push(`<p>${badge(f)} AI likelihood <strong>${f.aiLikelihood}%</strong> · ${f.wordCount} words · ${f.sentenceCount} sentences · subject ${escapeHtml(f.subject)}</p>`);
+      if (f.subjectWarning) out.push(`<p class="warning">${escapeHtml(f.subjectWarning)}</p>`);
+      if (f.studentId) {
+        out.push(`<h3>Writing style of ${escapeHtml(f.studentId)}</h3>`);
+        out.push(`<p${f.style && f.style.flagged ? ' class="warning"' : ''}>${escapeHtml(formatStyle(f.style))}</p>`);
+        if (f.style && f.style.features.length) {
+          out.push(table(['Feature', 'This submission', 'Usually', 'Deviation'], f.style.features.map(x =>
+            `<tr><td>${escapeHtml(x.label)}</td><td>${x.value}</td><td>${x.mean} ± ${x.sd}</td><td>${x.z}σ</td></tr>`)));
+        }
+      }
+      if (f.breakdown.length) {
+        out.push('<h3>Why this score?</h3>');
+        out.push(table(['Signal', 'Raw', 'Normalized', 'Weight', 'Points'], f.breakdown.map(b =>
+          `<tr><td>${escapeHtml(b.label)}<div class="muted">${escapeHtml(b.detail)}</div></td><td>${b.raw}</td><td>${b.normalized}</td><td>${b.weight}</td><td><strong>+${b.contribution}</strong></td></tr>`)));
+      }
+      if (f.mark) {
+        out.push(`<h3>Mark: ${f.mark.total} / ${f.mark.maxMark} <span class="muted">(${escapeHtml(f.mark.rubric)} rubric)</span></h3>`);
+        out.push(table(['Criterion', 'Score', 'Points'], f.mark.criteria.map(c =>
+          `<tr><td>${escapeHtml(c.label)}${c.detail ? `<div class="muted">${escapeHtml(c.detail)}</div>` : ''}</td><td>${c.score}%</td><td><strong>${c.points}</strong> / ${c.weight}</td></tr>`)));
+      }
+      out.push('<h3>Matched passages</h3>', matchList(f.matches, 'contained'));
+      if (f.corpusMatches) out.push('<h3>Reference corpus</h3>', matchList(f.corpusMatches, 'contained'));
+      if (f.ocr) {
+        out.push('<h3>OCR</h3>', `<p class="warning">${escapeHtml(formatOcr(f.ocr))}; check the recognised text before relying on the scores.</p>`);
+        out.push(table(['Page', 'Characters', 'Confidence', 'First line'], f.ocr.regions.map(r =>
+          `<tr><td>${r.page !== null ? r.page : ''}</td><td>${r.start}-${r.end}</td><td>${r.confidence}%</td><td>${escapeHtml(r.lines.length ? r.lines[0].text : '')}</td></tr>`)));
+      }
+      out.push('<h3>Document</h3>', `<p>${escapeHtml(formatStructure(f.structure))}</p>`, `<p class="muted">Metadata: ${escapeHtml(formatMetadata(f.metadata))}</p>`);
+      for (const a of f.metadataAnomalies) out.push(`<p class="warning">${escapeHtml(a.message)}</p>`);
+      out.push(`<p>Citations: ${escapeHtml(formatCitations(f.citations))}</p>`);
+      if (f.citations.sources.length) {
+        out.push(`<details><summary>References (${f.citations.sources.length})</summary>`, table(['Reference', 'Cited'], f.citations.sources.map(x =>
+          `<tr><td>${escapeHtml(x.reference)}</td><td>${x.citations ? `${x.citations}×` : '<span class="warning">never</span>'}</td></tr>`)), '</details>');
+      }
+      out.push('<h3>Code</h3>', `<p>${escapeHtml(formatCode(f.code))}</p>`);
+      if (f.codeMatches.length) out.push(matchList(f.codeMatches, 'of code tokens'));
+      out.push('<h3>Text</h3>');
+      out.push('<p class="muted">Shading <span class="legend"></span> follows each sentence\'s AI score; outlined, numbered sentences are flagged.</p>');
+      out.push(`<div class="text">${reportHeatmap(f.text, f.highlights)}</div>`);
+      const flagged = f.highlights.filter(h => h.flagged);
+      if (flagged.length) {
+        out.push('<h3>Flagged sentences</h3>');
+        out.push(`<ol>${flagged.map(h => `<li>AI score ${h.score}%: ${escapeHtml(h.signals.map(k => SENTENCE_SIGNALS[k] || k).join(', '))}</li>`).join('')}</ol>`);
+      }
+      out.push('</section>');
+    }
+    out.push('<footer>Disclaimer: AI detection is based on linguistic patterns and provides an estimated likelihood, not a confirmed result.</footer>');
+    out.push('</body>', '</html>', '');
+    return out.join('\n');
+  }
+
+  /* ---------------- HISTORY ---------------- */
+
+  // A saved run is the browser session state of one analysis (the
+  // sessionStorage keys below) plus when it ran and the class it was for.
+  // The same run shape is kept in IndexedDB and by the server's history store.
+  const HISTORY_STATE_KEYS = ['uploadedFiles', 'filesAnalysis', 'filesContent', 'similarityMatrix', 'codeSimilarityMatrix'];
+  const MAX_CLASS_NAME = 80;
+
+  function validateRun(run) {
+    if (!run || typeof run !== 'object') return ['Run must be an object'];
+    const errors = [];
+    if (run.className !== undefined && run.className !== null && (typeof run.className !== 'string' || run.className.length > MAX_CLASS_NAME)) {
+      errors.push(`className must be text of at most ${MAX_CLASS_NAME} characters`);
+    }
+    const state = run.state;
+    if (!state || typeof state !== 'object') return errors.concat('state must be an object');
+    if (!Array.isArray(state.filesAnalysis) || state.filesAnalysis.length === 0) errors.push('state.filesAnalysis must be a non-empty list');
+    else if (!state.filesAnalysis.every(isPlainObject)) errors.push('state.filesAnalysis must list one object per file');
+    for (const key of Object.keys(state)) {
+      if (!HISTORY_STATE_KEYS.includes(key)) errors.push(`state.${key} is not part of a run`);
+    }
+    return errors;
+  }
+
+  // Listing shape of a run: what the history page shows without the texts
+  function summarizeRun(run) {
+    const docs = run.state.filesAnalysis;
+    const labels = {};
+    for (const d of docs) labels[d.aiLabel] = (labels[d.aiLabel] || 0) + 1;
+    return {
+      id: run.id,
+      createdAt: run.createdAt,
+      className: run.className || '',
+      subject: docs[0].subject || 'General',
+      profile: docs[0].profile || 'default',
+      engineVersion: docs[0].engineVersion || null,
+      fileCount: docs.length,
+      labels,
+      files: docs.map(d => ({ name: d.name, studentId: d.studentId || null, aiLikelihood: d.aiLikelihood, aiLabel: d.aiLabel, mark: d.mark ? d.mark.total : null, styleFlagged: !!(d.style && d.style.flagged) }))
+    };
+  }
+
+  // Summaries matching a subject and/or class (case-insensitive), newest first
+  function filterRuns(summaries, filter) {
+    const { subject, className } = filter || {};
+    const wanted = className ? String(className).trim().toLowerCase() : '';
+    return summaries
+      .filter(r => (!subject || r.subject === subject) && (!wanted || r.className.toLowerCase() === wanted))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+  }
+
+  // Whether a run is older than the retention period; 0 days keeps runs forever
+  function runExpired(run, retentionDays, now) {
+    if (!(retentionDays > 0)) return false;
+    return Date.parse(run.createdAt) < (now === undefined ? Date.now() : now) - retentionDays * 86400000;
+  }
+
+  return {
+    ENGINE_VERSION,
+    DEFAULT_PROFILE,
+    BUILTIN_PROFILES,
+    AI_THRESHOLDS,
+    validateProfile,
+    resolveProfile,
+    normalizeToWords,
+    mean,
+    stddev,
+    segmentText,
+    splitSentencesWithPosition,
+    splitToSentences,
+    splitParagraphs,
+    SHINGLE_SIZE,
+    WINNOW_WINDOW,
+    tokenizeWithPosition,
+    fingerprintText,
+    compareDocuments,
+    canonicalWord,
+    porterStem,
+    PARAPHRASE_MIN_WORDS,
+    CODE_SHINGLE_SIZE,
+    CODE_LANGUAGES,
+    detectCodeLanguage,
+    extractCode,
+    lexCode,
+    fingerprintCode,
+    analyzeCode,
+    decodeEntities,
+    htmlToText,
+    markdownToText,
+    rtfToText,
+    odtToText,
+    pptxToText,
+    notebookToText,
+    pdfPageText,
+    METADATA_FIELDS,
+    OFFICE_METADATA_ENTRIES,
+    officeMetadata,
+    odfMetadata,
+    pdfMetadata,
+    htmlMetadata,
+    rtfMetadata,
+    notebookMetadata,
+    DOCUMENT_FORMATS,
+    documentFormat,
+    documentStructure,
+    maskExcluded,
+    summarizeStructure,
+    formatStructure,
+    sameAuthor,
+    metadataAnomalies,
+    formatMetadata,
+    findCitations,
+    citationReport,
+    formatCitations,
+    matchAttribution,
+    CITED_MATCH_WEIGHT,
+    comparePairwise,
+    similarityMatrix,
+    clusterBySimilarity,
+    similarityOf,
+    compareBatch,
+    LM_DEFAULT_ORDER,
+    trainLanguageModel,
+    prepareLanguageModel,
+    setLanguageModel,
+    getLanguageModel,
+    computePerplexity,
+    perplexityProfile,
+    explainAiLikelihood,
+    overlapSignal,
+    computeAiLikelihood,
+    computeSentenceAiScore,
+    labelAiScore,
+    aiStatusClass,
+    SUBJECT_PROFILES,
+    detectSubjects,
+    getSubjectProfile,
+    applySubjectProfile,
+    subjectMismatch,
+    stripFormulas,
+    prepareText,
+    SENTENCE_SIGNALS,
+    HIGHLIGHT_MIN_SIGNALS,
+    sentenceSignals,
+    flagSentences,
+    analyzeSentences,
+    analyzeText,
+    MARK_METRICS,
+    DEFAULT_RUBRIC,
+    validateRubric,
+    resolveRubric,
+    subjectRubric,
+    markSubmission,
+    FUNCTION_WORDS,
+    STYLE_FEATURES,
+    STYLE_MIN_WORDS,
+    STYLE_MIN_SUBMISSIONS,
+    STYLE_MAX_SUBMISSIONS,
+    STYLE_FLAG_DEVIATION,
+    normalizeStudentId,
+    parseStudentId,
+    stylometricFeatures,
+    styleSubmission,
+    recordSubmission,
+    compareStyle,
+    formatStyle,
+    formatMark,
+    formatCode,
+    OCR_MIN_PAGE_TEXT,
+    summarizeOcr,
+    formatOcr,
+    formatBreakdown,
+    REPORT_SCHEMA_VERSION,
+    buildReport,
+    reportToText,
+    reportToCsv,
+    reportToHtml,
+    HISTORY_STATE_KEYS,
+    validateRun,
+    summarizeRun,
+    filterRuns,
+    runExpired
+  };
+});
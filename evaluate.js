@@ -0,0 +1,299 @@
+// Calibration and evaluation harness: scores a labelled folder of texts
+// with the detection engine and reports how well its labels match.
+//
+// The folder holds one subfolder per true label: human/, ai/ and optionally
+// mixed/ (.txt, .pdf, .docx or .zip files). With --fit the signal weights
+// are refitted (logistic regression on the normalised signals) and the
+// label cutoffs re-chosen; the result can be written out as a profile.
+//
+// Usage: npm run evaluate -- <folder> [--profile name|file.json] [--subject Programming]
+//          [--fit] [--name fitted] [--out profile.json] [--save] [--json]
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+const { extractFolder } = require('./extract');
+const { createProfileStore, loadProfile } = require('./profiles');
+
+const LABEL_FOLDERS = { human: 'Human-written', mixed: 'Mixed', ai: 'Likely AI-generated' };
+const LABELS = Object.values(LABEL_FOLDERS);
+// Share of AI texts the fitted Human-written cutoff may let through when
+// the dataset has no mixed texts to place it
+const AI_MISS_RATE = 0.05;
+
+/* ---------------- DATASET ---------------- */
+
+// Documents of every label subfolder, with their true label
+async function loadDataset(folder) {
+  const docs = [];
+  for (const [dir, label] of Object.entries(LABEL_FOLDERS)) {
+    const sub = path.join(folder, dir);
+    if (!fs.existsSync(sub)) continue;
+    for (const doc of await extractFolder(sub)) {
+      if (doc.text.trim()) docs.push({ fileName: path.join(dir, doc.fileName), label, text: doc.text });
+    }
+  }
+  return docs;
+}
+
+// Engine score and normalised signal values of every document
+function scoreDocuments(docs, profile, subject) {
+  return docs.map(d => {
+    const result = engine.analyzeText(d.text, profile, { subject });
+    const features = {};
+    for (const b of result.breakdown) if (b.key in engine.DEFAULT_PROFILE.weights) features[b.key] = b.normalized;
+    return { fileName: d.fileName, label: d.label, score: result.aiLikelihood, features };
+  });
+}
+
+// AI likelihood of a document under other weights (same formula as the engine)
+function rescore(features, weights) {
+  const sum = Object.keys(weights).reduce((s, k) => s + (features[k] || 0) * weights[k], 0);
+  return Math.round(Math.max(0, Math.min(1, sum)) * 100);
+}
+
+/* ---------------- METRICS ---------------- */
+
+// counts[true label][predicted label]
+function confusionMatrix(rows, profile) {
+  const counts = {};
+  for (const t of LABELS) {
+    counts[t] = {};
+    for (const p of LABELS) counts[t][p] = 0;
+  }
+  for (const r of rows) counts[r.label][engine.labelAiScore(r.score, profile)]++;
+  return counts;
+}
+
+// One-vs-rest counts, precision, recall and F1 of every label
+function labelMetrics(counts) {
+  const total = LABELS.reduce((s, t) => s + LABELS.reduce((n, p) => n + counts[t][p], 0), 0);
+  const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : 0);
+  return LABELS.map(label => {
+    const tp = counts[label][label];
+    const fn = LABELS.reduce((s, p) => s + counts[label][p], 0) - tp;
+    const fp = LABELS.reduce((s, t) => s + counts[t][label], 0) - tp;
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    return { label, tp, fp, fn, tn: total - tp - fp - fn, precision, recall, f1: ratio(2 * precision * recall, precision + recall) };
+  });
+}
+
+// Probability that a random positive scores above a random negative
+// (ties count half); null when either side is empty
+function rocAuc(positives, negatives) {
+  if (!positives.length || !negatives.length) return null;
+  let wins = 0;
+  for (const p of positives) for (const n of negatives) wins += p > n ? 1 : p === n ? 0.5 : 0;
+  return Math.round((wins / (positives.length * negatives.length)) * 1000) / 1000;
+}
+
+function evaluateRows(rows, profile) {
+  const counts = confusionMatrix(rows, profile);
+  const labels = labelMetrics(counts);
+  const present = labels.filter(l => l.tp + l.fn > 0);
+  const correct = LABELS.reduce((s, l) => s + counts[l][l], 0);
+  const scores = label => rows.filter(r => r.label === label).map(r => r.score);
+  return {
+    thresholds: engine.resolveProfile(profile).thresholds,
+    auc: rocAuc(scores(LABEL_FOLDERS.ai), scores(LABEL_FOLDERS.human)),
+    confusion: counts,
+    labels,
+    accuracy: rows.length ? Math.round((correct / rows.length) * 1000) / 1000 : 0,
+    macroF1: present.length ? Math.round((present.reduce((s, l) => s + l.f1, 0) / present.length) * 1000) / 1000 : 0,
+    documents: rows.map(r => ({ fileName: r.fileName, label: r.label, score: r.score, predicted: engine.labelAiScore(r.score, profile) }))
+  };
+}
+
+/* ---------------- FITTING ---------------- */
+
+// Logistic regression of AI-ness (human 0, mixed 0.5, AI 1) on the
+// normalised signals. Negative coefficients are dropped and the rest scaled
+// to add up to 1, so the fitted weights give scores on the engine's 0-100
+// scale; null when nothing separates the labels.
+function fitWeights(rows, keys, options) {
+  const iterations = (options && options.iterations) || 3000;
+  const rate = (options && options.rate) || 0.5;
+  const l2 = 0.001;
+  const target = { [LABEL_FOLDERS.human]: 0, [LABEL_FOLDERS.mixed]: 0.5, [LABEL_FOLDERS.ai]: 1 };
+  const coef = keys.map(() => 0);
+  let bias = 0;
+  for (let it = 0; it < iterations; it++) {
+    const grad = keys.map(() => 0);
+    let gradBias = 0;
+    for (const r of rows) {
+      const z = bias + keys.reduce((s, k, i) => s + coef[i] * (r.features[k] || 0), 0);
+      const err = 1 / (1 + Math.exp(-z)) - target[r.label];
+      keys.forEach((k, i) => { grad[i] += err * (r.features[k] || 0); });
+      gradBias += err;
+    }
+    keys.forEach((_, i) => { coef[i] -= rate * (grad[i] / rows.length + l2 * coef[i]); });
+    bias -= rate * gradBias / rows.length;
+  }
+  const positive = coef.map(c => Math.max(0, c));
+  const sum = positive.reduce((s, c) => s + c, 0);
+  if (!sum) return null;
+  const weights = {};
+  keys.forEach((k, i) => { weights[k] = Math.round((positive[i] / sum) * 100) / 100; });
+  return weights;
+}
+
+// Cutoffs t (score > t counts as positive) with the best balanced accuracy
+// (Youden's J): a run of adjacent cutoffs, as [lowest, highest]
+function bestCutoffs(rows, isPositive) {
+  const pos = rows.filter(isPositive).map(r => r.score);
+  const neg = rows.filter(r => !isPositive(r)).map(r => r.score);
+  if (!pos.length || !neg.length) return null;
+  let best = -Infinity;
+  let run = null;
+  for (let t = 0; t < 100; t++) {
+    const j = pos.filter(s => s > t).length / pos.length - neg.filter(s => s > t).length / neg.length;
+    if (j > best + 1e-9) { best = j; run = [t, t]; }
+    else if (Math.abs(j - best) <= 1e-9 && run[1] === t - 1) run[1] = t;
+  }
+  return run;
+}
+
+// Human-written and Mixed cutoffs for scored rows. With mixed texts each
+// cutoff is the middle of its best run. Without them the scores between the
+// human-written and the AI texts become Mixed, and the Human-written cutoff
+// also stays below all but AI_MISS_RATE of the AI texts.
+function fitThresholds(rows, fallback) {
+  const t = { ...(fallback || engine.DEFAULT_PROFILE.thresholds) };
+  const ai = r => r.label === LABEL_FOLDERS.ai;
+  const middle = run => Math.round((run[0] + run[1]) / 2);
+  const mixed = bestCutoffs(rows, ai);
+  if (rows.some(r => r.label === LABEL_FOLDERS.mixed)) {
+    const human = bestCutoffs(rows, r => r.label !== LABEL_FOLDERS.human);
+    if (mixed) t.mixed = middle(mixed);
+    if (human) t.human = middle(human);
+  } else if (mixed) {
+    const aiScores = rows.filter(ai).map(r => r.score).sort((a, b) => a - b);
+    t.mixed = mixed[1];
+    t.human = Math.min(mixed[0], aiScores[Math.floor(aiScores.length * AI_MISS_RATE)] - 1);
+  }
+  t.mixed = Math.max(1, t.mixed);
+  t.human = Math.max(0, Math.min(t.human, t.mixed - 1));
+  return t;
+}
+
+// Fitted profile based on `profile`; weights are stored before the
+// subject's scaling so applySubjectProfile reproduces the fitted ones
+function fitProfile(rows, profile, subject, name) {
+  const base = engine.resolveProfile(profile);
+  const keys = Object.keys(base.weights);
+  const fitted = fitWeights(rows, keys);
+  const scale = engine.getSubjectProfile(subject).detection.weightScale || {};
+  const weights = { ...base.weights };
+  if (fitted) keys.forEach(k => { weights[k] = Math.min(1, Math.round((fitted[k] / (scale[k] || 1)) * 100) / 100); });
+  const effective = engine.applySubjectProfile({ ...base, weights }, subject).weights;
+  const rescored = rows.map(r => ({ ...r, score: rescore(r.features, effective) }));
+  return {
+    profile: engine.resolveProfile({
+      ...base,
+      name,
+      description: `Fitted on ${rows.length} labelled texts${subject !== 'General' ? ` (${subject})` : ''}`,
+      weights,
+      thresholds: fitThresholds(rescored, base.thresholds)
+    }),
+    rows: rescored
+  };
+}
+
+/* ---------------- REPORT ---------------- */
+
+function formatReport(report) {
+  const pad = (v, n) => String(v).padStart(n);
+  const lines = [];
+  lines.push(`Label cutoffs: Human-written <= ${report.thresholds.human}, Mixed <= ${report.thresholds.mixed}`);
+  lines.push(`ROC-AUC (AI vs human-written): ${report.auc === null ? 'n/a (needs both human and AI texts)' : report.auc}`);
+  lines.push('');
+  lines.push('Confusion matrix (rows: true label, columns: predicted label)');
+  lines.push(''.padEnd(22) + LABELS.map(l => pad(l, 21)).join(''));
+  for (const t of LABELS) lines.push(t.padEnd(22) + LABELS.map(p => pad(report.confusion[t][p], 21)).join(''));
+  lines.push('');
+  lines.push('Label'.padEnd(22) + ['Precision', 'Recall', 'F1', 'TP', 'FP', 'FN', 'TN'].map(h => pad(h, 10)).join(''));
+  for (const l of report.labels) {
+    lines.push(l.label.padEnd(22) + [l.precision, l.recall, l.f1, l.tp, l.fp, l.fn, l.tn].map(v => pad(v, 10)).join(''));
+  }
+  lines.push('');
+  lines.push(`Accuracy ${report.accuracy} - macro F1 ${report.macroF1}`);
+  return lines.join('\n');
+}
+
+/* ---------------- CLI ---------------- */
+
+function parseArgs(argv) {
+  const args = { folder: null, profile: null, subject: 'General', fit: false, name: 'fitted', out: null, save: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--profile') args.profile = argv[++i];
+    else if (a === '--subject') args.subject = argv[++i];
+    else if (a === '--name') args.name = argv[++i];
+    else if (a === '--out') args.out = path.resolve(argv[++i]);
+    else if (a === '--fit') args.fit = true;
+    else if (a === '--save') args.save = true;
+    else if (a === '--json') args.json = true;
+    else args.folder = path.resolve(a);
+  }
+  if (!args.folder) throw new Error('Usage: npm run evaluate -- <folder> [--profile name|file.json] [--subject name] [--fit] [--name fitted] [--out profile.json] [--save] [--json]');
+  if (!Object.prototype.hasOwnProperty.call(engine.SUBJECT_PROFILES, args.subject)) throw new Error(`Unknown subject "${args.subject}"`);
+  if ((args.out || args.save) && !args.fit) throw new Error('--out and --save need --fit');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = createProfileStore(path.join(__dirname, 'data', 'profiles.json'));
+  const profile = loadProfile(args.profile, store);
+  const docs = await loadDataset(args.folder);
+  if (!docs.length) throw new Error(`No labelled texts found; put them in ${Object.keys(LABEL_FOLDERS).map(d => d + '/').join(', ')} under ${args.folder}`);
+
+  const rows = scoreDocuments(docs, profile, args.subject);
+  const counts = LABELS.map(l => `${l} ${docs.filter(d => d.label === l).length}`).join(', ');
+  const output = {
+    dataset: args.folder,
+    documents: docs.length,
+    engineVersion: engine.ENGINE_VERSION,
+    profile: profile.name,
+    subject: args.subject,
+    report: evaluateRows(rows, engine.applySubjectProfile(profile, args.subject))
+  };
+
+  if (args.fit) {
+    const fit = fitProfile(rows, profile, args.subject, args.name);
+    output.fitted = { profile: fit.profile, report: evaluateRows(fit.rows, fit.profile) };
+    if (args.out) fs.writeFileSync(args.out, JSON.stringify(fit.profile, null, 2) + '\n');
+    if (args.save) {
+      const saved = store.save(args.name, fit.profile);
+      if (saved.errors) throw new Error(`Could not save profile: ${saved.errors.join('; ')}`);
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+  console.log(`Evaluated ${docs.length} texts (${counts}) with profile "${profile.name}", subject ${args.subject}, engine ${engine.ENGINE_VERSION}`);
+  console.log('');
+  console.log(formatReport(output.report));
+  if (output.fitted) {
+    const p = output.fitted.profile;
+    console.log('');
+    console.log(`Fitted profile "${p.name}" (measured on the same texts; check it on a separate folder):`);
+    console.log('Weights: ' + Object.entries(p.weights).map(([k, v]) => `${k} ${v}`).join(', '));
+    console.log('');
+    console.log(formatReport(output.fitted.report));
+    if (args.out) console.log(`\nWrote ${path.relative(process.cwd(), args.out) || args.out}`);
+    if (args.save) console.log(`\nSaved as "${p.name}" in data/profiles.json; choose it under Settings or send profile=${p.name}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { LABEL_FOLDERS, loadDataset, scoreDocuments, rescore, confusionMatrix, labelMetrics, rocAuc, evaluateRows, fitWeights, fitThresholds, fitProfile };
@@ -0,0 +1,211 @@
+// Text extraction for uploaded submissions (server-side)
+// Shared by the Express routes and the job worker threads.
+
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const AdmZip = require('adm-zip');
+const engine = require('./engine');
+const ocr = require('./ocr');
+
+// pdf.js reads PDFs page by page so scanned pages can be told apart and
+// their images read
+const PDFJS = require('pdfjs-dist/build/pdf.js');
+PDFJS.disableWorker = true;
+
+// A submission that could not be read (corrupt or encrypted file, image
+// that cannot be decoded); the message names the file
+class ExtractionError extends Error {
+  constructor(name, cause) {
+    super(`Could not read ${name}: ${cause.message}`);
+    this.name = 'ExtractionError';
+    this.cause = cause;
+  }
+}
+
+// Text of a pdf.js page with its headings and paragraph breaks (see
+// engine.pdfPageText)
+async function readPageText(page) {
+  const content = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  return engine.pdfPageText(content.items);
+}
+
+// Text of a PDF page by page, where the images on scanned pages are
+// recognised and their text added to the page. Every recognised stretch is
+// recorded as a region: page number, character range in the text,
+// confidence and the recognised lines.
+async function readPdf(data) {
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(data), nativeImageDecoderSupport: 'none' });
+  let text = '';
+  const regions = [];
+  let metadata = null;
+  try {
+    metadata = engine.pdfMetadata((await doc.getMetadata().catch(() => ({}))).info);
+    for (let p = 1; p <= doc.numPages; p++) {
+      const page = await doc.getPage(p);
+      let pageText = await readPageText(page).catch(() => '');
+      text += '\n\n';
+      if (pageText.trim().length < engine.OCR_MIN_PAGE_TEXT) {
+        const images = await ocr.pageImages(page, PDFJS.OPS).catch(() => []);
+        for (const image of images) {
+          const found = await ocr.recognizeImage(image).catch(() => null);
+          if (!found || !found.text) continue;
+          if (pageText) pageText += '\n';
+          const start = text.length + pageText.length;
+          pageText += found.text;
+          regions.push({ page: p, start, end: start + found.text.length, confidence: found.confidence, lines: found.lines });
+        }
+      }
+      text += pageText;
+    }
+  } finally {
+    doc.destroy();
+  }
+  return { text, ocr: engine.summarizeOcr(regions), metadata };
+}
+
+// Metadata of a format, or null when it records none or cannot be read
+function readMetadata(read) {
+  try {
+    return read();
+  } catch {
+    return null;
+  }
+}
+
+// Text and metadata of a format listed in engine.DOCUMENT_FORMATS
+function readFormat(format, data) {
+  if (format.source !== 'zip') {
+    const source = data.toString('utf8');
+    return { text: format.toText(source), metadata: format.metadata ? readMetadata(() => format.metadata(source)) : null };
+  }
+  const zip = new AdmZip(data);
+  const names = zip.getEntries().map(e => e.entryName);
+  const read = list => list.map(n => (zip.getEntry(n) ? zip.readAsText(n, 'utf8') : ''));
+  return {
+    text: format.toText(read(format.entries(names))),
+    metadata: format.metadata ? readMetadata(() => format.metadata(read(format.metaEntries))) : null
+  };
+}
+
+// Word documents: mammoth's HTML (headings, lists, tables, footnotes) as
+// text, and the document properties
+async function readDocx(data) {
+  const res = await mammoth.convertToHtml({ buffer: data });
+  const metadata = readMetadata(() => {
+    const zip = new AdmZip(data);
+    const [core, app] = engine.OFFICE_METADATA_ENTRIES.map(n => (zip.getEntry(n) ? zip.readAsText(n, 'utf8') : ''));
+    return engine.officeMetadata(core, app);
+  });
+  return { text: engine.htmlToText(res.value || ''), metadata };
+}
+
+// Files of unknown types are read as text unless they hold NUL bytes
+function looksBinary(data) {
+  return data.subarray(0, 8000).includes(0);
+}
+
+// Text of a submission plus `ocr` (null unless some of it was recognised
+// from images) and `metadata` (see engine.METADATA_FIELDS; null when the
+// file records none). Throws an ExtractionError when the file cannot be read.
+async function extractContent(data, name) {
+  const ext = path.extname(name).toLowerCase();
+  try {
+    const format = engine.documentFormat(name);
+    if (format) return { ...readFormat(format, data), ocr: null };
+    if (ext === '.pdf') return await readPdf(data);
+    if (ocr.IMAGE_EXTENSIONS.includes(ext)) {
+      const found = await ocr.recognizeImage(data);
+      return {
+        text: found.text,
+        ocr: engine.summarizeOcr(found.text ? [{ page: null, start: 0, end: found.text.length, confidence: found.confidence, lines: found.lines }] : []),
+        metadata: null
+      };
+    }
+    if (ext === '.docx') return { ...await readDocx(data), ocr: null };
+    return { text: looksBinary(data) ? '' : data.toString('utf8'), ocr: null, metadata: null };
+  } catch (err) {
+    throw new ExtractionError(name, err);
+  }
+}
+
+async function extractTextFromBuffer(data, name) {
+  return (await extractContent(data, name)).text;
+}
+
+async function extractContentFromFile(filePath, name) {
+  return extractContent(fs.readFileSync(filePath), name);
+}
+
+async function extractTextFromFile(filePath, name) {
+  return (await extractContentFromFile(filePath, name)).text;
+}
+
+// Submissions inside a ZIP archive (folders flattened, OS metadata skipped)
+const ARCHIVE_EXTENSIONS = ['.txt', '.pdf', '.docx', ...Object.keys(engine.DOCUMENT_FORMATS), ...ocr.IMAGE_EXTENSIONS];
+const MAX_ARCHIVE_ENTRIES = 200;
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+async function extractArchive(filePath, archiveName) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (err) {
+    throw new ExtractionError(archiveName, err);
+  }
+  const entries = zip.getEntries()
+    .filter(e => !e.isDirectory)
+    .filter(e => !e.entryName.startsWith('__MACOSX/') && !path.basename(e.entryName).startsWith('.'))
+    .filter(e => ARCHIVE_EXTENSIONS.includes(path.extname(e.entryName).toLowerCase()))
+    .filter(e => e.header.size <= MAX_ENTRY_BYTES)
+    .slice(0, MAX_ARCHIVE_ENTRIES);
+
+  const docs = [];
+  for (const entry of entries) {
+    const { text, ocr: recognised, metadata } = await extractContent(entry.getData(), entry.entryName);
+    docs.push({ fileName: entry.entryName, archive: archiveName, text, ocr: recognised, metadata });
+  }
+  return docs;
+}
+
+// Every document in an upload: one for a plain file, one per entry for a ZIP
+async function extractDocuments(filePath, name) {
+  if (path.extname(name).toLowerCase() === '.zip') return extractArchive(filePath, name);
+  const { text, ocr: recognised, metadata } = await extractContentFromFile(filePath, name);
+  return [{ fileName: name, text, ocr: recognised, metadata }];
+}
+
+// Readable files under a folder (recursively, in name order), relative to it
+function listFolder(folder) {
+  return fs.readdirSync(folder, { recursive: true })
+    .map(f => String(f))
+    .filter(f => [...ARCHIVE_EXTENSIONS, '.zip'].includes(path.extname(f).toLowerCase()))
+    .filter(f => fs.statSync(path.join(folder, f)).isFile())
+    .sort();
+}
+
+// Every document under a folder; used by the command-line tools, so the OCR
+// worker is stopped afterwards to let them exit. `fileName` is relative to
+// the folder.
+async function extractFolder(folder) {
+  const docs = [];
+  try {
+    for (const file of listFolder(folder)) docs.push(...await extractDocuments(path.join(folder, file), file));
+  } finally {
+    await ocr.terminate();
+  }
+  return docs;
+}
+
+module.exports = {
+  ExtractionError,
+  extractContent,
+  extractTextFromBuffer,
+  extractContentFromFile,
+  extractTextFromFile,
+  extractArchive,
+  extractDocuments,
+  listFolder,
+  extractFolder,
+  ARCHIVE_EXTENSIONS
+};
@@ -0,0 +1,140 @@
+// Analysis history store (server-side)
+// Saved runs live one per line in a JSON-lines file; the retention period
+// lives in a small JSON settings file next to it. Runs older than the
+// retention period are dropped on load, on every save and when the period
+// changes.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const engine = require('./engine');
+
+const MAX_RETENTION_DAYS = 3650;
+
+function createHistoryStore(filePath, settingsPath) {
+  const runs = new Map();
+  let settings = { retentionDays: 0 };
+
+  function rewrite() {
+    const lines = Array.from(runs.values()).map(r => JSON.stringify(r));
+    fs.writeFileSync(filePath, lines.length ? lines.join('\n') + '\n' : '');
+  }
+
+  function load() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    let raw = '';
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch {
+      raw = '';
+    }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const run = JSON.parse(line);
+        runs.set(run.id, run);
+      } catch (err) {
+        console.error('Skipping corrupt history line', err.message);
+      }
+    }
+    try {
+      settings = { ...settings, ...JSON.parse(fs.readFileSync(settingsPath, 'utf8')) };
+    } catch {
+      // first run: keep runs forever
+    }
+  }
+
+  // Drop runs older than the retention period; returns how many went
+  function prune(now) {
+    let dropped = 0;
+    for (const run of runs.values()) {
+      if (engine.runExpired(run, settings.retentionDays, now)) {
+        runs.delete(run.id);
+        dropped++;
+      }
+    }
+    if (dropped) rewrite();
+    return dropped;
+  }
+
+  function list(filter) {
+    return engine.filterRuns(Array.from(runs.values()).map(engine.summarizeRun), filter);
+  }
+
+  function get(id) {
+    return runs.get(id) || null;
+  }
+
+  // Returns { run } (the summary) or { errors }
+  function add({ className, state } = {}) {
+    const errors = engine.validateRun({ className, state });
+    if (errors.length) return { errors };
+    const run = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      className: (className || '').trim(),
+      state
+    };
+    // summarise before saving so a run the history page cannot list is never stored
+    const summary = engine.summarizeRun(run);
+    runs.set(run.id, run);
+    fs.appendFileSync(filePath, JSON.stringify(run) + '\n');
+    prune();
+    return { run: summary };
+  }
+
+  function remove(id) {
+    if (!runs.has(id)) return false;
+    runs.delete(id);
+    rewrite();
+    return true;
+  }
+
+  // Delete every run, or only those saved before `before` (an ISO date)
+  function clear(before) {
+    const cutoff = before ? Date.parse(before) : Infinity;
+    let deleted = 0;
+    for (const run of runs.values()) {
+      if (Date.parse(run.createdAt) < cutoff) {
+        runs.delete(run.id);
+        deleted++;
+      }
+    }
+    if (deleted) rewrite();
+    return deleted;
+  }
+
+  function getSettings() {
+    return { ...settings };
+  }
+
+  // Returns { settings } or { errors }
+  function saveSettings(changes) {
+    const days = Number((changes || {}).retentionDays);
+    if (!(Number.isInteger(days) && days >= 0 && days <= MAX_RETENTION_DAYS)) {
+      return { errors: [`retentionDays must be a whole number from 0 (keep forever) to ${MAX_RETENTION_DAYS}`] };
+    }
+    settings = { ...settings, retentionDays: days };
+    fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    prune();
+    return { settings: getSettings() };
+  }
+
+  load();
+  prune();
+
+  return {
+    get size() { return runs.size; },
+    list,
+    get,
+    add,
+    remove,
+    clear,
+    prune,
+    getSettings,
+    saveSettings
+  };
+}
+
+module.exports = { createHistoryStore, MAX_RETENTION_DAYS };
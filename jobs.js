@@ -0,0 +1,242 @@
+// Asynchronous analysis jobs (server-side)
+// Uploaded files are extracted and scored in a pool of worker threads
+// (worker.js); the job queue tracks per-file progress, notifies
+// subscribers (used for Server-Sent Events) and supports cancellation.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+// Rough per-file progress (percent) reached at each stage
+const STAGE_PROGRESS = { pending: 0, extracting: 25, analyzing: 60, done: 100, failed: 100, cancelled: 100 };
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+// Finished jobs are kept this long for polling, then dropped
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/* ---------------- WORKER POOL ---------------- */
+
+// `script` is the worker module, worker.js unless given
+function createWorkerPool(size, script = path.join(__dirname, 'worker.js')) {
+  const idle = [];
+  const queue = [];
+  const running = new Map(); // taskId -> { worker, task }
+  let total = 0;
+  let nextTaskId = 1;
+
+  function spawn() {
+    const worker = new Worker(script);
+    total++;
+    worker.on('message', msg => {
+      const entry = running.get(msg.taskId);
+      if (!entry) return;
+      if (msg.type === 'progress') {
+        entry.task.onProgress(msg.stage);
+        return;
+      }
+      running.delete(msg.taskId);
+      if (msg.type === 'done') entry.task.resolve(msg.docs);
+      else entry.task.reject(new Error(msg.error));
+      idle.push(worker);
+      drain();
+    });
+    // A crashed worker fails its task and is replaced on the next drain;
+    // 'exit' also covers workers that die without emitting 'error'
+    worker.on('error', err => retire(worker, err));
+    worker.on('exit', code => retire(worker, new Error(`Worker stopped with exit code ${code}`)));
+    return worker;
+  }
+
+  function retire(worker, err) {
+    worker.removeAllListeners('error');
+    worker.removeAllListeners('exit');
+    total--;
+    const i = idle.indexOf(worker);
+    if (i !== -1) idle.splice(i, 1);
+    for (const [id, entry] of running) {
+      if (entry.worker !== worker) continue;
+      running.delete(id);
+      entry.task.reject(err);
+    }
+    drain();
+  }
+
+  function drain() {
+    while (queue.length) {
+      let worker = idle.pop();
+      if (!worker && total < size) worker = spawn();
+      if (!worker) return;
+      const task = queue.shift();
+      running.set(task.id, { worker, task });
+      worker.postMessage({ taskId: task.id, filePath: task.filePath, name: task.name, profile: task.profile, subject: task.subject, rubric: task.rubric });
+    }
+  }
+
+  // Extract and score one uploaded file; resolves with its documents
+  function run({ filePath, name, profile, subject, rubric }, owner, onProgress) {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextTaskId++, filePath, name, profile, subject, rubric, owner, onProgress: onProgress || (() => {}), resolve, reject });
+      drain();
+    });
+  }
+
+  // Drop queued tasks of `owner` and stop the workers busy with its others
+  function cancel(owner) {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].owner !== owner) continue;
+      queue.splice(i, 1)[0].reject(new JobCancelledError());
+    }
+    for (const [id, entry] of running) {
+      if (entry.task.owner !== owner) continue;
+      running.delete(id);
+      entry.worker.removeAllListeners('error');
+      entry.worker.removeAllListeners('exit');
+      entry.worker.terminate();
+      total--;
+      entry.task.reject(new JobCancelledError());
+    }
+    drain();
+  }
+
+  // Stop every worker; queued and running tasks fail
+  function close() {
+    const closed = new Error('Worker pool closed');
+    const workers = [...idle, ...Array.from(running.values(), entry => entry.worker)];
+    for (const task of queue.splice(0)) task.reject(closed);
+    for (const [id, entry] of running) {
+      running.delete(id);
+      entry.task.reject(closed);
+    }
+    for (const worker of workers) {
+      worker.removeAllListeners();
+      worker.terminate();
+    }
+    idle.length = 0;
+    total = 0;
+  }
+
+  return { run, cancel, close, get size() { return size; } };
+}
+
+/* ---------------- JOB QUEUE ---------------- */
+
+// `finish(docs, options)` turns the extracted documents of a job into its result
+function createJobQueue({ pool, finish }) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  function view(job) {
+    const progress = job.files.length
+      ? job.files.reduce((s, f) => s + STAGE_PROGRESS[f.stage], 0) / job.files.length
+      : 100;
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      progress: Math.round(progress),
+      files: job.files.map(f => ({ name: f.name, stage: f.stage, documents: f.documents, error: f.error })),
+      error: job.error,
+      result: job.result
+    };
+  }
+
+  function emit(job) {
+    events.emit(job.id, view(job));
+  }
+
+  function settle(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    emit(job);
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+
+  async function run(job, uploads) {
+    job.status = 'running';
+    emit(job);
+    const extracted = await Promise.all(uploads.map((upload, i) => {
+      const file = job.files[i];
+      const onProgress = stage => {
+        file.stage = stage;
+        emit(job);
+      };
+      return pool.run({ filePath: upload.path, name: upload.originalname, profile: job.options.profile, subject: job.options.subject, rubric: job.options.rubric }, job.id, onProgress)
+        .then(docs => {
+          file.stage = 'done';
+          file.documents = docs.length;
+          emit(job);
+          return docs;
+        }, err => {
+          if (!(err instanceof JobCancelledError)) {
+            file.stage = 'failed';
+            file.error = err.message;
+            emit(job);
+          }
+          return [];
+        })
+        .finally(() => fs.unlink(upload.path, () => {}));
+    }));
+    if (job.status === 'cancelled') return;
+
+    try {
+      job.result = finish(extracted.flat(), job.options);
+      settle(job, 'done');
+    } catch (err) {
+      console.error(err);
+      job.error = 'Analysis failed';
+      settle(job, 'failed');
+    }
+  }
+
+  // `uploads` are multer files; the queue deletes them once processed
+  function create(uploads, options) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      options: options || {},
+      files: uploads.map(u => ({ name: u.originalname, stage: 'pending', documents: 0, error: null })),
+      error: null,
+      result: null
+    };
+    jobs.set(job.id, job);
+    run(job, uploads);
+    return view(job);
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? view(job) : null;
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINAL_STATUSES.includes(job.status)) return view(job);
+    for (const f of job.files) if (!FINAL_STATUSES.includes(f.stage)) f.stage = 'cancelled';
+    pool.cancel(id);
+    settle(job, 'cancelled');
+    return view(job);
+  }
+
+  // Returns an unsubscribe function
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  return { create, get, cancel, subscribe };
+}
+
+module.exports = { createWorkerPool, createJobQueue, JobCancelledError, FINAL_STATUSES };
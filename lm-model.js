@@ -0,0 +1,7 @@
+// Character n-gram language model of human-written assignments.
+// Generated by train-lm.js from human-corpus/ - do not edit; run
+// `npm run train-lm -- <folder>` to rebuild it from your own texts.
+(function (root, model) {
+  if (typeof module === 'object' && module.exports) module.exports = model;
+  else root.DetectorLanguageModel = model;
+})(typeof self !== 'undefined' ? self : this, {"type":"char-ngram","order":4,"counts":[{"0":44," ":1557,"o":464,"u":176,"r":330,"c":157,"l":251,"a":480,"s":436,"w":170,"e":783,"n":419,"t":664,"h":357,"m":182,"p":124,"d":247,"y":109,"i":439,"x":17,"b":103,"g":124,".":112,"f":133,"k":70,"v":48,",":56,"j":7,"(":1,")":1,"#":7,"-":3,"z":1,"'":19,":":3,"?":2,"\"":4,"q":2},{" o":72,"ou":58,"ur":28,"r ":81," c":58,"cl":7,"la":18,"as":39,"ss":15,"s ":152," w":119,"we":38,"en":58,"nt":41,"t ":180," t":250,"to":60,"o ":62,"th":188,"he":158,"e ":258,"wa":35,"at":65,"te":62,"er":102,"tr":20,"re":74,"ea":52,"tm":1,"me":55," p":47,"pl":18,"an":85,"on":77,"n ":96,"tu":12,"ue":4,"es":63,"sd":1,"da":4,"ay":18,"y ":69," a":153,"nd":75,"d ":152," h":58,"ho":40,"ne":42,"st":87,"tl":6,"ly":20," i":153,"i ":41," d":30,"di":17,"id":14," n":32,"no":20,"ot":25," e":38,"ex":9,"xp":5,"pe":27,"ec":23,"ct":11,"it":74," b":69,"be":27,"ha":59,"in":121,"ti":47,"ng":60,"g.":8,". ":106,"bu":10,"us":32," l":48," s":124,"so":30," g":34,"go":12,"ar":32,"ro":20,"un":21,"ns":14,"ad":29,"of":26,"f ":36,"ni":8,"e.":19,"a ":46,"gu":3,"uy":1,"ca":23,"al":45,"ll":31,"le":50,"ed":55," m":87,"mr":2,"r.":6,"ok":10,"ka":2,"af":7,"fo":32,"or":52,"sh":11,"ow":26," u":19,"d.":12,"wo":19,"rk":5,"ke":25," f":66,"li":20,"ik":7,"tw":5,"ty":3," y":13,"ye":7,"rs":24," k":5,"kn":3,"ew":5,"w ":18,"ev":23,"ve":40,"ry":18,"pi":8,"ip":2,"by":4,"na":2,"am":13,"e,":9,", ":56,"wh":28,"hi":37,"ic":23,"ch":49,"h ":31,"ki":2,"fu":7,"nn":5,"ny":5,"y.":7,"fi":19,"ir":9,"sa":19,"aw":4,"bi":8,"ig":11,"g ":38,"ta":27,"nk":12,"ks":10," r":33,"ri":32,"iv":6,"co":24,"om":24,"n.":6,"sm":4,"el":16,"ba":10,"ai":17,"is":42,"rm":6,"ma":26,"l ":32,"au":8,"se":34,"lg":1,"ga":7,"ae":1,"mu":9,"ud":6,"d,":5,"mo":18,"os":14,"rt":8," j":7,"ju":7,"si":20,"bo":26,"tt":7,"m ":18,"if":12,"yo":8,"u ":7,"av":8,"il":16,"lo":23,"ug":7,"gh":11,"h.":6,"ey":6,"dd":3,"em":13,"mi":15," (":1,"(i":1,"k ":22,"lu":7,"um":6,"m)":1,") ":1,"ak":13,"ts":19,"ck":11,"og":3,"ge":17,"et":24,"fa":8,"ft":6,"lt":7,"s.":14,"gr":9,"ra":20,"l,":2,"su":10,"rp":1,"pr":16,"ht":5,"ul":24,"ld":20,"ac":19,"ap":13,"p.":4,"hl":2,"ia":5,"pa":6,"ab":13,"b.":1,"mp":9,"wr":7,"yt":5,"do":7,"wn":5,"n,":3,"ys":6,"nu":3,"mb":4,"ff":8,"op":27,"p ":11,"ol":9,"t.":8,"sk":3,"pp":4,"nc":11,"ce":18," 0":23,"00":14,"0,":5,"up":5,"ps":5,"sp":6,"l.":1,"rn":8,"ls":7,"xt":4,"cu":5,"io":20,"nf":1,"r,":3,"ef":7,"fl":3,"tb":1,"oo":18,"de":24,"lf":3,"f.":2,"lp":2,"my":11,"ut":25,"0 ":16,"wi":14,"ox":7,"xe":3,"x ":5,"sw":5,"od":6,"hy":4,"eo":8,"lk":1,"k.":4,"lw":3,"ei":4,"rg":2,"ov":3,"rf":1,"w,":3,"tc":7,"b ":5," #":3,"##":1,"# ":4," -":2,"-0":1,"cr":1,"ee":18,"ie":13,"im":17,"gs":5,"mm":4,"az":1,"ze":1,"ob":8,"bl":8,"gn":2,"nm":1,"n'":9,"'t":9,"gi":1,"dv":1,"vi":5,"r'":3,"'s":7,"s:":1,": ":3,"dr":5,"ep":3,"t,":6,"dy":3,"uc":7,"h?":1,"? ":2,"dm":2,"pt":4,"ek":3,"nb":1,"g,":2,"gl":3,"ib":3,"nl":2,"hu":6,"rc":2,"s,":11,"m.":5,"ds":4,"py":1,"oc":2,"ph":11,"fe":6,"po":5,"rl":4,"nv":2,"ci":5,"ag":3,"yb":2,"eu":1,"0.":8,"sl":5,"sc":2,"dn":1,"w:":1,"oa":2," \"":2,"\"t":2,"du":5,"y\"":1,"\" ":2,"rd":7,"- ":1,"m:":1,"cc":3,".0":6,"fr":6,"pw":3,"eg":1,"gt":4,"hs":2,"m,":1,"dl":2,"sq":1,"qu":2,"ua":1,"lm":3,"m#":1,"#s":1,"s#":1,"#,":1,"0#":1," v":4,"va":1,"rr":2,"t'":4,"ms":2,"h,":2,"t-":1,"-t":1,"e\"":1,"hr":3,"br":2,"hb":1,"gg":2,"y,":2,"oi":3,"vo":2,"oe":1,"w.":1,"oy":1,"yi":2,"sf":1," q":1,"ui":1,"kl":1,"i'":2,"'d":1,"s?":1,"'m":1,"k,":1,"wl":1,"ah":1,"pu":1,"eb":1,"bs":1,"e'":1,"'r":1,"uf":1,"bv":1,"sy":1,"sn":1,"ru":3,"ix":1},{" ou":6,"our":11,"ur ":10,"r c":3," cl":6,"cla":4,"las":3,"ass":5,"ss ":6,"s w":21," we":30,"wen":4,"ent":16,"nt ":15,"t t":26," to":46,"to ":37,"o t":10," th":157,"the":118,"he ":100,"e w":16," wa":28,"wat":8,"ate":11,"ter":29,"er ":39,"r t":14," tr":10,"tre":6,"rea":20,"eat":3,"atm":1,"tme":1,"men":7,"t p":6," pl":4,"pla":6,"lan":2,"ant":6,"t o":9," on":26,"on ":32,"n t":23," tu":4,"tue":1,"ues":2,"esd":1,"sda":1,"day":4,"ay ":6,"y a":5," an":49,"and":51,"nd ":56,"d h":7," ho":15,"hon":10,"one":19,"nes":7,"est":10,"stl":4,"tly":4,"ly ":15,"y i":4," i ":40,"i d":6," di":11,"did":6,"id ":9,"d n":7," no":14,"not":11,"ot ":17,"t e":3," ex":5,"exp":5,"xpe":3,"pec":2,"ect":4,"ct ":2,"t i":25," it":43,"it ":35,"o b":4," be":20,"be ":9,"e t":42,"tha":29,"hat":32,"at ":37," in":34,"int":14,"nte":7,"ere":16,"res":6,"sti":10,"tin":7,"ing":45,"ng.":8,"g. ":8,". t":23,"e b":21," bu":10,"bus":1,"us ":4,"was":15,"as ":18,"s l":5," la":6,"lat":2,"te ":6,"e s":25," so":22,"so ":14,"o w":3,"we ":17,"e g":8," go":11,"got":7,"her":21,"re ":24,"e a":21," ar":6,"aro":3,"rou":4,"oun":5,"und":11,"d t":32," te":8,"ten":4,"en ":19,"n i":7,"ins":5,"nst":4,"ste":7,"tea":5,"ead":13,"ad ":12,"d o":11," of":26,"of ":22,"f n":1," ni":3,"nin":3,"ine":6,"ne.":4,"e. ":19,". a":9," a ":44,"a g":2," gu":3,"guy":1,"uy ":1,"y c":7," ca":11,"cal":8,"all":20,"lle":2,"led":2,"ed ":45,"d m":10," mr":2,"mr.":2,"r. ":6,". o":5," ok":2,"oka":2,"kaf":2,"afo":2,"for":28,"or ":27,"r s":11," sh":9,"sho":6,"how":9,"owe":4,"wed":3,"d u":4," us":8,"s a":21,"nd.":3,"d. ":12,". h":5," he":14,"e h":8," ha":20,"has":2," wo":17,"wor":7,"ork":5,"rke":2,"ked":7,"e f":11," fo":26,"r l":4," li":13,"lik":7,"ike":7,"ke ":11," tw":4,"twe":3,"nty":2,"ty ":3,"y y":2," ye":6,"yea":5,"ear":10,"ars":3,"rs ":11,"e k":1," kn":3,"kne":1,"new":2,"ew ":5,"w e":1," ev":16,"eve":22,"ver":22,"ery":13,"ry ":13,"y p":4," pi":4,"pip":2,"ipe":2,"pe ":3," by":4,"by ":4,"y n":1," na":1,"nam":1,"ame":3,"me,":2,"e, ":9,", w":9," wh":28,"whi":8,"hic":8,"ich":9,"ch ":17,"h w":4,"s k":1," ki":1,"kin":2,"ind":4,"f f":2," fu":5,"fun":4,"unn":2,"nny":2,"ny.":1,"y. ":7,". f":3," fi":16,"fir":4,"irs":4,"rst":6,"st ":25,"t w":15," sa":18,"saw":2,"aw ":3,"w t":3," bi":8,"big":2,"ig ":1,"g t":3," ta":11,"tan":8,"ank":2,"nks":3,"ks ":8,"whe":7,"e r":8," ri":3,"riv":1,"ive":6,"r w":4," co":21,"com":8,"ome":12,"mes":5,"es ":28,"s i":10,"in.":1,"n. ":6,". i":19,"t s":15," sm":4,"sme":1,"mel":1,"ell":2,"d b":9," ba":9,"bad":2,"ad.":3,". r":1," re":27,"eal":5,"lly":5,"y b":2,"sai":4,"aid":4," is":23,"is ":27,"s n":2,"nor":3,"orm":4,"rma":4,"mal":5,"al ":8,"l b":6,"bec":7,"eca":8,"cau":7,"aus":7,"use":16,"se ":14,"e o":6,"f t":16," al":16,"alg":1,"lga":1,"gae":1,"ae ":1,"e m":11," mu":8,"mud":1,"ud,":1,"d, ":5,", a":15,"t m":12," mo":12,"mos":10,"ost":11,"e d":5,"dir":2,"irt":1,"rt ":5,"t j":2," ju":7,"jus":7,"ust":9," si":7,"sin":8,"ink":9,"s t":18," bo":16,"bot":1,"ott":1,"tto":1,"tom":1,"om ":5,"m i":3," if":9,"if ":9,"f y":1," yo":7,"you":7,"ou ":7,"u l":1," le":16,"lea":6,"eav":1,"ave":7,"ve ":8," st":36,"til":9,"ill":8,"ll ":16,"l f":2," lo":11,"lon":4,"ong":5,"ng ":33,"g e":1," en":3,"eno":1,"nou":1,"oug":4,"ugh":5,"gh.":1,"h. ":6,"hey":6,"ey ":6," ad":4,"add":1,"dd ":1,"d a":16,"a c":3," ch":15,"che":12,"hem":5,"emi":1,"mic":1,"ica":4,"l (":1," (i":1,"(i ":1,"i t":5,"thi":22,"hin":21,"nk ":8,"k i":3,"alu":2,"lum":3,"um)":1,"m) ":1,") t":1," ma":19,"mak":4,"ake":12,"kes":6,"sma":3,"bit":4,"its":7,"ts ":17,"s s":10,"tic":1,"ick":3,"ck ":4,"k t":5,"tog":1,"oge":1,"get":8,"eth":3,"y s":5,"k f":1," fa":8,"fas":2,"ast":2,"er.":3," af":5,"aft":5,"fte":6,"fil":2,"ilt":2,"lte":3,"ers":15,"rs.":3,"s. ":14,"are":5,"e j":1,"t l":6,"lay":1,"aye":1,"yer":1,"s o":15,"f s":2,"san":2,"d g":2," gr":7,"gra":5,"rav":3,"vel":3,"el,":1,"l, ":2,"h s":1," su":5,"sur":5,"urp":1,"rpr":1,"pri":11,"ris":3,"ise":3,"sed":4," me":21,"me ":19,"e i":18,"tho":6,"hou":11,"ght":5,"ht ":3,"wou":7,"oul":15,"uld":15,"ld ":19,"som":10," hi":5,"hig":1,"igh":6,"gh ":3,"h t":3,"tec":1,"ech":1,"h m":3,"mac":1,"ach":5,"chi":2,". m":5,"d s":6,"d i":23,"l o":5,"ne ":8,"bes":1,"t f":7,"hav":4,"s c":3,"hea":3,"eap":2,"ap.":2,"p. ":4,"hen":9,"r g":2," ge":8,"ets":4,"chl":1,"hlo":1,"lor":1,"ori":2,"rin":13,"bac":2,"act":4,"cte":1,"eri":3,"ria":2,"ia ":1,"can":5,"ann":3,"nno":2,"t g":5,"gro":2,"row":2,"ow ":10,"w i":2,"in ":28,"e p":16,"pes":1,"way":7,"y t":10,"o o":3,"r h":5,"ous":5,"ses":3,"es.":6," pa":6,"par":2,"art":5,"i l":4,"e l":8,"lab":3,"ab.":1,"b. ":1,"two":2,"wo ":2,"wom":1,"tes":6,"sam":6,"amp":3,"mpl":5,"ple":12,"les":7,"s e":5,"y h":5,"r a":7,"d w":7," wr":7,"wri":3,"rit":3,"ite":4,"e e":7,"ryt":4,"yth":5,"g d":2," do":7,"dow":1,"own":5,"wn,":1,"n, ":3,", e":4,"ven":5,"n o":1,"n s":8,"sun":1,"nda":1,"ays":5,"ys.":1,"f o":3,"e n":7," nu":2,"num":2,"umb":2,"mbe":3,"ber":4,"r i":5,"off":4,"ff ":3,"an ":11,"sto":10,"top":9,"op ":5,"p t":1,"who":4,"hol":3,"ole":1,"le ":18,"nt.":1,"t. ":8,"i a":2," as":6,"ask":2,"ske":1,"hap":5,"app":3,"ppe":3,"pen":6,"ene":2,"ned":7,"lau":1,"aug":1,"ghe":1,"hed":5,"onc":2,"nce":5,"ce,":1,", i":5,"n 0":2," 00":6,"000":6,"00,":1,"0, ":5,"n a":15,"a f":5,"far":1,"arm":1,"rm ":1,"m u":1," up":5,"ups":1,"pst":1,"str":9,"eam":1,"am ":3,"m h":4,"had":4,"a s":9," sp":4,"spi":1,"pil":1,"ll.":1,"l. ":1,"arn":3,"rne":4,"t c":11,"cle":1,"ean":2,"n w":5,"tak":8,"a l":4,"lot":1,"mor":3,"ore":6,"rk ":1,"han":5,"tur":5,"urn":3,"rni":1,"g o":2,"tap":1,"als":3,"lso":3,"o l":2,"o s":6,"sta":14," ne":9,"nex":3,"ext":4,"xt ":3,"nta":1,"k a":3,"r e":3," ea":7,"ati":5,"g l":2," lu":2,"lun":1,"unc":3,"nch":1,"ch.":5,"rec":5,"ecu":2,"cur":4,"urs":2,"rsi":3,"sio":3,"ion":17,"n c":6,"con":3,"onf":1,"nfu":1,"fus":1,"r m":6," se":8,"sem":2,"eme":2,"er,":3,"r, ":3,", s":5,"o f":2,"his":5,"s r":3,"ref":2,"efl":1,"fle":1,"lec":1,"cti":6,"tio":14,"i w":7,"wan":2,"o e":2,"xpl":2,"lai":2,"ain":7,"n h":4,"i f":5,"fin":7,"ina":1,"nal":1,"y g":3,"it.":3,"tex":1,"xtb":1,"tbo":1,"boo":5,"ook":8,"ok ":6,"k d":1," de":7,"def":1,"efi":1,"ini":2,"nit":1,"iti":3,"t a":14,"nct":2,"lls":1,"ls ":3,"tse":1,"sel":2,"elf":1,"lf.":1,"f. ":2,"t n":5,"nev":4,"hel":3,"elp":2,"lpe":2,"ped":3,"me.":4,". w":9,"wha":5,"t h":3,"n m":3," my":11,"my ":10,"tut":1,"uto":1,"tor":3,"mad":4,"ade":5,"de ":5,"tra":6,"rac":2,"ace":3,"ce ":8,"fac":1,"cto":1,"ial":2,"f 0":1," 0 ":6,"0 o":1,"n p":4,"pap":2,"ape":2,"per":4," wi":9,"wit":10,"ith":11,"th ":9,"h b":2,"box":7,"oxe":3,"xes":3,". e":2,"l g":1," ow":3,"wn ":3,"n b":2,"ox ":4,"x w":1,"h i":3,"n n":1," n.":1,"x f":2,"r 0":3,"0 w":2,"wai":2,"ait":2,"s f":8," 0,":4,"n u":1," un":6,"unt":3,"nti":7,"il ":4,"l y":1,"u h":2,"hit":1,"t 0":6,"h j":1,"t r":4,"ret":2,"etu":1,"rns":2,"ns ":5,"s 0":1,"out":11,"ut ":20,"lli":2,"lin":2,"g a":7,"any":3,"nyt":1,"ans":1,"nsw":1,"swe":1,"wer":8,"el ":2,"ack":4,"k u":1,"up.":1,"i s":3,"tac":3,"cke":2,"up ":3,"p i":2,"i u":2,"nde":4,"der":3,"too":7,"ood":3,"od ":4,"why":4,"hy ":4," pe":10,"peo":7,"eop":7,"opl":7,"tal":2,"alk":1,"lk ":1," ab":7,"abo":7,"bou":8,"e c":14,"l s":2,"ck.":2,"k. ":4,"y m":5," mi":8,"mis":4,"ist":7,"alw":3,"lwa":3,"ys ":4,"bas":1,"ase":2,"cas":1,"se.":2," ei":2,"eit":2,"org":1,"rgo":1,"omp":3,"let":5,"ete":3,"tel":3,"ely":2,"k o":1," ov":3,"ove":3,"erf":1,"rfl":1,"flo":1,"low":8,"ow,":3,"w, ":3,", o":2," or":4,"wro":3,"rot":2,"ote":2,"ron":2,"g s":2,"o i":5,"mat":6,"atc":5,"tch":7,"ed.":5,"n l":1,"ab ":2,"b 0":2,"0 i":1," n ":2,"n #":2," ##":1,"## ":1,"# 0":2,"0 b":1,"but":9,"y f":3,"tar":4,"rte":1,"ted":4," at":7," # ":2,"# -":1," -0":1,"-0 ":1,"0 f":1,"eas":8,"aso":2,"son":5," ra":2,"ran":4,"n f":4,"rev":2,"r u":2,"l i":4," cr":1,"cra":1,"ras":1,"ash":1,"she":4,"k m":2,"see":5,"ee ":4,"l t":4,"k l":1,"loo":2,"oop":2,"ops":2,"ps ":3,"asi":1,"sie":1,"ier":2,"o r":3,"d f":4,"sim":2,"imp":3,"ngs":5,"gs ":4,"sum":1,"umm":1,"mmi":2,"min":5,"lis":3,"st.":3,". b":3,"maz":1,"aze":1,"ze ":1," pr":13,"pro":3,"rob":3,"obl":2,"ble":6,"lem":2,"em ":3,"ssi":3,"sig":1,"ign":2,"gnm":1,"nme":1,", r":2,"cod":1,"ode":1,"hal":3,"alf":2,"lf ":2,"f a":1,". y":1,"u j":1,"try":2,"y e":2,"y d":2,"ire":1,"f i":5,"a w":2,"wal":1,"r y":2,"bee":2,"een":4,"bef":2,"efo":3,"re,":1,", y":1,"u s":2,"op.":1,"don":4,"on'":6,"n't":9,"'t ":8,"i c":1,"cou":7,"itt":3,"tte":3,"h l":3,"ett":1,"tti":1,"los":3,"i h":1,"o g":3," gi":1,"giv":1,"adv":1,"dvi":1,"vic":1,"ice":6,"o n":2,"t y":1,"ar'":1,"r's":3,"'s ":7,"stu":5,"tud":4,"ude":3,"den":4,"nts":4,"ts:":1,"s: ":1,": d":1," dr":2,"dra":1,"raw":1,". d":1,"o k":1," ke":1,"kee":1,"eep":1,"ep ":1,"n y":2,"ad,":2,", b":5,"e y":1,"u c":1,"an'":1,"'t,":1,"t, ":6,", n":1,"nob":1,"obo":1,"bod":1,"ody":1,"dy ":3,"an.":1,"g p":1,"pre":2,"ess":8,"s m":7,"att":2,"o m":4,"muc":7,"uch":7,"ch?":1,"h? ":1,"? m":1,"ndm":2,"dmo":2,"mot":2,"oth":3,"say":4,"ern":2,"net":2,"et ":7," ti":9,"tim":11,"ime":11,"r r":2,"adi":2,"din":3,"cha":4,"apt":3,"pte":4,"r f":3,"wee":4,"eek":3,"ek ":1,"k s":1,"y r":1,"rig":1,"ht,":1,", t":3,"h n":1,"ly.":3,"gut":1,"ute":2,"enb":1,"nbe":1,"erg":1,"rg,":1,"g, ":2,"oks":2,"cop":4,"opi":3,"pie":3,"ied":4,"nd,":1,", m":3,"mon":2,"onk":1,"ks.":1,"ngl":3,"gle":3,"bib":2,"ibl":3,"a y":1,"ar.":1,"mea":5,"t b":1,"rar":1,"d e":2,"ens":4,"nsi":2,"siv":1,"onl":2,"nly":2,"chu":2,"hur":2,"urc":2,"rch":2,"hes":2,"es,":6,"s, ":11,"ric":2,"h f":1,"fam":3,"ami":2,"mil":2,"ili":1,"lie":2,"ies":4,"uni":1,"niv":1,"sit":2,"tie":3,"s h":6,"em.":3,"m. ":5,"d 0":2,"00 ":5,"0 a":1,"a p":4,"hop":1,"p c":1," hu":4,"hun":4,"ndr":3,"dre":3,"red":7,"eds":1,"ds ":4,"f c":1,"o c":2,"opy":1,"py ":1,"y o":1,". p":4,"ces":2,"s d":4,"dro":1,"rop":2,"opp":1,"a r":2,"rn ":1,"foc":1,"ocu":1,"cus":1,"on.":2,". l":1,"lut":1,"uth":1,"er'":1,"s p":3,"pam":1,"mph":1,"phl":1,"hle":1,"spr":2,"ger":4,"erm":1,"man":1,"ny ":2," fe":4,"few":2,"w w":1,"eks":1,"ks,":1," im":1,"mpo":1,"pos":1,"oss":1,"sib":1," ce":2,"cen":2,"ntu":1,"ury":1,"arl":2,"rli":1,"h c":1,"ban":4,"a b":7,"k b":1,"p a":1,"a h":2,"d p":2,"tow":1,"wns":1,"ns.":1,"fou":3,"onv":1,"nvi":1,"vin":1,"inc":4,"nci":2,"cin":1,"dis":2,"isa":1,"sag":1,"agr":1,"gre":2,"ree":2,"spe":2,"pee":1,"eed":2,"ang":5,"nge":6,"ged":1,"may":2,"ayb":2,"ybe":2,"n e":2," eu":1,"eur":1,"uro":1,"ope":2,"l c":1,"00.":2,"0. ":2,". s":6," ef":2,"eff":2,"ffe":2,"fec":1," sl":4,"slo":4,"t d":1,"dep":1,"epe":1,"end":8,"ded":3," sc":2,"sch":2,"cho":2,"hoo":2,"ool":2,"ols":1,"ls,":1,"ap ":1,"p p":1," ci":1,"cit":1,"s g":3,"owi":1,"win":4,"g i":7,"idn":1,"dn'":1,"t k":2,"kno":2,"now":2,"ow:":1,"w: ":1,": e":1,"rly":1,"loa":1,"oad":1,"ads":1,"f m":1,"amo":1,"mou":1,"isp":1,"r d":1,"dec":2,"cad":1,"des":3,"d \"":2," \"t":2,"\"th":2,"sha":1,"alt":1,"lt ":2,"omm":3,"mit":1,"adu":2,"dul":4,"ult":3,"ry\"":1,"y\" ":1,"\" b":1,"ord":1,"rd ":5,"iss":1,"mem":2,"emo":1,"ora":1,"rab":1,"abl":2,"i r":2,"ek.":1,"0 -":1," - ":1,"- m":1,"asu":4,"uri":2,"g g":1," g ":2,"g w":6,"h a":5,"ndu":2,"ulu":2,"um ":2,"m a":3," ai":2,"aim":1,"im:":1,"m: ":1,": t":1,"ure":4," ac":3,"acc":3,"cce":2,"cel":1,"ele":2,"ler":1,"era":2,"rat":2,"n d":1," du":1,"due":1,"ue ":1,"avi":1,"vit":1,"ity":1,"y u":2,"usi":2,"w c":1,"clo":1,"ose":2,"o 0":2," 0.":6,"0.0":6,".00":2,"a m":1,"met":5,"eta":1,"bob":3,"ob ":3,"b t":1,"o a":4,"tri":4,"ung":1," fr":6,"fro":5,"rom":4,"m t":4,"lam":1,"mp ":1,"p s":1,"eld":1,"opw":3,"pwa":3,"go ":2,"b e":1,"eac":5,"0 d":1,"deg":1,"egr":1,"ees":1,"rmu":1,"mul":1,"ula":1,"la ":1,"a o":1,"y w":3,"rks":2,"l a":2,"med":3,"0 s":2," sw":4,"swi":4,"len":4,"eng":4,"ngt":4,"gth":4,"ne,":3,"imi":1,"oo ":3,"ccu":1,"ura":1,"te.":1,"rie":3,"fiv":2,"ths":2,"hs ":2,"m 0":1,".0 ":4,"0 m":5," m ":2," m.":1,"esu":1,"sul":1,"lts":2,"lac":2,"ce.":2,"m w":1,"rio":2,"iod":1," m,":1,"m, ":1,"no ":1,"sen":1,"nse":1,"ali":2,"etc":1,"lit":3,"ttl":2,"tle":2,"p o":1,"b i":1,"mid":2,"idd":2,"ddl":2,"dle":2,"le.":2,"edi":3,"a n":1,"w s":1,"ntr":1,"re.":1,"sec":1,"eco":3,"ond":1,"rap":2,"aph":1,"ph ":1,"h o":1," t ":1," sq":1,"squ":1,"qua":1,"uar":1," ag":2,"aga":2,"gai":2,"alm":2,"lmo":2,"rai":2,"aig":1,"lop":1,"g #":1," m#":1,"m#s":1,"#s#":1,"s#,":1,"#, ":1," 0#":1,"0# ":1,"# l":1,"cep":1,"ept":1,"d v":1," va":1,"val":1,"lue":1,"ue.":1,"mai":2," er":1,"err":1,"rro":1,"ror":1,"l r":1,"air":2,"ir ":3,"esi":1,"sis":1,"anc":1,"oba":1,"bab":1,"bly":2,"it'":4,"t's":4,"har":4,"ard":6,"w m":3,"f w":2,"lig":1," ga":2,"gat":2," ms":1,"ms.":1,"pat":1,"l m":2,"ed,":1,"e 0":1,"gs.":1,"old":3,"ch,":1,"h, ":2,"sor":1,"orr":1,"rry":1,"am.":1,"i p":1,"pic":2," cu":1,"iou":2,"cid":2,"ide":2,"dog":2,"og ":2,"nig":1,"ht-":1,"t-t":1,"-ti":1,"me\"":1,"e\" ":1,"\" f":1,"k r":1,"evi":1,"vie":1,"iew":1,"w b":1,"n r":1,"mme":2,"it,":2,"nis":1,"ish":1,"eni":1,"ory":1,"tol":1,"chr":2,"hri":2,"oph":2,"phe":2,"fif":1,"ift":1,"tee":1,"ar ":2,"r o":2," ol":1,"ho ":3,"s b":3," br":2,"bri":1,"ril":1,"lia":1,"ian":1,"ath":1,"nds":2,"o u":2,"nei":1,"eig":1,"ghb":1,"hbo":1,"ur'":1,"dea":1,"gar":2,"rde":2,"d d":1,"eci":2,"inv":1,"nve":1,"ves":1,"tig":1,"iga":1,"te,":1,", l":1,"erl":1,"rlo":1,"loc":1,"ock":1,"k h":1,"olm":1,"lme":1,"rts":1,"mys":1,"yst":1,"nto":1,"g m":2,"igg":1,"gge":2,"ily":1,"ly,":2,"y, ":2,"won":2,"spo":1,"poi":2,"oil":1,"omi":1,"e v":1," vo":2,"voi":1,"oic":1,". c":1,"g v":1," ve":1,"y l":2,"ral":1,"eti":2,"goe":1,"oes":1,"a t":1,"gen":2,"rim":1,"col":1,"olo":1,"lou":1,"yel":1,"llo":3,"ow.":1,"w. ":1,"noy":1,"oyi":1,"yin":2,"w h":3,"h e":1,"ffo":1,"ort":2,"him":1,"im ":1,"thr":1,"hro":1,"a d":1," da":2,"tat":1,"ssf":1,"sfu":1,"ful":2,"ul ":1,"goo":2,"ay.":3,". n":2,"fel":1,"elt":1," fl":1,"fla":1,"at,":1," es":1,"esp":1,"cia":1," po":3,"pol":1,"oli":1,"lic":1,"ffi":1,"fic":2,"cer":1,"rs,":1,"r n":1,"nic":1,"bet":2,"etw":1,"en.":1,"ndi":1,"wra":1,"aps":1,"s u":1,"p q":1," qu":1,"qui":1,"uic":1,"ckl":1,"kly":1,"ll,":1," i'":2,"i'd":1,"'d ":1,"d r":1,"nyo":1,"yon":1,"o d":1,"hor":1,"rt,":1,"ge ":1,"w d":1,"dif":1,"iff":1,"fer":1,"ren":1,"ien":2,"enc":1,"orl":1,"rld":1,"ld.":1,"ve.":1," ph":7,"pho":7,"nne":1,"ss?":1,"s? ":1,"? o":1,"ol ":1,"s v":1,"vot":1,"oti":2,"ont":2,"nth":1,"th,":1,"o h":1,"nk.":1,"i g":2,"hec":3,"eck":3,"cks":2,"hei":1,"eir":1,"r p":1,"sso":3,"n g":1,"ncl":1,"clu":1,"lud":1,"i'm":1,"'m ":1,"tif":1,"ifi":1,"cat":1,"ons":1,"pop":1,"p u":1,"p e":1,"inu":1,"nut":1," ig":1,"gno":1,"udy":2,"sse":1,"emb":2,"mbl":1,"ayi":1,"rem":1,"s j":1,"esk":1,"sk,":1,"k, ":1,"itc":1,"ff.":1,"w g":1,"as,":1,"ee.":1,"ull":1,"fee":1,"eel":1,"els":2,"ict":1,"ctu":1,"boa":1,"oar":1,"owl":1,"wly":1,"nee":1,"m f":1,"dic":2," ap":1,"pps":1,"ps,":1,"fri":1,"d l":1,"eah":1,"ah ":1,"h h":1,"dia":1,"iab":1,"abe":1,"d c":1,"sug":2,"uga":1,"lev":1,"mpu":1,"put":1,"uti":1,"web":1,"ebs":1,"bsi":1,"d j":1,"ugg":1,"ges":1,"x a":1,"on,":2,"we'":1,"e'r":1,"'re":1,"tuf":1,"uff":1," ob":1,"obv":1,"bvi":1,"vio":1,"usl":1,"sly":1,"meo":1,"eon":1,"e u":1,"ski":1,"ng,":1,"t u":1,"eem":1,"ems":1,"ms ":1,"fai":1,"asy":1,"sy ":1,"gue":1,"oin":1,"isn":1,"sn'":1," ru":1,"rul":1,"ule":1,"ats":1,"fix":1,"ix ":1,"x t":1,"at.":1,"tru":2,"rus":2,"le,":1,"bre":1,"eak":1,"ak ":1," aw":1,"awa":1},{" our":5,"our ":10," cla":4,"clas":3,"lass":3,"ass ":2,"ss w":2,"s we":10," wen":2,"went":4,"ent ":7,"nt t":3,"t to":11," to ":36,"to t":7,"o th":9," the":111,"the ":92,"he w":5,"e wa":6," wat":5,"wate":5,"ater":5,"ter ":14,"er t":8," tre":2,"trea":3,"reat":2,"ment":4,"nt p":2," pla":4,"plan":2,"lant":2,"ant ":5,"nt o":2,"t on":2," on ":17,"on t":9,"n tu":2,"day ":2,"y an":2," and":43,"and ":46,"nd h":5,"d ho":2," hon":3,"hone":10,"ones":7,"nest":3,"estl":2,"stly":4,"tly ":4," i d":6,"i di":4," did":5,"did ":5,"id n":2,"d no":6," not":10,"not ":9,"ot e":2," exp":5,"expe":3,"ect ":2,"t it":9," it ":30,"it t":5,"to b":2,"o be":2," be ":7,"be t":4,"e th":20," tha":29,"that":26,"hat ":30,"at i":6,"t in":2," int":5,"inte":7,"nter":6,"esti":3,"ting":7,"ing.":7,"ng. ":8,"g. t":4,". th":21,"he b":13,"s wa":3," was":15,"was ":14,"as l":3,"ate ":2,"te s":2,"e so":5," so ":11,"so w":2,"o we":2," we ":17,"we g":4,"e go":4," got":6,"got ":7,"ot t":2,"t th":9,"ther":11,"here":8,"ere ":14,"re a":5," aro":3,"arou":3,"roun":3,"ound":5,"und ":4,"nd t":9," ten":2,"ten ":2,"en i":3," ins":3,"inst":4,"nste":3,"stea":3,"tead":3,"ead ":8,"ad o":3,"d of":6," of ":22,"ine.":3,"ne. ":4,"e. a":2,". a ":2," a g":2,"y ca":4," cal":5,"call":5,"lled":2,"led ":2,"ed m":6," mr.":2,"mr. ":2,"r. o":2,". ok":2," oka":2,"okaf":2,"kafo":2,"afor":2,"for ":21,"or s":5," sho":6,"show":2,"owed":3,"wed ":3,"ed u":2,"d us":2,"s ar":2,"nd. ":3,"d. h":4,". he":3," he ":7,"he h":2,"e ha":5," has":2,"has ":2,"as w":2," wor":7,"work":5,"orke":2,"rked":2,"ked ":7,"ed t":10,"d th":21,"re f":2,"e fo":3," for":22,"or l":2," lik":7,"like":7,"ike ":5,"ke t":4,"e tw":2," twe":2,"twen":2,"enty":2,"nty ":2,"ty y":2,"y ye":2," yea":5,"year":5,"ears":2,"ars ":2,"rs a":2,"s an":7,"d he":2,"new ":2," eve":16,"ever":16,"very":11,"ery ":8," pip":2,"pipe":2," by ":4,"me, ":2,", wh":9," whi":8,"whic":8,"hich":8,"ich ":9,"ch w":3,"h wa":3,"ind ":2,"nd o":4,"of f":2," fun":4,"funn":2,"unny":2," fir":4,"firs":4,"irst":4,"rst ":4,"st w":2,"t we":3,"we s":3,"e sa":4," saw":2,"saw ":2,"aw t":3,"w th":3,"e bi":2," big":2," tan":4,"tank":2,"nks ":2,"ks w":3,"s wh":6," whe":7,"wher":2,"re t":3,"he r":2,"iver":2,"ver ":9,"er w":2,"er c":2," com":6,"mes ":3,"es i":3,"s in":6,". it":2,"ed b":2,"d ba":2," bad":2,"bad.":2,"ad. ":3," rea":15,"real":5,"eall":2,"ally":5,"lly ":4,"ly b":2,"he s":13," sai":4,"said":4,"aid ":4,"id t":2,"t is":8," is ":22,"s no":2," nor":2,"norm":2,"orma":3,"rmal":2,"mal ":2,"al b":3," bec":7,"beca":7,"ecau":7,"caus":7,"ause":7,"use ":11,"e of":4,"of t":13,"f th":15,"he a":5,"e al":4,"e an":7,"he m":6,"d, a":2,", an":14,"at m":5,"t mo":3," mos":8,"most":10,"ost ":8,"st o":4,"t of":6,"he d":4,"e di":2," dir":2,"t ju":2," jus":7,"just":7,"ust ":8,"st s":3," sin":5,"sink":2,"ks t":2,"s to":4,"e bo":9," if ":9," you":7,"you ":6," lea":5,"ave ":5,"er s":4,"r st":2," sti":7,"stil":6,"till":6,"ill ":5,"l fo":2," lon":4,"long":4,"ong ":2,"ough":4,"they":6,"hey ":6,"ey a":2,"d a ":6," a c":2," che":6,"ical":3,"cal ":3,"i th":5," thi":14,"thin":19,"hink":7,"ink ":7,"nk i":2,"it w":6,"t wa":5,"as a":4,"s al":4,"t ma":5," mak":4,"make":4,"akes":6,"kes ":5,"es t":4,"s th":11," sma":3,"smal":3,"mall":3,"all ":10,"ll b":2," bit":4,"its ":6,"ts s":2,"s st":7,"k to":2,"her ":8,"r so":3,"so t":3,"ey s":2," fas":2,"fast":2,"ster":3,"er. ":3,". af":2," aft":5,"afte":5,"fter":5,"r th":10,"at w":5,"e we":3,"he f":5,"e fi":4," fil":2,"filt":2,"ilte":2,"lter":3,"ters":6,"ers.":2,"rs. ":3,"s. t":3," are":3,"are ":4,"st l":2,"ers ":9,"rs o":3,"s of":6," san":2,"sand":2,"nd a":4,"d an":4,"nd g":2," gra":5,"grav":2,"rave":2,"avel":2,"ised":3,"sed ":4,"d me":4," me ":6,"e be":5,"se i":3,"e i ":4," i t":4," tho":2,"thou":6,"houg":2,"ght ":3,"t wo":2," wou":7,"woul":7,"ould":15,"uld ":15,"ld b":6,"d be":5,"be s":2," som":10,"some":10,"ome ":5,"ch m":2,"h ma":2,"chin":2,"d sa":2,"nd i":14,"is s":3,"ll o":4," one":5,"one ":7,"est ":3,"t fi":4,"rs w":3," hav":4,"have":4,"ve a":3,"d it":10,"it i":5,"s ch":3,"chea":2,"heap":2,"ap. ":2,"then":4,"hen ":8,"en t":5,"n th":16,"er g":2,"r ge":2," get":7,"gets":3,"ets ":4," bac":2," can":5,"anno":2,"ot g":2," gro":2,"grow":2,"ow i":2," in ":22,"in t":6,"he p":7,"e pi":2,"es o":5,"s on":4," way":3,"way ":2,"ay t":3,"y to":4,"ur h":2," hou":3,"uses":3,"es. ":6," par":2,"part":2,"art ":3,"rt i":2,"t i ":6," i l":4,"i li":2,"iked":2,"d mo":3,"as t":2,"he l":6,"e la":2," lab":3," two":2,"two ":2," tes":2,"test":2,"t sa":3," sam":6,"mple":5,"s ev":4,"y ho":2,"hour":2,"r an":3,"nd w":2," wri":3,"writ":3,"rite":2,"ite ":2,"eryt":4,"ryth":4,"ythi":5,"hing":13,"ing ":30,", ev":3,"even":5,"ven ":4,"on s":3,"s. i":3,". if":4,"f on":3,"e nu":2," num":2,"numb":2,"umbe":2,"mber":3,"ber ":2,"er i":3,"r is":3,"is o":2," off":4,"off ":2,"can ":2,"an s":2,"n st":4," sto":7,"stop":8,"top ":3,"e wh":3," who":4,"le p":2,"e pl":3,"t. i":3,". i ":12," i a":2," ask":2,"ed i":6,"d if":4,"t ev":2,"er h":3,"r ha":2," hap":2,"happ":2,"appe":2,"ppen":2,"ned ":5,"ed a":7,"hed ":3,"nd s":5,"d on":4," onc":2,"once":2,", in":2,"in 0":2,"n 00":2," 000":3,"0000":3,"0, w":3,"when":5,"en a":4,"n a ":9," a f":5,"stre":3,"am h":3," had":4,"had ":4,"ad a":3," a s":9,"i le":2,"lear":3,"earn":3,"arne":2,"rned":2,"an w":2,"n wa":2," tak":5,"take":8,"es a":4,"s a ":5," a l":4," mor":2,"more":2,"ore ":4,"re w":3,"e wo":3,"k th":3,"than":3,"han ":3,"an t":2," tur":2,"turn":3,"ning":2,"ng o":2,"g on":2,"he t":7,"e ta":4,"p. i":2," als":3,"also":3,"lso ":3,"o le":2,"to s":5," sta":10,"stan":4,"tand":3,"nd n":2," nex":3,"next":3,"ext ":3,"he i":4,"e in":5,"ake ":6,"nk a":2,"er e":2,"r ea":2,"ng l":2,"ch. ":5," rec":4,"recu":2,"ecur":2,"curs":2,"ursi":2,"rsio":2,"sion":3,"ion ":11,"on c":4,"n co":2," con":2,"me f":3,"or m":5,"t se":3,"er, ":3,", so":4,"or t":5,"this":3,"his ":5,"s re":3," ref":2,"ecti":2,"ctio":6,"tion":14,"on i":3,"n i ":3," i w":7," wan":2,"want":2,"expl":2,"xpla":2,"plai":2,"lain":2,"ain ":5,"n ho":2," how":7,"how ":8," i f":5,"i fi":2," fin":6,"ot i":2," it.":3,"it. ":3,"e te":2,"book":5,"ook ":6,"fini":2,"is t":6,"t a ":6,"a fu":2,"func":2,"unct":2,"ncti":2,"s it":4," its":4,"at n":2,"t ne":4," nev":3,"neve":4,"r he":2," hel":3,"help":2,"elpe":2,"lped":2,"ped ":2," me.":4,"me. ":4,"e. w":3,". wh":4," wha":5,"what":5,"d wa":3," my ":10,"y tu":2,"r ma":2," mad":4,"made":4,"ade ":4,"de m":2,"e me":3,"me t":3,"e tr":4," tra":3,"trac":2,"e fa":2,"on p":2," pap":2,"pape":2,"aper":2,"per ":2," wit":9,"with":9,"ith ":6," box":7,"boxe":3,"oxes":3,"xes.":2,"ts o":2,"s ow":3," own":3,"own ":3,"box ":4,"th i":2,"ox f":2,"x fo":2,"or 0":3," 0 w":2," wai":2,"wait":2,"aits":2,"ts f":3,"s fo":4,"r 0,":2," 0, ":4,"d so":3," unt":3,"unti":3,"ntil":3,"til ":3,"ou h":2,"t 0,":2,"st r":3,"t re":3,"urns":2,"rns ":2,"itho":3,"hout":3,"out ":11,"ng a":7,"g an":3," any":2,"l ba":2,"ack ":2,". on":2,"nce ":4," i s":3,"stac":3,"tack":3,"cked":2," up ":3," i u":2," und":2,"unde":2,"nder":2,"ders":2,"erst":2,"ood ":3,"od w":2,"d wh":2," why":4,"why ":4," peo":7,"peop":7,"eopl":7,"ople":7,"ple ":9,"le t":5,"k ab":2," abo":7,"abou":7,"bout":7,"ut t":2,"he c":11,"e ca":2,"l st":2,"ck. ":2,". my":2,"my m":2," mis":4,"mist":2,"ista":3,"stak":2,"es w":2," wer":6,"were":6," alw":3,"alwa":3,"lway":3,"ways":3,"ays ":4,"ys a":2,"s ab":2,"e ba":2,"se. ":2," eit":2,"eith":2,"ithe":2,"r i ":2,"i fo":3,"it c":4,"t co":7,"comp":3,"ompl":2,"plet":2,"lete":2,"etel":2,"tely":2,"ly a":2,"ot a":2,"a st":4," ove":3,"over":3,"low,":3,"ow, ":3," or ":4,"or i":2,"i wr":3," wro":3,"wrot":2,"rote":2,"ote ":2,"e it":6,"ng s":2,"it n":2," mat":5,"matc":2,"atch":5,"tche":3,"ched":2,"hed.":2,"ed. ":5,"lab ":2,"ab 0":2,"b 0 ":2," n #":2," but":9,"but ":9,"my f":2,"star":4,"tart":3,"ted ":4," at ":7,"e re":6,"reas":2,"easo":2,"ason":2,"son ":4,"on a":3,"n an":3,"an f":2,"fore":3,"il i":2,"l it":2,"shed":2,"d. t":3," too":6,"took":3,"ok m":2,"r to":2,"o se":3," see":5,"see ":3,"ee i":2,"ll t":2,"l th":3," loo":2,"loop":2,"oops":2,"ops ":2,"re e":2," eas":2,"to r":3,"o re":3,"read":8,"d fo":3," sim":2,"simp":2,"impl":2,"ings":5,"ngs ":4,"s li":2,"ke s":2,"ming":3,"g a ":4,"a li":3,"st. ":3,". bu":2,"ut f":2,"e ma":2,"e pr":6," pro":3,"prob":3,"robl":2,"oble":2,"blem":2,"lem ":2,"em i":2,"in a":6,"n as":2," ass":2,"n ma":2,"e co":4," hal":2,"half":2,"alf ":2," as ":2,"s lo":2,"st t":3,"t tr":4," try":2,"try ":2,"ry e":2,"y di":2,"if i":3,"f it":2,"is a":3," a w":2,"ve b":2," bee":2,"been":2,"een ":3," bef":2,"befo":2,"efor":3,"ou s":2,"i do":2," don":4,"don'":4,"on't":6,"n't ":8,"'t t":2,"k i ":2," cou":7,"coul":6,"ld h":2,"d ha":2,"t wi":3,"h lo":2," los":2,"ad t":3,"d to":8,"to g":3,"ive ":3,"e ad":2,"ice ":3,"ce t":3,"e to":5,"r's ":3," stu":5,"stud":4,"tude":2,"uden":2,"dent":3,"ents":3,"ry t":2,"it a":4," all":6,"ead,":2,"ad, ":2,", be":2," pri":9,"prin":8,"rint":8,"inti":2,"ntin":2,"ress":2,"ess ":4,"ss m":2,"s ma":2,"matt":2,"atte":2,"tter":2,"o mu":2," muc":7,"much":7,"my g":2,"y gr":2,"gran":2,"rand":2,"andm":2,"ndmo":2,"dmot":2,"moth":2,"othe":2,"er a":5,"r al":2," say":4,"tern":2,"erne":2,"rnet":2,"net ":2," tim":8,"time":10,"e, a":2,"r re":2,"eadi":2,"adin":2,"ding":3,"ng t":2,"e ch":4," cha":4,"chap":3,"hapt":3,"apte":3,"pter":3,"er f":2,"r fo":2,"is w":4," wee":3,"week":3," she":2,"e is":3,"is m":2,"ostl":2,"ight":4,", th":2,"ugh ":2,"ot c":2,"ly. ":3," boo":4,"ooks":2,"oks ":2," cop":4,"copi":3,"opie":3,"pied":2,"ied ":4,"d by":2,"y ha":2," mon":2,"s. a":2,"a si":3,"sing":4,"ingl":2,"ngle":3,"gle ":2," bib":2,"bibl":2,"ible":3,"ble ":4,"ld t":3,"e a ":4,"r. t":2,"t me":2," mea":5,"pens":2,"ensi":2," onl":2,"only":2,"nly ":2,"y ch":2," chu":2,"chur":2,"hurc":2,"urch":2,"ches":2,"es, ":6," fam":3,"fami":2,"amil":2,"ies ":4,"itie":2,"ties":2,"es h":3,"s ha":3,"them":4,"hem.":3,"em. ":3,"d 00":2," a p":4,"int ":2,"d ma":2," hun":4,"hund":3,"undr":3,"ndre":3,"dred":3,"ds o":2,"e ti":5,"ime ":6,"me i":2,"to c":2,"e. p":2,". pr":2,"re p":2,"e pe":3," a r":2,"n to":2,"ses ":2,"form":2,"atio":4,"ion.":2,"on. ":2,"ts w":2,"d al":3,"l ov":2,"ny i":2,"y in":2," few":2,"few ":2,"s, w":2,"le a":2," cen":2,"cent":2," ear":2,"earl":2," ban":4,"ban ":3,"an a":2," a b":7,"a bo":2,"ut i":4,"ld n":2,"ot s":2,"t st":3," a h":2,"a hu":2,"red ":5," fou":3,"foun":2,"inci":2,"g. w":2,"re i":2," dis":2,"gree":2,"a bi":4,"bit ":3,"ange":4," may":2,"mayb":2,"aybe":2,"ybe ":2,"s. p":2,"uch ":3,"ch l":2,"onge":2,"nger":2,"r, a":2,"nd m":3,"t pe":2,"in e":2,"ope ":2,"e st":7,"ad i":2,"d in":5,"00. ":2,". so":4,"he e":3," eff":2," slo":4,"slow":3,"pend":3,"ende":2,"nded":2,"ded ":3,"ed o":3," sch":2,"scho":2,"choo":2,"hool":2,"es g":2,"wing":4,"ne t":2,"ng i":6,"g i ":2,"'t k":2,"t kn":2," kno":2,"know":2,"s, a":2,"ous ":2,"s mi":3,"nts ":3,"s go":2,"ed f":3," dec":2,"at s":4,"d \"t":2," \"th":2,"comm":3," adu":2,"adul":2,"dult":2,"tery":2,"fine":2,"ly t":2,"y th":3,"st m":2," i r":2,"i re":2,"meas":4,"easu":4,"asur":4,"ring":4,"g wi":2,"th a":2,"h a ":3,"a pe":2," pen":2,"endu":2,"ndul":2,"dulu":2,"ulum":2,"lum ":2,"um a":2,"to m":2,"o me":2,"sure":3,"e ac":3," acc":3,"acce":2,"y us":2,"usin":2,"lose":2,"ose ":2,"get ":3,"et t":2,"to 0":2,"o 0.":2," 0.0":6,"0.00":2,". we":5,"we t":3," bob":3,"bob ":3,"to a":2,"o a ":2," str":7,"stri":3,"trin":3,"it f":2," fro":5,"from":4,"rom ":4,"om t":2,"m th":2,"e cl":2,"and.":2,"sam ":2,"topw":3,"opwa":3,"pwat":3,"watc":3,"ch a":2,"d i ":3," let":2,"let ":2," go ":2," eac":2,"each":4,"ach ":2,"e fr":2,"ut 0":2," 00 ":3,"s, b":2,"se t":4,"orks":2,"rks ":2,"s. w":2,"00 s":2,"0 sw":2," swi":4,"swin":3," len":4,"leng":4,"engt":4,"ngth":4,"gth ":3,"one,":2,"ne, ":3,"too ":3," fiv":2,"five":2,"e le":4,"ths ":2,"0.0 ":4,".0 m":4,"0 m ":2,"m to":2," res":2,"ults":2,"lts ":2,"plac":2,"lace":2,"ce. ":2,". at":2,"at 0":2,"t 0.":2,"peri":2,"od t":2,"ger ":2,"we r":2,"eali":2,"alis":2,"lise":2,"ng w":5,"as s":2," lit":3,"litt":2,"ittl":2,"ttle":2,"ured":2,"e mi":2," mid":2,"midd":2,"iddl":2,"ddle":2,"dle.":2,"le. ":2,"e. s":2,"e. t":3,"he g":3," aga":2,"agai":2,"gain":2,"ains":2,"t le":3," alm":2,"almo":2,"lmos":2,"stra":3,"trai":2,"t li":2,"e sl":2,"lowe":3," mai":2,"main":2,"acti":2,"me o":2,"air ":2,"bly ":2,"y ma":2," it'":4,"it's":4,"t's ":4,"'s h":2," har":4,"hard":4,"ard ":4,"rd t":3,"say ":2,"ow m":2,"w mu":2,"uch.":3,"h. i":3,"if w":2,"f we":2,"i wo":3," use":6,"gate":2," men":2,"enti":2,"ntio":2,"ione":2,"oned":2,"m ho":2," hol":2,"old ":3,"h, s":2,"y sa":2," pic":2,"ious":2," inc":2,"cide":2," dog":2,"dog ":2,"g in":3,"he n":2,"se m":2,"e my":2,"reco":2,"ecom":2,"omme":2,"mmen":2,"mend":2," it,":2,"it, ":2," chr":2,"chri":2,"hris":2,"rist":2,"isto":2,"toph":2,"ophe":2,"pher":2,"who ":3,"nt a":3,"t at":2,"find":2,"inds":2,"nds ":2,"to u":2,"e ne":2,"'s d":2,"arde":2,"to i":2,"o in":2,"e sh":2,"ts a":2,"omet":4,"meth":2,"ethi":2,"ng m":2,"g mu":2,"ut h":2," his":2,"ly, ":2,"y, a":2," won":2,"won'":2,", bu":2,"st i":2,"meti":2,"etim":2,"imes":2,"s he":2,"tang":2,"ngen":2,"gent":2,"tes ":4,"llow":3,"ying":2,"ow h":3,"w ho":2," min":2," day":2,"r me":3,"in s":2,"on w":2," goo":2,"good":2,"way.":2,"ay. ":3,". no":2,"ce o":2,"less":5,". an":2,"e en":2," end":2,"at t":6,"end ":3,", it":2,"it m":2,"rien":2,"same":2,"ame ":2,"me w":2,"ur s":2,"shou":2,"houl":2," pho":7,"phon":7,"nes ":2,"in c":2," her":3,"k. i":2," i g":2," tea":2,"teac":2,"ache":2,"cher":2,"hers":2,"nt i":2,"chec":3,"heck":3,"ecks":2,"cks ":2," les":4,"esso":3,"sson":3,"tudy":2,"udy ":2,"r le":2,"ut a":2,"els ":2," med":2,"medi":2,"edic":2,"dica":2,"s di":2," sug":2,"on h":2,"nes,":2,"n wo":2,"on, ":2,"n, a":2,"allo":2," tru":2,"trus":2,"rust":2}],"trainedOn":{"documents":6,"characters":8102},"calibration":{"sentenceMean":10.191,"sentenceSd":4.079,"burstiness":0.366,"sentences":102}});
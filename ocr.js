@@ -0,0 +1,136 @@
+// OCR for scanned submissions (server-side)
+// Tesseract compiled to WebAssembly, with the English model loaded from
+// node_modules, so recognition works without network access. Used for image
+// uploads and for the images on PDF pages that have no text layer.
+
+const zlib = require('zlib');
+const { createWorker } = require('tesseract.js');
+const eng = require('@tesseract.js-data/eng');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+// Images smaller than this (in pixels, either side) are logos or icons
+const MIN_IMAGE_SIDE = 32;
+
+// One recognizer per process, started on first use; loading the model takes
+// a second or two, recognising a page a few more.
+let worker = null;
+
+function getWorker() {
+  if (!worker) {
+    worker = createWorker(eng.code, 1, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' })
+      .catch(err => {
+        worker = null;
+        throw err;
+      });
+  }
+  return worker;
+}
+
+async function terminate() {
+  if (!worker) return;
+  const running = worker;
+  worker = null;
+  await (await running).terminate();
+}
+
+// Text of one image (PNG or JPEG bytes) with the mean word confidence (0-100)
+// and every recognised line with its own confidence and bounding box
+async function recognizeImage(image) {
+  const { data } = await (await getWorker()).recognize(image, {}, { text: true, blocks: true });
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        const text = line.text.trim();
+        if (text) lines.push({ text, confidence: Math.round(line.confidence), bbox: line.bbox });
+      }
+    }
+  }
+  return { text: (data.text || '').trim(), confidence: Math.round(data.confidence || 0), lines };
+}
+
+/* ---------------- PNG ---------------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// Bits per pixel and PNG colour type of each pdf.js ImageKind
+const PNG_FORMATS = {
+  1: { bits: 1, colorType: 0 }, // GRAYSCALE_1BPP, 1 = white as in PNG
+  2: { bits: 24, colorType: 2 }, // RGB_24BPP
+  3: { bits: 32, colorType: 6 } // RGBA_32BPP
+};
+
+// Encode raw pixel rows as a PNG. `kind` is a pdf.js ImageKind.
+function encodePng(width, height, pixels, kind) {
+  const format = PNG_FORMATS[kind];
+  if (!format) throw new Error(`Unsupported image kind ${kind}`);
+  const rowBytes = Math.ceil(width * format.bits / 8);
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * rowBytes, rowBytes).copy(raw, y * (rowBytes + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = Math.min(format.bits, 8);
+  header[9] = format.colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/* ---------------- PDF ---------------- */
+
+// PNGs of the images painted on a pdf.js page (large enough to hold text),
+// in drawing order. The document must be opened with
+// nativeImageDecoderSupport 'none' so JPEGs arrive decoded.
+async function pageImages(page, OPS) {
+  const ops = await page.getOperatorList();
+  const images = [];
+  for (let i = 0; i < ops.fnArray.length; i++) {
+    let img = null;
+    if (ops.fnArray[i] === OPS.paintImageXObject) {
+      try {
+        img = page.objs.get(ops.argsArray[i][0]);
+      } catch {
+        img = null; // not decoded (unsupported filter)
+      }
+    } else if (ops.fnArray[i] === OPS.paintInlineImageXObject) {
+      img = ops.argsArray[i][0];
+    }
+    if (!img || !img.data || !PNG_FORMATS[img.kind]) continue;
+    if (img.width < MIN_IMAGE_SIDE || img.height < MIN_IMAGE_SIDE) continue;
+    images.push(encodePng(img.width, img.height, img.data, img.kind));
+  }
+  return images;
+}
+
+module.exports = {
+  recognizeImage,
+  terminate,
+  encodePng,
+  pageImages,
+  IMAGE_EXTENSIONS
+};
@@ -0,0 +1,101 @@
+// Scoring profile store (server-side)
+// Custom profiles and the active profile name live in one JSON file; the
+// built-in profiles from engine.js are always available and read-only.
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+
+function createProfileStore(filePath) {
+  let state = { active: 'default', profiles: {} };
+
+  function load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      state = { active: saved.active || 'default', profiles: saved.profiles || {} };
+    } catch {
+      // first run: nothing saved yet
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  }
+
+  function isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(engine.BUILTIN_PROFILES, name);
+  }
+
+  // Only saved names count, never keys such as "constructor" that every
+  // object inherits
+  function isSaved(name) {
+    return Object.prototype.hasOwnProperty.call(state.profiles, name);
+  }
+
+  function get(name) {
+    if (isBuiltin(name)) return { ...engine.BUILTIN_PROFILES[name], builtin: true };
+    return isSaved(name) ? { ...engine.resolveProfile(state.profiles[name]), builtin: false } : null;
+  }
+
+  function list() {
+    const names = [...Object.keys(engine.BUILTIN_PROFILES), ...Object.keys(state.profiles)];
+    return names.map(get);
+  }
+
+  // Returns { profile } or { errors }
+  function save(name, profile) {
+    if (isBuiltin(name)) return { errors: ['Built-in profiles cannot be changed; save under a new name'] };
+    const candidate = { ...profile, name };
+    const errors = engine.validateProfile(candidate);
+    if (errors.length) return { errors };
+    state.profiles[name] = engine.resolveProfile(candidate);
+    persist();
+    return { profile: get(name) };
+  }
+
+  function remove(name) {
+    if (!isSaved(name)) return false;
+    delete state.profiles[name];
+    if (state.active === name) state.active = 'default';
+    persist();
+    return true;
+  }
+
+  function getActive() {
+    return get(state.active) || get('default');
+  }
+
+  function setActive(name) {
+    if (!get(name)) return false;
+    state.active = name;
+    persist();
+    return true;
+  }
+
+  // Profile for one request: the named one if it exists, else the active one
+  function pick(name) {
+    return (name && get(name)) || getActive();
+  }
+
+  load();
+
+  return { get, list, save, remove, getActive, setActive, pick, isBuiltin };
+}
+
+// Profile named by a command-line option: a saved or built-in profile, or
+// a profile JSON file; the store's active profile when none is given
+function loadProfile(nameOrFile, store) {
+  if (!nameOrFile) return store.getActive();
+  if (fs.existsSync(nameOrFile)) {
+    const profile = JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+    const errors = engine.validateProfile(profile);
+    if (errors.length) throw new Error(`Invalid profile ${nameOrFile}: ${errors.join('; ')}`);
+    return engine.resolveProfile(profile);
+  }
+  const profile = store.get(nameOrFile);
+  if (!profile) throw new Error(`Unknown profile "${nameOrFile}"`);
+  return profile;
+}
+
+module.exports = { createProfileStore, loadProfile };
@@ -0,0 +1,87 @@
+// Marking rubric store (server-side)
+// Uploaded rubrics live in one JSON file; the built-in default rubric from
+// engine.js is always available and read-only.
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+
+function createRubricStore(filePath) {
+  let rubrics = {};
+
+  function load() {
+    try {
+      rubrics = JSON.parse(fs.readFileSync(filePath, 'utf8')).rubrics || {};
+    } catch {
+      // first run: nothing saved yet
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ rubrics }, null, 2));
+  }
+
+  function isBuiltin(name) {
+    return name === engine.DEFAULT_RUBRIC.name;
+  }
+
+  // Own keys only: a name such as "toString" is not a saved rubric
+  function isSaved(name) {
+    return Object.prototype.hasOwnProperty.call(rubrics, name);
+  }
+
+  function get(name) {
+    if (isBuiltin(name)) return { ...engine.DEFAULT_RUBRIC, builtin: true };
+    return isSaved(name) ? { ...engine.resolveRubric(rubrics[name]), builtin: false } : null;
+  }
+
+  function list() {
+    return [engine.DEFAULT_RUBRIC.name, ...Object.keys(rubrics)].map(get);
+  }
+
+  // Returns { rubric } or { errors }
+  function save(name, rubric) {
+    if (isBuiltin(name)) return { errors: ['The default rubric cannot be changed; save under a new name'] };
+    const candidate = { ...rubric, name };
+    const errors = engine.validateRubric(candidate);
+    if (errors.length) return { errors };
+    rubrics[name] = engine.resolveRubric(candidate);
+    persist();
+    return { rubric: get(name) };
+  }
+
+  function remove(name) {
+    if (!isSaved(name)) return false;
+    delete rubrics[name];
+    persist();
+    return true;
+  }
+
+  // Rubric for one request: a saved rubric by name, else null so the
+  // engine falls back to the default rubric of the request's subject
+  function pick(name) {
+    return isSaved(name) ? engine.resolveRubric(rubrics[name]) : null;
+  }
+
+  load();
+
+  return { get, list, save, remove, pick, isBuiltin };
+}
+
+// Rubric named by a command-line option: a saved rubric or a rubric JSON
+// file; null (the subject's default rubric) when none is given
+function loadRubric(nameOrFile, store) {
+  if (!nameOrFile || store.isBuiltin(nameOrFile)) return null;
+  if (fs.existsSync(nameOrFile)) {
+    const rubric = JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+    const errors = engine.validateRubric(rubric);
+    if (errors.length) throw new Error(`Invalid rubric ${nameOrFile}: ${errors.join('; ')}`);
+    return engine.resolveRubric(rubric);
+  }
+  const rubric = store.pick(nameOrFile);
+  if (!rubric) throw new Error(`Unknown rubric "${nameOrFile}"`);
+  return rubric;
+}
+
+module.exports = { createRubricStore, loadRubric };
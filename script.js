@@ -1,326 +1,85 @@
 // Multi-file assignment analysis (client-side)
-// Supports TXT (FileReader), DOCX (mammoth), and PDF (pdf.js) in-browser
-
-// Utility: normalize into words
-function normalizeToWords(text) {
-  const cleaned = (text || '')
-    .toLowerCase()
-    .replace(/[\.,\/#!$%\^&\*;:{}=\-_`~()\[\]\"'<>?@+]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-  if (!cleaned) return [];
-  return cleaned.split(' ').filter(Boolean);
+// Supports TXT (FileReader), DOCX (mammoth), PDF (pdf.js), ODT/PPTX (JSZip) and the text formats
+// converted by the engine (RTF, Markdown, HTML, notebooks) in-browser
+
+// Scoring primitives come from the shared engine (engine.js must load first)
+const {
+  ENGINE_VERSION,
+  normalizeToWords,
+  splitToSentences,
+  fingerprintText,
+  comparePairwise,
+  similarityMatrix,
+  similarityOf,
+  labelAiScore,
+  aiStatusClass,
+  resolveProfile,
+  explainAiLikelihood,
+  overlapSignal,
+  detectSubjects,
+  applySubjectProfile,
+  subjectMismatch,
+  prepareText,
+  extractCode,
+  fingerprintCode,
+  analyzeCode,
+  analyzeSentences,
+  validateRubric,
+  resolveRubric,
+  markSubmission,
+  clusterBySimilarity,
+  formatCode,
+  buildReport,
+  reportToText,
+  reportToCsv,
+  reportToHtml,
+  HISTORY_STATE_KEYS,
+  summarizeRun,
+  filterRuns,
+  runExpired,
+  normalizeStudentId,
+  parseStudentId,
+  styleSubmission,
+  recordSubmission,
+  compareStyle,
+  formatStyle,
+  OCR_MIN_PAGE_TEXT,
+  summarizeOcr,
+  formatOcr,
+  DOCUMENT_FORMATS,
+  documentFormat,
+  pdfPageText,
+  OFFICE_METADATA_ENTRIES,
+  officeMetadata,
+  pdfMetadata,
+  htmlToText,
+  documentStructure,
+  maskExcluded,
+  summarizeStructure,
+  formatStructure,
+  metadataAnomalies,
+  formatMetadata,
+  citationReport,
+  formatCitations,
+  matchAttribution
+} = window.DetectorEngine;
+
+// Scoring profile chosen on settings.html (cached in localStorage), else the default
+function getActiveProfile(){
+  try{ const saved = localStorage.getItem('scoringProfile'); if (saved) return resolveProfile(JSON.parse(saved)); }catch(e){}
+  return resolveProfile();
 }
 
-function splitToSentences(text) {
-  const parts = (text || '').replace(/\n+/g, ' ').split(/(?<=[.!?])\s+/);
-  return parts.map(s => s.trim()).filter(Boolean);
+// Rubrics uploaded on the main page, by name (localStorage)
+function loadRubrics(){
+  try{ return JSON.parse(localStorage.getItem('rubrics') || '{}'); }catch(e){ return {}; }
 }
 
-function computeSimilarityPercentage(inputWords, referenceWords) {
-  if (!inputWords || inputWords.length === 0) return 0;
-  const refSet = new Set(referenceWords || []);
-  let common = 0;
-  for (const w of inputWords) if (refSet.has(w)) common++;
-  return (common / inputWords.length) * 100;
-}
-
-function mean(values){ if (!values||values.length===0) return 0; return values.reduce((a,b)=>a+b,0)/values.length; }
-function stddev(values){ if (!values||values.length<=1) return 0; const m=mean(values); const variance=values.reduce((s,x)=>s+(x-m)*(x-m),0)/(values.length-1); return Math.sqrt(variance); }
-
-function computeAiLikelihood(text, sentences, words) {
-  if (!words || words.length === 0) return 0;
-  const sentenceLengths = (sentences||[]).map(s=>normalizeToWords(s).length).filter(n=>n>0);
-  const avg = mean(sentenceLengths) || 0;
-  const sd = stddev(sentenceLengths);
-  let consistency = 0; if (avg>0) consistency = 1 - Math.min(1, sd / (avg + 1));
-
-  const formalWords = ['moreover','furthermore','therefore','however','hence','thus','consequently','in conclusion','whereas','additionally'];
-  const lowered = (text||'').toLowerCase();
-  let formalCount = 0;
-  for (const fw of formalWords){
-    const re = new RegExp('\\b' + fw.replace(/[.*+?^${}()|[\]\\]/g,'\\$&') + '\\b','g');
-    const m = lowered.match(re); if (m) formalCount += m.length;
-  }
-  const formalScore = Math.min(1, formalCount / Math.max(1, sentenceLengths.length * 0.3));
-
-  const uniqueCount = new Set(words).size;
-  const vocabRatio = uniqueCount / Math.max(1, words.length);
-  const repetitionScore = Math.min(1, (1 - vocabRatio) * 1.5);
-
-  // small heuristic for punctuation / short words indicating human writing
-  const punctuationScore = ((text||'').match(/[!?\.]/g)||[]).length / Math.max(1, (text||'').split(' ').length);
-
-  const aiScore = (consistency * 0.45) + (formalScore * 0.3) + (repetitionScore * 0.2) + (punctuationScore * 0.05);
-  return Math.round(Math.max(0, Math.min(1, aiScore)) * 100);
-}
-
-// Compute a lightweight per-sentence AI-likelihood (0-100)
-function computeSentenceAiScore(sentence, docWords){
-  const text = (sentence || '').trim();
-  const words = normalizeToWords(text);
-  if (!words || words.length === 0) return 0;
-
-  const formalWords = ['moreover','furthermore','therefore','however','hence','thus','consequently','in conclusion','whereas','additionally'];
-  const lowered = text.toLowerCase();
-  let formalCount = 0; for (const fw of formalWords){ try{ const re=new RegExp('\\b'+fw.replace(/[.*+?^${}()|[\\]\\]/g,'\\$&')+'\\b','g'); const m = lowered.match(re); if (m) formalCount += m.length;}catch(e){}
-  }
-  const formalScore = Math.min(1, formalCount/2);
-
-  const uniqueCount = new Set(words).size;
-  const vocabRatio = uniqueCount / Math.max(1, words.length);
-  const repetitionScore = Math.min(1, (1 - vocabRatio) * 1.8);
-
-  const punctuationCount = (text.match(/[!?\.]/g) || []).length;
-  const punctuationScore = 1 - Math.min(1, punctuationCount / Math.max(1, Math.ceil(words.length/8)));
-
-  const score = (formalScore * 0.35) + (repetitionScore * 0.35) + (punctuationScore * 0.3);
-  return Math.round(Math.max(0, Math.min(1, score)) * 100);
-}
-
-function labelAiScore(pct){ if (pct<=30) return 'Human-written'; if (pct<=60) return 'Mixed'; return 'Likely AI-generated'; }
-
-// Universal Assignment Quality Score (0-100) - Independent of subject/content type
-function computeAiContentScore(fileData) {
-  if (!fileData) return 0;
-  
-  const text = fileData.text || '';
-  const words = normalizeToWords(text);
-  const sentences = fileData.sentencesWithDelimiters || [];
-  
-  if (words.length === 0) return 0;
-  
-  // 1. Structure & Organization (20%) - paragraph breaks, sentence variety, logical flow
-  const structureScore = computeStructureScore(fileData);
-  
-  // 2. Clarity & Coherence (20%) - sentence length variation, topic consistency
-  const clarityScore = computeClarityScore(fileData);
-  
-  // 3. Language Quality (15%) - vocabulary diversity, sentence complexity, grammar signals
-  const languageScore = computeLanguageQuality(fileData);
-  
-  // 4. Depth of Content (15%) - word count, sentence count, content richness signals
-  const depthScore = computeContentDepth(fileData);
-  
-  // 5. Originality (10%) - vocabulary uniqueness, sentence variation, low repetition
-  const originalityScore = computeOriginality(fileData);
-  
-  // 6. Relevance to Topic (10%) - proper noun usage, specific terminology, contextual markers
-  const relevanceScore = computeRelevance(fileData);
-  
-  // 7. Consistency & Flow (10%) - transition words, paragraph coherence, semantic continuity
-  const consistencyScore = computeConsistency(fileData);
-  
-  // Weighted final score
-  const finalScore = (
-    structureScore * 0.20 +
-    clarityScore * 0.20 +
-    languageScore * 0.15 +
-    depthScore * 0.15 +
-    originalityScore * 0.10 +
-    relevanceScore * 0.10 +
-    consistencyScore * 0.10
-  );
-  
-  return Math.round(Math.max(0, Math.min(100, finalScore)));
-}
-
-function computeStructureScore(fileData) {
-  const sentences = fileData.sentencesWithDelimiters || [];
-  const text = fileData.text || '';
-  
-  // Paragraph breaks
-  const paragraphs = text.split(/\n\n+/).filter(p => p.trim().length > 0);
-  const paragraphCount = Math.max(1, paragraphs.length);
-  const avgSentencesPerPara = sentences.length / paragraphCount;
-  
-  // Ideal: 3-5 sentences per paragraph
-  const paraStructureScore = avgSentencesPerPara >= 2 && avgSentencesPerPara <= 6 ? 80 : (avgSentencesPerPara > 0 ? 50 : 20);
-  
-  // Sentence variety (length variation)
-  const sentenceLengths = sentences.map(s => normalizeToWords(s).length);
-  const avgLen = sentenceLengths.reduce((a, b) => a + b, 0) / sentenceLengths.length || 0;
-  const variance = sentenceLengths.reduce((sum, len) => sum + Math.pow(len - avgLen, 2), 0) / sentenceLengths.length;
-  const stdDev = Math.sqrt(variance);
-  
-  // Low variance = repetitive structure (bad), high variance = good variation
-  const varietyScore = stdDev > 3 ? 90 : (stdDev > 1.5 ? 70 : 40);
-  
-  return (paraStructureScore * 0.4 + varietyScore * 0.6);
-}
-
-function computeClarityScore(fileData) {
-  const sentences = fileData.sentencesWithDelimiters || [];
-  const sentenceScores = fileData.sentenceScores || [];
-  
-  // Short sentences = clarity (average 10-25 words is ideal)
-  const words = normalizeToWords(fileData.text || '');
-  const avgWordPerSentence = sentences.length > 0 ? words.length / sentences.length : 0;
-  
-  // Ideal range: 12-20 words per sentence
-  const lengthScore = (avgWordPerSentence > 8 && avgWordPerSentence < 30) ? 80 : (avgWordPerSentence > 5 ? 60 : 30);
-  
-  // Consistency in sentence quality across document
-  if (sentenceScores.length > 1) {
-    const scoresAvg = sentenceScores.reduce((a, b) => a + b, 0) / sentenceScores.length;
-    const scoresVariance = sentenceScores.reduce((sum, score) => sum + Math.pow(score - scoresAvg, 2), 0) / sentenceScores.length;
-    const scoresStdDev = Math.sqrt(scoresVariance);
-    
-    // Consistent quality (low variance) = better coherence
-    const coherenceScore = scoresStdDev < 20 ? 85 : (scoresStdDev < 40 ? 70 : 50);
-    return (lengthScore * 0.4 + coherenceScore * 0.6);
-  }
-  
-  return lengthScore;
-}
-
-function computeLanguageQuality(fileData) {
-  const text = fileData.text || '';
-  const words = normalizeToWords(text);
-  
-  // Vocabulary diversity (unique words / total words)
-  const uniqueWords = new Set(words).size;
-  const vocabDiversity = (uniqueWords / Math.max(1, words.length)) * 100;
-  
-  // Good: 40-70% unique words
-  const diversityScore = (vocabDiversity > 35 && vocabDiversity < 75) ? 90 : (vocabDiversity > 20 ? 70 : 40);
-  
-  // Formal language markers (transition words, conjunctions)
-  const formalWords = ['moreover', 'furthermore', 'therefore', 'however', 'thus', 'consequently', 'additionally', 'nevertheless', 'indeed', 'meanwhile'];
-  const lowered = text.toLowerCase();
-  let formalCount = 0;
-  for (const fw of formalWords) {
-    const re = new RegExp(`\\b${fw}\\b`, 'g');
-    const m = lowered.match(re);
-    if (m) formalCount += m.length;
-  }
-  
-  const formalScore = Math.min(100, (formalCount / Math.max(1, fileData.sentenceCount || 1)) * 30 * 100 / 30);
-  
-  // Punctuation variety (indicates expression nuance)
-  const punctuation = (text.match(/[!?;:—-]/g) || []).length;
-  const punctScore = Math.min(100, (punctuation / Math.max(1, words.length)) * 300);
-  
-  return (diversityScore * 0.4 + formalScore * 0.3 + punctScore * 0.3);
-}
-
-function computeContentDepth(fileData) {
-  const words = fileData.wordCount || 0;
-  const sentences = fileData.sentenceCount || 0;
-  const charCount = fileData.charCount || 0;
-  
-  // Depth based on document length (word count)
-  // Shallow: <100 words, Medium: 100-500, Good: 500-2000, Excellent: 2000+
-  let lengthScore = 0;
-  if (words < 50) lengthScore = 20;
-  else if (words < 150) lengthScore = 40;
-  else if (words < 300) lengthScore = 60;
-  else if (words < 1000) lengthScore = 80;
-  else lengthScore = 95;
-  
-  // Content density (average word length indicator of complexity)
-  const avgCharPerWord = words > 0 ? charCount / words : 0;
-  // Ideal: 4-6 characters per word (balanced)
-  const densityScore = (avgCharPerWord > 3.5 && avgCharPerWord < 7) ? 85 : (avgCharPerWord > 3 ? 70 : 50);
-  
-  // Sentence count consistency (more sentences = more exploration)
-  const sentenceDepth = Math.min(100, (sentences / Math.max(1, words)) * 20 * 100);
-  
-  return (lengthScore * 0.5 + densityScore * 0.3 + sentenceDepth * 0.2);
-}
-
-function computeOriginality(fileData) {
-  const words = normalizeToWords(fileData.text || '');
-  const topRepeatedWords = fileData.topRepeatedWords || '';
-  
-  // Low repetition = high originality
-  // Parse top repeated words to count overall repetition
-  const matches = topRepeatedWords.match(/\((\d+)\)/g) || [];
-  let totalRepetition = 0;
-  for (const match of matches) {
-    totalRepetition += parseInt(match.slice(1, -1), 10);
-  }
-  
-  // Repetition score: high repetition = low originality
-  const repetitionRate = (totalRepetition / Math.max(1, words.length)) * 100;
-  const repetitionScore = Math.max(20, 100 - repetitionRate * 2);
-  
-  // Unique word ratio
-  const uniqueCount = new Set(words).size;
-  const uniqueRatio = (uniqueCount / Math.max(1, words.length)) * 100;
-  
-  // Good: 40%+ unique words
-  const uniquenessScore = uniqueRatio > 40 ? 90 : (uniqueRatio > 25 ? 70 : 40);
-  
-  return (repetitionScore * 0.5 + uniquenessScore * 0.5);
-}
-
-function computeRelevance(fileData) {
-  const text = fileData.text || '';
-  const lowered = text.toLowerCase();
-  
-  // Proper noun usage (capital letters at word start, excluding sentence start)
-  const sentences = (text.match(/[^.!?]+[.!?]/g) || []);
-  let properNouns = 0;
-  for (let i = 0; i < sentences.length; i++) {
-    const sentenceWords = (sentences[i].trim().match(/\b[A-Z][a-z]+\b/g) || []);
-    // Subtract first word (typically sentence start)
-    properNouns += Math.max(0, sentenceWords.length - 1);
-  }
-  
-  // More proper nouns = specific references = higher relevance
-  const properNounScore = Math.min(90, Math.max(40, properNouns * 3));
-  
-  // Specific terminology (numbers, years, technical patterns)
-  const numbers = (text.match(/\d+/g) || []).length;
-  const numberScore = Math.min(85, numbers * 2);
-  
-  // Context words (question marks show engagement, periods show assertions)
-  const questions = (text.match(/\?/g) || []).length;
-  const questionScore = questions > 0 ? 70 : 50;
-  
-  return (properNounScore * 0.4 + numberScore * 0.3 + questionScore * 0.3);
-}
-
-function computeConsistency(fileData) {
-  const sentences = fileData.sentencesWithDelimiters || [];
-  const text = fileData.text || '';
-  
-  // Transition words (moreover, however, therefore, etc.)
-  const transitionWords = ['moreover', 'however', 'therefore', 'meanwhile', 'furthermore', 'additionally', 'however', 'thus', 'hence', 'consequently', 'nevertheless'];
-  const lowered = text.toLowerCase();
-  let transitionCount = 0;
-  for (const tw of transitionWords) {
-    const re = new RegExp(`\\b${tw}\\b`, 'g');
-    const m = lowered.match(re);
-    if (m) transitionCount += m.length;
-  }
-  
-  // Good: 1-3 transitions per 100 words
-  const transitionScore = transitionCount > 0 ? Math.min(90, 50 + transitionCount * 10) : 50;
-  
-  // Semantic flow: check if sentences get progressively longer or shorter (indicates buildup/conclusion)
-  let flowScore = 50;
-  if (sentences.length > 3) {
-    const lengths = sentences.map(s => normalizeToWords(s).length);
-    let patternChanges = 0;
-    for (let i = 1; i < lengths.length; i++) {
-      if ((lengths[i] > lengths[i-1] && lengths[i-1] > lengths[i-2]) || 
-          (lengths[i] < lengths[i-1] && lengths[i-1] < lengths[i-2])) {
-        patternChanges++;
-      }
-    }
-    flowScore = Math.min(95, 50 + patternChanges * 8);
-  }
-  
-  // Paragraph coherence (sentences within paragraphs relate to each other)
-  const paragraphs = text.split(/\n\n+/).filter(p => p.trim().length > 0);
-  let coherenceScore = 50;
-  if (paragraphs.length > 1) {
-    coherenceScore = Math.min(90, 60 + paragraphs.length * 3);
-  }
-  
-  return (transitionScore * 0.4 + flowScore * 0.3 + coherenceScore * 0.3);
+// Rubric chosen on the main page; null means the default rubric of the selected subject
+function getSelectedRubric(){
+  const name = localStorage.getItem('activeRubric');
+  const saved = name && loadRubrics()[name];
+  return saved ? resolveRubric(saved) : null;
 }
 
 function computeSentenceUniformity(sentenceScores) {
@@ -368,46 +127,15 @@ function computeLexicalDiversity(text, wordCount) {
   return Math.min(100, diversity);
 }
 
-// reference.txt loading removed — application no longer uses a static reference file
-
-// Detect subjects from content using keyword matching (simple heuristic)
-function detectSubjects(text){
-  const map = {
-    'Programming': ['\bfunction\b','\bdef\b','\bclass\b','\bconsole\.log\b','\bSystem\.out\b','#include','\bimport\b','\bpublic\b','\bprivate\b','\bvar\b','\blet\b','\bconst\b'],
-    'Data Structures': ['\bstack\b','\bqueue\b','\blinked list\b','\bbinary tree\b','\bhash table\b','\bgraph\b','\bdfs\b','\bbfs\b'],
-    'Algorithms': ['\bsort\b','\bsearch\b','\bdynamic programming\b','\bgreedy\b','\bbinary search\b','\bmerge sort\b','\bquick sort\b'],
-    'Databases': ['\bselect\b','\binsert\b','\bupdate\b','\bdelete\b','\bfrom\b','\bwhere\b','\bjoin\b','\bsql\b','\bnosql\b'],
-    'Operating Systems': ['\bprocess\b','\bthread\b','\bscheduler\b','\bkernel\b','\bmutex\b','\bdeadlock\b'],
-    'Networks': ['\bprotocol\b','\btcp\b','\budp\b','\bip\b','\brouting\b','\blayer\b'],
-    'Software Engineering': ['\buml\b','\brequirements\b','\btesting\b','\bversion control\b','\bagile\b','\bwaterfall\b'],
-    'Web Development': ['<html','<body','<script','css','\bhttp\b','\bhtml\b','\bcss\b','\bjavascript\b'],
-    'AI/ML': ['\bmachine learning\b','\bneural network\b','\bdeep learning\b','\bclassification\b','\bregression\b','\bsvm\b','\bpython\b\s+import\s+tensorflow'],
-    'Cybersecurity': ['\bencryption\b','\bssl\b','\btls\b','\battack\b','\bvulnerability\b','\bcrypt\b'],
-    'Computer Architecture': ['\bcache\b','\binstruction\b','\bpipeline\b','\bregister\b','\balu\b']
-  };
-  const lowered = (text||'').toLowerCase();
-  const scores = {};
-  for (const [subject, patterns] of Object.entries(map)){
-    let count = 0;
-    for (const p of patterns){
-      try{ const re = new RegExp(p,'g'); const m = lowered.match(re); if (m) count += m.length; }catch(e){}
-    }
-    if (count>0) scores[subject] = count;
-  }
-  // Sort by matches
-  const sorted = Object.entries(scores).sort((a,b)=>b[1]-a[1]).map(s=>s[0]);
-  return sorted.length?sorted.slice(0,3):['General'];
-}
-
 // DOM wiring
 // Persistent file store - survives page navigation
 if (!window.fileStore) window.fileStore = [];
 if (!window.fileStoreNames) window.fileStoreNames = [];
 
 // Configuration: allowed extensions and preferred list (edit as needed)
-const ALLOWED_EXTENSIONS = ['.txt', '.pdf', '.docx'];
+const ALLOWED_EXTENSIONS = ['.txt', '.pdf', '.docx', ...Object.keys(DOCUMENT_FORMATS), '.png', '.jpg', '.jpeg'];
 // Preferred list provided by user (can include exact filenames or extensions like '.txt')
-const PREFERRED_ALLOWED = ['.text', '.pdf', '.docx'];
+const PREFERRED_ALLOWED = ['.text', '.pdf', '.docx', ...Object.keys(DOCUMENT_FORMATS), '.png', '.jpg', '.jpeg'];
 
 function normalizePreferred(p){
   // map common variant .text -> .txt
@@ -419,75 +147,268 @@ function normalizePreferred(p){
 
 const NORMALIZED_PREFERRED = PREFERRED_ALLOWED.map(normalizePreferred).filter(Boolean);
 
-// Global download handler so it can be reattached reliably after navigation/back
-window.handleDownloadReport = function(fileIndex){
-  try {
-    // If a fileIndex is provided, try to download only that file's report
-    if (typeof fileIndex === 'number' && !Number.isNaN(fileIndex)){
-      // try to read processed docs from sessionStorage or memory
-      let processed = window._lastReport || (()=>{ try{ const s = sessionStorage.getItem('filesAnalysis'); return s?JSON.parse(s):null;}catch(e){return null;} })();
-      if (!processed) processed = (()=>{ try{ const s = sessionStorage.getItem('lastReport'); return s?JSON.parse(s):null;}catch(e){return null;} })();
-      if (processed && processed[fileIndex]){
-        const d = processed[fileIndex];
-        const parts = [];
-        parts.push('AI Assignment Analysis - Single File');
-        parts.push('File: ' + (d.name || 'Unnamed'));
-        parts.push('Words: ' + (d.wordCount||0));
-        parts.push('Sentences: ' + (d.sentenceCount||0));
-        parts.push('AI likelihood: ' + (d.aiLikelihood||0) + '%');
-        parts.push('Mark: ' + (d.aiContentScore||0) + ' / 100');
-        parts.push('Top repeated words: ' + ((d.repeated||[]).slice(0,5).map(r=>`${r.word}(${r.count})`).join(', ') || 'N/A'));
-        parts.push('---');
-        parts.push((d.text||'').slice(0,2000));
-        const text = parts.join('\n');
-        const filename = `analysis-${(d.name||'file').replace(/[^a-z0-9\.\-]/gi,'_')}-${(new Date()).toISOString().slice(0,19).replace(/[:T]/g,'-')}.txt`;
-        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a'); a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
-        return;
-      }
-    }
+function readSession(key){ try{ const s = sessionStorage.getItem(key); return s ? JSON.parse(s) : null; }catch(e){ return null; } }
+
+// Versioned report (see report-schema.json) of the last analysis, or of one file of it
+function currentReport(fileIndex){
+  const processed = window._lastReport || readSession('filesAnalysis') || readSession('lastReport');
+  if (!processed || !processed.length) return null;
+  const contents = readSession('filesContent') || [];
+  const files = processed.map((d,i)=>({ ...d, detectedSubjects: d.subjects, highlights: (contents[i] && contents[i].sentences) || [] }));
+  const single = typeof fileIndex === 'number' && files[fileIndex];
+  const matrix = readSession('similarityMatrix');
+  const comparison = !single && matrix ? { threshold: REPORT_CLUSTER_THRESHOLD, matrix, codeMatrix: readSession('codeSimilarityMatrix'), clusters: clusterBySimilarity(matrix, REPORT_CLUSTER_THRESHOLD) } : null;
+  return buildReport(single ? [single] : files, { profile: processed[0].profile, subject: processed[0].subject, comparison });
+}
 
-    // Prefer text report stored in-memory; fall back to sessionStorage
-    let reportText = window._lastReportText || sessionStorage.getItem('lastReportText');
-    if (reportText) {
-      const filename = `analysis-report-${(new Date()).toISOString().slice(0,19).replace(/[:T]/g,'-')}.txt`;
-      const blob = new Blob([reportText], { type: 'text/plain;charset=utf-8' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
-      return;
-    }
+// Cluster threshold of the report's comparison (the class matrix default)
+const REPORT_CLUSTER_THRESHOLD = 20;
 
-    // Fallback: JSON report
-    const jsonReport = window._lastReport || (()=>{ try{ const s = sessionStorage.getItem('lastReport'); return s?JSON.parse(s):null;}catch(e){return null;} })();
-    if (!jsonReport) return;
-    const blob = new Blob([JSON.stringify(jsonReport, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `analysis-report-${(new Date()).toISOString().slice(0,19).replace(/[:T]/g,'-')}.json`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+const REPORT_FORMATS = {
+  txt: { render: reportToText, type: 'text/plain' },
+  html: { render: reportToHtml, type: 'text/html' },
+  csv: { render: reportToCsv, type: 'text/csv' },
+  json: { render: r => JSON.stringify(r, null, 2), type: 'application/json' }
+};
+
+function downloadBlob(content, type, filename){
+  const blob = new Blob([content], { type: type + ';charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+// Print the HTML report from a hidden frame; the print dialog saves it as PDF
+function printReport(html){
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;width:0;height:0;border:0';
+  document.body.appendChild(frame);
+  frame.contentDocument.open(); frame.contentDocument.write(html); frame.contentDocument.close();
+  frame.contentWindow.focus(); frame.contentWindow.print();
+  setTimeout(()=>frame.remove(), 1000);
+}
+
+// Global download handler so it can be reattached reliably after navigation/back.
+// `format` is txt, html, pdf, csv or json; by default the page's #reportFormat choice.
+window.handleDownloadReport = function(fileIndex, format){
+  try {
+    const report = currentReport(fileIndex);
+    if (!report) return;
+    const select = document.getElementById('reportFormat');
+    const chosen = format || (select && select.value) || 'txt';
+    if (chosen === 'pdf') return printReport(reportToHtml(report));
+    const f = REPORT_FORMATS[chosen] || REPORT_FORMATS.txt;
+    const stamp = (new Date()).toISOString().slice(0,19).replace(/[:T]/g,'-');
+    const base = report.files.length === 1 && typeof fileIndex === 'number' ? `analysis-${report.files[0].name.replace(/[^a-z0-9\.\-]/gi,'_')}` : 'analysis-report';
+    downloadBlob(f.render(report), f.type, `${base}-${stamp}.${REPORT_FORMATS[chosen] ? chosen : 'txt'}`);
   } catch (e) {
     console.error('Download failed', e);
   }
 };
 
+// Whether the page is served by server.js (its APIs answer); checked once per page
+let serverMode = null;
+async function isServer(){
+  if (serverMode === null){ try{ serverMode = (await fetch('/config')).ok; }catch(e){ serverMode = false; } }
+  return serverMode;
+}
+
+// JSON request to the server; rejects with the API's error and details
+async function api(method, url, body){
+  const res = await fetch(url, { method, headers: body ? { 'Content-Type': 'application/json' } : {}, body: body ? JSON.stringify(body) : undefined });
+  const data = res.status === 204 ? null : await res.json();
+  if (!res.ok) throw new Error([data && data.error, ...((data && data.details) || [])].filter(Boolean).join(': ') || res.statusText);
+  return data;
+}
+
+// Saved analysis runs: the /history API when served by server.js, else IndexedDB in this browser.
+// Every method returns a promise; list() gives summaries, get() the full run with its session state.
+const analysisHistory = (function(){
+  const DB_NAME = 'assignmentDetector', STORE = 'runs';
+
+  function openDb(){
+    return new Promise((resolve, reject)=>{
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = ()=>req.result.createObjectStore(STORE, { keyPath: 'id' });
+      req.onsuccess = ()=>resolve(req.result);
+      req.onerror = ()=>reject(req.error);
+    });
+  }
+  // Run `fn(store)` in one transaction; resolves with the result of the request it returns
+  async function local(mode, fn){
+    const db = await openDb();
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = ()=>{ db.close(); resolve(req ? req.result : undefined); };
+      tx.onerror = ()=>{ db.close(); reject(tx.error); };
+    });
+  }
+  function localRetention(){ return Number(localStorage.getItem('historyRetentionDays')) || 0; }
+  async function localPrune(){
+    const days = localRetention();
+    const runs = await local('readonly', s=>s.getAll());
+    const expired = runs.filter(r=>runExpired(r, days));
+    if (expired.length) await local('readwrite', s=>{ expired.forEach(r=>s.delete(r.id)); });
+    return runs.filter(r=>!expired.includes(r));
+  }
+
+  return {
+    isServer,
+    async list(filter){
+      if (await isServer()) return api('GET', '/history?' + new URLSearchParams(Object.entries(filter || {}).filter(([,v])=>v)));
+      return filterRuns((await localPrune()).map(summarizeRun), filter);
+    },
+    async get(id){
+      if (await isServer()) return api('GET', `/history/${encodeURIComponent(id)}`);
+      return (await local('readonly', s=>s.get(id))) || null;
+    },
+    async save(className, state){
+      if (await isServer()) return api('POST', '/history', { className, state });
+      const run = { id: crypto.randomUUID ? crypto.randomUUID() : String(Date.now()) + Math.random().toString(16).slice(2), createdAt: new Date().toISOString(), className: (className || '').trim(), state };
+      await local('readwrite', s=>s.put(run));
+      await localPrune();
+      return summarizeRun(run);
+    },
+    async remove(id){
+      if (await isServer()) return api('DELETE', `/history/${encodeURIComponent(id)}`);
+      await local('readwrite', s=>s.delete(id));
+    },
+    async clear(){
+      if (await isServer()) return api('DELETE', '/history');
+      await local('readwrite', s=>s.clear());
+    },
+    async getRetention(){
+      if (await isServer()) return (await api('GET', '/history/settings')).retentionDays;
+      return localRetention();
+    },
+    async setRetention(days){
+      if (await isServer()) return (await api('PUT', '/history/settings', { retentionDays: days })).retentionDays;
+      if (!(Number.isInteger(days) && days >= 0)) throw new Error('Keep runs for a whole number of days (0 keeps them forever)');
+      localStorage.setItem('historyRetentionDays', String(days));
+      await localPrune();
+      return days;
+    }
+  };
+})();
+
+// Students' writing-style profiles: the /students API when served by server.js, else localStorage.
+// check() compares submissions ({ studentId, fileName, text, author }) with each student's earlier
+// ones and then records them; it resolves with one style result (or null) per submission.
+const studentProfiles = (function(){
+  function load(){ try{ return JSON.parse(localStorage.getItem('studentProfiles') || '{}'); }catch(e){ return {}; } }
+  function store(profiles){ localStorage.setItem('studentProfiles', JSON.stringify(profiles)); }
+  const summary = p => ({ studentId: p.studentId, submissions: p.submissions.length, lastSubmittedAt: p.submissions.length ? p.submissions[p.submissions.length-1].createdAt : null });
+
+  return {
+    async check(submissions){
+      if (await isServer()) return (await api('POST', '/students/submissions', { submissions })).styles;
+      const profiles = load();
+      // compare the whole batch before recording, so one student's files are not each other's baseline
+      const records = submissions.map(s=>s.studentId ? styleSubmission(s.text, s.fileName, undefined, s.author) : null);
+      const styles = submissions.map((s,i)=>records[i] ? compareStyle(records[i], profiles[s.studentId]) : null);
+      submissions.forEach((s,i)=>{ if (records[i]) profiles[s.studentId] = recordSubmission(profiles[s.studentId], s.studentId, records[i]); });
+      store(profiles);
+      return styles;
+    },
+    async list(){
+      if (await isServer()) return api('GET', '/students');
+      return Object.values(load()).map(summary).sort((a,b)=>a.studentId.localeCompare(b.studentId));
+    },
+    async remove(studentId){
+      if (await isServer()) return api('DELETE', `/students/${encodeURIComponent(studentId)}`);
+      const profiles = load(); delete profiles[studentId]; store(profiles);
+    }
+  };
+})();
+
+// OCR for image uploads and scanned PDF pages: the /ocr API when served by server.js (recognition
+// stays on that machine), else tesseract.js in this browser, loaded from the CDN on first use.
+// Both resolve with { text, ocr } where ocr lists the recognised regions (see summarizeOcr).
+const ocrReader = (function(){
+  const TESSERACT_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js@7.0.0/dist/tesseract.min.js';
+  let worker = null;
+
+  function loadScript(src){ return new Promise((resolve, reject)=>{ const s=document.createElement('script'); s.src=src; s.onload=resolve; s.onerror=()=>reject(new Error('Could not load '+src)); document.head.appendChild(s); }); }
+  function getWorker(){
+    if (!worker) worker = (async()=>{ if (!window.Tesseract) await loadScript(TESSERACT_URL); return Tesseract.createWorker('eng'); })().catch(e=>{ worker=null; throw e; });
+    return worker;
+  }
+  // Text, mean confidence and recognised lines of an image, canvas or File
+  async function recognize(image){
+    const { data } = await (await getWorker()).recognize(image, {}, { text: true, blocks: true });
+    const lines = [];
+    for (const b of data.blocks||[]) for (const p of b.paragraphs) for (const l of p.lines){ const text=l.text.trim(); if (text) lines.push({ text, confidence: Math.round(l.confidence), bbox: l.bbox }); }
+    return { text: (data.text||'').trim(), confidence: Math.round(data.confidence||0), lines };
+  }
+  async function viaServer(file){
+    const form = new FormData(); form.append('file', file, file.name);
+    const res = await fetch('/ocr', { method: 'POST', body: form });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || res.statusText);
+    return data;
+  }
+
+  return {
+    async image(file){
+      if (await isServer()) return viaServer(file);
+      const found = await recognize(file);
+      return { text: found.text, ocr: summarizeOcr(found.text ? [{ page: null, start: 0, end: found.text.length, confidence: found.confidence, lines: found.lines }] : []) };
+    },
+    // A PDF whose pages (pdf.js) have the given texts: pages with almost no text are rendered and recognised
+    // and the result added to them. Served by server.js the whole file is read there instead.
+    async pdf(file, pdfDoc, pageTexts){
+      if (!pageTexts.some(t=>t.trim().length < OCR_MIN_PAGE_TEXT)) return { text: pageTexts.map(t=>'\n\n'+t).join(''), ocr: null };
+      if (await isServer()) return viaServer(file);
+      let text = '';
+      const regions = [];
+      for (let p=1;p<=pageTexts.length;p++){
+        let pageText = pageTexts[p-1];
+        text += '\n\n';
+        if (pageText.trim().length < OCR_MIN_PAGE_TEXT){
+          const page = await pdfDoc.getPage(p);
+          const viewport = page.getViewport({ scale: 2 });
+          const canvas = document.createElement('canvas'); canvas.width = viewport.width; canvas.height = viewport.height;
+          await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+          const found = await recognize(canvas);
+          if (found.text){
+            if (pageText) pageText += '\n';
+            const start = text.length + pageText.length;
+            pageText += found.text;
+            regions.push({ page: p, start, end: start + found.text.length, confidence: found.confidence, lines: found.lines });
+          }
+        }
+        text += pageText;
+      }
+      return { text, ocr: summarizeOcr(regions) };
+    }
+  };
+})();
+
+// Session state of the current analysis, as saved in a history run
+function currentRunState(){
+  const state = {};
+  for (const key of HISTORY_STATE_KEYS){ const value = readSession(key); if (value !== null) state[key] = value; }
+  return state;
+}
+
+// Make a saved run the current analysis, so index.html, details.html and collusion.html show it
+function openRun(run){
+  HISTORY_STATE_KEYS.forEach(key=>sessionStorage.removeItem(key));
+  sessionStorage.removeItem('lastReport');
+  for (const [key, value] of Object.entries(run.state || {})) sessionStorage.setItem(key, JSON.stringify(value));
+  sessionStorage.setItem('className', run.className || '');
+}
+
 // Ensure pageshow reattaches handler even if page was restored from bfcache
 window.addEventListener('pageshow', (ev)=>{
   try{
     const downloadBtn = document.getElementById && document.getElementById('downloadBtn');
+    const reportFormat = document.getElementById && document.getElementById('reportFormat');
     if (downloadBtn && sessionStorage.getItem('filesAnalysis')){
       downloadBtn.style.display = 'inline-block';
-      downloadBtn.onclick = window.handleDownloadReport;
+      if (reportFormat) reportFormat.style.display = 'inline-block';
+      // keep a page's own handler (details.html downloads only its file)
+      if (!downloadBtn.onclick) downloadBtn.onclick = ()=>window.handleDownloadReport();
     }
   }catch(e){}
 });
@@ -498,6 +419,8 @@ document.addEventListener('DOMContentLoaded', ()=>{
   const analyzeBtn = document.getElementById('analyzeBtn');
   const clearBtn = document.getElementById('clearBtn');
   const downloadBtn = document.getElementById('downloadBtn');
+  const reportFormat = document.getElementById('reportFormat');
+  const matrixBtn = document.getElementById('matrixBtn');
   const uploadList = document.getElementById('uploadList');
   const resultsGrid = document.getElementById('resultsGrid');
 
@@ -515,12 +438,7 @@ document.addEventListener('DOMContentLoaded', ()=>{
     if (uploadedFiles) {
       const filesData = JSON.parse(uploadedFiles);
       uploadList.innerHTML = '';
-      for (const f of filesData) {
-        const div = document.createElement('div');
-        div.className = 'upload-item';
-        div.innerHTML = `<div style="flex:1"><div class="file-meta">${escapeHtml(f.name)} <span class="small-muted">(${f.size})</span></div></div><div class="badge">${f.type || 'n/a'}</div>`;
-        uploadList.appendChild(div);
-      }
+      filesData.forEach((f, i) => uploadList.appendChild(uploadItem(f.name, f.size, f.type, f.studentId, i)));
     }
     const filesAnalysis = sessionStorage.getItem('filesAnalysis');
     if (filesAnalysis) {
@@ -531,6 +449,8 @@ document.addEventListener('DOMContentLoaded', ()=>{
           renderFileResult(analysisDocs[i], i);
         }
         downloadBtn.style.display = 'inline-block';
+        if (reportFormat) reportFormat.style.display = 'inline-block';
+        if (matrixBtn) matrixBtn.style.display = analysisDocs.length > 1 ? 'inline-block' : 'none';
       } catch (e) {}
     }
   }
@@ -546,6 +466,7 @@ document.addEventListener('DOMContentLoaded', ()=>{
         try{
           if (downloadBtn && sessionStorage.getItem('filesAnalysis')){
             downloadBtn.style.display = 'inline-block';
+            if (reportFormat) reportFormat.style.display = 'inline-block';
             // attach handler in case it was lost due to navigation caching
             downloadBtn.onclick = handleDownloadBtnClick;
           }
@@ -554,20 +475,31 @@ document.addEventListener('DOMContentLoaded', ()=>{
     }catch(e){}
   });
   
-  // Restore UI on page load if files already exist in sessionStorage
+  // Restore UI on page load if files already exist in sessionStorage.
+  // Restored files carry the text extracted from them, so they can be analyzed again.
   const uploadedFiles = sessionStorage.getItem('uploadedFiles');
     try {
       const filesData = JSON.parse(uploadedFiles);
+      const analyzed = readSession('filesAnalysis') || [];
       if (filesData.length > 0) {
-        selectedFiles = filesData.map((f, i) => ({
-          name: f.name,
-          size: 0,
-          type: f.type
-        }));
+        selectedFiles = filesData.map((f, i) => {
+          const doc = analyzed.find(d => d.name === f.name);
+          return { name: f.name, size: f.sizeBytes || 0, type: f.type, text: doc ? doc.text : undefined, ocr: doc ? doc.ocr : null, metadata: doc ? doc.metadata : null, studentId: f.studentId };
+        });
         restoreUiState();
         analyzeBtn.disabled = false;
       }
     } catch (e) {}
+  const pasted = (readSession('filesAnalysis') || []).find(d => d.name === 'Pasted Text');
+  if (pasted && !textInput.value) { textInput.value = pasted.text || ''; analyzeBtn.disabled = false; }
+
+  // Class the analysis is for, saved with it in the history
+  const classInput = document.getElementById('classInput');
+  const historyMessage = document.getElementById('historyMessage');
+  if (classInput){
+    classInput.value = sessionStorage.getItem('className') !== null ? sessionStorage.getItem('className') : (localStorage.getItem('className') || '');
+    classInput.addEventListener('input', ()=>{ sessionStorage.setItem('className', classInput.value); localStorage.setItem('className', classInput.value); });
+  }
 
   fileInput.addEventListener('change', (e)=>{
     const rawFiles = Array.from(e.target.files || []);
@@ -604,7 +536,9 @@ document.addEventListener('DOMContentLoaded', ()=>{
     selectedFiles = allowed.slice();
     window.fileStore = selectedFiles.slice();
 
-    const filesData = selectedFiles.map(f => ({name: f.name, size: formatBytes(f.size), sizeBytes: f.size, type: f.type || 'file'}));
+    // Student IDs start out parsed from the file names and can be edited in the list
+    for (const f of selectedFiles) f.studentId = parseStudentId(f.name);
+    const filesData = selectedFiles.map(f => ({name: f.name, size: formatBytes(f.size), sizeBytes: f.size, type: f.type || 'file', studentId: f.studentId}));
     sessionStorage.setItem('uploadedFiles', JSON.stringify(filesData));
     renderUploadList();
     analyzeBtn.disabled = selectedFiles.length === 0 && !textInput.value.trim();
@@ -612,111 +546,123 @@ document.addEventListener('DOMContentLoaded', ()=>{
 
   const subjectSelect = document.getElementById('subjectSelect');
   const analyzingBadge = document.getElementById('analyzingBadge');
+  const analyzingText = document.getElementById('analyzingText');
+  const profileIndicator = document.getElementById('profileIndicator');
+  if (profileIndicator) profileIndicator.innerHTML = `Scoring profile: <strong>${escapeHtml(getActiveProfile().name)}</strong> · <a href="settings.html" style="color:inherit">change</a>`;
+
+  // Marking rubric: the subject's default rubric or one uploaded as JSON
+  const rubricSelect = document.getElementById('rubricSelect');
+  const rubricInput = document.getElementById('rubricInput');
+  const rubricRemoveBtn = document.getElementById('rubricRemoveBtn');
+  const rubricMessage = document.getElementById('rubricMessage');
+  function renderRubricOptions(){
+    if (!rubricSelect) return;
+    const names = Object.keys(loadRubrics());
+    const active = localStorage.getItem('activeRubric');
+    rubricSelect.innerHTML = '<option value="">Default (by subject)</option>' + names.map(n=>`<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+    rubricSelect.value = names.includes(active) ? active : '';
+    rubricRemoveBtn.disabled = !rubricSelect.value;
+  }
+  function sayRubric(text, isError){ if (rubricMessage){ rubricMessage.textContent = text; rubricMessage.style.color = isError ? '#fca5a5' : ''; } }
+  if (rubricSelect){
+    renderRubricOptions();
+    rubricSelect.addEventListener('change', ()=>{
+      if (rubricSelect.value) localStorage.setItem('activeRubric', rubricSelect.value); else localStorage.removeItem('activeRubric');
+      rubricRemoveBtn.disabled = !rubricSelect.value;
+      sayRubric('');
+    });
+    rubricInput.addEventListener('change', async ()=>{
+      const file = rubricInput.files && rubricInput.files[0];
+      rubricInput.value = '';
+      if (!file) return;
+      let rubric;
+      try{ rubric = JSON.parse(await readFileAsText(file)); }catch(e){ return sayRubric(`${file.name} is not valid JSON`, true); }
+      if (rubric && typeof rubric === 'object' && !rubric.name) rubric.name = file.name.replace(/\.json$/i,'').replace(/[^a-z0-9_-]+/gi,'-').slice(0,40);
+      const errors = validateRubric(rubric);
+      if (!errors.length && rubric.name === 'default') errors.push('"default" is built in; choose another name');
+      if (errors.length) return sayRubric(errors.join(' · '), true);
+      const rubrics = loadRubrics(); rubrics[rubric.name] = rubric;
+      localStorage.setItem('rubrics', JSON.stringify(rubrics));
+      localStorage.setItem('activeRubric', rubric.name);
+      renderRubricOptions();
+      sayRubric(`Loaded rubric "${rubric.name}" (${rubric.criteria.length} criteria); it applies to the next analysis.`);
+    });
+    rubricRemoveBtn.addEventListener('click', ()=>{
+      const name = rubricSelect.value;
+      if (!name) return;
+      const rubrics = loadRubrics(); delete rubrics[name];
+      localStorage.setItem('rubrics', JSON.stringify(rubrics));
+      localStorage.removeItem('activeRubric');
+      renderRubricOptions();
+      sayRubric(`Removed rubric "${name}".`);
+    });
+  }
 
   textInput.addEventListener('input', ()=>{ analyzeBtn.disabled = selectedFiles.length === 0 && !textInput.value.trim(); });
 
   clearBtn.addEventListener('click', ()=>{
-    fileInput.value=null; selectedFiles=[]; window.fileStore=[]; window.fileStoreNames=[]; textInput.value=''; uploadList.innerHTML=''; resultsGrid.innerHTML=''; sessionStorage.removeItem('uploadedFiles'); sessionStorage.removeItem('filesContent'); analyzeBtn.disabled=true; downloadBtn.style.display='none';
+    fileInput.value=null; selectedFiles=[]; window.fileStore=[]; window.fileStoreNames=[]; textInput.value=''; uploadList.innerHTML=''; resultsGrid.innerHTML=''; if (historyMessage) historyMessage.textContent=''; sessionStorage.removeItem('uploadedFiles'); sessionStorage.removeItem('filesContent'); sessionStorage.removeItem('similarityMatrix'); sessionStorage.removeItem('codeSimilarityMatrix'); analyzeBtn.disabled=true; downloadBtn.style.display='none'; if (reportFormat) reportFormat.style.display='none'; if (matrixBtn) matrixBtn.style.display='none';
   });
 
   function handleDownloadBtnClick(){
     // delegate to the global handler to ensure availability after back/forward
-    if (window && typeof window.handleDownloadReport === 'function') return window.handleDownloadReport();
-    // fallback: same inline behavior
-    if (window._lastReportText) {
-      downloadTextFile(window._lastReportText, `analysis-report-${(new Date()).toISOString().slice(0,19).replace(/[:T]/g,'-')}.txt`);
-      return;
-    }
-    if (!window._lastReport) return;
-    const blob = new Blob([JSON.stringify(window._lastReport, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'analysis-report.json';
-    a.click();
-    URL.revokeObjectURL(url);
+    window.handleDownloadReport();
   }
 
   // Use single onclick assignment to avoid duplicate handlers
   downloadBtn.onclick = handleDownloadBtnClick;
 
 
-  // Generate a human-readable plain-text report from processed docs
-  // generateTextReport now accepts subject select element
-  function generateTextReport(docs, subjectSelectEl){
-    const now = new Date();
-    const header = [];
-    header.push('AI Assignment Analysis System');
-    header.push('Report generated: ' + now.toLocaleString());
-    // Subject info
-    let subject = 'General';
-    try{
-      if (subjectSelectEl && subjectSelectEl.value) subject = subjectSelectEl.value;
-    }catch(e){}
-    header.push('Subject (selected): ' + subject);
-    // Overall subjects detected across documents
-    const allSubjects = Array.from(new Set(docs.flatMap(d=>d.subjects||[])));
-    header.push('Subjects detected: ' + (allSubjects.length? allSubjects.join(', ') : 'General'));
-    header.push('='.repeat(60));
-
-    const filesLine = docs.map(d=>`- ${d.name} (${d.size ? formatBytes(d.size) : 'n/a'})`).join('\n');
-    header.push('Files analyzed:');
-    header.push(filesLine);
-    header.push('='.repeat(60));
-
-    // Aggregate totals
-    const totalWords = docs.reduce((s,d)=>s + (d.wordCount||0),0);
-    const totalSentences = docs.reduce((s,d)=>s + (d.sentenceCount||0),0);
-    const avgSentenceOverall = totalSentences ? (totalWords / totalSentences).toFixed(2) : '0.00';
-
-    const summary = [];
-    summary.push('Basic statistics:');
-    summary.push(`Total word count: ${totalWords}`);
-    summary.push(`Total sentence count: ${totalSentences}`);
-    summary.push(`Average sentence length (overall): ${avgSentenceOverall}`);
-    summary.push('='.repeat(60));
-
-    const sections = [];
-    for (const d of docs){
-      sections.push(`File: ${d.name}`);
-      sections.push(`- Selected Subject: ${subjectSelectEl ? subjectSelectEl.value : 'General'}`);
-      if (d.subjects && d.subjects.length) sections.push(`- Detected Subjects: ${d.subjects.join(', ')}`);
-      else sections.push(`- Detected Subjects: General`);
-      sections.push(`- AI likelihood: ${d.aiLikelihood}%`);
-      sections.push(`- Word Count: ${d.wordCount}`);
-      sections.push(`- Character Count: ${d.charCount}`);
-      sections.push(`- Sentences: ${d.sentenceCount}`);
-      sections.push(`- Avg. sentence length: ${d.avgSentence}`);
-      sections.push('- Top repeated words: ' + (d.repeated && d.repeated.slice(0,5).map(r=>`${r.word}(${r.count})`).join(', ') || 'N/A'));
-      sections.push(`- Mark: ${d.aiContentScore || 0} / 100`);
-      sections.push(`- Code content: ${d.codeLines} lines (${d.codePercentage}%)`);
-      sections.push(`- Image / screenshot likely: ${d.possibleScreenshot ? 'Yes' : 'No'}`);
-      sections.push('-'.repeat(60));
-    }
-
-    const footer = [];
-    footer.push('Disclaimer: AI detection is based on linguistic patterns and provides an estimated likelihood, not a confirmed result.');
-    footer.push('End of report');
-
-    return [header.join('\n'), summary.join('\n'), sections.join('\n'), footer.join('\n')].join('\n\n');
-  }
-
-  function downloadTextFile(text, filename){ const blob = new Blob([text], {type:'text/plain;charset=utf-8'}); const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = filename || 'analysis-report.txt'; a.click(); URL.revokeObjectURL(url); }
 
   function escapeHtml(s){ return (s||'').replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":"&#39;"})[c]); }
 
-  function renderUploadList(){ uploadList.innerHTML=''; for(const f of selectedFiles){ const div=document.createElement('div'); div.className='upload-item'; div.innerHTML=`<div style="flex:1"><div class=\"file-meta\">${escapeHtml(f.name)} <span class=\"small-muted\">(${formatBytes(f.size)})</span></div></div><div class=\"badge\">${f.type||'n/a'}</div>`; uploadList.appendChild(div);} }
+  function renderUploadList(){ uploadList.innerHTML=''; selectedFiles.forEach((f,i)=>uploadList.appendChild(uploadItem(f.name, formatBytes(f.size), f.type, f.studentId, i))); }
+
+  // Upload list entry with the file's student ID (parsed from its name or typed in)
+  function uploadItem(name, sizeText, type, studentId, index){
+    const div=document.createElement('div'); div.className='upload-item';
+    div.innerHTML=`<div style="flex:1"><div class="file-meta">${escapeHtml(name)} <span class="small-muted">(${sizeText})</span></div></div><input class="settings-input student-id" data-index="${index}" maxlength="40" placeholder="Student ID" aria-label="Student ID for ${escapeHtml(name)}" value="${escapeHtml(studentId || '')}"><div class="badge">${type||'n/a'}</div>`;
+    return div;
+  }
+  uploadList.addEventListener('change', (ev)=>{
+    const input = ev.target.closest && ev.target.closest('.student-id');
+    if (!input) return;
+    const i = Number(input.getAttribute('data-index'));
+    const id = normalizeStudentId(input.value);
+    input.value = id || '';
+    if (selectedFiles[i]) selectedFiles[i].studentId = id;
+    const filesData = readSession('uploadedFiles') || [];
+    if (filesData[i]){ filesData[i].studentId = id; sessionStorage.setItem('uploadedFiles', JSON.stringify(filesData)); }
+  });
 
   analyzeBtn.addEventListener('click', async ()=>{
-    analyzeBtn.disabled=true; analyzeBtn.textContent='Analyzing...'; resultsGrid.innerHTML=''; downloadBtn.style.display='none';
+    analyzeBtn.disabled=true; analyzeBtn.textContent='Analyzing...'; resultsGrid.innerHTML=''; if (historyMessage) historyMessage.textContent=''; downloadBtn.style.display='none'; if (reportFormat) reportFormat.style.display='none'; if (matrixBtn) matrixBtn.style.display='none';
     if (analyzingBadge) analyzingBadge.style.display = 'flex';
 
     const docs = [];
-    for (const f of selectedFiles){ const text = await extractTextFromFileClient(f); docs.push({name:f.name,size:f.size,text}); }
+    for (let k=0;k<selectedFiles.length;k++){
+      const f = selectedFiles[k];
+      if (analyzingText) analyzingText.textContent = `Reading file ${k+1} of ${selectedFiles.length}: ${f.name}`;
+      const { text, ocr, metadata } = await extractContentClient(f);
+      docs.push({name:f.name,size:f.size,text,ocr,metadata:metadata||null,studentId:f.studentId===undefined ? parseStudentId(f.name) : f.studentId});
+    }
+    if (analyzingText) analyzingText.textContent = 'Analyzing documents…';
     if (textInput.value.trim()) docs.push({name:'Pasted Text', size:textInput.value.length, text:textInput.value});
     if (docs.length===0){ alert('No documents to analyze'); analyzeBtn.disabled=false; analyzeBtn.textContent='Analyze'; return; }
 
-    const processed = docs.map(d=>({ ...d, words: normalizeToWords(d.text), sentences: splitToSentences(d.text) }));
+    const subject = subjectSelect ? subjectSelect.value : 'General';
+    const profile = applySubjectProfile(getActiveProfile(), subject);
+    const rubric = getSelectedRubric();
+    // Code blocks are measured on their own and left out of every prose heuristic, and so are the
+    // reference list, quotations and citations (blanked out, so offsets still point into the text)
+    const structures = docs.map(d=>documentStructure(d.text));
+    const scoredTexts = docs.map((d,i)=>maskExcluded(d.text, structures[i]));
+    const proseTexts = scoredTexts.map(t=>extractCode(t).prose);
+    const processed = docs.map((d,i)=>({ ...d, words: normalizeToWords(proseTexts[i]), sentences: splitToSentences(proseTexts[i]) }));
+    // Winnowed shingle fingerprints, kept outside `processed` so they are not persisted
+    const fingerprints = processed.map((d,i)=>fingerprintText(d.text, { structure: structures[i] }));
+    const comparisons = comparePairwise(fingerprints);
+    const codeComparisons = comparePairwise(processed.map(d=>fingerprintCode(d.text)));
 
     for (let i=0;i<processed.length;i++){
       const base=processed[i];
@@ -724,100 +670,82 @@ document.addEventListener('DOMContentLoaded', ()=>{
       base.charCount = (base.text || '').length;
       // Detect subjects from content
       base.subjects = detectSubjects(base.text);
-      // Detect code-like content (simple heuristic)
-      const lines = (base.text||'').split(/\r?\n/);
-      const codeLike = lines.filter(l=>/\b(function|def|class|console\.|System\.|#include|import |public |private |var |let |const )\b|\{|;\s*$/.test(l)).length;
-      base.codeLines = codeLike;
-      base.codePercentage = Math.round((codeLike / Math.max(1, lines.length)) * 100);
+      base.subject = subject;
+      base.subjectWarning = subjectMismatch(subject, base.subjects);
+      // Code blocks: naming style, comment density and token-normalised matches with other submissions
+      base.code = analyzeCode(base.text);
+      base.structure = summarizeStructure(structures[i], base.text);
+      base.citations = citationReport(structures[i]);
+      base.codeLines = base.code.lines;
+      base.codePercentage = base.code.percentage;
+      base.codeMatches = [];
+      for (let j=0;j<processed.length;j++){
+        const cmp = codeComparisons[i][j];
+        if (cmp && cmp.spans.length) base.codeMatches.push({ index: j, name: processed[j].name, containment: cmp.containment, spans: cmp.spans });
+      }
+      base.codeMatches.sort((a,b)=>b.containment-a.containment);
 
       // Screenshot / image detection heuristic: low extracted text but file size large or many PDF pages empty
       base.possibleScreenshot = false;
       if (base.size && base.size > 100000 && (base.text||'').trim().length < 200) base.possibleScreenshot = true;
-      // Compute best match among other uploaded documents (reference file removed)
-      let best = { name: '', pct: 0 };
-      for (let j=0;j<processed.length;j++){ if (i===j) continue; const other=processed[j]; const pct = computeSimilarityPercentage(base.words, other.words); if (pct>best.pct){ best={name:other.name,pct}; } }
-      base.bestMatch=best;
-      base.aiLikelihood=computeAiLikelihood(base.text, base.sentences, base.words);
-      base.aiLabel=labelAiScore(base.aiLikelihood);
+      // Matched and paraphrased passages against every other uploaded document, most similar first
+      const matches = [];
+      for (let j=0;j<processed.length;j++){
+        const cmp = comparisons[i][j];
+        if (cmp && (cmp.spans.length || cmp.paraphrases.length)) matches.push({ index: j, name: processed[j].name, containment: cmp.containment, spans: cmp.spans, paraphrase: cmp.paraphrase, paraphrases: cmp.paraphrases });
+      }
+      base.matches = matches.sort((a,b)=>similarityOf(b)-similarityOf(a));
+      const scoringText = prepareText(proseTexts[i], profile);
+      const explained = explainAiLikelihood(scoringText, splitToSentences(scoringText), normalizeToWords(scoringText), profile);
+      base.aiLikelihood=explained.score;
+      base.breakdown=[...explained.signals, overlapSignal(matches.length ? matches[0].containment : 0, matches.length ? matches[0].name : '')];
+      base.aiLabel=labelAiScore(base.aiLikelihood, profile);
+      base.aiStatus=aiStatusClass(base.aiLikelihood, profile);
+      base.profile=profile.name;
+      base.engineVersion=ENGINE_VERSION;
       base.wordCount=base.words.length;
       base.sentenceCount=base.sentences.length;
       base.avgSentence= base.sentenceCount ? +(base.wordCount/base.sentenceCount).toFixed(2):0;
       const freq={}; for(const w of base.words) freq[w]=(freq[w]||0)+1; base.repeated=Object.entries(freq).sort((a,b)=>b[1]-a[1]).slice(0,8).map(([w,c])=>({word:w,count:c}));
     }
 
-    // postpone report generation until after aiContentScore is computed below
+    // Writing style against each student's own earlier submissions (recorded for next time)
+    if (analyzingText) analyzingText.textContent = 'Comparing with students\' earlier work…';
+    let styles = [];
+    try{ styles = await studentProfiles.check(processed.map(d=>({ studentId: d.studentId || null, fileName: d.name, text: d.text, author: d.metadata ? d.metadata.author : null }))); }catch(e){ console.error('Style comparison failed', e); }
+    processed.forEach((d,i)=>{ d.studentId = d.studentId || null; d.style = styles[i] || null; });
+    const anomalies = metadataAnomalies(processed);
+    processed.forEach((d,i)=>{ d.metadataAnomalies = anomalies[i]; });
 
-    // Store file contents and conservative per-sentence AI signal analysis for preview in details.html
-    function analyzeSentenceSignals(s){
-      const t = (s||'').trim();
-      const low = t.toLowerCase();
-      const signals = {};
-      // Generic phrasing
-      signals.generic = /\b(in conclusion|overall|this paper|this document|this study|the purpose of)\b/.test(low);
-      // Template-like numbering or bullets
-      signals.template = /^\s*(first|second|third|finally|in the first|in the second)\b|\b\d+\.|\b(i|ii|iii)\b/i.test(t);
-      // Predictable transitions
-      signals.transition = /\b(moreover|furthermore|therefore|however|thus|consequently|additionally)\b/.test(low);
-      // Repetitive syntax patterns (repeated short words or phrases)
-      const words = normalizeToWords(t);
-      const freq={}; for(const w of words) freq[w]=(freq[w]||0)+1; signals.repetitive = Object.values(freq).some(c=>c>=3);
-      // Semantic vagueness
-      signals.vague = /\b(some|many|various|several|often|generally|typically|may|might|could)\b/.test(low);
-      // Mechanical tone (few personal pronouns)
-      const pronouns = (t.match(/\b(I|we|my|our|us|mine)\b/gi)||[]).length; signals.mechanical = pronouns===0 && words.length>6;
-      // Over-neutral language (lots of passive markers like 'is' + past participle)
-      signals.passive = /\bis\s+\w+ed\b|\bwas\s+\w+ed\b/.test(low);
-      // Lack of contextual specificity (no numbers, no proper nouns - heuristic)
-      const hasNumber = /\d/.test(t); const hasProper = /\b[A-Z][a-z]{2,}\b/.test(t); signals.nonspecific = !hasNumber && !hasProper && words.length>6;
-      const count = Object.values(signals).filter(Boolean).length;
-      return {signals, count};
-    }
+    // postpone report generation until after aiContentScore is computed below
 
-    const filesContent = processed.map(doc => {
+    // Store file contents and per-sentence spans (offsets, AI score, fired signals, flagged) for the heatmap in details.html
+    const filesContent = processed.map((doc, i) => {
       const text = doc.text || '';
-      // preserve original sentence delimiters and trailing spaces so preview matches source
-      const sentencesWithDelimiters = (text && text.match(/[^.!?]+[.!?]*\s*/g)) || doc.sentences || [];
-      const analysis = sentencesWithDelimiters.map(s => analyzeSentenceSignals(s));
-      // Candidate indices: sentences with >=3 signals
-      const candidates = analysis.map((a, i) => ({i, count:a.count, len: (sentencesWithDelimiters[i]||'').length})).filter(c=>c.count>=3);
-      const totalLen = text.length || Math.max(1, sentencesWithDelimiters.join('').length);
-      // sort candidates by count desc, shorter first to respect coverage cap
-      candidates.sort((a,b)=> b.count - a.count || a.len - b.len);
-      const cap = Math.floor(totalLen * 0.30); // max allowed highlighted characters
-      let sum=0; const highlightedIndices = new Set();
-      for(const c of candidates){ if (sum + c.len <= cap){ sum += c.len; highlightedIndices.add(c.i); } }
-
-      const highlightedPercent = Math.round((sum / totalLen) * 100);
-
-      // Compute per-sentence AI scores for uniformity analysis
-      const sentenceScores = sentencesWithDelimiters.map(s => computeSentenceAiScore(s, doc.words));
-      
-      // Format top repeated words for display and scoring
+      const sentences = analyzeSentences(scoredTexts[i], profile).map(s=>({ start:s.start, end:s.end, score:s.score, label:s.label, perplexity:s.perplexity, signals:s.signals, flagged:s.flagged }));
+      const sum = sentences.filter(s=>s.flagged).reduce((n,s)=>n + s.end - s.start, 0);
+      const highlightedPercent = Math.round((sum / Math.max(1, text.length)) * 100);
+
+      // Format top repeated words for display
       const topRepeatedWords = doc.repeated.slice(0, 5).map(r => `${r.word} (${r.count})`).join(', ');
       
-      // Compute comprehensive AI Content Score
-      const fileData = {
-        text,
-        sentencesWithDelimiters,
-        sentenceScores,
-        highlightedPercent,
-        topRepeatedWords,
-        wordCount: doc.wordCount
-      };
-      const aiContentScore = computeAiContentScore(fileData);
+      // Per-criterion mark under the selected rubric. markSubmission applies the
+      // subject to the profile itself, so it gets the unscaled active profile.
+      const mark = markSubmission(text, rubric, { profile: getActiveProfile(), subject });
+      const aiContentScore = mark.total;
       
       return {
         name: doc.name,
         text,
-        sentencesWithDelimiters,
-        sentenceSignals: analysis.map(a=>a.count),
-        highlightedIndices: Array.from(highlightedIndices),
+        sentences,
+        highlightCap: profile.highlightCap,
         highlightedCharCount: sum,
         highlightedPercent,
         wordCount: doc.wordCount,
-        sentenceCount: sentencesWithDelimiters.length || doc.sentenceCount,
+        sentenceCount: sentences.length || doc.sentenceCount,
         charCount: text.length || 0,
         aiContentScore,
+        mark,
         topRepeatedWords
       };
     });
@@ -827,6 +755,7 @@ document.addEventListener('DOMContentLoaded', ()=>{
     for (let i = 0; i < processed.length; i++) {
       if (filesContent[i]) {
         processed[i].aiContentScore = filesContent[i].aiContentScore;
+        processed[i].mark = filesContent[i].mark;
       }
     }
     
@@ -835,52 +764,145 @@ document.addEventListener('DOMContentLoaded', ()=>{
     
     // Store full analysis for UI restoration on back navigation - AFTER aiContentScore is added
     sessionStorage.setItem('filesAnalysis', JSON.stringify(processed));
+    // Pairwise containment for the class collusion matrix (collusion.html)
+    sessionStorage.setItem('similarityMatrix', JSON.stringify(similarityMatrix(comparisons)));
+    sessionStorage.setItem('codeSimilarityMatrix', JSON.stringify(similarityMatrix(codeComparisons)));
+    if (matrixBtn) matrixBtn.style.display = processed.length > 1 ? 'inline-block' : 'none';
     // Generate and persist the final report (after aiContentScore has been attached)
     try {
       window._lastReport = processed;
-      const reportText = generateTextReport(processed, subjectSelect);
-      window._lastReportText = reportText;
       downloadBtn.style.display = 'inline-block';
+      if (reportFormat) reportFormat.style.display = 'inline-block';
       try {
         sessionStorage.setItem('lastReport', JSON.stringify(processed));
-        sessionStorage.setItem('lastReportText', reportText);
       } catch (e) {}
     } catch (e) {
       console.error('Report generation failed', e);
     }
+
+    // Keep the run in the history (server store or IndexedDB) so it survives closing the tab
+    const className = classInput ? classInput.value.trim() : '';
+    analysisHistory.save(className, currentRunState()).then(run=>{
+      if (historyMessage) historyMessage.innerHTML = `Saved to <a href="history.html" style="color:inherit">history</a>${run.className ? ` for ${escapeHtml(run.className)}` : ''}.`;
+    }).catch(e=>{
+      console.error('Could not save to history', e);
+      if (historyMessage) historyMessage.textContent = `Not saved to history: ${e.message}`;
+    });
     
     analyzeBtn.disabled=false; analyzeBtn.textContent='Analyze';
     if (analyzingBadge) analyzingBadge.style.display = 'none';
   });
 
-  async function extractTextFromFileClient(file){ const name=(file.name||'').toLowerCase(); if (name.endsWith('.txt')) return await readFileAsText(file); if (name.endsWith('.docx')){ try{ const ab = await file.arrayBuffer(); const res = await mammoth.extractRawText({arrayBuffer:ab}); return res.value||'';}catch(e){return'';} } if (name.endsWith('.pdf')){ try{ const ab = await file.arrayBuffer(); if (!window['pdfjsLib']) return ''; const loadingTask = pdfjsLib.getDocument({data:ab}); const pdfDoc = await loadingTask.promise; let text=''; for(let p=1;p<=pdfDoc.numPages;p++){ const page = await pdfDoc.getPage(p); const content = await page.getTextContent(); const strings = content.items.map(i=>i.str); text += strings.join(' ')+"\n"; } return text; }catch(e){return ''; } } return await readFileAsText(file); }
+  async function extractTextFromFileClient(file){ if (typeof file.text === 'string') return file.text; const name=(file.name||'').toLowerCase(); if (name.endsWith('.txt')) return await readFileAsText(file); if (name.endsWith('.docx')){ try{ return (await readDocxClient(file)).text; }catch(e){return'';} } if (name.endsWith('.pdf')){ try{ const ab = await file.arrayBuffer(); if (!window['pdfjsLib']) return ''; const pdfDoc = await pdfjsLib.getDocument({data:ab}).promise; return (await readPdfPages(pdfDoc)).map(t=>'\n\n'+t).join(''); }catch(e){return ''; } } return await readFileAsText(file); }
+
+  // Text of every page of a pdf.js document, with headings and paragraph breaks (see pdfPageText)
+  async function readPdfPages(pdfDoc){
+    const pages = [];
+    for(let p=1;p<=pdfDoc.numPages;p++) pages.push(pdfPageText((await (await pdfDoc.getPage(p)).getTextContent()).items));
+    return pages;
+  }
+
+  // Entries of a ZIP-based file (DOCX, ODT, PPTX) as text, '' for missing ones
+  async function readZipEntries(zip, names){ return Promise.all(names.map(n=>zip.file(n) ? zip.file(n).async('string') : '')); }
+
+  // Word documents: mammoth's HTML (headings, lists, tables, footnotes) as text, plus the document properties
+  async function readDocxClient(file){
+    const ab = await file.arrayBuffer();
+    const res = await mammoth.convertToHtml({arrayBuffer:ab});
+    let metadata = null;
+    try{ if (window['JSZip']) metadata = officeMetadata(...await readZipEntries(await JSZip.loadAsync(ab), OFFICE_METADATA_ENTRIES)); }catch(e){}
+    return { text: htmlToText(res.value||''), metadata };
+  }
+
+  // Text and metadata of a format listed in DOCUMENT_FORMATS (zip-based ones need JSZip)
+  async function readFormatClient(format, file){
+    const readMetadata = read => { try{ return format.metadata ? read() : null; }catch(e){ return null; } };
+    if (format.source !== 'zip'){ const source = await readFileAsText(file); return { text: format.toText(source), metadata: readMetadata(()=>format.metadata(source)) }; }
+    if (!window['JSZip']) return { text: '', metadata: null };
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const text = format.toText(await readZipEntries(zip, format.entries(Object.keys(zip.files))));
+    const meta = format.metadata ? await readZipEntries(zip, format.metaEntries) : [];
+    return { text, metadata: readMetadata(()=>format.metadata(meta)) };
+  }
+
+  // Text, OCR record and metadata of a file: images and scanned PDF pages go through ocrReader; when
+  // OCR is unavailable (e.g. offline without the server) the text layer alone is used
+  async function extractContentClient(file){
+    if (typeof file.text === 'string') return { text: file.text, ocr: file.ocr || null, metadata: file.metadata || null };
+    const name=(file.name||'').toLowerCase();
+    const format = documentFormat(name);
+    if (format){ try{ return { ...await readFormatClient(format, file), ocr: null }; }catch(e){ console.warn('Could not read '+file.name, e); return { text: '', ocr: null, metadata: null }; } }
+    if (name.endsWith('.docx')){ try{ return { ...await readDocxClient(file), ocr: null }; }catch(e){ console.warn('Could not read '+file.name, e); return { text: '', ocr: null, metadata: null }; } }
+    try{
+      if (/\.(png|jpe?g)$/.test(name)) return { metadata: null, ...await ocrReader.image(file) };
+      if (name.endsWith('.pdf') && window['pdfjsLib']){
+        const pdfDoc = await pdfjsLib.getDocument({data: await file.arrayBuffer()}).promise;
+        let metadata = null;
+        try{ metadata = pdfMetadata((await pdfDoc.getMetadata()).info); }catch(e){}
+        const pageTexts = await readPdfPages(pdfDoc);
+        try{ return { metadata, ...await ocrReader.pdf(file, pdfDoc, pageTexts) }; }catch(e){ console.warn('OCR failed', e); return { text: pageTexts.map(t=>'\n\n'+t).join(''), ocr: null, metadata }; }
+      }
+    }catch(e){ console.warn('OCR failed', e); return { text: '', ocr: null, metadata: null }; }
+    return { text: await extractTextFromFileClient(file), ocr: null, metadata: null };
+  }
 
   function readFileAsText(file){ return new Promise((resolve)=>{ const r=new FileReader(); r.onload=()=>resolve(r.result||''); r.onerror=()=>resolve(''); r.readAsText(file); }); }
 
   function renderFileResult(doc, fileIndex){
     const card=document.createElement('div');
     card.className='file-card';
-    const statusClass = doc.aiLikelihood>=61?'status-ai':(doc.aiLikelihood>=31?'status-mixed':'status-human');
+    const statusClass = doc.aiStatus || aiStatusClass(doc.aiLikelihood);
     const subjectsText = (doc.subjects||[]).slice(0,3).map(s=>escapeHtml(s)).join(', ');
     const repeatedText = (doc.repeated||[]).slice(0,5).map(r=>`${escapeHtml(r.word)} (${r.count})`).join(', ');
-    const bestPct = doc.bestMatch && doc.bestMatch.pct ? (Math.round(doc.bestMatch.pct*100)/100) : 0;
-    const selectedSubject = subjectSelect ? subjectSelect.value : 'General';
+    const topMatch = (doc.matches||[])[0];
+    const attributed = topMatch ? matchAttribution([topMatch]) : null;
+    const matchText = topMatch ? `${escapeHtml(topMatch.name)} — ${topMatch.containment}% (${topMatch.spans.length} passage${topMatch.spans.length===1?'':'s'}${attributed.quoted ? `, ${attributed.quoted} quoted` : ''}${attributed.cited ? `, ${attributed.cited} cited` : ''}${(topMatch.paraphrases||[]).length ? `; ${topMatch.paraphrases.length} paraphrased, +${topMatch.paraphrase}%` : ''})` : 'None';
+    const topCodeMatch = (doc.codeMatches||[])[0];
+    const codeMatchRow = topCodeMatch ? `<div class="row"><div class="small-muted">Closest code match</div><div>${escapeHtml(topCodeMatch.name)} — ${topCodeMatch.containment}% of code tokens</div></div>` : '';
+    const selectedSubject = escapeHtml(doc.subject || (subjectSelect ? subjectSelect.value : 'General'));
+    const styleRows = (doc.style && doc.style.features||[]).map(x=>`<tr><td>${escapeHtml(x.label)}</td><td>${x.value}</td><td>${x.mean} ± ${x.sd}</td><td><strong>${x.z}σ</strong></td></tr>`).join('');
+    const stylePanel = styleRows ? `<details class="breakdown"><summary>Style vs. own baseline</summary><table class="breakdown-table"><thead><tr><th>Feature</th><th>This text</th><th>Usually</th><th>Deviation</th></tr></thead><tbody>${styleRows}</tbody></table></details>` : '';
+    const studentRow = doc.studentId ? `<div class="row"><div class="small-muted">Student ${escapeHtml(doc.studentId)}</div><div${doc.style && doc.style.flagged ? ' class="subject-warning"' : ''}>${escapeHtml(doc.style ? formatStyle(doc.style) : 'Too short to compare writing style')}</div></div>${stylePanel}` : '';
+    const ocrRows = ((doc.ocr && doc.ocr.regions)||[]).map(r=>`<tr><td>${r.page !== null ? r.page : '—'}</td><td>${r.start}–${r.end}</td><td><strong>${r.confidence}%</strong></td><td>${escapeHtml(r.lines.length ? r.lines[0].text : '')}</td></tr>`).join('');
+    const ocrRow = doc.ocr ? `<div class="row"><div class="small-muted">OCR</div><div class="subject-warning">${escapeHtml(formatOcr(doc.ocr))}</div></div><details class="breakdown"><summary>Recognised regions</summary><table class="breakdown-table"><thead><tr><th>Page</th><th>Characters</th><th>Confidence</th><th>First line</th></tr></thead><tbody>${ocrRows}</tbody></table><div class="small-muted">This text was read from images; recognition errors can affect the scores.</div></details>` : '';
+    const sources = (doc.citations && doc.citations.sources)||[];
+    const referencesPanel = sources.length ? `<details class="breakdown"><summary>References (${sources.length})</summary><table class="breakdown-table"><thead><tr><th>Reference</th><th>Cited</th></tr></thead><tbody>${sources.map(x=>`<tr><td>${escapeHtml(x.reference)}</td><td>${x.citations ? `${x.citations}×` : '<span class="subject-warning">never</span>'}</td></tr>`).join('')}</tbody></table><div class="small-muted">The reference list, quotations and citations are left out of the AI score; matched passages in quotation marks do not count toward similarity and cited ones count half.</div></details>` : '';
+    const citationWarning = doc.citations && (doc.citations.missing.length || doc.citations.uncitedQuotations);
+    const structureRow = doc.structure ? `<div class="row"><div class="small-muted">Structure</div><div>${escapeHtml(formatStructure(doc.structure))}</div></div>` : '';
+    const citationRow = doc.citations ? `<div class="row"><div class="small-muted">Citations</div><div${citationWarning ? ' class="subject-warning"' : ''}>${escapeHtml(formatCitations(doc.citations))}</div></div>${referencesPanel}` : '';
+    const anomalyRows = (doc.metadataAnomalies||[]).map(a=>`<div class="row"><div class="small-muted">Metadata warning</div><div class="subject-warning">${escapeHtml(a.message)}</div></div>`).join('');
+    const metadataRow = `<div class="row"><div class="small-muted">Metadata</div><div>${escapeHtml(formatMetadata(doc.metadata))}</div></div>${anomalyRows}`;
+    const warningRow = doc.subjectWarning ? `<div class="row"><div class="small-muted">Subject warning</div><div class="subject-warning">${escapeHtml(doc.subjectWarning)}</div></div>` : '';
     const aiContentScore = doc.aiContentScore || 0;
+    const markRows = ((doc.mark && doc.mark.criteria)||[]).map(c=>`<tr><td>${escapeHtml(c.label)}${c.detail ? `<div class="small-muted">${escapeHtml(c.detail)}</div>` : ''}</td><td>${c.score}%</td><td><strong>${c.points}</strong> / ${c.weight}</td></tr>`).join('');
+    const markPanel = markRows ? `<details class="breakdown"><summary>Mark breakdown</summary><table class="breakdown-table"><thead><tr><th>Criterion</th><th>Score</th><th>Points</th></tr></thead><tbody>${markRows}</tbody></table></details>` : '';
+    const breakdownRows = (doc.breakdown||[]).map(b=>`<tr><td>${escapeHtml(b.label)}<div class="small-muted">${escapeHtml(b.detail)}</div></td><td>${b.raw}</td><td>${b.normalized}</td><td>${b.weight}</td><td><strong>+${b.contribution}</strong></td></tr>`).join('');
+    const breakdownPanel = breakdownRows ? `<details class="breakdown"><summary>Why this score?</summary><table class="breakdown-table"><thead><tr><th>Signal</th><th>Raw</th><th>Normalized</th><th>Weight</th><th>Points</th></tr></thead><tbody>${breakdownRows}</tbody></table><div class="small-muted">Points add up to the AI likelihood (capped at 100). Reference overlap is shown for context and carries no weight.</div></details>` : '';
 
     card.innerHTML = `
       <div class="row"><div><strong>${escapeHtml(doc.name)}</strong> <span class="small-muted">— ${doc.wordCount} words</span></div><div class="status-badge ${statusClass}">${doc.aiLabel}</div></div>
       <div class="row"><div class="small-muted">Selected Subject</div><div><strong>${selectedSubject}</strong></div></div>
       <div class="row"><div class="small-muted">Detected Subjects</div><div>${subjectsText || 'General'}</div></div>
-      <div class="row"><div class="small-muted">AI likelihood</div><div><strong>${doc.aiLikelihood}%</strong></div></div>
-      <div class="progress"><div class="progress-fill ${doc.aiLikelihood>=61? 'ai':''}" style="width:${doc.aiLikelihood}%"></div></div>
+      ${warningRow}
+      ${studentRow}
+      <div class="row"><div class="small-muted">AI likelihood</div><div><strong>${doc.aiLikelihood}%</strong> <span class="small-muted">(${escapeHtml(doc.profile || 'default')} profile)</span></div></div>
+      <div class="row"><div class="small-muted">Closest match</div><div>${matchText}</div></div>
+      <div class="progress"><div class="progress-fill ${statusClass==='status-ai'? 'ai':''}" style="width:${doc.aiLikelihood}%"></div></div>
+      ${breakdownPanel}
       <div class="row"><div class="small-muted">Word Count</div><div><strong>${doc.wordCount}</strong></div></div>
       <div class="row"><div class="small-muted">Character Count</div><div><strong>${doc.charCount}</strong></div></div>
       <div class="row"><div class="small-muted">Sentences</div><div><strong>${doc.sentenceCount}</strong></div></div>
       <div class="row"><div class="small-muted">Avg. sentence length</div><div>${doc.avgSentence}</div></div>
       <div class="row"><div class="small-muted">Top repeated words</div><div>${repeatedText || '—'}</div></div>
-      <div class="row"><div class="small-muted">Mark</div><div><strong>${aiContentScore} / 100</strong></div></div>
-      <div class="row"><div class="small-muted">Code content</div><div>${doc.codeLines} lines (${doc.codePercentage}%)</div></div>
+      <div class="row"><div class="small-muted">Mark</div><div><strong>${aiContentScore} / ${doc.mark ? doc.mark.maxMark : 100}</strong>${doc.mark ? ` <span class="small-muted">(${escapeHtml(doc.mark.rubric)} rubric)</span>` : ''}</div></div>
+      ${markPanel}
+      <div class="row"><div class="small-muted">Code</div><div>${escapeHtml(formatCode(doc.code))}</div></div>
+      ${codeMatchRow}
+      ${structureRow}
+      ${citationRow}
+      ${metadataRow}
       <div class="row"><div class="small-muted">Image / screenshot likely</div><div>${doc.possibleScreenshot ? 'Yes' : 'No'}</div></div>
+      ${ocrRow}
       <div class="row" style="margin-top:12px;padding-top:12px;border-top:1px solid rgba(255,255,255,0.1)"><a href="details.html?fileIndex=${fileIndex}" class="primary" style="padding:8px 16px;text-decoration:none;border-radius:4px;background:#0066cc;color:white;display:inline-block;font-size:13px;font-weight:600">View Preview</a></div>
     `;
     resultsGrid.appendChild(card);
@@ -1,212 +1,487 @@
 const express = require('express');
 const multer = require('multer');
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const cors = require('cors');
+const engine = require('./engine');
+const { createCorpus } = require('./corpus');
+const { createProfileStore } = require('./profiles');
+const { createRubricStore } = require('./rubrics');
+const { createHistoryStore } = require('./history');
+const { createStudentStore } = require('./students');
+const { ExtractionError, extractContentFromFile, extractTextFromFile, extractDocuments } = require('./extract');
+const { createWorkerPool, createJobQueue, FINAL_STATUSES } = require('./jobs');
 
 const app = express();
+// Stored documents live here; tests point it at a temporary folder
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const upload = multer({ dest: path.join(__dirname, 'uploads') });
 
 app.use(cors());
 app.use(express.json({ limit: '20mb' }));
 app.use(express.urlencoded({ extended: true }));
+// Stored corpus documents, saved runs and pending uploads are never served statically
+app.use(['/data', '/uploads'], (req, res) => res.status(404).end());
 app.use(express.static(__dirname));
 
-/* ---------------- UTILITIES ---------------- */
+/* ---------------- REFERENCE CORPUS ---------------- */
+const corpus = createCorpus(path.join(DATA_DIR, 'corpus.jsonl'));
 
-function normalizeToWords(text) {
-  return (text || '')
-    .toLowerCase()
-    .replace(/[\.,\\/#!$%\^&\*;:{}=\-_`~()\[\]\"'<>?@+]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .split(' ')
-    .filter(Boolean);
-}
-
-function mean(arr) {
-  return arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+// Seed an empty corpus with the bundled sample reference text
+if (corpus.size === 0) {
+  try {
+    const referenceText = fs.readFileSync(path.join(__dirname, 'reference.txt'), 'utf8');
+    corpus.add({ title: 'reference.txt', text: referenceText, tags: ['sample'], kind: 'reference' });
+  } catch {
+    // no sample reference available
+  }
 }
 
-function stddev(arr) {
-  if (arr.length <= 1) return 0;
-  const m = mean(arr);
-  return Math.sqrt(arr.reduce((s, x) => s + (x - m) ** 2, 0) / (arr.length - 1));
-}
+/* ---------------- SCORING PROFILES ---------------- */
+const profiles = createProfileStore(path.join(DATA_DIR, 'profiles.json'));
 
-/* ---------------- REFERENCE TEXT ---------------- */
-const referencePath = path.join(__dirname, 'reference.txt');
-let referenceText = '';
-try {
-  referenceText = fs.readFileSync(referencePath, 'utf8');
-} catch {
-  referenceText = '';
-}
+/* ---------------- MARKING RUBRICS ---------------- */
+const rubrics = createRubricStore(path.join(DATA_DIR, 'rubrics.json'));
 
-/* ---------------- AI DETECTION ---------------- */
-
-function computeAiLikelihood(text, sentences, words) {
-  if (!words.length) return 0;
-
-  const lower = text.toLowerCase();
-  const wordCount = words.length;
-  const sentenceCount = sentences.length;
-  const lengths = sentences.map(s => normalizeToWords(s).length).filter(n => n > 0);
-  const avgLen = mean(lengths);
-  const sdLen = stddev(lengths);
-
-  let score = 0;
-
-  if (avgLen >= 12 && avgLen <= 20 && sdLen < 6) score += 20;
-  const variation = Math.max(...lengths) - Math.min(...lengths);
-  if (variation < 8) score += 15;
-  const uniqueRatio = new Set(words).size / words.length;
-  if (uniqueRatio < 0.6) score += 15;
-
-  const starters = sentences.map(s => s.split(" ")[0]?.toLowerCase());
-  const starterRatio = new Set(starters).size / starters.length;
-  if (starterRatio < 0.5) score += 10;
-
-  const phrases = [
-    "in conclusion","overall","furthermore","moreover",
-    "it is important to note","this highlights that",
-    "on the other hand","as a result","in summary",
-    "this demonstrates","it can be observed","in addition"
-  ];
-  let hits = 0;
-  phrases.forEach(p => { if (lower.includes(p)) hits++; });
-  score += Math.min(hits * 6, 20);
-
-  const errors = (text.match(/,,|!!|\?\?| {2,}/g) || []).length;
-  if (errors === 0) score += 10;
-
-  const freq = {};
-  words.forEach(w => freq[w] = (freq[w] || 0) + 1);
-  const repeated = Object.values(freq).filter(v => v > 4).length;
-  if (repeated > words.length * 0.05) score += 10;
-
-  if (referenceText) {
-    const refWords = normalizeToWords(referenceText);
-    const matches = words.filter(w => refWords.includes(w));
-    const refRatio = matches.length / words.length;
-    if (refRatio > 0.05) score += refRatio * 30;
-  }
+/* ---------------- ANALYSIS HISTORY ---------------- */
+const history = createHistoryStore(path.join(DATA_DIR, 'history.jsonl'), path.join(DATA_DIR, 'history-settings.json'));
 
-  if (sentenceCount > 8 && avgLen > 14) score += 5;
+/* ---------------- STUDENTS ---------------- */
+const students = createStudentStore(path.join(DATA_DIR, 'students.json'));
 
-  return Math.min(Math.round(score), 100);
-}
+/* ---------------- FILES ---------------- */
 
-function labelAiScore(pct) {
-  if (pct < 35) return 'Human-written';
-  if (pct < 70) return 'Mixed (AI + Human)';
-  return 'Likely AI-generated';
+function deleteFile(filePath) {
+  fs.unlink(filePath, () => {});
 }
 
-/* ---------------- SENTENCE HIGHLIGHT ---------------- */
+/* ---------------- ANALYSIS ---------------- */
 
-// Accurate sentence splitting with positions
-function splitSentencesWithPosition(text) {
-  const sentenceEndRegex = /[.!?]+/g;
-  const sentences = [];
-  let lastIndex = 0;
-  let match;
+// Id of the submission stored when this file was analysed before: same text
+// under the same name. The same text under another name is a copy to report.
+function ownCopyId(text, fileName) {
+  const stored = corpus.findByText(text);
+  return stored && stored.kind === 'submission' && stored.title === (fileName || 'Pasted text') ? stored.id : undefined;
+}
 
-  while ((match = sentenceEndRegex.exec(text)) !== null) {
-    const endIndex = match.index + match[0].length;
-    const sentence = text.slice(lastIndex, endIndex).trim();
-    if (sentence) {
-      sentences.push({ text: sentence, start: lastIndex, end: endIndex });
-    }
-    lastIndex = endIndex;
-  }
+// Engine result plus matches against every reference document and prior submission.
+// `options` holds the scoring profile, the selected subject and the rubric.
+function analyzeSubmission(text, fileName, fp, analysis, options) {
+  const result = analysis || engine.analyzeText(text, options.profile, { subject: options.subject, rubric: options.rubric });
+  // the stored copy of this same file from an earlier analysis is not a match
+  const corpusMatches = corpus.search(fp, { excludeId: ownCopyId(text, fileName) });
+  const top = corpusMatches[0];
+  return {
+    fileName,
+    ...result,
+    breakdown: [...result.breakdown, engine.overlapSignal(top && top.containment, top && top.title)],
+    corpusMatches,
+    submissionId: null,
+    preview: text.slice(0, 300)
+  };
+}
 
-  // catch any remaining text
-  if (lastIndex < text.length) {
-    const remaining = text.slice(lastIndex).trim();
-    if (remaining) sentences.push({ text: remaining, start: lastIndex, end: text.length });
-  }
+// Keep a submission for future comparisons
+function storeSubmission(text, fileName, tags) {
+  if (!text.trim()) return null;
+  return corpus.add({ title: fileName || 'Pasted text', text, tags, kind: 'submission' }).id;
+}
 
-  return sentences;
+// Student of a document: the ID given for it, else one parsed from the file
+// or archive name
+function pickStudentId(given, fileName, archive) {
+  return engine.normalizeStudentId(given) || engine.parseStudentId(fileName) || engine.parseStudentId(archive);
 }
 
-function analyzeSentences(text) {
-  const rawSentences = splitSentencesWithPosition(text);
-  return rawSentences.map(s => {
-    const words = normalizeToWords(s.text);
-    const score = computeAiLikelihood(s.text, [s.text], words);
-    return {
-      ...s,
-      score,
-      label: labelAiScore(score)
-    };
-  });
+// Writing style of each document against its student's earlier submissions.
+// All documents are compared before any is recorded, so two submissions of
+// one student in the same batch are not each other's baseline. `author` is
+// the document's metadata author, kept with the submission.
+function compareStudentStyles(docs, save) {
+  const submissions = docs.map(d => (d.studentId ? engine.styleSubmission(d.text, d.fileName, undefined, d.author) : null));
+  const styles = docs.map((d, i) => (submissions[i] ? students.compare(d.studentId, submissions[i]) : null));
+  if (save) docs.forEach((d, i) => students.record(d.studentId, submissions[i]));
+  return styles;
 }
 
-/* ---------------- FILE EXTRACTION ---------------- */
+// Metadata anomalies of analysed results (studentId, style and metadata set)
+function checkMetadata(results) {
+  const anomalies = engine.metadataAnomalies(results.map(r => ({ name: r.fileName, studentId: r.studentId, wordCount: r.wordCount, metadata: r.metadata, style: r.style })));
+  results.forEach((r, i) => { r.metadataAnomalies = anomalies[i]; });
+}
 
-async function extractTextFromFile(filePath, name) {
-  const ext = path.extname(name).toLowerCase();
+// Student IDs by file name from a form field holding a JSON object
+function parseStudentIds(value) {
+  if (value && typeof value === 'object') return value;
   try {
-    if (ext === '.txt') return fs.readFileSync(filePath, 'utf8');
-    if (ext === '.pdf') {
-      const data = fs.readFileSync(filePath);
-      const parsed = await pdf(data);
-      return parsed.text || '';
-    }
-    if (ext === '.docx') {
-      const data = fs.readFileSync(filePath);
-      const res = await mammoth.extractRawText({ buffer: data });
-      return res.value || '';
-    }
-    return fs.readFileSync(filePath, 'utf8');
+    const ids = JSON.parse(value || '{}');
+    return ids && typeof ids === 'object' ? ids : {};
   } catch {
-    return '';
+    return {};
   }
 }
 
-function deleteFile(filePath) {
-  fs.unlink(filePath, () => {});
+// Subject from a form field; unknown subjects fall back to General
+function pickSubject(subject) {
+  return Object.prototype.hasOwnProperty.call(engine.SUBJECT_PROFILES, subject) ? subject : 'General';
 }
 
+// Options shared by the batch route and jobs, read from form fields
+function batchOptions(body) {
+  return {
+    threshold: Number(body.threshold) > 0 ? Number(body.threshold) : 20,
+    save: String(body.save) !== 'false',
+    tags: body.tags,
+    profile: profiles.pick(body.profile),
+    subject: pickSubject(body.subject),
+    rubric: rubrics.pick(body.rubric),
+    studentIds: parseStudentIds(body.studentIds)
+  };
+}
+
+// Per-file results plus cross-file comparison data for a set of extracted
+// documents. Documents from a job worker arrive with `analysis`,
+// `fingerprint` and `codeFingerprint` already computed.
+function buildBatchResult(docs, options) {
+  const fps = docs.map(d => d.fingerprint || engine.fingerprintText(d.text));
+  const codeFps = docs.map(d => d.codeFingerprint || engine.fingerprintCode(d.text));
+  // Corpus lookups happen before any of the batch is stored, so members of
+  // this batch only show up in the cross-file comparison below.
+  const results = docs.map((d, i) => ({
+    ...analyzeSubmission(d.text, d.fileName, fps[i], d.analysis, options),
+    archive: d.archive || null,
+    ocr: d.ocr || null,
+    metadata: d.metadata || null
+  }));
+  const ids = options.studentIds || {};
+  results.forEach(r => { r.studentId = pickStudentId(ids[r.fileName], r.fileName, r.archive); });
+  const styles = compareStudentStyles(docs.map((d, i) => ({
+    text: d.text, fileName: d.fileName, studentId: results[i].studentId, author: d.metadata && d.metadata.author
+  })), options.save);
+  results.forEach((r, i) => { r.style = styles[i]; });
+  checkMetadata(results);
+  if (options.save) {
+    docs.forEach((d, i) => { results[i].submissionId = storeSubmission(d.text, d.fileName, options.tags); });
+  }
+
+  const text = engine.compareBatch(fps, options.threshold);
+  const code = engine.compareBatch(codeFps, options.threshold);
+
+  return {
+    engineVersion: engine.ENGINE_VERSION,
+    profile: options.profile.name,
+    subject: options.subject,
+    files: results,
+    comparison: { threshold: options.threshold, ...text, code }
+  };
+}
+
+/* ---------------- JOBS ---------------- */
+
+const pool = createWorkerPool(Number(process.env.JOB_WORKERS) || Math.max(1, Math.min(4, os.cpus().length - 1)));
+const jobs = createJobQueue({ pool, finish: buildBatchResult });
+// Embedders (the tests) close the pool when they stop the app
+app.locals.pool = pool;
+
 /* ---------------- API ---------------- */
 
 app.post('/analyze', upload.single('file'), async (req, res) => {
   try {
     let text = '';
     let fileName = '';
+    let ocr = null;
+    let metadata = null;
 
     if (req.file) {
       fileName = req.file.originalname;
-      text = await extractTextFromFile(req.file.path, fileName);
-      deleteFile(req.file.path);
+      ({ text, ocr, metadata } = await extractContentFromFile(req.file.path, fileName));
     } else if (req.body.text) {
       text = req.body.text;
     }
 
-    const words = normalizeToWords(text);
-    const aiScore = computeAiLikelihood(text, splitSentencesWithPosition(text).map(s => s.text), words);
-    const highlights = analyzeSentences(text);
-
-    res.json({
-      fileName,
-      wordCount: words.length,
-      sentenceCount: highlights.length,
-      aiLikelihood: aiScore,
-      aiLabel: labelAiScore(aiScore),
-      preview: text.slice(0, 300),
-      highlights
+    const fp = engine.fingerprintText(text);
+    const result = analyzeSubmission(text, fileName, fp, null, {
+      profile: profiles.pick(req.body.profile),
+      subject: pickSubject(req.body.subject),
+      rubric: rubrics.pick(req.body.rubric)
     });
+    const save = String(req.body.save) !== 'false';
+    result.ocr = ocr;
+    result.metadata = metadata;
+    result.studentId = pickStudentId(req.body.studentId, fileName);
+    result.style = compareStudentStyles([{ text, fileName, studentId: result.studentId, author: metadata && metadata.author }], save)[0];
+    checkMetadata([result]);
+    if (save) result.submissionId = storeSubmission(text, fileName, req.body.tags);
+
+    res.json(result);
   } catch (err) {
+    if (err instanceof ExtractionError) return res.status(422).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Analysis failed' });
+  } finally {
+    if (req.file) deleteFile(req.file.path);
+  }
+});
+
+const MAX_BATCH_FILES = 30;
+
+app.post('/analyze/batch', upload.array('files', MAX_BATCH_FILES), async (req, res) => {
+  const uploaded = req.files || [];
+  try {
+    const docs = [];
+    for (const file of uploaded) docs.push(...await extractDocuments(file.path, file.originalname));
+    if (docs.length === 0) return res.status(400).json({ error: 'No files provided' });
+
+    res.json(buildBatchResult(docs, batchOptions(req.body)));
+  } catch (err) {
+    if (err instanceof ExtractionError) return res.status(422).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Batch analysis failed' });
+  } finally {
+    uploaded.forEach(f => deleteFile(f.path));
+  }
+});
+
+/* ---------------- OCR ---------------- */
+
+// Text of an uploaded image or PDF with the parts recognised by OCR; the
+// browser sends scanned files here so recognition runs on this machine
+app.post('/ocr', upload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file provided' });
+  try {
+    res.json(await extractContentFromFile(req.file.path, req.file.originalname));
+  } catch (err) {
+    if (err instanceof ExtractionError) return res.status(422).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'OCR failed' });
+  } finally {
+    deleteFile(req.file.path);
+  }
+});
+
+/* ---------------- JOBS API ---------------- */
+
+app.post('/jobs', upload.array('files', MAX_BATCH_FILES), (req, res) => {
+  const uploaded = req.files || [];
+  if (uploaded.length === 0) return res.status(400).json({ error: 'No files provided' });
+  const job = jobs.create(uploaded, batchOptions(req.body));
+  res.status(202).location(`/jobs/${job.id}`).json(job);
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+// Server-Sent Events: a `progress` event per change, then one final event
+// named after the job status (done, failed or cancelled).
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const send = view => {
+    const final = FINAL_STATUSES.includes(view.status);
+    res.write(`event: ${final ? view.status : 'progress'}\ndata: ${JSON.stringify(view)}\n\n`);
+    if (final) {
+      unsubscribe();
+      res.end();
+    }
+  };
+  send(job);
+  if (FINAL_STATUSES.includes(job.status)) return;
+  unsubscribe = jobs.subscribe(job.id, send);
+  req.on('close', unsubscribe);
+});
+
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+/* ---------------- CONFIG API ---------------- */
+
+app.get('/config', (req, res) => {
+  res.json({ active: profiles.getActive().name, profiles: profiles.list() });
+});
+
+app.put('/config/active', (req, res) => {
+  const name = (req.body || {}).name;
+  if (!profiles.setActive(name)) return res.status(404).json({ error: 'Profile not found' });
+  res.json({ active: name });
+});
+
+app.get('/config/profiles/:name', (req, res) => {
+  const profile = profiles.get(req.params.name);
+  if (!profile) return res.status(404).json({ error: 'Profile not found' });
+  res.json(profile);
+});
+
+app.put('/config/profiles/:name', (req, res) => {
+  const { profile, errors } = profiles.save(req.params.name, req.body || {});
+  if (errors) return res.status(400).json({ error: 'Invalid profile', details: errors });
+  res.json(profile);
+});
+
+app.delete('/config/profiles/:name', (req, res) => {
+  if (profiles.isBuiltin(req.params.name)) return res.status(400).json({ error: 'Built-in profiles cannot be deleted' });
+  if (!profiles.remove(req.params.name)) return res.status(404).json({ error: 'Profile not found' });
+  res.status(204).end();
+});
+
+/* ---------------- RUBRICS API ---------------- */
+
+app.get('/rubrics', (req, res) => {
+  res.json(rubrics.list());
+});
+
+app.get('/rubrics/:name', (req, res) => {
+  const rubric = rubrics.get(req.params.name);
+  if (!rubric) return res.status(404).json({ error: 'Rubric not found' });
+  res.json(rubric);
+});
+
+app.put('/rubrics/:name', (req, res) => {
+  const { rubric, errors } = rubrics.save(req.params.name, req.body || {});
+  if (errors) return res.status(400).json({ error: 'Invalid rubric', details: errors });
+  res.json(rubric);
+});
+
+app.delete('/rubrics/:name', (req, res) => {
+  if (rubrics.isBuiltin(req.params.name)) return res.status(400).json({ error: 'The default rubric cannot be deleted' });
+  if (!rubrics.remove(req.params.name)) return res.status(404).json({ error: 'Rubric not found' });
+  res.status(204).end();
+});
+
+/* ---------------- HISTORY API ---------------- */
+
+app.get('/history', (req, res) => {
+  res.json(history.list({ subject: req.query.subject, className: req.query.className }));
+});
+
+app.get('/history/settings', (req, res) => {
+  res.json(history.getSettings());
+});
+
+app.put('/history/settings', (req, res) => {
+  const { settings, errors } = history.saveSettings(req.body || {});
+  if (errors) return res.status(400).json({ error: 'Invalid history settings', details: errors });
+  res.json(settings);
+});
+
+app.get('/history/:id', (req, res) => {
+  const run = history.get(req.params.id);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  res.json(run);
+});
+
+app.post('/history', (req, res) => {
+  const { run, errors } = history.add(req.body || {});
+  if (errors) return res.status(400).json({ error: 'Invalid run', details: errors });
+  res.status(201).json(run);
+});
+
+// Without ?before= every run is deleted
+app.delete('/history', (req, res) => {
+  const before = req.query.before;
+  if (before && Number.isNaN(Date.parse(before))) return res.status(400).json({ error: 'before must be a date' });
+  res.json({ deleted: history.clear(before) });
+});
+
+app.delete('/history/:id', (req, res) => {
+  if (!history.remove(req.params.id)) return res.status(404).json({ error: 'Run not found' });
+  res.status(204).end();
+});
+
+/* ---------------- STUDENTS API ---------------- */
+
+app.get('/students', (req, res) => {
+  res.json(students.list());
+});
+
+app.get('/students/:id', (req, res) => {
+  const profile = students.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'Student not found' });
+  res.json(profile);
+});
+
+// Compare texts with their students' earlier submissions, then record them
+// (unless save is false): { submissions: [{ studentId, fileName, text, author }] }
+app.post('/students/submissions', (req, res) => {
+  const list = (req.body || {}).submissions;
+  if (!Array.isArray(list) || !list.length) return res.status(400).json({ error: 'No submissions provided' });
+  const docs = list.map(s => ({
+    text: String((s && s.text) || ''),
+    fileName: String((s && s.fileName) || ''),
+    studentId: engine.normalizeStudentId(s && s.studentId),
+    author: s && typeof s.author === 'string' ? s.author.slice(0, 200) : null
+  }));
+  res.json({ styles: compareStudentStyles(docs, String(req.body.save) !== 'false') });
+});
+
+app.delete('/students/:id', (req, res) => {
+  if (!students.remove(req.params.id)) return res.status(404).json({ error: 'Student not found' });
+  res.status(204).end();
+});
+
+/* ---------------- CORPUS API ---------------- */
+
+app.get('/corpus', (req, res) => {
+  res.json(corpus.list({ tag: req.query.tag, kind: req.query.kind }));
+});
+
+app.get('/corpus/:id', (req, res) => {
+  const doc = corpus.get(req.params.id);
+  if (!doc) return res.status(404).json({ error: 'Document not found' });
+  res.json(doc);
+});
+
+app.post('/corpus', upload.single('file'), async (req, res) => {
+  try {
+    let text = req.body.text || '';
+    let title = req.body.title || '';
+    if (req.file) {
+      title = title || req.file.originalname;
+      text = await extractTextFromFile(req.file.path, req.file.originalname);
+    }
+    if (!text.trim()) return res.status(400).json({ error: 'No text provided' });
+
+    // text that is already stored returns the stored document
+    const size = corpus.size;
+    const doc = corpus.add({ title, text, tags: req.body.tags, kind: req.body.kind || 'reference' });
+    res.status(corpus.size > size ? 201 : 200).json(doc);
+  } catch (err) {
+    if (err instanceof ExtractionError) return res.status(422).json({ error: err.message });
+    console.error(err);
+    res.status(500).json({ error: 'Could not add document' });
+  } finally {
+    if (req.file) deleteFile(req.file.path);
   }
 });
 
+app.patch('/corpus/:id', (req, res) => {
+  const doc = corpus.update(req.params.id, req.body || {});
+  if (!doc) return res.status(404).json({ error: 'Document not found' });
+  res.json(doc);
+});
+
+app.delete('/corpus/:id', (req, res) => {
+  if (!corpus.remove(req.params.id)) return res.status(404).json({ error: 'Document not found' });
+  res.status(204).end();
+});
+
 /* ---------------- SERVER ---------------- */
 
-app.listen(3000, () => {
-  console.log("Server running on port 3000");
-});
\ No newline at end of file
+if (require.main === module) {
+  app.listen(3000, () => {
+    console.log("Server running on port 3000");
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,68 @@
+// Student style profile store (server-side)
+// Every student's recent submissions (style features only, no text) live in
+// one JSON file keyed by student ID. The baseline comparison itself is
+// engine.compareStyle, shared with the browser.
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+
+function createStudentStore(filePath) {
+  let state = { students: {} };
+
+  function load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      state = { students: saved.students || {} };
+    } catch {
+      // first run: nothing saved yet
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  }
+
+  // Listing shape: ID, number of recorded submissions and the latest date
+  function summarize(profile) {
+    const last = profile.submissions[profile.submissions.length - 1];
+    return { studentId: profile.studentId, submissions: profile.submissions.length, lastSubmittedAt: last ? last.createdAt : null };
+  }
+
+  function list() {
+    return Object.values(state.students).map(summarize).sort((a, b) => a.studentId.localeCompare(b.studentId));
+  }
+
+  function get(studentId) {
+    return state.students[engine.normalizeStudentId(studentId)] || null;
+  }
+
+  // Style comparison of a submission (see engine.styleSubmission) with the
+  // student's earlier submissions
+  function compare(studentId, submission) {
+    return engine.compareStyle(submission, get(studentId));
+  }
+
+  function record(studentId, submission) {
+    const id = engine.normalizeStudentId(studentId);
+    if (!id || !submission) return null;
+    state.students[id] = engine.recordSubmission(state.students[id], id, submission);
+    persist();
+    return summarize(state.students[id]);
+  }
+
+  function remove(studentId) {
+    const id = engine.normalizeStudentId(studentId);
+    if (!state.students[id]) return false;
+    delete state.students[id];
+    persist();
+    return true;
+  }
+
+  load();
+
+  return { list, get, compare, record, remove };
+}
+
+module.exports = { createStudentStore };
@@ -0,0 +1,10 @@
+// Synonym groups and irregular word forms for paraphrase detection.
+// Generated by build-synonyms.js from the WordNet database in dict/ - do not
+// edit; run `npm run build-synonyms -- <WordNet dict folder>` to rebuild it.
+// Derived from WordNet 3.0, Copyright 2006 by Princeton University. All
+// rights reserved. Used under the WordNet license:
+// https://wordnet.princeton.edu/license-and-commercial-use
+(function (root, data) {
+  if (typeof module === 'object' && module.exports) module.exports = data;
+  else root.DetectorSynonyms = data;
+})(typeof self !== 'undefined' ? self : this, {"groups":["above supra","absently absentmindedly","absolute sheer","accelerate quicken","acceptance adoption","accordingly consequently","accumulation accretion","achieve accomplish attain fulfill fulfil","achievement accomplishment","acquaintance familiarity","adjustment alteration modification","admit acknowledge","adopt espouse","adult grownup","advertise publicize","advertising ad advertisement","advise notify counsel","aesthetic esthetic","aforesaid said","aggravate exacerbate","aghast dismayed","agree concur","ailment complaint","akin kindred","alarm dismay consternation","alertness vigilance","alien foreigner","all totally","allegory parable","allocate apportion","almost nearly virtually","altercation fracas","always ever","amaze astound","amazed astonished stunned","amazement astonishment","amazing astonishing","ambitious challenging","ammunition ammo","amorphous shapeless","amount sum","ample plentiful","ancestry lineage pedigree","animal creature beast","annihilation obliteration","announcement proclamation","answer reply respond react","antagonist opponent","anxiously uneasily","anyway anyhow","apparatus setup","apparent evident plain seeming","apparently seemingly","appease pacify","applause clapping","appropriately suitably","approve sanction","approximately roughly","arbitrarily randomly","arise originate initiate","arouse evoke elicit","ask wonder inquire","aspect facet","assault assail","assent acquiesce","assign allot","assume presume","assure insure ensure","attack onslaught onrush","attitude posture","attribute ascribe impute","august aug","author writer","authority potency","avoid avert","away off forth","awful terrible unspeakable terribly dreadful frightening awfully","axe ax","baby babe infant","backing patronage","backward rearward","bag purse handbag","balustrade banister","bar saloon ginmill","basement cellar","bastard prick","batter buffet slugger hitter","battle struggle conflict engagement","bearded bewhiskered","beat crush","before earlier sooner","begin start commence","beginning outset","behavior demeanor","bellow bawl hollering","bible scripture","biblical scriptural","bitterness resentment","black blackness","blatant vociferous","board plank","boast brag","boost encouragement","border surround smother","boring tedious","boss foreman","bother annoy irritate","breadth width","breast tit","brilliant superb","brooding reflective","brow forehead eyebrow","brush thicket","build construct manufacture","building construction edifice","bullet slug","bundle package packet","bush shrub","butt adjoin","buy purchase","calculation computation","call name","car automobile auto","career vocation","carefully cautiously","carved carven","case example instance","cattle oxen cows","cavort romp","celebrate fete","cemetery graveyard","center middle","certain sure","certainly surely","certify manifest attest","challenge dispute","change vary alter","chant intone","charm captivate","cheap inexpensive","cheering shouting","child kid youngster","childish infantile","choice selection","choose select","christ jesus","chromium cr","chuckle chortle","circle band","circuit tour","circulate disseminate","city metropolis","clarity clearness","class grade category","classical classic","classroom schoolroom","close shut","closely intimately","closet cupboard","cloth fabric textile","clumsy ungainly","cluster bunch clump","cm centimeter","collect accumulate compile","come arrive","commission committee","commute transpose","compel oblige","compete vie","complete finish","complex composite","composure calmness","compute calculate","concede confess","concentrate centralize","concept conception","concern mention remark refer comment cite pertain","conclusion decision","condemn decry","condescending patronizing","conduction conductivity","confidence assurance","confirm affirm corroborate reassert substantiate","confuse confound","confused bewildered","congratulate compliment","consider position view regard perspective","considerably substantially","consistently systematically","consume ingest","contain comprise","contemptuous scornful","contend postulate","continuance continuation","contradict belie","contribute loan lend","contribution donation","cooperate collaborate","cope grapple","couch sofa","countless myriad","country nation commonwealth","cowboy puncher","crash clash clangor","crawl creep sneak","crazily insanely","creak screech squeak","credo creed","creek brook","criminal crook","cringe flinch wince recoil","criticize criticise","crop harvest reap glean","cross intersect traverse","crouch squat stoop","crude earthy","cry shout scream yell shriek holler outcry","cultural ethnic","curb conquer inhibit suppress subdue repress","curse swear","curtain drapery","curved curving","damn goddamn","damned darned goddam goddamned","damp moist","dampen moisten","dash scoot","deadlock impasse","dealer trader","dear beloved","december dec","decide settle resolve","decomposition disintegration","decorate adorn","decorator designer","decrease diminish lessen lessening","decree fiat","deduct subtract","deeply profoundly","defeat overcome surmount licking","definitely decidedly","defraud swindle","deliberately purposely","delicate fragile","delightful delicious","democracy republic","demonstration presentation","dependence dependency","desert forsake","deserve merit","despair desperation","desperate despairing","destroy ruin","detection sensing","determine ascertain","develop evolve","developing underdeveloped","development evolution","devil demon lucifer","devote commit dedicate perpetrate","diameter diam","diarrhea diarrhoea","diary journal","dictate prescribe","dictatorship tyranny","die dice expire perish","difference departure deviation","diminished lessened","din clamor","dingy grimy","directly straight","dirty soiled unclean","disabled handicapped","disappear vanish","disappointed frustrated","disaster tragedy catastrophe calamity","discrepancy disagreement","dismally drearily","dispatch despatch","display exhibit","dispose discard","distaste antipathy","distill purify","distinction differentiation","distinguish discern differentiate","distort falsify warp","distortion deformation","district territory","disturb upset","disturbance perturbation","disturbing distressing","divert deviate","divide split","doctor physician","dog chase pursuit","dominate persist prevail predominate","doom destine","door doorway","dose dosage","dot stud","doubt uncertainty","doubtful dubious","down downward","drag haul","dramatic striking spectacular","draped wrapped","draw pull attract","drill bore","drunk drunkard","dusk nightfall","dust debris","duty responsibility obligation","each apiece","earthquake quiver quake","easy easily","eccentric bizarre","echo reverberation","economic economical","ecstasy rapture","edgy restive","education instruction","effluent wastewater","elaborate expound","embody personify","embrace hug encompass","enact ordain","enclose envelop","encourage promote elevate","encroachment intrusion","end stop cease halt quit terminate discontinue","endless interminable","enduring abiding","enemy foe","enforce impose inflict","engage pursue","enjoy savor bask relish","enough plenty","entry debut introduction","epitomize typify","era epoch","error mistake fault flaw","especially particularly specially","essentially basically fundamentally","establish launch found institute","estate acres","estimate approximation gauge","evade sidestep","evaluate assess appraise","evaluation rating valuation","everyday mundane","evidence grounds","exactly precisely","exaggerated overdone","examination scrutiny","exceed transcend","exclude omit","exclusive sole","exercise exert workout wield","exhausted fatigued","existence being organism","expansion enlargement","expect anticipate","experiment experimentation","expert proficient skillful","explode detonate","express utter","extreme utmost","extremely super exceedingly","facility installation","factory mill","faint dim","fake phony bogus","fall descend","family household","famous famed noted","fan lover buff devotee","fancy envision visualize","fascinating engrossing","fatal fateful","fate destiny","fatigue weariness","fear fright","feasible practicable workable","feature characteristic","february feb","feeding eating","feeling notion belief impression","fellow comrade companion lad fella","fence fencing","field battlefield","fierce furious enraged maddened vehement","fiery impassioned fervent","figure fig","file register","film movie","final concluding","finally eventually ultimately","financial fiscal","find hear learn note observe discover notice detect","finding determination","fine okay","fireplace hearth","firmly steadfastly","fit suit accommodate adapt","fix secure fasten repair mend procure","flash wink","float drift impetus","flourish thrive","flower bloom blossom blooming","flush blush","focus rivet","folly foolishness","forbid prohibit proscribe","force coerce","forever everlastingly","form kind sort","former onetime","formidable redoubtable","fort garrison","frank forthright","frenzy delirium","frighten scare","frightened scared terrified","frightful horrible","fringe periphery","full total entire intact","fumble grope","further farther","fuss fret","gadget contrivance","gaiety merriment","gain derive deduce infer","gasp pant","gathering assemblage","gaunt bony emaciated","gay cheery sunny","generally largely mostly","gesture motion","get become acquire","giggle titter","give afford yield","given apt granted","glance glimpse","glare glower","glaring blazing","glint glitter glisten","glistening shiny","glittering glinting","glorify exalt","glue paste","glycerine glycerol","go move travel","god divinity deity","golden gilded gilt","gone deceased","gospel gospels","govern regulate","government authorities regime","gram gm","grammatic grammatical","grandeur splendor","grandmother granny grandma","grasp comprehend apprehend","grave tomb","gravely soberly","greasy oily","greatcoat overcoat","grim relentless ghastly gruesome","groan moan","group grouping","grove orchard","growth growing","guardian defender","guidance counseling","gun artillery","hail acclaim","halfway midway","hall lobby hallway foyer vestibule","hamper shackle","happen occur","happily blithely merrily","harassed pestered","hard difficult","hardly barely scarcely","hate hatred detest","haunt obsess","haversack knapsack","hawk peddle","heedless unheeding","help aid assist","hereafter hereinafter","heroic epic","hidden concealed","hide conceal","hinder impede","history account","hold keep continue maintain proceed","honestly frankly","honor award laurels","host horde","hour hr","housing lodging","howl wail lamentation","humiliation chagrin","humor wit","hurl lunge hurtle","hurry rush race hasten","hurrying scurrying","husky burly","icebox refrigerator","idea thought thinking","idiot imbecile","ignore dismiss disregard discount snub","illness sickness","illuminate illumine","illustrate exemplify","imagination imagery","imbed embed","imitate simulate","immediately instantly","impair mar","imply connote","important significant substantial","improve amend","increasingly progressively","individually separately","induction initiation","infective pathogenic","infuriating maddening","inhabitant dweller","inherent integral","injury harm","inscription lettering","inside within","insolent impudent","install instal","institution establishment","intake uptake consumption","integrate incorporate","interest sake","interfere intervene","interlocking interwoven","interpret construe","interrupt disrupt","invariably constantly","invent devise","invention innovation","invest endow","investigator researcher","irony satire sarcasm","irritation annoyance","isolate insulate","january jan","jerk yank yankee","jimdandy jimhickey","job project task occupation chore","joke gag","jumble welter","justify warrant","jutting sticking","ketosis acetonemia","key central fundamental cardinal","kill killing","laboratory lab","lack deficiency","large big","larger bigger","later afterward afterwards after subsequently","lather suds","laugh laughter","lawyer attorney","lazy indolent","lead guide maneuver steer","leadership leaders","leaf foliage","lean tilt","learned erudite","lengthy extended prolonged","let allow permit","level degree","lid eyelid","life living","like wish","limit restrain confine throttle","limitation restriction","limp hobble","little small","live brood dwell populate inhabit","load burden loading","loaded laden","locate situate","located situated","location localization","looking sounding","lord creator","lots dozens scores tons","lumber timber","lump chunk clod","ma mama mamma mommy","mad crazy","madly frantically","magic magical","magnify amplify","maintenance upkeep","majority bulk","manager director coach","maniac madman","manufacturer producer","marked pronounced","market marketplace","marketing selling merchandising","marry wed","mass lot pile heap","match correspond","material stuff","matter affair","maximum maximal","mean entail","measurement measuring","meet encounter","melt thaw","men manpower","merely simply","merry jolly jovial","metal metallic","mg milligram","militia reserves","mind psyche","minimize understate","minimum minimal","minister pastor parson","minute min","misbehavior misdeed","mischief shenanigan","missile projectile","misunderstand misconstrue","mitigate extenuate","mixed sundry miscellaneous","ml cc milliliter","model framework","moment instant","morality morals","moreover furthermore","motive motivation","mutter mumble","mysterious cryptic mystic","naked bare nude","nationalism patriotism","necessarily inevitably","need require necessitate","needed required","neighborhood locality vicinity","nestle cuddle snuggle","news tidings","next following adjacent","nice decent","north northward","notable noteworthy","nothing zero","notorious infamous","november nov","nucleus core","objection remonstrance","observation watching","observed discovered","observer commentator","obviously evidently plainly","occurrence happening","october oct","offer proffer","office agency bureau","often frequently","older elderly aged","ominous sinister threatening","one unity ace integrity","only alone completely entirely altogether wholly solely exclusively","opinion sentiment","opportunity chance luck fortune circumstances","opposition resistance","optimum optimal","otherwise differently","outlook prospect expectation","outside outdoors","overrun infest","owner proprietor","pail bucket","pains striving","palace castle","papa pa dad daddy","papers document","part element factor portion component constituent","participation involvement","partly partially","partner spouse pardner","passage conversion transition","pasted glued","pattern practice","pause hesitate waver","peaked ailing","pecs pectoral","peculiarly curiously oddly","penetrate fathom","perfectly absolutely utterly","perhaps maybe possibly","permanent lasting","persistence persistency","person individual single soul someone mortal","pervade permeate","philosophical philosophic","philosophy doctrine ism","phonology phonemics","photograph photo","picture painting","pitcher hurler","place put set spot lay","plague beset","plan program","plane airplane","plant works","player musician","playwright dramatist","please delight","plod trudge","poetry verse","poignant touching","poke jab","polish refine","poor piteous","positive convinced","possession ownership","post berth","postpone defer","potential potentiality","pound lb","pour swarm","powder gunpowder","powerful potent","pray beg implore solicit","preaching sermon","precede forego","precious cherished","preparation formulation","prepare cook","preserve uphold","pretty somewhat slightly fairly reasonably moderately","prevent forestall preclude","primarily chiefly mainly principally","principal main chief","priority precedence","probably likely","process procedure","prod nudge","prodigious colossal stupendous","product merchandise","prominent outstanding salient","prominently conspicuously","promotion publicity","prompt motivate incite instigate","pronouncement dictum","provide supply furnish render cater","public populace","publish print","punish penalize","punishment penalty","purely strictly","purpose aim intention intent absorbed engrossed","puzzle bewilder","puzzling enigmatic perplexing","quality caliber","question research inquiry","quickly rapidly quick promptly speedily","rage fury","rail railing","raise lift","range scope compass","rarely seldom","rather instead kinda","rattle rattling","rattlesnake rattler","reactivity responsiveness","really actually truly","realm kingdom","reason ground earth globe","reasonable sensible","rebel reb johnny","rebellion revolt insurrection","rebut refute","recently lately","recite declaim","recognize realize","recognized accepted","recollection remembrance","recommend urge press advocate","recover retrieve regain","recreation diversion","recruit enroll enrol","red crimson","reduce cut","reflect muse ponder meditate","reflection contemplation","rehabilitation renewal","relate associate link connect","relatively comparatively","relevance relevancy","reliable dependable","relieve alleviate","religion faith","religious spiritual","remain stay","remarkable singular","remarkably unusually","remember recall recollect","rent lease","repeal rescind","repeat reiterate duplicate restate","repeated recurrent","repel repulse","replace supersede supplant","report describe depict","reporter newsman","represent symbolize","representative congressman","request petition","resident occupant","resign vacate","resist defy withstand","rest remainder","restrict curtail","result effect consequence outcome ensue effectuate","resultant consequent","reveal expose disclose uncover","revenge retaliation","revenue receipts","review reexamine","revive recreate vivify","reward wages","ridiculous preposterous","rip rend","risk hazard jeopardy","ritual rite","road route","roar thunder boom roaring","round circular","rug carpet","rule regulation convention","run lam","runner smuggler","russia ussr","satisfaction gratification","savage vicious cruel","save salvage","say tell state allege province","scamper scuttle scurry","scent perfume","schedule agenda","scheme strategy","school schoolhouse","scoff jeer","scold chide rebuke berate","scorn contempt despise disdain","scramble clamber","scrawny skinny","second sec","seem look appear","seize clutch","sensor detector","september sept","seriously sick severely badly ill poorly earnestly","settlement colony","several various respective","shame disgrace dishonor","shape contour","share percent percentage","sharp crisp keen incisive penetrating","shipment freight cargo","shiver shudder","shot shooting","show present demonstrate","shuffle shamble","shun eschew","silently mutely","similar alike","similarly likewise","simple elementary","simultaneous concurrent","sin sinfulness","sincerity seriousness","sinful ungodly","sire beget","slam bang clap","slanting sloping","sleep slumber","slender slim","slip steal","slop spill","slowing deceleration","slump falloff","smile grin grinning","snake serpent","snap snarl","sober solemn","sod sward","softly quietly","soil dirt","solace consolation","soon presently shortly currently","source origin descent","sovereign monarch","spark trigger activate sparkle actuate","speak talk","special particular curious funny peculiar queer comic","specify stipulate","specter ghost","speculate hypothesize theorize","speed velocity","spell trance","sphere domain","spiral coil","sponsor patronize","spread distribute dispense","spring jump leap bound springtime","sprinkle disperse","sprout germinate","stage phase","stagger lurch flounder reel","staircase stairway","stammer stutter","stamp stomp","stare gaze","statement argument controversy","steep engulf","steeple spire","stem root","steps stairs","stiffly rigidly","stifle muffle","still however nevertheless nonetheless","stimulate excite","stimulus stimulation","stir budge","stomach belly abdomen","stone rock","store shop","story tale narrative","strain strive enterprise endeavor","strengthen fortify","stress emphasize accentuate","strike impress","strut prance swagger","stubbornly obstinately","student pupil scholar","study examine analyze survey analyse","subject theme topic","suddenly abruptly","suffer sustain","suffering agony woe","suggest propose hint","suite rooms","suited suitable","sullen morose","sun sunlight","surpass excel outdo","surplus excess extra redundant","surprisingly astonishingly","survive endure tolerate","suspect distrust mistrust","suspicion hunch","sweat perspiration","swift fleet","swoop pounce","symbolic emblematic","tactual tactile","talent gift","tangled tortuous","teach instruct","teacher instructor","team squad","tease badger pester","technology engineering","teen teenage","telephone phone","television tv","tempt lure","tend incline","tendency inclination","tender fond affectionate","tentative provisional","termination expiration","terror panic","theatre theater","think believe suppose imagine guess conceive reckon envisage","thorough thoroughgoing","threat menace","threaten endanger jeopardize","through done","thus therefore hence","thwart frustrate","tie necktie","tiny diminutive","toad frog","toilet john lavatory","toss pitch flip","trade craft","trademark hallmark","transfer transportation transplant","tread trample","treat handle manage","tremendous enormous wonderful fantastic grotesque marvelous terrific wondrous","tremendously enormously staggeringly","triumphant exultant jubilant","troops soldiery","try attempt effort test exertion","tub bathtub","tube tubing","tumble topple","tune melody","twelve dozen","twine interlace intertwine","twist writhe squirm wriggle","typical distinctive","unavoidable inescapable","underground belowground","underline underscore","understandable intelligible","understanding agreement apprehension","undoubtedly doubtless","uneconomical wasteful","unequivocally unambiguously","unified integrated","unite merge mingle mix unify fuse coalesce","unsteadily uncertainly","up upward upwards","uproar tumult","urgent pressing","use apply employ hire utilize usage utilization","usually normally commonly ordinarily","vacation holiday","vague obscure","vain futile fruitless","valor heroism","variety diversity","vast huge immense","vastly immensely","veer swerve","vibrant vivacious","victory triumph","viewpoint standpoint","vitality verve","vivid lifelike","vocabulary lexicon","vote voting","wage profit salary earnings profits","wallop whack","wander isolated detached roam separated stray spaced rove","wandering meandering mobile","want desire","war warfare","warning admonition","wave beckon","way manner means style fashion mode","weave interweave","whip lash","whirl swirl purl twirl","whisky whiskey","wide broad","withdraw retreat recede","wondrously wonderfully superbly","woods forest wood","words lyric","world universe","worn drawn haggard","worship revere","worth deserving","wound injure","write pen","year yr","yearn hanker","yearning longing","yet heretofore hitherto","zeal ardor"],"forms":{"abscissae":"abscissa","adenomata":"adenoma","adieux":"adieu","alkalies":"alkali","alveoli":"alveolus","analyses":"analysis","anastomoses":"anastomosis","antennae":"antenna","antisera":"antiserum","antitheses":"antithesis","aortae":"aorta","apices":"apex","appendices":"appendix","ashes":"ash","auditoria":"auditorium","axes":"ax","banditti":"bandit","bani":"ban","banjoes":"banjo","bases":"base","basileis":"basileus","beadsmen":"beadsman","beaux":"beau","beeves":"beef","blowfishes":"blowfish","bluefishes":"bluefish","bolsheviki":"bolshevik","bookshelves":"bookshelf","bravadoes":"bravado","brethren":"brother","bronchi":"bronchus","buffaloes":"buffalo","bureaux":"bureau","busses":"bus","calculi":"calculus","calves":"calf","camerae":"camera","cargoes":"cargo","cerebella":"cerebellum","chelae":"chela","children":"child","cicadae":"cicada","cilia":"cilium","cola":"colon","colones":"colon","comae":"coma","commandoes":"commando","concerti":"concerto","continua":"continuum","contralti":"contralto","coronae":"corona","cortices":"cortex","crescendi":"crescendo","crises":"crisis","criteria":"criterion","crying":"cry","cryings":"cry","cumuli":"cumulus","curricula":"curriculum","data":"datum","diagnoses":"diagnosis","dialyses":"dialysis","dicta":"dictum","divertimenti":"divertimento","dogmata":"dogma","dwarves":"dwarf","echoes":"echo","edemata":"edema","embargoes":"embargo","emphases":"emphasis","epiphyses":"epiphysis","equilibria":"equilibrium","extrema":"extremum","feet":"foot","fishes":"fish","fishwives":"fishwife","foci":"focus","formulae":"formula","gasses":"gas","geese":"goose","genera":"genus","geneses":"genesis","genii":"genius","ghettoes":"ghetto","ginkgoes":"ginkgo","goes":"go","grandchildren":"grandchild","haloes":"halo","halteres":"halter","halves":"half","heroes":"hero","hila":"hilum","hooves":"hoof","housewives":"housewife","hypothalami":"hypothalamus","hypotheses":"hypothesis","incubi":"incubus","indices":"index","intimae":"intima","knives":"knife","larvae":"larva","lati":"lat","latu":"lat","leaves":"leaf","lemmata":"lemma","libretti":"libretto","lice":"louse","litai":"lit","lives":"life","loaves":"loaf","lustra":"lustre","mammae":"mamma","masses":"mass","matrices":"matrix","mausolea":"mausoleum","maxima":"maximum","media":"medium","memoranda":"memorandum","men":"man","menservants":"manservant","messieurs":"monsieur","mice":"mouse","milieux":"milieu","millennia":"millennium","minima":"minimum","minutiae":"minutia","momenta":"momentum","morses":"morse","mosquitoes":"mosquito","mottoes":"motto","mucosae":"mucosa","myocardia":"myocardium","myofibrillae":"myofibrilla","negroes":"negro","nemeses":"nemesis","neuroses":"neurosis","noes":"no","nuclei":"nucleus","nucleoli":"nucleolus","octahedra":"octahedron","oedemata":"edema","optima":"optimum","ora":"os","osar":"os","ossa":"os","oxen":"ox","parentheses":"parenthesis","patinae":"patina","pease":"pea","pelves":"pelvis","pence":"penny","personae":"persona","pfennige":"pfennig","phenomena":"phenomenon","phyla":"phylum","pleurae":"pleura","potatoes":"potato","protozoa":"protozoan","provisoes":"proviso","pterygia":"pterygium","quizzes":"quiz","radii":"radius","reales":"real","referenda":"referendum","reis":"real","retinae":"retina","rostra":"rostrum","rumina":"rumen","salvoes":"salvo","scarves":"scarf","scherzi":"scherzo","selves":"self","septa":"septum","sera":"serum","sheaves":"sheaf","shelves":"shelf","soli":"solo","soprani":"soprano","spectra":"spectrum","squashes":"squash","stadia":"stadium","stamina":"stamen","stepchildren":"stepchild","sterna":"sternum","stimuli":"stimulus","strata":"stratum","stuccoes":"stucco","submucosae":"submucosa","swamies":"swami","symposia":"symposium","syntheses":"synthesis","tableaux":"tableau","taxes":"tax","taxies":"taxi","teeth":"tooth","tempi":"tempo","theses":"thesis","thieves":"thief","thrombi":"thrombus","tobaccoes":"tobacco","tomatoes":"tomato","tornadoes":"tornado","torsi":"torso","tracheae":"trachea","turves":"turf","ubermenschen":"ubermensch","ultimata":"ultimatum","vacua":"vacuum","vertices":"vertex","vertigines":"vertigo","vertigoes":"vertigo","vetoes":"veto","virtuosi":"virtuoso","volcanoes":"volcano","wharves":"wharf","wives":"wife","wolves":"wolf","zeroes":"zero","abetted":"abet","abetting":"abet","abhorred":"abhor","abhorring":"abhor","abode":"abide","accompanied":"accompany","acquitted":"acquit","acquitting":"acquit","addrest":"address","admitted":"admit","admitting":"admit","allied":"ally","allotted":"allot","allotting":"allot","am":"be","amplified":"amplify","applied":"apply","arcked":"arc","arcking":"arc","are":"be","arisen":"arise","arose":"arise","ate":"eat","atrophied":"atrophy","awoke":"awake","awoken":"awake","babied":"baby","bade":"bid","bagged":"bag","bagging":"bag","bandied":"bandy","banned":"ban","banning":"ban","barred":"bar","barrelled":"barrel","barrelling":"barrel","barring":"bar","batted":"bat","batting":"bat","bayonetted":"bayonet","bayonetting":"bayonet","beaten":"beat","beautified":"beautify","became":"become","bedded":"bed","bedding":"bed","been":"be","befallen":"befall","befell":"befall","befitted":"befit","befitting":"befit","befogged":"befog","befogging":"befog","began":"begin","begat":"beget","begetting":"beget","begged":"beg","begging":"beg","beginning":"begin","begot":"beget","begotten":"beget","begun":"begin","beheld":"behold","beholden":"behold","bellied":"belly","belying":"belie","benefitted":"benefit","benefitting":"benefit","bent":"bend","berried":"berry","besetting":"beset","besought":"beseech","bespoke":"bespeak","bespoken":"bespeak","bethought":"bethink","betted":"bet","betting":"bet","bevelled":"bevel","bevelling":"bevel","biassed":"bias","biassing":"bias","bidden":"bid","bidding":"bid","binned":"bin","binning":"bin","bit":"bite","bitted":"bit","bitten":"bite","bitting":"bit","bivouacked":"bivouac","bivouacking":"bivouac","blabbed":"blab","blabbing":"blab","blackberried":"blackberry","bled":"bleed","blest":"bless","blew":"blow","blobbed":"blob","blobbing":"blob","bloodied":"bloody","blotted":"blot","blotting":"blot","blown":"blow","blurred":"blur","blurring":"blur","bobbed":"bob","bobbing":"bob","bodied":"body","bore":"bear","born":"bear","borne":"bear","bought":"buy","bound":"bind","bragged":"brag","bragging":"brag","bred":"breed","brimmed":"brim","brimming":"brim","broke":"break","broken":"break","brought":"bring","browbeaten":"browbeat","budded":"bud","budding":"bud","bugged":"bug","bugging":"bug","built":"build","bullied":"bully","bullshitted":"bullshit","bullshitting":"bullshit","bummed":"bum","bumming":"bum","buried":"bury","burnt":"burn","bushelled":"bushel","bushelling":"bushel","busied":"busy","bypast":"bypass","calcified":"calcify","came":"come","cancelled":"cancel","cancelling":"cancel","candied":"candy","canned":"can","canning":"can","capped":"cap","capping":"cap","carried":"carry","catted":"cat","catting":"cat","caught":"catch","certified":"certify","channelled":"channel","channelling":"channel","chapped":"chap","chapping":"chap","chatted":"chat","chatting":"chat","chevied":"chivy","chevies":"chivy","chevying":"chivy","chid":"chide","chidden":"chide","chinned":"chin","chinning":"chin","chipped":"chip","chipping":"chip","chiselled":"chisel","chiselling":"chisel","chivied":"chivy","chivvied":"chivy","chivvies":"chivy","chivvying":"chivy","chopped":"chop","chopping":"chop","chose":"choose","chosen":"choose","chugged":"chug","chugging":"chug","clad":"clothe","cladding":"clad","clammed":"clam","clamming":"clam","clapped":"clap","clapping":"clap","clarified":"clarify","classified":"classify","cleft":"cleave","clipped":"clip","clipping":"clip","clogged":"clog","clogging":"clog","clotted":"clot","clotting":"clot","clove":"cleave","cloven":"cleave","clubbed":"club","clubbing":"club","clung":"cling","codified":"codify","combatted":"combat","combatting":"combat","committed":"commit","committing":"commit","compelled":"compel","compelling":"compel","complied":"comply","concurred":"concur","concurring":"concur","conferred":"confer","conferring":"confer","conned":"con","conning":"con","controlled":"control","controlling":"control","copied":"copy","copped":"cop","copping":"cop","corralled":"corral","corralling":"corral","counselled":"counsel","counselling":"counsel","crabbed":"crab","crabbing":"crab","crammed":"cram","cramming":"cram","crept":"creep","cribbed":"crib","cribbing":"crib","cried":"cry","cropped":"crop","cropping":"crop","crucified":"crucify","cupped":"cup","cupping":"cup","curst":"curse","cutting":"cut","dabbed":"dab","dabbing":"dab","dammed":"dam","damming":"dam","dealt":"deal","decried":"decry","deferred":"defer","deferring":"defer","defied":"defy","degassed":"degas","degasses":"degas","degassing":"degas","demurred":"demur","demurring":"demur","denied":"deny","deterred":"deter","deterring":"deter","devilled":"devil","devilling":"devil","diagrammed":"diagram","diagramming":"diagram","dialled":"dial","dialling":"dial","did":"do","digging":"dig","dignified":"dignify","dimmed":"dim","dimming":"dim","dinned":"din","dinning":"din","dipped":"dip","dipping":"dip","dirtied":"dirty","disinterred":"disinter","disinterring":"disinter","dispelled":"dispel","dispelling":"dispel","disqualified":"disqualify","dizzied":"dizzy","dogged":"dog","dogging":"dog","done":"do","donned":"don","donning":"don","dotted":"dot","dotting":"dot","dove":"dive","drabbed":"drab","drabbing":"drab","dragged":"drag","dragging":"drag","drank":"drink","drawn":"draw","dreamt":"dream","drew":"draw","dried":"dry","dripped":"drip","dripping":"drip","driven":"drive","dropped":"drop","dropping":"drop","drove":"drive","drugged":"drug","drugging":"drug","drummed":"drum","drumming":"drum","drunk":"drink","dubbed":"dub","dubbing":"dub","duelled":"duel","duelling":"duel","dug":"dig","dunned":"dun","dunning":"dun","dwelt":"dwell","dying":"die","easied":"easy","eaten":"eat","eddied":"eddy","edified":"edify","embedded":"embed","embedding":"embed","embodied":"embody","emitted":"emit","emitting":"emit","emptied":"empty","enamelled":"enamel","enamelling":"enamel","enrolled":"enrol","enrolling":"enrol","envied":"envy","equalled":"equal","equalling":"equal","equipped":"equip","equipping":"equip","excelled":"excel","excelling":"excel","exemplified":"exemplify","expelled":"expel","expelling":"expel","facetted":"facet","facetting":"facet","fallen":"fall","falsified":"falsify","fancied":"fancy","fanned":"fan","fanning":"fan","fantasied":"fantasy","fatted":"fat","fatting":"fat","fed":"feed","fell":"fall","felt":"feel","ferried":"ferry","figged":"fig","figging":"fig","fitted":"fit","fitting":"fit","flagged":"flag","flagging":"flag","flannelled":"flannel","flannelling":"flannel","flapped":"flap","flapping":"flap","flatted":"flat","flatting":"flat","fled":"flee","flew":"fly","flipped":"flip","flipping":"flip","flitted":"flit","flitting":"flit","flogged":"flog","flogging":"flog","flopped":"flop","flopping":"flop","flown":"fly","flubbed":"flub","flubbing":"flub","flung":"fling","flurried":"flurry","fogged":"fog","fogging":"fog","forbad":"forbid","forbade":"forbid","forbidden":"forbid","forbidding":"forbid","foregone":"forego","foreknew":"foreknow","foreknown":"foreknow","foresaw":"foresee","foreseen":"foresee","forewent":"forego","forgave":"forgive","forgetting":"forget","forgiven":"forgive","forgone":"forgo","forgot":"forget","forgotten":"forget","forsaken":"forsake","forsook":"forsake","forswore":"forswear","forsworn":"forswear","fortified":"fortify","forwent":"forgo","fought":"fight","found":"find","frenzied":"frenzy","fretted":"fret","fretting":"fret","fried":"fry","frogged":"frog","frogging":"frog","frolicked":"frolic","frolicking":"frolic","froze":"freeze","frozen":"freeze","fuelled":"fuel","fuelling":"fuel","fulfilled":"fulfil","fulfilling":"fulfil","funned":"fun","funnelled":"funnel","funnelling":"funnel","funning":"fun","furred":"fur","furring":"fur","gagged":"gag","gagging":"gag","gapped":"gap","gapping":"gap","gassed":"gas","gassing":"gas","gave":"give","gemmed":"gem","gemming":"gem","getting":"get","gigged":"gig","gigging":"gig","gilt":"gild","girt":"gird","given":"give","glommed":"glom","glomming":"glom","gloried":"glory","glorified":"glorify","glutted":"glut","glutting":"glut","gnawn":"gnaw","gone":"go","got":"get","gotten":"get","grabbed":"grab","grabbing":"grab","gratified":"gratify","gravelled":"gravel","gravelling":"gravel","graven":"grave","grew":"grow","grinned":"grin","grinning":"grin","gripped":"grip","gripping":"grip","gript":"grip","ground":"grind","grovelled":"grovel","grovelling":"grovel","grown":"grow","grubbed":"grub","grubbing":"grub","gullied":"gully","gummed":"gum","gumming":"gum","gunned":"gun","gunning":"gun","had":"have","hammed":"ham","hamming":"ham","handicapped":"handicap","handicapping":"handicap","harried":"harry","has":"have","hatted":"hat","hatting":"hat","heard":"hear","held":"hold","hemmed":"hem","hemming":"hem","hid":"hide","hidden":"hide","hitting":"hit","hogged":"hog","hogging":"hog","honied":"honey","hopped":"hop","hopping":"hop","hove":"heave","hugged":"hug","hugging":"hug","hummed":"hum","humming":"hum","hung":"hang","hurried":"hurry","hypertrophied":"hypertrophy","identified":"identify","imbedded":"imbed","imbedding":"imbed","impelled":"impel","impelling":"impel","implied":"imply","incurred":"incur","incurring":"incur","inferred":"infer","inferring":"infer","initialled":"initial","initialling":"initial","inlaid":"inlay","insetting":"inset","installed":"instal","installing":"instal","intensified":"intensify","interred":"inter","interring":"inter","interwove":"interweave","interwoven":"interweave","is":"be","jabbed":"jab","jabbing":"jab","jammed":"jam","jamming":"jam","japanned":"japan","japanning":"japan","jarred":"jar","jarring":"jar","jellied":"jelly","jetted":"jet","jetting":"jet","jewelled":"jewel","jewelling":"jewel","jigged":"jig","jigging":"jig","jimmied":"jimmy","jobbed":"job","jobbing":"job","jogged":"jog","jogging":"jog","jollied":"jolly","jotted":"jot","jotting":"jot","jugged":"jug","jugging":"jug","justified":"justify","kenned":"ken","kenning":"ken","kent":"ken","kept":"keep","kidded":"kid","kidding":"kid","kidnapped":"kidnap","kidnapping":"kidnap","kneecapped":"kneecap","kneecapping":"kneecap","knelt":"kneel","knew":"know","knitted":"knit","knitting":"knit","knobbed":"knob","knobbing":"knob","knotted":"knot","knotting":"knot","known":"know","labelled":"label","labelling":"label","lagged":"lag","lagging":"lag","laid":"lay","lain":"lie","lammed":"lam","lamming":"lam","lapped":"lap","lapping":"lap","lay":"lie","leant":"lean","leapfrogged":"leapfrog","leapfrogging":"leapfrog","leapt":"leap","learnt":"learn","led":"lead","left":"leave","lent":"lend","letting":"let","levelled":"level","levelling":"level","levied":"levy","lipped":"lip","lipping":"lip","lit":"light","lobbed":"lob","lobbied":"lobby","lobbing":"lob","logged":"log","logging":"log","lost":"lose","lotted":"lot","lotting":"lot","lugged":"lug","lugging":"lug","lullabied":"lullaby","lying":"lie","madded":"mad","madding":"mad","made":"make","magnified":"magnify","manned":"man","manning":"man","mapped":"map","mapping":"map","marred":"mar","married":"marry","marring":"mar","marshalled":"marshal","marshalling":"marshal","marvelled":"marvel","marvelling":"marvel","matted":"mat","matting":"mat","meant":"mean","medalled":"medal","medalling":"medal","met":"meet","metalled":"metal","metalling":"metal","might":"may","miscarried":"miscarry","mislaid":"mislay","misled":"mislead","mistaken":"mistake","mistook":"mistake","misunderstood":"misunderstand","mobbed":"mob","mobbing":"mob","modelled":"model","modelling":"model","modified":"modify","mollified":"mollify","molten":"melt","mopped":"mop","mopping":"mop","mown":"mow","mudded":"mud","muddied":"muddy","mudding":"mud","multiplied":"multiply","mummed":"mum","mumming":"mum","mutinied":"mutiny","mystified":"mystify","nabbed":"nab","nabbing":"nab","nagged":"nag","nagging":"nag","netted":"net","netting":"net","nickelled":"nickel","nickelling":"nickel","nipped":"nip","nipping":"nip","nodded":"nod","nodding":"nod","notified":"notify","nutted":"nut","nutting":"nut","occupied":"occupy","occurred":"occur","occurring":"occur","offsetting":"offset","omitted":"omit","omitting":"omit","ossified":"ossify","outcried":"outcry","outdid":"outdo","outdone":"outdo","outdrawn":"outdraw","outdrew":"outdraw","outfitted":"outfit","outfitting":"outfit","outfought":"outfight","outgeneralled":"outgeneral","outgeneralling":"outgeneral","outgrew":"outgrow","outgrown":"outgrow","outlaid":"outlay","outputted":"output","outputting":"output","outran":"outrun","outrunning":"outrun","outstripped":"outstrip","outstripping":"outstrip","overcame":"overcome","overdriven":"overdrive","overdrove":"overdrive","overflown":"overflow","overheard":"overhear","overhung":"overhang","overlaid":"overlay","overlapped":"overlap","overlapping":"overlap","overran":"overrun","overridden":"override","overrode":"override","overrunning":"overrun","overshot":"overshoot","overstepped":"overstep","overstepping":"overstep","overtaken":"overtake","overthrew":"overthrow","overthrown":"overthrow","overtook":"overtake","pacified":"pacify","padded":"pad","padding":"pad","paid":"pay","panelled":"panel","panelling":"panel","panicked":"panic","panicking":"panic","panned":"pan","panning":"pan","parallelled":"parallel","parallelling":"parallel","parcelled":"parcel","parcelling":"parcel","parodied":"parody","parried":"parry","partaken":"partake","partook":"partake","patrolled":"patrol","patrolling":"patrol","patted":"pat","patting":"pat","pegged":"peg","pegging":"peg","pencilled":"pencil","pencilling":"pencil","penned":"pen","penning":"pen","pent":"pen","permitted":"permit","permitting":"permit","personified":"personify","petrified":"petrify","petted":"pet","petting":"pet","phantasied":"phantasy","picnicked":"picnic","picnicking":"picnic","pigged":"pig","pigging":"pig","pilloried":"pillory","pinned":"pin","pinning":"pin","pistolled":"pistol","pistolling":"pistol","pitied":"pity","pitted":"pit","pitting":"pit","planned":"plan","planning":"plan","platted":"plat","platting":"plat","pled":"plead","plied":"ply","plodded":"plod","plodding":"plod","plotted":"plot","plotting":"plot","plugged":"plug","plugging":"plug","pommelled":"pommel","pommelling":"pommel","popped":"pop","popping":"pop","potted":"pot","potting":"pot","preferred":"prefer","preferring":"prefer","preoccupied":"preoccupy","prettied":"pretty","pried":"pry","prodded":"prod","prodding":"prod","programmed":"program","programmes":"program","programming":"program","propelled":"propel","propelling":"propel","prophesied":"prophesy","propped":"prop","propping":"prop","proven":"prove","pummelled":"pummel","pummelling":"pummel","punned":"pun","punning":"pun","pupped":"pup","pupping":"pup","purified":"purify","putting":"put","qualified":"qualify","quarrelled":"quarrel","quarrelling":"quarrel","queried":"query","quickstepped":"quickstep","quickstepping":"quickstep","quipped":"quip","quipping":"quip","quitted":"quit","quitting":"quit","quizzed":"quiz","quizzing":"quiz","ragged":"rag","ragging":"rag","rallied":"rally","rammed":"ram","ramming":"ram","ran":"run","rang":"ring","rapped":"rap","rapping":"rap","ratified":"ratify","ratted":"rat","ratting":"rat","rebelled":"rebel","rebelling":"rebel","rebuilt":"rebuild","rebutted":"rebut","rebutting":"rebut","reclassified":"reclassify","recopied":"recopy","recurred":"recur","recurring":"recur","redded":"red","redding":"red","referred":"refer","referring":"refer","refuelled":"refuel","refuelling":"refuel","regretted":"regret","regretting":"regret","relied":"rely","remade":"remake","remarried":"remarry","remitted":"remit","remitting":"remit","rent":"rend","repaid":"repay","repelled":"repel","repelling":"repel","replied":"reply","reran":"rerun","rerunning":"rerun","resetting":"reset","rethought":"rethink","revelled":"revel","revelling":"revel","revved":"rev","revving":"rev","rewritten":"rewrite","rewrote":"rewrite","ribbed":"rib","ribbing":"rib","ricochetted":"ricochet","ricochetting":"ricochet","ridded":"rid","ridden":"ride","ridding":"rid","rigged":"rig","rigging":"rig","rimmed":"rim","rimming":"rim","ripped":"rip","ripping":"rip","risen":"rise","rivalled":"rival","rivalling":"rival","riven":"rive","robbed":"rob","robbing":"rob","rode":"ride","rose":"rise","rotted":"rot","rotting":"rot","rubbed":"rub","rubbing":"rub","rung":"ring","running":"run","rutted":"rut","rutting":"rut","sagged":"sag","sagging":"sag","said":"say","salaried":"salary","sallied":"sally","sang":"sing","sank":"sink","sapped":"sap","sapping":"sap","sat":"sit","satisfied":"satisfy","savvied":"savvy","saw":"see","sawn":"saw","scanned":"scan","scanning":"scan","scarified":"scarify","scarred":"scar","scarring":"scar","scrapped":"scrap","scrapping":"scrap","scrubbed":"scrub","scrubbing":"scrub","scudded":"scud","scudding":"scud","scurried":"scurry","seen":"see","sent":"send","setting":"set","sewn":"sew","shaken":"shake","shammed":"sham","shamming":"sham","shat":"shit","shaven":"shave","shedding":"shed","shied":"shy","shimmed":"shim","shimmied":"shimmy","shimming":"shim","shinned":"shin","shinning":"shin","shipped":"ship","shipping":"ship","shitted":"shit","shitting":"shit","shod":"shoe","shone":"shine","shook":"shake","shopped":"shop","shopping":"shop","shot":"shoot","shotgunned":"shotgun","shotgunning":"shotgun","shotted":"shot","shotting":"shot","shovelled":"shovel","shovelling":"shovel","shown":"show","shrank":"shrink","shredded":"shred","shredding":"shred","shrugged":"shrug","shrugging":"shrug","shrunk":"shrink","shrunken":"shrink","shunned":"shun","shunning":"shun","shutting":"shut","sicked":"sic","sicking":"sic","sidestepped":"sidestep","sidestepping":"sidestep","signalled":"signal","signalling":"signal","signified":"signify","simplified":"simplify","singing":"sing","sinned":"sin","sinning":"sin","sipped":"sip","sipping":"sip","sitting":"sit","skidded":"skid","skidding":"skid","skimmed":"skim","skimming":"skim","skinned":"skin","skinning":"skin","skipped":"skip","skipping":"skip","slabbed":"slab","slabbing":"slab","slammed":"slam","slamming":"slam","slapped":"slap","slapping":"slap","slatted":"slat","slatting":"slat","slept":"sleep","slid":"slide","slidden":"slide","slipped":"slip","slipping":"slip","slitting":"slit","slopped":"slop","slopping":"slop","slotted":"slot","slotting":"slot","slugged":"slug","slugging":"slug","slummed":"slum","slumming":"slum","slung":"sling","slunk":"slink","smelt":"smell","smit":"smite","smitten":"smite","smote":"smite","snagged":"snag","snagging":"snag","snapped":"snap","snapping":"snap","snipped":"snip","snipping":"snip","snubbed":"snub","snubbing":"snub","snuck":"sneak","snugged":"snug","snugging":"snug","sobbed":"sob","sobbing":"sob","sodded":"sod","sodding":"sod","sold":"sell","sought":"seek","sown":"sow","spanned":"span","spanning":"span","spat":"spit","specified":"specify","sped":"speed","spelt":"spell","spent":"spend","spied":"spy","spilt":"spill","spinning":"spin","spiralled":"spiral","spiralling":"spiral","spitted":"spit","spitting":"spit","splitting":"split","spoilt":"spoil","spoke":"speak","spoken":"speak","spotlit":"spotlight","spotted":"spot","spotting":"spot","sprang":"spring","sprung":"spring","spun":"spin","spurred":"spur","spurring":"spur","squatted":"squat","squatting":"squat","stabbed":"stab","stabbing":"stab","stank":"stink","starred":"star","starring":"star","steadied":"steady","stemmed":"stem","stemming":"stem","stepped":"step","stepping":"step","stirred":"stir","stirring":"stir","stole":"steal","stolen":"steal","stood":"stand","stopped":"stop","stopping":"stop","storied":"story","strapped":"strap","strapping":"strap","stratified":"stratify","strewn":"strew","stridden":"stride","stripped":"strip","stripping":"strip","striven":"strive","strode":"stride","stropped":"strop","stropping":"strop","strove":"strive","struck":"strike","strummed":"strum","strumming":"strum","strung":"string","strutted":"strut","strutting":"strut","stubbed":"stub","stubbing":"stub","stuck":"stick","studded":"stud","studding":"stud","studied":"study","stung":"sting","stunk":"stink","stunned":"stun","stunning":"stun","subbed":"sub","subbing":"sub","submitted":"submit","submitting":"submit","summed":"sum","summing":"sum","sung":"sing","sunk":"sink","sunken":"sink","sunned":"sun","sunning":"sun","supplied":"supply","swabbed":"swab","swabbing":"swab","swam":"swim","swapped":"swap","swapping":"swap","swept":"sweep","swigged":"swig","swigging":"swig","swimming":"swim","swivelled":"swivel","swivelling":"swivel","swollen":"swell","swopped":"swap","swopping":"swap","swops":"swap","swore":"swear","sworn":"swear","swum":"swim","swung":"swing","symbolled":"symbol","symbolling":"symbol","tagged":"tag","tagging":"tag","taken":"take","tallied":"tally","tanned":"tan","tanning":"tan","tapped":"tap","tapping":"tap","tarred":"tar","tarried":"tarry","tarring":"tar","tatted":"tat","tatting":"tat","taught":"teach","taxying":"taxi","terrified":"terrify","testified":"testify","thinned":"thin","thinning":"thin","thought":"think","threw":"throw","thriven":"thrive","throbbed":"throb","throbbing":"throb","throve":"thrive","thrown":"throw","thudded":"thud","thudding":"thud","tinned":"tin","tinning":"tin","tipped":"tip","tipping":"tip","told":"tell","took":"take","topped":"top","topping":"top","tore":"tear","torn":"tear","totalled":"total","totalling":"total","towelled":"towel","towelling":"towel","trafficked":"traffic","trafficking":"traffic","transferred":"transfer","transferring":"transfer","transfixt":"transfix","transmitted":"transmit","transmitting":"transmit","trapped":"trap","trapping":"trap","travelled":"travel","travelling":"travel","tried":"try","trimmed":"trim","trimming":"trim","tripped":"trip","tripping":"trip","trod":"tread","trodden":"tread","trotted":"trot","trotting":"trot","tugged":"tug","tugging":"tug","tunnelled":"tunnel","tunnelling":"tunnel","twigged":"twig","twigging":"twig","twinned":"twin","twinning":"twin","tying":"tie","typified":"typify","underlain":"underlie","underlay":"underlie","underlying":"underlie","underpinned":"underpin","underpinning":"underpin","understood":"understand","undertaken":"undertake","undertook":"undertake","underwritten":"underwrite","underwrote":"underwrite","undid":"undo","undone":"undo","unfitted":"unfit","unfitting":"unfit","unified":"unify","unravelled":"unravel","unravelling":"unravel","untaught":"unteach","untying":"untie","unwound":"unwind","upheld":"uphold","upped":"up","uppercutting":"uppercut","upping":"up","upsetting":"upset","varied":"vary","verified":"verify","vetted":"vet","vetting":"vet","vivified":"vivify","vying":"vie","wadded":"wad","wadding":"wad","wagged":"wag","wagging":"wag","wanned":"wan","wanning":"wan","warred":"war","warring":"war","was":"be","waylaid":"waylay","wearied":"weary","weatherstripped":"weatherstrip","weatherstripping":"weatherstrip","webbed":"web","webbing":"web","wedded":"wed","wedding":"wed","went":"go","wept":"weep","were":"be","wetted":"wet","wetting":"wet","whetted":"whet","whetting":"whet","whinnied":"whinny","whipped":"whip","whipping":"whip","whirred":"whir","whirring":"whir","whizzed":"whiz","whizzes":"whiz","whizzing":"whiz","wigged":"wig","wigging":"wig","wildcatted":"wildcat","wildcatting":"wildcat","winning":"win","withdrawn":"withdraw","withdrew":"withdraw","withheld":"withhold","withstood":"withstand","woke":"wake","woken":"wake","won":"win","wore":"wear","worn":"wear","worried":"worry","worshipped":"worship","worshipping":"worship","wound":"wind","wove":"weave","woven":"weave","wrapped":"wrap","wrapping":"wrap","wried":"wry","written":"write","wrote":"write","wrought":"work","wrung":"wring","yapped":"yap","yapping":"yap","yenned":"yen","yenning":"yen","zigzagged":"zigzag","zigzagging":"zigzag","zipped":"zip","zipping":"zip","airier":"airy","airiest":"airy","angrier":"angry","angriest":"angry","artier":"arty","artiest":"arty","baggier":"baggy","baggiest":"baggy","bandier":"bandy","bandiest":"bandy","bawdier":"bawdy","bawdiest":"bawdy","beadier":"beady","beadiest":"beady","beefier":"beefy","beefiest":"beefy","best":"good","better":"good","bigger":"big","biggest":"big","blearier":"bleary","bleariest":"bleary","bloodier":"bloody","bloodiest":"bloody","bloodthirstier":"bloodthirsty","bloodthirstiest":"bloodthirsty","bluer":"blue","bluest":"blue","bonier":"bony","boniest":"bony","brainier":"brainy","brainiest":"brainy","brassier":"brassy","brassiest":"brassy","buggier":"buggy","buggiest":"buggy","bulkier":"bulky","bulkiest":"bulky","burlier":"burly","burliest":"burly","bushier":"bushy","bushiest":"bushy","busier":"busy","busiest":"busy","cagier":"cagey","cagiest":"cagey","cheerier":"cheery","cheeriest":"cheery","chillier":"chilly","chilliest":"chilly","choosier":"choosy","choosiest":"choosy","chunkier":"chunky","chunkiest":"chunky","clammier":"clammy","clammiest":"clammy","cleanlier":"cleanly","cleanliest":"cleanly","cloudier":"cloudy","cloudiest":"cloudy","clumsier":"clumsy","clumsiest":"clumsy","cockier":"cocky","cockiest":"cocky","costlier":"costly","costliest":"costly","cozier":"cozy","coziest":"cozy","craftier":"crafty","craftiest":"crafty","craggier":"craggy","craggiest":"craggy","crankier":"cranky","crankiest":"cranky","crazier":"crazy","craziest":"crazy","creamier":"creamy","creamiest":"creamy","crummier":"crummy","crummiest":"crummy","curlier":"curly","curliest":"curly","cuter":"cute","daintier":"dainty","daintiest":"dainty","deadlier":"deadly","deadliest":"deadly","dimmer":"dim","dimmest":"dim","dingier":"dingy","dingiest":"dingy","dirtier":"dirty","dirtiest":"dirty","dizzier":"dizzy","dizziest":"dizzy","drabber":"drab","drabbest":"drab","draftier":"drafty","draftiest":"drafty","draughtier":"draughty","draughtiest":"draughty","dreamier":"dreamy","dreamiest":"dreamy","drearier":"dreary","dreariest":"dreary","dressier":"dressy","dressiest":"dressy","drier":"dry","driest":"dry","drowsier":"drowsy","drowsiest":"drowsy","dryer":"dry","dryest":"dry","dunner":"dun","dunnest":"dun","duskier":"dusky","duskiest":"dusky","earlier":"early","earliest":"early","earthier":"earthy","earthiest":"earthy","easier":"easy","easiest":"easy","edgier":"edgy","edgiest":"edgy","emptier":"empty","emptiest":"empty","fancier":"fancy","fanciest":"fancy","fatter":"fat","fattest":"fat","fattier":"fatty","fattiest":"fatty","filthier":"filthy","filthiest":"filthy","fitter":"fit","fittest":"fit","flashier":"flashy","flashiest":"flashy","flatter":"flat","flattest":"flat","fleshier":"fleshy","fleshiest":"fleshy","flimsier":"flimsy","flimsiest":"flimsy","fluffier":"fluffy","fluffiest":"fluffy","foamier":"foamy","foamiest":"foamy","folksier":"folksy","folksiest":"folksy","foolhardier":"foolhardy","foolhardiest":"foolhardy","freer":"free","freest":"free","friendlier":"friendly","friendliest":"friendly","funnier":"funny","funniest":"funny","furrier":"furry","furriest":"furry","fussier":"fussy","fussiest":"fussy","fuzzier":"fuzzy","fuzziest":"fuzzy","gaudier":"gaudy","gaudiest":"gaudy","ghastlier":"ghastly","ghastliest":"ghastly","ghostlier":"ghostly","ghostliest":"ghostly","gladder":"glad","gladdest":"glad","glassier":"glassy","glassiest":"glassy","gloomier":"gloomy","gloomiest":"gloomy","glummer":"glum","glummest":"glum","gorier":"gory","goriest":"gory","greasier":"greasy","greasiest":"greasy","greedier":"greedy","greediest":"greedy","grimmer":"grim","grimmest":"grim","grittier":"gritty","grittiest":"gritty","groggier":"groggy","groggiest":"groggy","guiltier":"guilty","guiltiest":"guilty","gummier":"gummy","gummiest":"gummy","hairier":"hairy","hairiest":"hairy","halfways":"halfway","handier":"handy","handiest":"handy","happier":"happy","happiest":"happy","hardier":"hardy","hardiest":"hardy","hastier":"hasty","hastiest":"hasty","haughtier":"haughty","haughtiest":"haughty","hazier":"hazy","haziest":"hazy","healthier":"healthy","healthiest":"healthy","heartier":"hearty","heartiest":"hearty","heavier":"heavy","heaviest":"heavy","heftier":"hefty","heftiest":"hefty","hipper":"hip","hippest":"hip","homelier":"homely","homeliest":"homely","hotter":"hot","hottest":"hot","hungrier":"hungry","hungriest":"hungry","huskier":"husky","huskiest":"husky","icier":"icy","iciest":"icy","jauntier":"jaunty","jauntiest":"jaunty","jazzier":"jazzy","jazziest":"jazzy","jollier":"jolly","jolliest":"jolly","juicier":"juicy","juiciest":"juicy","jumpier":"jumpy","jumpiest":"jumpy","kindlier":"kindly","kindliest":"kindly","knottier":"knotty","knottiest":"knotty","lacier":"lacy","laciest":"lacy","lankier":"lanky","lankiest":"lanky","lazier":"lazy","laziest":"lazy","leggier":"leggy","leggiest":"leggy","lengthier":"lengthy","lengthiest":"lengthy","livelier":"lively","liveliest":"lively","loftier":"lofty","loftiest":"lofty","lonelier":"lonely","loneliest":"lonely","lordlier":"lordly","lordliest":"lordly","lousier":"lousy","lousiest":"lousy","lovelier":"lovely","loveliest":"lovely","lowlier":"lowly","lowliest":"lowly","luckier":"lucky","luckiest":"lucky","lustier":"lusty","lustiest":"lusty","madder":"mad","maddest":"mad","meatier":"meaty","meatiest":"meaty","merrier":"merry","merriest":"merry","messier":"messy","messiest":"messy","mightier":"mighty","mightiest":"mighty","mistier":"misty","mistiest":"misty","mousier":"mousy","mousiest":"mousy","muddier":"muddy","muddiest":"muddy","murkier":"murky","murkiest":"murky","nastier":"nasty","nastiest":"nasty","noisier":"noisy","noisiest":"noisy","offer":"off","oilier":"oily","oiliest":"oily","pastier":"pasty","pastiest":"pasty","pearlier":"pearly","pearliest":"pearly","perkier":"perky","perkiest":"perky","phonier":"phony","phoniest":"phony","pithier":"pithy","pithiest":"pithy","prettier":"pretty","prettiest":"pretty","pricklier":"prickly","prickliest":"prickly","privier":"privy","priviest":"privy","punier":"puny","puniest":"puny","pussier":"pussy","pussiest":"pussy","racier":"racy","raciest":"racy","rangier":"rangy","rangiest":"rangy","readier":"ready","readiest":"ready","redder":"red","reddest":"red","riskier":"risky","riskiest":"risky","rockier":"rocky","rockiest":"rocky","rosier":"rosy","rosiest":"rosy","rowdier":"rowdy","rowdiest":"rowdy","ruddier":"ruddy","ruddiest":"ruddy","rustier":"rusty","rustiest":"rusty","sadder":"sad","saddest":"sad","saltier":"salty","saltiest":"salty","sandier":"sandy","sandiest":"sandy","savvier":"savvy","savviest":"savvy","scantier":"scanty","scantiest":"scanty","scragglier":"scraggly","scraggliest":"scraggly","scrawnier":"scrawny","scrawniest":"scrawny","sexier":"sexy","sexiest":"sexy","shabbier":"shabby","shabbiest":"shabby","shaggier":"shaggy","shaggiest":"shaggy","shakier":"shaky","shakiest":"shaky","shapelier":"shapely","shapeliest":"shapely","shier":"shy","shiest":"shy","shinier":"shiny","shiniest":"shiny","showier":"showy","showiest":"showy","shyer":"shy","shyest":"shy","sicklier":"sickly","sickliest":"sickly","sillier":"silly","silliest":"silly","skinnier":"skinny","skinniest":"skinny","sleepier":"sleepy","sleepiest":"sleepy","slier":"sly","sliest":"sly","slimmer":"slim","slimmest":"slim","sloppier":"sloppy","sloppiest":"sloppy","slyer":"sly","slyest":"sly","smugger":"smug","smuggest":"smug","snappier":"snappy","snappiest":"snappy","snugger":"snug","snuggest":"snug","sootier":"sooty","sootiest":"sooty","sorrier":"sorry","sorriest":"sorry","speedier":"speedy","speediest":"speedy","spongier":"spongy","spongiest":"spongy","sprightlier":"sprightly","sprightliest":"sprightly","squatter":"squat","squattest":"squat","statelier":"stately","stateliest":"stately","steadier":"steady","steadiest":"steady","stealthier":"stealthy","stealthiest":"stealthy","stormier":"stormy","stormiest":"stormy","stringier":"stringy","stringiest":"stringy","stronger":"strong","strongest":"strong","stuffier":"stuffy","stuffiest":"stuffy","sturdier":"sturdy","sturdiest":"sturdy","sulkier":"sulky","sulkiest":"sulky","sultrier":"sultry","sultriest":"sultry","sunnier":"sunny","sunniest":"sunny","surlier":"surly","surliest":"surly","swarthier":"swarthy","swarthiest":"swarthy","talkier":"talky","talkiest":"talky","tanner":"tan","tannest":"tan","tawdrier":"tawdry","tawdriest":"tawdry","thinner":"thin","thinnest":"thin","thirstier":"thirsty","thirstiest":"thirsty","thriftier":"thrifty","thriftiest":"thrifty","timelier":"timely","timeliest":"timely","tinier":"tiny","tiniest":"tiny","tipsier":"tipsy","tipsiest":"tipsy","trimmer":"trim","trimmest":"trim","truer":"true","truest":"true","tweedier":"tweedy","tweediest":"tweedy","uglier":"ugly","ugliest":"ugly","ungainlier":"ungainly","ungainliest":"ungainly","ungodlier":"ungodly","ungodliest":"ungodly","unhappier":"unhappy","unhappiest":"unhappy","unhealthier":"unhealthy","unhealthiest":"unhealthy","unholier":"unholy","unholiest":"unholy","unrulier":"unruly","unruliest":"unruly","wackier":"wacky","wackiest":"wacky","wanner":"wan","wannest":"wan","warier":"wary","wariest":"wary","wavier":"wavy","waviest":"wavy","weaklier":"weakly","weakliest":"weakly","wealthier":"wealthy","wealthiest":"wealthy","wearier":"weary","weariest":"weary","wetter":"wet","wettest":"wet","wilier":"wily","wiliest":"wily","windier":"windy","windiest":"windy","wintrier":"wintry","wintriest":"wintry","wirier":"wiry","wiriest":"wiry","wittier":"witty","wittiest":"witty","woollier":"woolly","woolliest":"woolly","worldlier":"worldly","worldliest":"worldly","worse":"bad","worst":"bad","worthier":"worthy","worthiest":"worthy","wrier":"wry","wriest":"wry","wryer":"wry","wryest":"wry","younger":"young","youngest":"young","deeper":"deeply","farther":"far","further":"far","harder":"hard","hardest":"hard"}});
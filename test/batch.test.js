@@ -0,0 +1,77 @@
+// Class batches: /analyze/batch with loose files and ZIP archives
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+process.env.DATA_DIR = dir;
+const app = require('../server');
+
+const SHARED = 'The printing press spread ideas across Europe within decades, because cheap pamphlets let reformers reach readers far beyond the universities.';
+const ESSAYS = {
+  'class/ana.txt': `Gutenberg changed everything. ${SHARED}`,
+  'class/ben.txt': `${SHARED} Censors could not keep up.`,
+  'class/notes.xyz': 'Not a submission.',
+  '__MACOSX/class/._ana.txt': 'resource fork'
+};
+const LOOSE = 'Steam engines pumped water out of deep mines long before they moved trains, and that work paid for their slow improvement over a century.';
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function zipOf(entries) {
+  const zip = new AdmZip();
+  for (const [name, text] of Object.entries(entries)) zip.addFile(name, Buffer.from(text));
+  return zip.toBuffer();
+}
+
+function batch(files, fields) {
+  const body = new FormData();
+  for (const [key, value] of Object.entries(fields || {})) body.append(key, value);
+  for (const [name, data] of files) body.append('files', new Blob([data]), name);
+  return fetch(`${base}/analyze/batch`, { method: 'POST', body });
+}
+
+test('ZIP entries and loose files are analysed and compared as one class', async () => {
+  const res = await batch([['week1.zip', zipOf(ESSAYS)], ['cara.txt', LOOSE]], { threshold: '30', save: 'false' });
+  assert.equal(res.status, 200);
+  const result = await res.json();
+  assert.deepEqual(result.files.map(f => [f.fileName, f.archive]), [['class/ana.txt', 'week1.zip'], ['class/ben.txt', 'week1.zip'], ['cara.txt', null]]);
+  assert.ok(result.files.every(f => f.submissionId === null && typeof f.aiLikelihood === 'number'));
+
+  const { matrix, pairs, clusters, threshold } = result.comparison;
+  assert.equal(threshold, 30);
+  assert.deepEqual(matrix.map(row => row.length), [3, 3, 3]);
+  assert.deepEqual(pairs.map(p => [p.a, p.b]), [[0, 1], [1, 0]]);
+  assert.equal(pairs[0].spans[0].text, SHARED.replace(/\.$/, ''));
+  assert.deepEqual(clusters.map(c => c.members), [[0, 1]]);
+});
+
+test('a batch without readable files is rejected', async () => {
+  assert.equal((await batch([])).status, 400);
+  assert.equal((await batch([['empty.zip', zipOf({ 'notes.xyz': 'nothing to mark' })]])).status, 400);
+});
+
+test('a file that cannot be read fails the batch with its name', async () => {
+  const res = await batch([['cara.txt', LOOSE], ['broken.zip', 'not a zip']]);
+  assert.equal(res.status, 422);
+  assert.match((await res.json()).error, /^Could not read broken\.zip: /);
+  const inside = await batch([['week2.zip', zipOf({ 'dan.docx': 'not a docx' })]]);
+  assert.equal(inside.status, 422);
+  assert.match((await inside.json()).error, /^Could not read dan\.docx: /);
+});
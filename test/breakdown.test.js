@@ -0,0 +1,46 @@
+// AI likelihood breakdown: the signals behind the score
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const ESSAY = 'Furthermore, the industrial revolution transformed production. Moreover, factories concentrated workers in growing cities. Additionally, railways connected distant markets. Consequently, the economy expanded rapidly across the country.';
+const NOTES = 'ok so i went out. rained!! came back soaked, dog was happy tho? whatever, tea now.';
+
+const sum = signals => signals.reduce((total, s) => total + s.contribution, 0);
+
+test('signal contributions add up to the AI likelihood', () => {
+  for (const text of [ESSAY, NOTES]) {
+    const result = engine.analyzeText(text);
+    assert.deepEqual(result.breakdown.map(s => s.key).slice(0, 4), ['consistency', 'formal', 'repetition', 'punctuation']);
+    // each contribution is rounded to a tenth of a point, the score to a whole point
+    assert.ok(Math.abs(sum(result.breakdown) - result.aiLikelihood) <= 0.5, text);
+    for (const s of result.breakdown) {
+      assert.equal(s.contribution, Math.round(s.normalized * s.weight * 1000) / 10);
+    }
+  }
+});
+
+test('the breakdown follows the weights of the scoring profile', () => {
+  const weights = Object.fromEntries(Object.keys(engine.DEFAULT_PROFILE.weights).map(k => [k, k === 'formal' ? 1 : 0]));
+  const profile = { name: 'formal-only', weights };
+  const result = engine.analyzeText(ESSAY, profile);
+  const formal = result.breakdown.find(s => s.key === 'formal');
+  assert.equal(formal.weight, 1);
+  assert.ok(formal.normalized > 0);
+  assert.ok(result.breakdown.filter(s => s.key !== 'formal').every(s => s.contribution === 0));
+  assert.equal(result.aiLikelihood, Math.round(formal.normalized * 100));
+  assert.equal(engine.analyzeText('').aiLikelihood, 0);
+});
+
+test('reference overlap is reported without weight', () => {
+  assert.deepEqual(engine.overlapSignal(42.5, 'Reading list'), {
+    key: 'overlap',
+    label: engine.overlapSignal().label,
+    raw: 42.5,
+    detail: '42.5% found in Reading list',
+    normalized: 0.425,
+    weight: 0,
+    contribution: 0
+  });
+  assert.equal(engine.overlapSignal(undefined).detail, 'no matching passages');
+});
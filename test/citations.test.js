@@ -0,0 +1,105 @@
+// Citations and quotations: APA, Harvard and IEEE in-text citations, the
+// citation report, and quoted or cited text left out of scoring
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const ESSAY = [
+  'Urban heat islands raise night temperatures in dense districts (Oke, 1982). Smith and Jones (2019) found that street trees lower them.',
+  'As one study put it, "cooling the cities is the main challenge of this century" (Santamouris, 2014, p. 4). Others wrote "reflective roofs pay for themselves within a decade of use".',
+  'See also (Lee & Park, 2020; Kim 2018a).',
+  'References',
+  'Oke, T. R. (1982). The energetic basis of the urban heat island. Quarterly Journal, 108, 1-24.\nSantamouris, M. (2014). Cooling the cities. Solar Energy, 103, 682-703.\nSmith, A., & Jones, B. (2019). Street trees. Urban Forestry, 4, 1-9.\nWu, L. (2001). Parks. City Press.'
+].join('\n\n');
+
+test('author-date and numbered citations are found with their works', () => {
+  const s = engine.documentStructure(ESSAY);
+  assert.deepEqual(s.citations.map(c => [c.text, c.style]), [
+    ['(Oke, 1982)', 'APA'], ['Smith and Jones (2019)', 'author-date'], ['(Santamouris, 2014, p. 4)', 'APA'], ['(Lee & Park, 2020; Kim 2018a)', 'APA']
+  ]);
+  assert.deepEqual(s.citations[3].works.map(w => [w.surname, w.years]), [['Lee', ['2020']], ['Kim', ['2018a']]]);
+
+  const harvard = engine.documentStructure('Trees cool streets (Oke 1982: 12). Roofs matter too [2], [4-6].').citations;
+  assert.deepEqual(harvard.map(c => [c.style, c.works.map(w => w.number || w.surname)]), [['Harvard', ['Oke']], ['IEEE', [2]], ['IEEE', [4, 5, 6]]]);
+  // bracketed numbers are note markers when the text has notes
+  assert.deepEqual(engine.documentStructure('Trees cool streets[1].\n\n# Notes\n\n[1] Measured in July.').citations, []);
+  assert.deepEqual(engine.documentStructure('It rose (by 20%) in 2020 (see below).').citations, []);
+});
+
+test('quotations are cited by a citation in or right after their sentence', () => {
+  const s = engine.documentStructure(ESSAY);
+  assert.deepEqual(s.inlineQuotes.map(q => [ESSAY.slice(q.start, q.start + 9), q.cited]), [['"cooling ', true], ['"reflecti', false]]);
+  const block = engine.documentStructure('Bloomberg (2015) put it plainly:\n\n> Cities are where the battle against climate change will be won or lost.\n\nI agree.');
+  assert.equal(block.quotes[0].cited, true);
+  // a citation after the full stop still cites its sentence
+  const after = engine.documentStructure('Cities emit most of the carbon. (Bloomberg, 2015) That is why we care.');
+  assert.equal(after.citedSentences.length, 1);
+});
+
+test('the citation report matches citations with the reference list', () => {
+  const report = engine.citationReport(engine.documentStructure(ESSAY));
+  assert.equal(report.style, 'APA');
+  assert.equal(report.citations, 4);
+  assert.deepEqual(report.sources.map(x => x.citations), [1, 1, 1, 0]);
+  assert.deepEqual(report.missing, ['Lee & Park (2020)', 'Kim (2018a)']);
+  assert.deepEqual([report.quotations, report.uncitedQuotations], [2, 1]);
+  assert.equal(engine.formatCitations(report),
+    '4 in-text citations (APA) · 3 of 4 references cited · not in the reference list: Lee & Park (2020), Kim (2018a) · 2 quotations, 1 without a citation');
+
+  const ieee = engine.citationReport(engine.documentStructure('Roofs matter [2]. Trees too [1, 3].\n\nReferences\n\n[1] A. Oke, "Heat," 1982.\n[2] M. Santamouris, "Cooling," 2014.'));
+  assert.equal(ieee.style, 'IEEE');
+  assert.deepEqual(ieee.sources.map(x => x.citations), [1, 1]);
+  assert.deepEqual(ieee.missing, ['[3]']);
+});
+
+test('quotations and citations are left out of AI scoring', () => {
+  const result = engine.analyzeText(ESSAY);
+  const words = engine.normalizeToWords(engine.maskExcluded(ESSAY));
+  assert.equal(result.wordCount, words.length);
+  for (const w of ['santamouris', 'cooling', 'reflective', 'oke', 'park']) assert.ok(!words.includes(w), w);
+  assert.equal(result.citations.citations, 4);
+});
+
+test('quoted passages do not count toward similarity and cited ones count half', () => {
+  const source = 'Cities are where the battle against climate change will be largely won or lost because most emissions come from urban areas.';
+  const refs = '\n\nReferences\n\nBloomberg, M. (2015). Cities and climate. New York Press.';
+  const quoted = engine.fingerprintText(`Trees help. As one report put it, "${source}" (Bloomberg, 2015). I agree.${refs}`);
+  const cited = engine.fingerprintText(`Trees help. ${source} (Bloomberg, 2015) That is why we care.${refs}`);
+  const copied = engine.fingerprintText(`Trees help. ${source} That is why we care.`);
+  const original = engine.fingerprintText(`Parks and rivers are what I wrote about.${refs}`);
+
+  const q = engine.compareDocuments(quoted, copied);
+  assert.equal(q.containment, 0);
+  assert.deepEqual(q.spans.map(s => s.attribution), ['quoted']);
+  const c = engine.compareDocuments(cited, copied);
+  const plain = engine.compareDocuments(copied, cited);
+  assert.deepEqual([c.spans[0].attribution, plain.spans[0].attribution], ['cited', null]);
+  assert.ok(c.containment > 0 && c.containment < plain.containment);
+  // sharing a reference list is not overlap
+  assert.equal(engine.compareDocuments(original, quoted).spans.length, 0);
+  assert.deepEqual(engine.matchAttribution([q, c, plain]), { passages: 3, quoted: 1, cited: 1, unattributed: 1 });
+});
+
+test('relevance explains its score from topic focus and use of sources', () => {
+  const relevance = text => engine.markSubmission(text).criteria.find(c => c.type === 'relevance');
+  const cited = relevance(ESSAY);
+  assert.match(cited.detail, /4 citations, 2 not in the reference list, 1 quotation without a citation/);
+  const drifting = relevance('Street trees cool the city. Street trees shade the pavement.\n\nMy cat sleeps all day on the sofa.\n\nFootball season starts soon for everyone.');
+  assert.match(drifting.detail, /^topic terms in 1 of 3 paragraphs, no citations$/);
+  assert.ok(drifting.score < relevance('Street trees cool the city. Street trees shade the pavement.\n\nMore street trees mean cooler summers.').score);
+});
+
+test('reports list citations, uncited references and attributed passages', () => {
+  const file = { name: 'a.txt', text: ESSAY, ...engine.analyzeText(ESSAY) };
+  file.matches = [{ name: 'b.txt', containment: 10, spans: [{ start: 0, end: 5, sourceStart: 0, sourceEnd: 5, words: 9, attribution: 'quoted', text: 'Urban' }] }];
+  const report = engine.buildReport([file]);
+  assert.equal(report.files[0].matches[0].spans[0].attribution, 'quoted');
+  const text = engine.reportToText(report);
+  assert.match(text, /- Citations: 4 in-text citations \(APA\)/);
+  assert.match(text, /\* Not cited in the text: Wu, L\. \(2001\)/);
+  assert.match(text, /b\.txt: 10% contained, 1 passage\(s\), 1 quoted/);
+  const [header, row] = engine.reportToCsv(report).split('\r\n').map(l => l.split(','));
+  assert.equal(row[header.indexOf('citations')], '4');
+  assert.equal(row[header.indexOf('closest_match_attributed')], '1');
+  assert.match(engine.reportToHtml(report), /<span class="warning">never<\/span>/);
+});
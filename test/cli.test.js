@@ -0,0 +1,63 @@
+// Command-line bulk analysis: inputs, output formats and failure limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const cli = require('../cli');
+
+const ESSAY = 'Moreover, the method is effective. Furthermore, the method is efficient. Therefore, the method is recommended. In conclusion, the method is useful.';
+const NOTES = 'I tried the loop first and it broke. Then I asked my friend, who laughed! We fixed it at 2am, tired but happy.';
+
+function batchOf(texts) {
+  const docs = texts.map((text, i) => ({ fileName: `s${i}.txt`, text }));
+  return cli.analyzeBatch(docs, { profile: engine.DEFAULT_PROFILE, subject: 'General', rubric: null, threshold: 20, corpus: null });
+}
+
+test('globs match within and across folders', () => {
+  assert.ok(cli.globRegex('*.txt').test('a.txt'));
+  assert.ok(!cli.globRegex('*.txt').test('sub/a.txt'));
+  assert.ok(cli.globRegex('**/*.txt').test('a.txt'));
+  assert.ok(cli.globRegex('**/*.txt').test('sub/deep/a.txt'));
+  assert.ok(cli.globRegex('week?/[ab].docx').test('week2/b.docx'));
+  assert.ok(!cli.globRegex('week?/[!ab].docx').test('week2/b.docx'));
+});
+
+test('files, folders and globs expand to readable files without repeats', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'sub'));
+    for (const f of ['a.txt', 'notes.log', path.join('sub', 'b.txt')]) fs.writeFileSync(path.join(dir, f), NOTES);
+    assert.deepEqual(cli.expandInputs([dir]), [path.join(dir, 'a.txt'), path.join(dir, 'sub', 'b.txt')]);
+    assert.deepEqual(cli.expandInputs([path.join(dir, 'a.txt'), path.join(dir, '**', '*.txt')]), [path.join(dir, 'a.txt'), path.join(dir, 'sub', 'b.txt')]);
+    assert.throws(() => cli.expandInputs([path.join(dir, 'missing.txt')]), /No such file/);
+    assert.throws(() => cli.expandInputs([path.join(dir, '*.pdf')]), /No readable files/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('batch results match the engine and compare every pair', () => {
+  const batch = batchOf([ESSAY, NOTES, ESSAY]);
+  assert.equal(batch.files[0].aiLikelihood, engine.analyzeText(ESSAY).aiLikelihood);
+  assert.equal(batch.comparison.matrix[0][2], 100);
+  assert.deepEqual(batch.comparison.clusters.map(c => c.members), [[0, 2]]);
+});
+
+test('the report carries each file\'s matches from the batch comparison', () => {
+  const report = cli.toReport(batchOf([ESSAY, NOTES, ESSAY]));
+  assert.deepEqual(report.files.map(f => f.matches.map(m => m.name)), [['s2.txt'], [], ['s0.txt']]);
+  assert.deepEqual(report.comparison.clusters.map(c => c.members), [[0, 2]]);
+  assert.equal(report.files[1].text, NOTES);
+});
+
+test('failure limits name each document that crosses them', () => {
+  const batch = batchOf([ESSAY, NOTES, ESSAY]);
+  const none = { failOn: null, failAbove: null, failSimilarity: null };
+  assert.deepEqual(cli.failures(batch, none), []);
+  assert.deepEqual(cli.failures(batch, { ...none, failSimilarity: 50 }), ['s0.txt: 100% found in s2.txt', 's2.txt: 100% found in s0.txt']);
+  const score = batch.files[1].aiLikelihood;
+  assert.deepEqual(cli.failures(batch, { ...none, failAbove: 100 }), []);
+  assert.ok(cli.failures(batch, { ...none, failAbove: score - 1 }).some(r => r.startsWith('s1.txt: AI likelihood')));
+});
@@ -0,0 +1,78 @@
+// Code blocks, code metrics and token-normalised code fingerprints
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const essay = 'The function below adds up a list. It keeps a running total.\n\n' +
+  'def sum_list(numbers):\n    # running total\n    total_sum = 0\n    for num in numbers:\n        total_sum += num\n    return total_sum\n\nif __name__ == "__main__":\n    print(sum_list([1, 2, 3]))\n\n' +
+  'The output is 6.';
+const renamed = 'My version.\n\n```python\ndef add_all(values):\n    acc = 0\n    for v in values:\n        acc += v\n    return acc\n\nif __name__ == "__main__":\n    print(add_all([4, 5, 6]))\n```\n';
+const other = '#include <stdio.h>\n/* factorial\n   of n */\nint factorialValue(int n) {\n    int result = 1;\n    while (n > 1) result *= n--;\n    return result;\n}';
+
+test('code blocks are blanked out of the prose without moving offsets', () => {
+  const { blocks, prose } = engine.extractCode(essay);
+  assert.equal(blocks.length, 1);
+  assert.equal(blocks[0].lines, 8);
+  assert.equal(essay.slice(blocks[0].start, blocks[0].end), blocks[0].text);
+  assert.equal(prose.length, essay.length);
+  assert.ok(!prose.includes('total_sum'));
+  assert.deepEqual(engine.splitToSentences(prose), engine.splitToSentences(essay));
+});
+
+test('code metrics report lines, comment density and naming style', () => {
+  const code = engine.analyzeCode(essay);
+  assert.equal(code.lines, 8);
+  assert.equal(code.commentLines, 1);
+  assert.equal(code.commentDensity, 13);
+  assert.equal(code.namingStyle, 'snake_case');
+  assert.equal(engine.analyzeCode(other).namingStyle, 'camelCase');
+  assert.equal(engine.analyzeCode(other).commentLines, 2);
+  assert.equal(engine.analyzeCode('No code here.').lines, 0);
+});
+
+test('renamed identifiers do not hide copied code', () => {
+  const fps = [essay, renamed, other].map(t => engine.fingerprintCode(t));
+  const matrix = engine.similarityMatrix(engine.comparePairwise(fps));
+  assert.equal(matrix[0][1], 100);
+  assert.equal(matrix[0][2], 0);
+  // prose fingerprints of the same pair share nothing
+  assert.equal(engine.compareDocuments(engine.fingerprintText(essay), engine.fingerprintText(renamed)).containment, 0);
+});
+
+test('code is left out of AI likelihood, word count and the text-quality mark', () => {
+  const withCode = engine.analyzeText(essay);
+  const proseOnly = engine.analyzeText(engine.extractCode(essay).prose);
+  assert.equal(withCode.wordCount, proseOnly.wordCount);
+  assert.equal(withCode.aiLikelihood, proseOnly.aiLikelihood);
+  assert.equal(withCode.mark.total, proseOnly.mark.total);
+  assert.equal(withCode.code.lines, 8);
+  const codeOnly = engine.analyzeText(other);
+  assert.equal(codeOnly.wordCount, 0);
+  assert.equal(codeOnly.mark.criteria[0].detail, 'No prose to assess');
+});
+
+test('code is lexed as the language it is written in', () => {
+  const lex = (code, language) => engine.lexCode(code, 0, code.length, language).tokens.map(t => t.word).join(' ');
+  assert.equal(engine.detectCodeLanguage('#include <stdio.h>\nint main(void) { printf("hi"); }'), 'c');
+  assert.equal(engine.detectCodeLanguage('public class A {\n  public static void main(String[] a) { System.out.println(1); }\n}'), 'java');
+  assert.equal(engine.detectCodeLanguage('def f(x):\n    return x\nprint(f(2))'), 'python');
+  assert.equal(engine.detectCodeLanguage('const f = x => x * 2;\nconsole.log(f(2));'), 'javascript');
+  // '//' is floor division in Python and a comment elsewhere; '#' is a comment only in Python
+  assert.equal(lex('x = a // 2  # half', 'python'), 'id = id // num');
+  assert.equal(lex('x = a; // half', 'javascript'), 'id = id ;');
+  assert.equal(lex('#include <stdio.h>\nint x = \'a\';', 'c'), '#include int id = str ;');
+  assert.equal(lex('s = f"{n}" + `t`', 'python'), 'id = str + ` id `');
+  assert.equal(lex('@Override void run() {}', 'java'), '@Override void id ( ) { }');
+  // words that are keywords in one language are names in another
+  assert.equal(lex('in = 1', 'c'), 'id = num');
+});
+
+test('copied C and Java programs match across renamed identifiers and changed literals', () => {
+  const a = '#include <stdio.h>\nint main(void) {\n    int total = 0;\n    for (int i = 0; i < 10; i++) {\n        total += i;\n    }\n    printf("%d\\n", total);\n    return 0;\n}';
+  const b = '#include <stdio.h>\n/* my own work */\nint main(void) {\n    int s = 0;\n    for (int k = 0; k < 99; k++) {\n        s += k;\n    }\n    printf("sum=%d\\n", s);\n    return 0;\n}';
+  const cmp = engine.compareDocuments(engine.fingerprintCode(a), engine.fingerprintCode(b));
+  assert.equal(cmp.containment, 100);
+  assert.equal(cmp.spans.length, 1);
+  assert.ok(b.slice(cmp.spans[0].sourceStart, cmp.spans[0].sourceEnd).startsWith('#include'));
+  assert.equal(engine.analyzeCode(b).language, 'c');
+});
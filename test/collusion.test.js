@@ -0,0 +1,43 @@
+// Class collusion: pairwise comparisons, the similarity matrix and clusters
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const SHARED = 'Photosynthesis turns light energy into chemical energy stored in glucose, releasing oxygen as the plant splits water molecules inside its chloroplasts.';
+const ESSAYS = [
+  `Plants feed themselves. ${SHARED}`,
+  `${SHARED} Animals depend on this oxygen.`,
+  'Earthquakes happen when stress builds along a fault until the rocks slip suddenly and send seismic waves through the ground around them.',
+  'Bread rises because yeast ferments the sugars in dough, and the carbon dioxide it gives off is trapped by a stretchy network of gluten.'
+];
+
+test('pairwise comparisons give a directed containment matrix', () => {
+  const comparisons = engine.comparePairwise(ESSAYS.map(t => engine.fingerprintText(t)));
+  assert.equal(comparisons[1][1], null);
+  const matrix = engine.similarityMatrix(comparisons);
+  assert.deepEqual(matrix.map(row => row.length), [4, 4, 4, 4]);
+  assert.deepEqual([matrix[0][0], matrix[3][3]], [100, 100]);
+  assert.equal(matrix[0][1], comparisons[0][1].containment);
+  assert.ok(matrix[0][1] > 80 && matrix[1][0] > 80);
+  // essays sharing no passage score zero both ways
+  assert.deepEqual([matrix[0][2], matrix[2][0], matrix[2][3], matrix[3][2]], [0, 0, 0, 0]);
+  assert.equal(comparisons[0][1].spans[0].text, SHARED.replace(/\.$/, ''));
+});
+
+test('clusters join documents linked above the threshold, in either direction', () => {
+  const matrix = [
+    [100, 70, 0, 0, 0],
+    [20, 100, 0, 10, 0],
+    [0, 0, 100, 0, 0],
+    [0, 45, 0, 100, 50],
+    [0, 0, 0, 30, 100]
+  ];
+  const groups = engine.clusterBySimilarity(matrix, 40);
+  assert.deepEqual(groups.map(g => g.members), [[0, 1, 3, 4]]);
+  assert.deepEqual(groups[0].links.map(l => [l.a, l.b, l.similarity]), [[0, 1, 70], [3, 4, 50], [1, 3, 45]]);
+  assert.equal(groups[0].maxSimilarity, 70);
+
+  // a higher threshold splits the group and drops single documents
+  assert.deepEqual(engine.clusterBySimilarity(matrix, 50).map(g => [g.members, g.maxSimilarity]), [[[0, 1], 70], [[3, 4], 50]]);
+  assert.deepEqual(engine.clusterBySimilarity(matrix, 80), []);
+});
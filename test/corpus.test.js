@@ -0,0 +1,93 @@
+// Reference corpus: the store, its index and the /corpus and /analyze routes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createCorpus } = require('../corpus');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+process.env.DATA_DIR = path.join(dir, 'server');
+const app = require('../server');
+
+const ESSAY = 'Rivers carry sediment from the mountains to the sea, and the slow deposits build deltas where the current finally loses its strength near the coast.';
+const OTHER = 'Glaciers grind the rock beneath them into fine flour that turns meltwater lakes a milky turquoise colour every summer in the high valleys.';
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function form(fields, file) {
+  const body = new FormData();
+  for (const [key, value] of Object.entries(fields)) body.append(key, value);
+  if (file) body.append('file', new Blob([file.text]), file.name);
+  return body;
+}
+
+test('the store keeps one copy of a text and finds documents by shared fingerprints', () => {
+  const file = path.join(dir, 'store', 'corpus.jsonl');
+  const corpus = createCorpus(file);
+  const doc = corpus.add({ title: 'Rivers', text: ESSAY, tags: 'Geo, rivers,geo' });
+  assert.deepEqual(doc.tags, ['geo', 'rivers']);
+  assert.equal(corpus.add({ title: 'Again', text: `  ${ESSAY.replace(/ /g, '\n')} ` }).id, doc.id);
+  corpus.add({ title: 'Glaciers', text: OTHER, kind: 'submission' });
+  assert.equal(corpus.size, 2);
+  assert.deepEqual(corpus.list({ kind: 'submission' }).map(d => d.title), ['Glaciers']);
+
+  const found = corpus.search(engine.fingerprintText(`I read that ${ESSAY}`));
+  assert.deepEqual(found.map(m => [m.title, m.spans.length]), [['Rivers', 1]]);
+  assert.deepEqual(corpus.search(engine.fingerprintText(ESSAY), { excludeId: doc.id }), []);
+
+  // documents, edits and removals survive a reload
+  corpus.update(doc.id, { tags: ['delta'] });
+  assert.ok(corpus.remove(corpus.findByText(OTHER).id));
+  const reloaded = createCorpus(file);
+  assert.equal(reloaded.size, 1);
+  assert.deepEqual(reloaded.get(doc.id).tags, ['delta']);
+  assert.equal(reloaded.findByText(OTHER), null);
+});
+
+test('/corpus adds, lists, edits and removes documents', async () => {
+  let res = await fetch(`${base}/corpus`, { method: 'POST', body: form({ title: 'Rivers', text: ESSAY, tags: 'geo' }) });
+  assert.equal(res.status, 201);
+  const doc = await res.json();
+  res = await fetch(`${base}/corpus`, { method: 'POST', body: form({ title: 'Copy' }, { name: 'rivers.txt', text: ESSAY }) });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).id, doc.id);
+  assert.equal((await fetch(`${base}/corpus`, { method: 'POST', body: form({ text: '  ' }) })).status, 400);
+
+  assert.deepEqual((await (await fetch(`${base}/corpus?tag=geo`)).json()).map(d => d.id), [doc.id]);
+  assert.equal((await (await fetch(`${base}/corpus/${doc.id}`)).json()).text, ESSAY);
+  res = await fetch(`${base}/corpus/${doc.id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ title: 'Deltas', kind: 'submission' }) });
+  assert.deepEqual(await res.json().then(d => [d.title, d.kind]), ['Deltas', 'submission']);
+
+  assert.equal((await fetch(`${base}/corpus/${doc.id}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await fetch(`${base}/corpus/${doc.id}`)).status, 404);
+  assert.equal((await fetch(`${base}/corpus/${doc.id}`, { method: 'DELETE' })).status, 404);
+});
+
+test('analysing a file again does not match its own stored copy', async () => {
+  const analyze = (fields, file) => fetch(`${base}/analyze`, { method: 'POST', body: form(fields, file) }).then(r => r.json());
+  const first = await analyze({}, { name: 'glaciers.txt', text: OTHER });
+  const again = await analyze({}, { name: 'glaciers.txt', text: OTHER });
+  assert.ok(first.submissionId);
+  assert.equal(again.submissionId, first.submissionId);
+  assert.deepEqual(again.corpusMatches, []);
+
+  // the same text under another name is a copy
+  const copy = await analyze({ save: 'false' }, { name: 'someone-else.txt', text: OTHER });
+  assert.deepEqual(copy.corpusMatches.map(m => [m.id, m.containment]), [[first.submissionId, 100]]);
+  assert.equal(copy.submissionId, null);
+});
@@ -0,0 +1,74 @@
+// Evaluation metrics and profile fitting of the calibration harness
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const evaluate = require('../evaluate');
+
+const { human: HUMAN, mixed: MIXED, ai: AI } = evaluate.LABEL_FOLDERS;
+const row = (label, score, features) => ({ fileName: `${label}-${score}`, label, score, features: features || {} });
+
+test('confusion matrix and per-label metrics follow the profile cutoffs', () => {
+  const rows = [row(HUMAN, 10), row(HUMAN, 50), row(MIXED, 40), row(AI, 80), row(AI, 20)];
+  const report = evaluate.evaluateRows(rows, engine.DEFAULT_PROFILE);
+  assert.deepEqual(report.confusion[HUMAN], { [HUMAN]: 1, [MIXED]: 1, [AI]: 0 });
+  assert.deepEqual(report.confusion[AI], { [HUMAN]: 1, [MIXED]: 0, [AI]: 1 });
+  const ai = report.labels.find(l => l.label === AI);
+  assert.deepEqual([ai.tp, ai.fp, ai.fn, ai.tn], [1, 0, 1, 3]);
+  assert.equal(ai.precision, 1);
+  assert.equal(ai.recall, 0.5);
+  assert.equal(ai.f1, 0.667);
+  assert.equal(report.accuracy, 0.6);
+});
+
+test('ROC-AUC counts ties as half and needs both classes', () => {
+  assert.equal(evaluate.rocAuc([90, 80], [10, 20]), 1);
+  assert.equal(evaluate.rocAuc([10], [90]), 0);
+  assert.equal(evaluate.rocAuc([50, 60], [50, 40]), 0.875);
+  assert.equal(evaluate.rocAuc([50], []), null);
+});
+
+test('fitted weights favour the separating signal and add up to 1', () => {
+  const rows = [];
+  for (let i = 0; i < 5; i++) {
+    rows.push(row(HUMAN, 0, { consistency: 0.5, formal: 0.1 + i * 0.02 }));
+    rows.push(row(AI, 0, { consistency: 0.5, formal: 0.8 + i * 0.02 }));
+  }
+  const weights = evaluate.fitWeights(rows, ['consistency', 'formal']);
+  assert.ok(weights.formal > weights.consistency);
+  assert.ok(Math.abs(weights.formal + weights.consistency - 1) <= 0.011);
+});
+
+test('fitted cutoffs put the gap between human and AI scores in Mixed', () => {
+  const rows = [row(HUMAN, 10), row(HUMAN, 20), row(AI, 70), row(AI, 90)];
+  assert.deepEqual(evaluate.fitThresholds(rows), { human: 20, mixed: 69 });
+  // with mixed texts both cutoffs sit between the label groups
+  const t = evaluate.fitThresholds(rows.concat(row(MIXED, 45)));
+  assert.ok(t.human >= 20 && t.human < 45);
+  assert.ok(t.mixed >= 45 && t.mixed < 70);
+});
+
+test('a labelled folder is scored and fitted into a valid profile', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluate-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'human'));
+    fs.mkdirSync(path.join(dir, 'ai'));
+    fs.writeFileSync(path.join(dir, 'human', 'a.txt'), 'I tried the loop first and it broke. Then I asked my friend, who laughed! We fixed it at 2am, tired but happy.');
+    fs.writeFileSync(path.join(dir, 'ai', 'b.txt'), 'Moreover, the approach is effective. Furthermore, the approach is efficient. Therefore, the approach is recommended. In conclusion, the approach is useful.');
+    const docs = await evaluate.loadDataset(dir);
+    assert.deepEqual(docs.map(d => [d.fileName, d.label]), [[path.join('human', 'a.txt'), HUMAN], [path.join('ai', 'b.txt'), AI]]);
+
+    const rows = evaluate.scoreDocuments(docs, engine.DEFAULT_PROFILE, 'General');
+    const weights = engine.DEFAULT_PROFILE.weights;
+    for (const r of rows) assert.ok(Math.abs(evaluate.rescore(r.features, weights) - r.score) <= 1);
+
+    const fit = evaluate.fitProfile(rows, engine.DEFAULT_PROFILE, 'General', 'class-fit');
+    assert.deepEqual(engine.validateProfile(fit.profile), []);
+    assert.equal(fit.profile.name, 'class-fit');
+    assert.equal(evaluate.evaluateRows(fit.rows, fit.profile).accuracy, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,70 @@
+// Document formats: RTF, Markdown, HTML, notebooks, ODT and PPTX to text
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const engine = require('../engine');
+const { extractContent, ARCHIVE_EXTENSIONS } = require('../extract');
+
+function zipOf(entries) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) zip.addFile(name, Buffer.from(content));
+  return zip.toBuffer();
+}
+
+test('RTF control words, escapes and skipped destinations', () => {
+  const rtf = String.raw`{\rtf1\ansi\uc1{\fonttbl{\f0 Times;}}{\*\generator Word;}\pard It\u8217?s caf\'e9 \{ok\}.\par Next\tab line\'85\par}`;
+  assert.equal(engine.rtfToText(rtf), 'It’s café {ok}.\nNext\tline…');
+});
+
+test('Markdown loses inline markup but keeps headings, lists, quotes and code fences', () => {
+  const md = '# Report\n\nSome **bold**, _it_ and `code` with [a link](http://x) in my_var_name.\n\n> Quoted\n\n```python\nx = 1  # *kept*\n```\n- item *one*\n';
+  assert.equal(engine.markdownToText(md), '# Report\n\nSome bold, it and code with a link in my_var_name.\n\n> Quoted\n\n```python\nx = 1  # *kept*\n```\n- item one');
+});
+
+test('HTML drops scripts and styles, marks headings and turns <pre> into fenced code', () => {
+  const html = '<html><head><style>p{}</style></head><body><h1>Title</h1><p>One &amp; <b>two</b>.<br>Three</p><ul><li>a</li><li>b</li></ul><pre>if (x &lt; 2) {\n  y();\n}</pre><script>alert(1)</script></body></html>';
+  assert.equal(engine.htmlToText(html), '# Title\n\nOne & two.\nThree\n\n- a\n- b\n\n```\nif (x < 2) {\n  y();\n}\n```');
+});
+
+test('notebook code cells become code and markdown cells prose', () => {
+  const nb = JSON.stringify({
+    metadata: { kernelspec: { language: 'python' } },
+    cells: [
+      { cell_type: 'markdown', source: ['## Lab 1\n', 'We measured how the loop **scales** with the input size and wrote it up.'] },
+      { cell_type: 'code', source: ['import numpy as np\n', 'print(np.arange(10).sum())'], outputs: [{ text: '45' }] }
+    ]
+  });
+  const text = engine.notebookToText(nb);
+  assert.equal(text, '## Lab 1\nWe measured how the loop scales with the input size and wrote it up.\n\n```python\nimport numpy as np\nprint(np.arange(10).sum())\n```');
+  const { blocks, prose } = engine.extractCode(text);
+  assert.equal(blocks.length, 1);
+  assert.doesNotMatch(prose, /numpy/);
+  assert.equal(engine.analyzeCode(text).lines, 2);
+});
+
+test('ODT and PPTX files are read from their XML parts', async () => {
+  const odt = zipOf({
+    mimetype: 'application/vnd.oasis.opendocument.text',
+    'content.xml': '<office:document-content><office:body><office:text><text:h>Intro</text:h><text:p>Hello<text:s text:c="2"/>world<text:note><text:note-body><text:p>a note</text:p></text:note-body></text:note>.</text:p>' +
+      '<text:list><text:list-item><text:p>one</text:p></text:list-item><text:list-item><text:p>two</text:p></text:list-item></text:list></office:text></office:body></office:document-content>'
+  });
+  assert.deepEqual(await extractContent(odt, 'essay.odt'), { text: '# Intro\n\nHello  world[1].\n\n- one\n- two\n\n# Notes\n\n[1] a note', ocr: null, metadata: null });
+
+  const slide = (title, points) => `<p:sld><a:p><a:r><a:t>${title}</a:t></a:r></a:p>${points.map(p => `<a:p><a:r><a:t>${p}</a:t></a:r></a:p>`).join('')}</p:sld>`;
+  const pptx = zipOf({
+    'ppt/slides/slide10.xml': slide('Last', ['Thanks']),
+    'ppt/slides/slide2.xml': slide('Method', ['Survey &amp; interviews', 'Two weeks']),
+    'ppt/slides/slide1.xml': slide('Title', []),
+    'ppt/slides/_rels/slide1.xml.rels': '<Relationships/>'
+  });
+  assert.equal((await extractContent(pptx, 'talk.pptx')).text, '# Title\n\n# Method\n\n- Survey & interviews\n- Two weeks\n\n# Last\n\n- Thanks');
+});
+
+test('formats are recognised by extension and unknown binaries give no text', async () => {
+  assert.equal(engine.documentFormat('Week 3.IPYNB').label, 'Jupyter notebook');
+  assert.equal(engine.documentFormat('notes.txt'), null);
+  for (const ext of ['.odt', '.rtf', '.md', '.html', '.pptx', '.ipynb']) assert.ok(ARCHIVE_EXTENSIONS.includes(ext), ext);
+  assert.equal((await extractContent(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00, 0x01]), 'slides.key')).text, '');
+  assert.equal((await extractContent(Buffer.from('plain words'), 'notes.log')).text, 'plain words');
+  await assert.rejects(extractContent(Buffer.from('{not json'), 'broken.ipynb'), /Could not read broken\.ipynb: /);
+});
@@ -0,0 +1,35 @@
+// Sentence heatmap: highlight offsets, sentence signals and the flag cap
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+// fires generic, transition, vague, mechanical, passive and nonspecific
+const BLAND = 'Moreover, overall the result is often generated by many various factors that could matter.';
+const TEXT = `  My dog Rex ate 3 socks on Monday!\r\n\r\n${BLAND} ${BLAND}\n\tWe laughed for ages about it`;
+
+test('highlights point at their sentences in the original text', () => {
+  const { highlights } = engine.analyzeText(TEXT);
+  assert.equal(highlights.length, 4);
+  for (const h of highlights) assert.equal(TEXT.slice(h.start, h.end), h.text);
+  assert.deepEqual(highlights.map(h => h.text), ['My dog Rex ate 3 socks on Monday!', BLAND, BLAND, 'We laughed for ages about it']);
+  assert.deepEqual(highlights[0].signals, []);
+  assert.ok(highlights[1].signals.length >= engine.HIGHLIGHT_MIN_SIGNALS);
+});
+
+test('flagged sentences stay within the cap share of the text', () => {
+  const flaggedChars = cap => engine.analyzeText(TEXT, { highlightCap: cap }).highlights
+    .filter(h => h.flagged).reduce((n, h) => n + h.end - h.start, 0);
+  assert.equal(engine.analyzeText(TEXT).highlightCap, 30);
+  // each bland sentence is about a third of the text
+  assert.equal(flaggedChars(100), BLAND.length * 2);
+  assert.equal(flaggedChars(40), BLAND.length);
+  assert.equal(flaggedChars(30), 0);
+  for (const cap of [10, 30, 40, 60, 100]) assert.ok(flaggedChars(cap) <= TEXT.length * cap / 100, `cap ${cap}`);
+});
+
+test('candidates with more signals are flagged first, then shorter ones', () => {
+  const span = (start, end, count) => ({ start, end, signals: Array(count).fill('x') });
+  const sentences = [span(0, 30, 3), span(30, 50, 4), span(50, 60, 3), span(60, 70, 2)];
+  assert.deepEqual(engine.flagSentences(sentences, 100, 30).map(s => s.flagged), [false, true, true, false]);
+  assert.deepEqual(engine.flagSentences(sentences, 100, 100).map(s => s.flagged), [true, true, true, false]);
+});
@@ -0,0 +1,99 @@
+// Analysis history: run validation, summaries, filters and the server store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createHistoryStore } = require('../history');
+
+function stateOf(subject, labels) {
+  return {
+    uploadedFiles: labels.map((_, i) => ({ name: `s${i}.txt`, size: '1.00 KB', sizeBytes: 1024, type: 'text/plain' })),
+    filesAnalysis: labels.map((aiLabel, i) => ({ name: `s${i}.txt`, text: 'Some text.', subject, profile: 'default', engineVersion: engine.ENGINE_VERSION, aiLikelihood: 40, aiLabel, mark: { total: 70 } })),
+    filesContent: [],
+    similarityMatrix: labels.map(() => labels.map(() => 0))
+  };
+}
+
+function withStore(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  try {
+    fn(dir, () => createHistoryStore(path.join(dir, 'history.jsonl'), path.join(dir, 'history-settings.json')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('runs need analysed files and only carry session state', () => {
+  assert.deepEqual(engine.validateRun({ className: 'BSIT-2A', state: stateOf('General', ['Mixed']) }), []);
+  assert.match(engine.validateRun(null)[0], /object/);
+  assert.match(engine.validateRun({ state: { filesAnalysis: [] } })[0], /non-empty/);
+  assert.match(engine.validateRun({ state: { ...stateOf('General', ['Mixed']), cookies: 'x' } })[0], /cookies/);
+  assert.match(engine.validateRun({ className: 'x'.repeat(81), state: stateOf('General', ['Mixed']) })[0], /className/);
+  for (const entry of [null, 'x', ['s0.txt']]) {
+    assert.match(engine.validateRun({ state: { filesAnalysis: [entry] } })[0], /one object per file/);
+  }
+});
+
+test('summaries count labels and filters sort newest first', () => {
+  const summary = engine.summarizeRun({ id: 'a', createdAt: '2026-01-01T00:00:00.000Z', className: 'BSIT-2A', state: stateOf('English', ['Mixed', 'Mixed', 'Human-written']) });
+  assert.equal(summary.subject, 'English');
+  assert.equal(summary.fileCount, 3);
+  assert.deepEqual(summary.labels, { Mixed: 2, 'Human-written': 1 });
+  assert.deepEqual(summary.files[0], { name: 's0.txt', studentId: null, aiLikelihood: 40, aiLabel: 'Mixed', mark: 70, styleFlagged: false });
+
+  const older = { ...summary, id: 'b', createdAt: '2025-12-01T00:00:00.000Z', className: 'BSIT-2B' };
+  assert.deepEqual(engine.filterRuns([older, summary]).map(r => r.id), ['a', 'b']);
+  assert.deepEqual(engine.filterRuns([older, summary], { className: 'bsit-2b' }).map(r => r.id), ['b']);
+  assert.deepEqual(engine.filterRuns([older, summary], { subject: 'Mathematics' }), []);
+});
+
+test('runs expire after the retention period unless kept forever', () => {
+  const run = { createdAt: '2026-01-01T00:00:00.000Z' };
+  const now = Date.parse('2026-01-31T00:00:00.000Z');
+  assert.equal(engine.runExpired(run, 0, now), false);
+  assert.equal(engine.runExpired(run, 31, now), false);
+  assert.equal(engine.runExpired(run, 29, now), true);
+});
+
+test('the store keeps runs across restarts and deletes them', () => {
+  withStore((dir, open) => {
+    const store = open();
+    const { run } = store.add({ className: ' BSIT-2A ', state: stateOf('Programming', ['Likely AI-generated']) });
+    assert.equal(run.className, 'BSIT-2A');
+    assert.match(store.add({ state: {} }).errors[0], /filesAnalysis/);
+    // a rejected run is not written, so the store still loads and lists
+    assert.match(store.add({ state: { filesAnalysis: [null] } }).errors[0], /filesAnalysis/);
+    assert.equal(fs.readFileSync(path.join(dir, 'history.jsonl'), 'utf8').split('\n').length, 2);
+    store.add({ className: 'BSIT-2B', state: stateOf('General', ['Human-written']) });
+
+    const reopened = open();
+    assert.equal(reopened.size, 2);
+    assert.deepEqual(reopened.list({ subject: 'Programming' }).map(r => r.id), [run.id]);
+    assert.deepEqual(reopened.get(run.id).state.filesAnalysis[0].aiLabel, 'Likely AI-generated');
+    assert.equal(reopened.remove(run.id), true);
+    assert.equal(reopened.remove(run.id), false);
+    assert.equal(open().size, 1);
+    assert.equal(reopened.clear(), 1);
+    assert.equal(open().size, 0);
+  });
+});
+
+test('the retention period is validated, saved and applied', () => {
+  withStore((dir, open) => {
+    const store = open();
+    store.add({ state: stateOf('General', ['Mixed']) });
+    const lines = fs.readFileSync(path.join(dir, 'history.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    lines[0].createdAt = '2020-01-01T00:00:00.000Z';
+    fs.writeFileSync(path.join(dir, 'history.jsonl'), lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+
+    const reopened = open();
+    assert.equal(reopened.size, 1);
+    assert.match(reopened.saveSettings({ retentionDays: -1 }).errors[0], /retentionDays/);
+    assert.match(reopened.saveSettings({ retentionDays: 1.5 }).errors[0], /retentionDays/);
+    assert.deepEqual(reopened.saveSettings({ retentionDays: 30 }).settings, { retentionDays: 30 });
+    assert.equal(reopened.size, 0);
+    assert.equal(open().getSettings().retentionDays, 30);
+  });
+});
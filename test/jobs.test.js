@@ -0,0 +1,166 @@
+// Analysis jobs: the worker pool, the job queue and the /jobs routes with
+// Server-Sent Events and cancellation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkerPool, createJobQueue, JobCancelledError } = require('../jobs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+process.env.DATA_DIR = dir;
+process.env.JOB_WORKERS = '1';
+const app = require('../server');
+
+const ESSAY = 'Bees pollinate most of the crops we eat, and their decline worries farmers who depend on them every spring.';
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.close();
+  app.locals.pool.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function upload(name, text) {
+  const filePath = path.join(dir, `upload-${name}`);
+  fs.writeFileSync(filePath, text);
+  return { path: filePath, originalname: name };
+}
+
+// Stand-in pool: each task waits until the test settles it
+function manualPool() {
+  const tasks = [];
+  return {
+    tasks,
+    run(file, owner, onProgress) {
+      return new Promise((resolve, reject) => tasks.push({ file, owner, onProgress, resolve, reject }));
+    },
+    cancel(owner) {
+      for (const t of tasks) if (t.owner === owner) t.reject(new JobCancelledError());
+    }
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the worker pool extracts and scores files in worker threads', async () => {
+  const pool = createWorkerPool(1);
+  try {
+    const stages = [];
+    const file = upload('bees.txt', ESSAY);
+    const docs = await pool.run({ filePath: file.path, name: file.originalname }, 'job', stage => stages.push(stage));
+    assert.deepEqual(stages, ['extracting', 'analyzing']);
+    assert.equal(docs.length, 1);
+    assert.equal(docs[0].text, ESSAY);
+    assert.equal(typeof docs[0].analysis.aiLikelihood, 'number');
+    assert.ok(docs[0].fingerprint.fingerprints.length > 0);
+  } finally {
+    pool.close();
+  }
+});
+
+test('a worker that exits fails its task and is replaced', async () => {
+  const script = path.join(dir, 'exiting-worker.js');
+  fs.writeFileSync(script, `const { parentPort } = require('worker_threads');
+parentPort.on('message', ({ taskId, name }) => {
+  if (name === 'crash.txt') process.exit(3);
+  parentPort.postMessage({ taskId, type: 'done', docs: [{ fileName: name }] });
+});
+`);
+  const pool = createWorkerPool(1, script);
+  try {
+    const crashed = pool.run({ filePath: '', name: 'crash.txt' }, 'job');
+    const next = pool.run({ filePath: '', name: 'ok.txt' }, 'job');
+    await assert.rejects(crashed, /exit code 3/);
+    assert.deepEqual(await next, [{ fileName: 'ok.txt' }]);
+  } finally {
+    pool.close();
+  }
+});
+
+test('a job reports per-file progress, deletes its uploads and settles once', async () => {
+  const pool = manualPool();
+  const jobs = createJobQueue({ pool, finish: docs => ({ count: docs.length }) });
+  const files = [upload('a.txt', 'a'), upload('b.txt', 'b')];
+  const job = jobs.create(files, {});
+  const seen = [];
+  jobs.subscribe(job.id, view => seen.push(view.status));
+  await tick();
+
+  pool.tasks[0].onProgress('extracting');
+  assert.deepEqual(jobs.get(job.id).files.map(f => f.stage), ['extracting', 'pending']);
+  assert.equal(jobs.get(job.id).progress, 13);
+  pool.tasks[0].resolve([{ text: 'a' }]);
+  pool.tasks[1].reject(new Error('Unreadable file'));
+  await tick();
+
+  const done = jobs.get(job.id);
+  assert.equal(done.status, 'done');
+  assert.deepEqual(done.files.map(f => [f.stage, f.documents, f.error]), [['done', 1, null], ['failed', 0, 'Unreadable file']]);
+  assert.deepEqual(done.result, { count: 1 });
+  assert.equal(done.progress, 100);
+  assert.equal(seen[seen.length - 1], 'done');
+  await pause(50);
+  assert.ok(files.every(f => !fs.existsSync(f.path)));
+});
+
+test('a cancelled job stops its tasks and a failing result fails the job', async () => {
+  const pool = manualPool();
+  const jobs = createJobQueue({ pool, finish: () => { throw new Error('boom'); } });
+  const cancelled = jobs.create([upload('c.txt', 'c')], {});
+  await tick();
+  assert.equal(jobs.cancel(cancelled.id).status, 'cancelled');
+  await tick();
+  assert.deepEqual(jobs.get(cancelled.id).files.map(f => f.stage), ['cancelled']);
+  assert.equal(jobs.cancel('no-such-job'), null);
+
+  const failing = jobs.create([upload('d.txt', 'd')], {});
+  await tick();
+  const logged = console.error;
+  console.error = () => {};
+  try {
+    pool.tasks[1].resolve([]);
+    await tick();
+  } finally {
+    console.error = logged;
+  }
+  assert.deepEqual([jobs.get(failing.id).status, jobs.get(failing.id).error], ['failed', 'Analysis failed']);
+});
+
+test('/jobs runs a batch in the background and streams its progress', async () => {
+  const body = new FormData();
+  body.append('files', new Blob([ESSAY]), 'bees.txt');
+  body.append('files', new Blob([`Honey is a bonus. ${ESSAY}`]), 'honey.txt');
+  body.append('save', 'false');
+  const res = await fetch(`${base}/jobs`, { method: 'POST', body });
+  assert.equal(res.status, 202);
+  const job = await res.json();
+  assert.equal(res.headers.get('location'), `/jobs/${job.id}`);
+
+  const events = await fetch(`${base}/jobs/${job.id}/events`);
+  assert.match(events.headers.get('content-type'), /^text\/event-stream/);
+  const stream = await events.text();
+  const names = Array.from(stream.matchAll(/^event: (\w+)$/gm), m => m[1]);
+  // progress events, unless the job finished first, then one final event
+  assert.deepEqual(names.slice(0, -1).filter(n => n !== 'progress'), []);
+  assert.equal(names[names.length - 1], 'done');
+
+  const finished = await (await fetch(`${base}/jobs/${job.id}`)).json();
+  assert.equal(finished.progress, 100);
+  assert.deepEqual(finished.result.files.map(f => f.fileName), ['bees.txt', 'honey.txt']);
+  assert.deepEqual(finished.result.comparison.clusters.map(c => c.members), [[0, 1]]);
+  // a finished job cannot be cancelled any more
+  assert.equal((await (await fetch(`${base}/jobs/${job.id}`, { method: 'DELETE' })).json()).status, 'done');
+  assert.equal((await fetch(`${base}/jobs/unknown`)).status, 404);
+  assert.equal((await fetch(`${base}/jobs`, { method: 'POST', body: new FormData() })).status, 400);
+});
@@ -0,0 +1,50 @@
+// Character n-gram language model, perplexity and burstiness signals
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const human = [
+  'We went to the lake on Saturday and the water was freezing. My brother jumped in anyway and screamed.',
+  'The bus was late again so I walked. It took forty minutes but I saw a fox near the bridge, which was worth it.',
+  'I tried to fix my bike chain with a video and a fork. It sort of worked until the hill on the way back.'
+];
+
+test('text like the training data has lower perplexity than unrelated text', () => {
+  const lm = engine.prepareLanguageModel(engine.trainLanguageModel(human, { order: 3 }));
+  const familiar = engine.computePerplexity('The bus was late so I walked to the lake.', lm);
+  const unfamiliar = engine.computePerplexity('Zxq vvk jjwp qqz kkx!', lm);
+  assert.ok(familiar < unfamiliar);
+  assert.equal(engine.computePerplexity('', lm), null);
+  assert.equal(engine.computePerplexity('anything', null), null);
+});
+
+test('the bundled model is loaded and calibrated', () => {
+  const lm = engine.getLanguageModel();
+  assert.ok(lm);
+  assert.ok(lm.calibration.sentenceMean > 0 && lm.calibration.sentenceSd > 0 && lm.calibration.burstiness > 0);
+});
+
+test('perplexity and burstiness are AI signals and sentence highlights carry perplexity', () => {
+  const text = 'I walked to the lake on Saturday with my brother. The water was freezing and he jumped in anyway. We ate sandwiches on the bridge and watched a fox.';
+  const result = engine.analyzeText(text);
+  const keys = result.breakdown.map(b => b.key);
+  assert.ok(keys.includes('perplexity') && keys.includes('burstiness'));
+  const contributions = result.breakdown.reduce((s, b) => s + b.contribution, 0);
+  assert.ok(Math.abs(result.aiLikelihood - Math.min(100, contributions)) <= 1);
+  for (const h of result.highlights) assert.equal(typeof h.perplexity, 'number');
+});
+
+test('without a model the signals are reported but add nothing', () => {
+  const bundled = engine.getLanguageModel();
+  try {
+    engine.setLanguageModel(null);
+    const result = engine.analyzeText('The water was freezing. He jumped in anyway. We watched a fox on the bridge.');
+    const ppl = result.breakdown.find(b => b.key === 'perplexity');
+    assert.equal(ppl.contribution, 0);
+    assert.match(ppl.detail, /no calibrated language model/);
+    assert.equal(result.highlights[0].perplexity, null);
+  } finally {
+    engine.setLanguageModel(require('../lm-model'));
+  }
+  assert.equal(engine.getLanguageModel().order, bundled.order);
+});
@@ -0,0 +1,40 @@
+// Rubric marking: the measured inputs of each criterion and the rubric store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createRubricStore } = require('../rubrics');
+
+const ANSWER = 'However, street trees cool the city.';
+const ESSAY = `${ANSWER} They shade the pavement in July. Parks near rivers stay cooler at night. Roofs painted white reflect sunlight. Bus stops need more shade. Old neighbourhoods have fewer trees. Councils can plant along main roads. Residents water young saplings.`;
+const RUN_ON = ESSAY.replace(/\. (\w)/g, (m, c) => ` and ${c.toLowerCase()}`);
+
+function scoreOf(text, type) {
+  return engine.markSubmission(text).criteria.find(c => c.type === type).score;
+}
+
+test('language and depth are measured per sentence', () => {
+  // one formal connective in eight sentences is not the density of one in one
+  assert.ok(scoreOf(ESSAY, 'language') < scoreOf(ANSWER, 'language'));
+  // the same words split into more sentences explore more
+  assert.ok(scoreOf(ESSAY, 'depth') > scoreOf(RUN_ON, 'depth'));
+});
+
+test('the rubric store only finds saved rubrics', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rubrics-'));
+  try {
+    const store = createRubricStore(path.join(dir, 'rubrics.json'));
+    for (const name of ['constructor', 'toString', '__proto__']) {
+      assert.equal(store.get(name), null, name);
+      assert.equal(store.pick(name), null, name);
+      assert.equal(store.remove(name), false, name);
+    }
+    const criteria = [{ id: 'words', label: 'Length', type: 'wordCount', weight: 10, min: 5, max: 50 }];
+    assert.ok(store.save('essay', { criteria }).rubric);
+    assert.equal(store.pick('essay').name, 'essay');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
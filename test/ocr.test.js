@@ -0,0 +1,105 @@
+// OCR: image uploads and scanned PDF pages, merged text and recognised regions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const ocr = require('../ocr');
+const { extractContent, ExtractionError } = require('../extract');
+
+// 5x7 bitmap letters, enough for the sample lines below
+const FONT = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  I: ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+const LINES = ['THE CAT SAT', 'THE HILL'];
+
+// Black-on-white 8-bit grayscale scan of the lines
+function scan(lines, scale = 4) {
+  const pad = 4 * scale;
+  const width = pad * 2 + Math.max(...lines.map(l => l.length)) * 6 * scale;
+  const height = pad * 2 + lines.length * 10 * scale;
+  const pixels = Buffer.alloc(width * height, 255);
+  lines.forEach((line, li) => [...line].forEach((ch, ci) => FONT[ch].forEach((row, ry) => [...row].forEach((bit, rx) => {
+    if (bit !== '1') return;
+    for (let dy = 0; dy < scale; dy++) {
+      const y = pad + li * 10 * scale + ry * scale + dy;
+      pixels.fill(0, y * width + pad + (ci * 6 + rx) * scale, y * width + pad + (ci * 6 + rx + 1) * scale);
+    }
+  }))));
+  return { width, height, pixels };
+}
+
+function pngOf(lines) {
+  const { width, height, pixels } = scan(lines);
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) rgb.fill(pixels[i], i * 3, i * 3 + 3);
+  return ocr.encodePng(width, height, rgb, 2);
+}
+
+// One-page PDF: the scanned lines as an image, plus real text if given
+function pdfOf(lines, pageText) {
+  const { width, height, pixels } = scan(lines);
+  const image = zlib.deflateSync(pixels);
+  const content = Buffer.from(`q ${width} 0 0 ${height} 20 400 cm /Im1 Do Q` + (pageText ? ` BT /F1 10 Tf 20 20 Td (${pageText}) Tj ET` : ''));
+  const stream = (dict, data) => Buffer.concat([Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`), data, Buffer.from('\nendstream')]);
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+    Buffer.from('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'),
+    Buffer.from('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im1 4 0 R >> /Font << /F1 6 0 R >> >> /Contents 5 0 R >>'),
+    stream(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, image),
+    stream('', content),
+    Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>')
+  ];
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.forEach((o, i) => {
+    offsets.push(length);
+    parts.push(Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), o, Buffer.from('\nendobj\n')]));
+    length += parts[parts.length - 1].length;
+  });
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}` +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  return Buffer.concat([...parts, Buffer.from(xref)]);
+}
+
+test.after(() => ocr.terminate());
+
+test('image uploads are recognised with their lines and confidence', async () => {
+  const { text, ocr: found } = await extractContent(pngOf(LINES), 'BSIT-001 photo.png');
+  assert.match(text, /THE CAT SAT/);
+  assert.match(text, /HILL/);
+  assert.equal(found.regions.length, 1);
+  assert.deepEqual([found.regions[0].page, found.regions[0].start, found.regions[0].end], [null, 0, text.length]);
+  assert.equal(found.regions[0].lines.length, 2);
+  assert.ok(found.confidence > 50);
+});
+
+test('scanned PDF pages are recognised and merged with their text layer', async () => {
+  const { text, ocr: found } = await extractContent(pdfOf(LINES, '3'), 'scan.pdf');
+  assert.match(text, /^\n\n3\nTHE CAT SAT/);
+  const region = found.regions[0];
+  assert.equal(region.page, 1);
+  assert.match(text.slice(region.start, region.end), /^THE CAT SAT\nTHE HILL$/);
+  assert.equal(found.confidence, region.confidence);
+});
+
+test('images on PDF pages with a text layer are left alone', async () => {
+  const { text, ocr: found } = await extractContent(pdfOf(LINES, 'This page has a proper text layer.'), 'typed.pdf');
+  assert.equal(text, '\n\nThis page has a proper text layer.');
+  assert.equal(found, null);
+});
+
+test('unreadable files fail with the reason instead of empty text', async () => {
+  const named = file => err => err instanceof ExtractionError && err.message.startsWith(`Could not read ${file}: `);
+  await assert.rejects(extractContent(pdfOf(LINES).subarray(0, 40), 'cut.pdf'), named('cut.pdf'));
+  await assert.rejects(extractContent(Buffer.from('not a zip'), 'essay.docx'), named('essay.docx'));
+  assert.equal((await extractContent(Buffer.from('plain text'), 'notes.txt')).text, 'plain text');
+});
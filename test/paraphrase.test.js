@@ -0,0 +1,103 @@
+// Paraphrase detection: canonical word forms from the bundled synonym
+// dictionary and the Porter stemmer, and paraphrased passages reported
+// apart from verbatim ones
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createCorpus } = require('../corpus');
+
+const SOURCE = 'Researchers showed that planting trees in cities significantly reduces summer temperatures and helps people avoid heat stroke during long hot afternoons.';
+const SPUN = 'Investigators demonstrated that planting trees in cities substantially decreases summer temperatures and assists people avoid heat stroke during long hot afternoons.';
+const OTHER = 'My family went to the beach last weekend and we ate ice cream while watching the boats sail past the old lighthouse.';
+
+test('the Porter stemmer reduces regular endings', () => {
+  const stems = {
+    caresses: 'caress', ponies: 'poni', cats: 'cat', agreed: 'agre', motoring: 'motor', hopping: 'hop', filing: 'file', happy: 'happi',
+    relational: 'relat', generalization: 'gener', adjustable: 'adjust', hopeful: 'hope', adoption: 'adopt', effective: 'effect', yield: 'yield'
+  };
+  for (const [word, stem] of Object.entries(stems)) assert.equal(engine.porterStem(word), stem, word);
+});
+
+test('synonyms, irregular forms and British spellings share a canonical word', () => {
+  const same = (...words) => assert.equal(new Set(words.map(engine.canonicalWord)).size, 1, words.join(', '));
+  same('use', 'uses', 'utilized', 'utilised', 'employing');
+  same('show', 'showed', 'demonstrates');
+  same('important', 'significant', 'significantly');
+  same('go', 'went');
+  same('child', 'children');
+  same('analysis', 'analyses');
+  // function words and numbers are kept, different words stay apart
+  assert.equal(engine.canonicalWord('the'), 'the');
+  assert.equal(engine.canonicalWord('2024'), '2024');
+  assert.notEqual(engine.canonicalWord('tree'), engine.canonicalWord('beach'));
+});
+
+test('synonym swaps are reported as paraphrased passages next to the verbatim ones', () => {
+  const cmp = engine.compareDocuments(engine.fingerprintText(SPUN), engine.fingerprintText(SOURCE));
+  assert.deepEqual(cmp.spans.map(s => s.text), ['that planting trees in cities', 'people avoid heat stroke during long hot afternoons']);
+  assert.deepEqual(cmp.paraphrases.map(s => [s.text, s.substitutions]), [
+    ['Investigators demonstrated that planting trees in cities', 2],
+    ['summer temperatures and assists people avoid heat stroke during long hot afternoons', 1]
+  ]);
+  assert.equal(SOURCE.slice(cmp.paraphrases[0].sourceStart, cmp.paraphrases[0].sourceEnd), 'Researchers showed that planting trees in cities');
+  // paraphrase counts only the words the verbatim passages leave out
+  assert.ok(cmp.paraphrase > 0 && cmp.containment + cmp.paraphrase <= 100);
+  assert.equal(engine.similarityOf(cmp), Math.round((cmp.containment + cmp.paraphrase) * 100) / 100);
+
+  const copy = engine.compareDocuments(engine.fingerprintText(SOURCE), engine.fingerprintText(SOURCE));
+  assert.deepEqual([copy.containment, copy.paraphrases.length, copy.paraphrase], [100, 0, 0]);
+  const unrelated = engine.compareDocuments(engine.fingerprintText(SPUN), engine.fingerprintText(OTHER));
+  assert.deepEqual([unrelated.spans.length, unrelated.paraphrases.length], [0, 0]);
+  // code is compared verbatim only
+  const code = engine.fingerprintCode('```js\nfunction add(a, b) { return a + b; }\n```');
+  assert.deepEqual(engine.compareDocuments(code, code).paraphrases, []);
+});
+
+test('a quoted paraphrase does not count toward similarity', () => {
+  const quoted = engine.fingerprintText(`As the study put it, "${SPUN}" (Oke, 1982).\n\nReferences\n\nOke, T. R. (1982). The urban heat island. Quarterly Journal.`);
+  const cmp = engine.compareDocuments(quoted, engine.fingerprintText(SOURCE));
+  assert.ok(cmp.paraphrases.length);
+  assert.ok(cmp.paraphrases.every(s => s.attribution === 'quoted'));
+  assert.equal(cmp.paraphrase, 0);
+});
+
+test('the class matrix and clusters include paraphrased copies', () => {
+  const batch = engine.compareBatch([SPUN, SOURCE, OTHER].map(t => engine.fingerprintText(t)), 50);
+  const pair = batch.pairs.find(p => p.a === 0 && p.b === 1);
+  assert.equal(batch.matrix[0][1], engine.similarityOf(pair));
+  assert.ok(batch.matrix[0][1] > pair.containment);
+  assert.equal(pair.paraphrases.length, 2);
+  assert.deepEqual(batch.clusters.map(c => c.members), [[0, 1]]);
+});
+
+test('the reference corpus finds paraphrased sources', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+  try {
+    const corpus = createCorpus(path.join(dir, 'corpus.jsonl'));
+    corpus.add({ title: 'Heat study', text: SOURCE });
+    corpus.add({ title: 'Holiday', text: OTHER });
+    const found = corpus.search(engine.fingerprintText(SPUN));
+    assert.deepEqual(found.map(m => m.title), ['Heat study']);
+    assert.equal(found[0].paraphrases.length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reports list paraphrased passages and their share', () => {
+  const fps = [SPUN, SOURCE].map(t => engine.fingerprintText(t));
+  const cmp = engine.compareDocuments(fps[0], fps[1]);
+  const file = { name: 'a.txt', text: SPUN, ...engine.analyzeText(SPUN), matches: [{ name: 'b.txt', ...cmp }] };
+  const report = engine.buildReport([file]);
+  assert.equal(report.schemaVersion, '1.5');
+  assert.equal(report.files[0].matches[0].paraphrases[0].substitutions, 2);
+  const text = engine.reportToText(report);
+  assert.match(text, new RegExp(`b\\.txt: ${cmp.containment}% contained, 2 passage\\(s\\), 2 paraphrased \\(\\+${cmp.paraphrase}%\\)`));
+  assert.match(text, /\(paraphrased, 2 word\(s\) changed\) "Investigators demonstrated that planting trees in cities"/);
+  const [header, row] = engine.reportToCsv(report).split('\r\n').map(l => l.split(','));
+  assert.equal(row[header.indexOf('closest_match_paraphrase_pct')], String(cmp.paraphrase));
+  assert.match(engine.reportToHtml(report), /2 paraphrased \(\+/);
+});
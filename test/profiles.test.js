@@ -0,0 +1,33 @@
+// Scoring profiles: validation and the server store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createProfileStore } = require('../profiles');
+
+test('profiles with missing or malformed groups are rejected', () => {
+  assert.deepEqual(engine.validateProfile({ weights: { consistency: 0.3 }, thresholds: { human: 30, mixed: 60 } }), []);
+  assert.deepEqual(engine.validateProfile({ weights: null }), ['weights must be an object of numbers']);
+  assert.deepEqual(engine.validateProfile({ sentenceWeights: 5 }), ['sentenceWeights must be an object of numbers']);
+  assert.deepEqual(engine.validateProfile({ thresholds: null }), ['thresholds must be an object with human and mixed cutoffs']);
+  assert.deepEqual(engine.validateProfile({ weights: { toString: 0.5 } }), ['Unknown weights entry "toString"']);
+});
+
+test('the store only finds saved and built-in profiles', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  try {
+    const store = createProfileStore(path.join(dir, 'profiles.json'));
+    for (const name of ['constructor', 'toString', '__proto__']) {
+      assert.equal(store.get(name), null, name);
+      assert.equal(store.pick(name).name, 'default', name);
+      assert.equal(store.remove(name), false, name);
+      assert.equal(store.setActive(name), false, name);
+    }
+    assert.ok(store.save('class-a', { weights: { consistency: 0.5 } }).profile);
+    assert.equal(store.pick('class-a').name, 'class-a');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,105 @@
+// Report export: versioned JSON (checked against report-schema.json), CSV gradebook, text and HTML
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const schema = require('../report-schema.json');
+
+const ESSAY = 'Moreover, the method is effective. Furthermore, the method is efficient. Therefore, the method is recommended. In conclusion, the method is useful.';
+const NOTES = 'I tried the loop first and it broke. Then I asked my friend, who laughed! We fixed it at 2am, tired but happy.';
+
+function fileOf(name, text) {
+  return { name, text, ...engine.analyzeText(text) };
+}
+
+// Errors of `value` against the subset of JSON Schema used by report-schema.json
+function check(value, s, at, errors) {
+  if (s.$ref) return check(value, s.$ref.split('/').slice(1).reduce((o, k) => o[k], schema), at, errors);
+  if (s.oneOf) {
+    const passing = s.oneOf.filter(option => !check(value, option, at, []).length);
+    if (passing.length !== 1) errors.push(`${at}: matches ${passing.length} of oneOf`);
+    return errors;
+  }
+  if (s.enum && !s.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} not in enum`);
+  const types = [].concat(s.type || []);
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  if (types.length && !types.some(t => t === typeOf(value) || (t === 'number' && typeOf(value) === 'integer'))) {
+    errors.push(`${at}: expected ${types.join('|')}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of s.required || []) if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    for (const [key, sub] of Object.entries(s.properties || {})) if (key in value) check(value[key], sub, `${at}.${key}`, errors);
+  }
+  if (Array.isArray(value) && s.items) value.forEach((v, i) => check(v, s.items, `${at}[${i}]`, errors));
+  return errors;
+}
+
+test('a batch report follows report-schema.json', () => {
+  const fps = [ESSAY, NOTES].map(t => engine.fingerprintText(t));
+  const { matrix, clusters } = engine.compareBatch(fps, 20);
+  const report = engine.buildReport([fileOf('a.txt', ESSAY), { ...fileOf('b.txt', NOTES), corpusMatches: [] }], {
+    profile: 'default',
+    subject: 'General',
+    comparison: { threshold: 20, matrix, codeMatrix: null, clusters }
+  });
+  assert.equal(report.schemaVersion, engine.REPORT_SCHEMA_VERSION);
+  assert.deepEqual(check(report, schema, 'report', []), []);
+  // a single-file report without comparison is valid too
+  assert.deepEqual(check(engine.buildReport([fileOf('a.txt', ESSAY)]), schema, 'report', []), []);
+});
+
+test('student IDs and style comparisons are reported', () => {
+  const style = { submissions: 3, deviation: 3.1, flagged: true, features: [{ key: 'wordLength', label: 'Average word length', value: 5.6, mean: 4.1, sd: 0.3, z: 5 }] };
+  const report = engine.buildReport([{ ...fileOf('BSIT-001.txt', ESSAY), studentId: 'BSIT-001', style }, fileOf('b.txt', NOTES)]);
+  assert.deepEqual(check(report, schema, 'report', []), []);
+  assert.equal(report.files[1].studentId, null);
+  const [header, first] = engine.reportToCsv(report).trim().split('\r\n').map(l => l.split(','));
+  assert.equal(first[header.indexOf('student_id')], 'BSIT-001');
+  assert.equal(first[header.indexOf('style_flagged')], 'yes');
+  assert.match(engine.reportToText(report), /- Writing style: Deviates sharply from the student's 3 earlier submissions/);
+  assert.match(engine.reportToHtml(report), /<h3>Writing style of BSIT-001<\/h3>/);
+});
+
+test('text recognised by OCR is reported with its confidence', () => {
+  const ocr = engine.summarizeOcr([
+    { page: 2, start: 0, end: 30, confidence: 90, lines: [{ text: 'Scanned text', confidence: 91, bbox: { x0: 0, y0: 0, x1: 10, y1: 10 } }] },
+    { page: 3, start: 32, end: 42, confidence: 70, lines: [] }
+  ]);
+  assert.equal(ocr.confidence, 85);
+  assert.equal(engine.summarizeOcr([]), null);
+  assert.equal(engine.formatOcr(ocr), 'Text of pages 2, 3 recognised by OCR (confidence 85%)');
+  const report = engine.buildReport([{ ...fileOf('scan.pdf', ESSAY), ocr }, fileOf('b.txt', NOTES)]);
+  assert.deepEqual(check(report, schema, 'report', []), []);
+  assert.equal(report.files[1].ocr, null);
+  const [header, first] = engine.reportToCsv(report).trim().split('\r\n').map(l => l.split(','));
+  assert.equal(first[header.indexOf('ocr_confidence')], '85');
+  assert.match(engine.reportToText(report), /page 2, characters 0-30: confidence 90%/);
+  assert.match(engine.reportToHtml(report), /<h3>OCR<\/h3>/);
+});
+
+test('the CSV gradebook has a column per rubric criterion and neutralises formulas', () => {
+  const report = engine.buildReport([fileOf('=SUM(A1).txt', ESSAY), fileOf('notes, draft.txt', NOTES)]);
+  const [header, first, second] = engine.reportToCsv(report).trim().split('\r\n');
+  const columns = header.split(',');
+  for (const c of engine.DEFAULT_RUBRIC.criteria) assert.ok(columns.includes(c.label), c.label);
+  assert.ok(first.startsWith("'=SUM(A1).txt,"));
+  assert.ok(second.startsWith('"notes, draft.txt",'));
+  assert.equal(first.split(',')[columns.indexOf('ai_likelihood')], String(report.files[0].aiLikelihood));
+});
+
+test('the HTML report escapes text and marks flagged sentences', () => {
+  const text = '<script>alert(1)</script> ' + ESSAY;
+  const report = engine.buildReport([{ ...fileOf('x.txt', text), highlights: engine.analyzeSentences(text).map(h => ({ ...h, flagged: true })) }]);
+  const html = engine.reportToHtml(report);
+  assert.ok(!html.includes('<script>alert'));
+  assert.ok(html.includes('&lt;script&gt;'));
+  assert.match(html, /class="heat heat-flagged"[^>]*><sup>1<\/sup>/);
+  assert.match(html, /<h3>Flagged sentences<\/h3>/);
+});
+
+test('the text report lists every file with its label and mark', () => {
+  const text = engine.reportToText(engine.buildReport([fileOf('a.txt', ESSAY), fileOf('b.txt', NOTES)]));
+  assert.match(text, /File: a\.txt\n- Selected Subject: General/);
+  assert.match(text, /- AI likelihood: \d+% \((Human-written|Mixed|Likely AI-generated)\)/);
+  assert.match(text, /- Mark: \d+ \/ 100 \(default rubric\)/);
+});
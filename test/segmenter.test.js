@@ -0,0 +1,140 @@
+// Sentence and paragraph segmentation on tricky academic text
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const texts = text => engine.splitToSentences(text);
+const types = text => engine.segmentText(text).segments.map(s => [s.type, s.text]);
+
+test('abbreviations and initials do not end sentences', () => {
+  assert.deepEqual(texts('Dr. Smith and Prof. Jones disagree, e.g. on method. See Smith et al. for details.'), [
+    'Dr. Smith and Prof. Jones disagree, e.g. on method.',
+    'See Smith et al. for details.'
+  ]);
+  assert.deepEqual(texts('The theory was proposed by J. R. Tolkien, i.e. a linguist. It spread.'), [
+    'The theory was proposed by J. R. Tolkien, i.e. a linguist.',
+    'It spread.'
+  ]);
+});
+
+test('terminal abbreviations end a sentence before a capitalized word', () => {
+  assert.deepEqual(texts('We bought apples, pears, etc. The total was small.'), [
+    'We bought apples, pears, etc.',
+    'The total was small.'
+  ]);
+  assert.deepEqual(texts('We bought apples, pears, etc. for the class.'), ['We bought apples, pears, etc. for the class.']);
+  assert.deepEqual(texts('The U.S. economy grew at 5 p.m. on Monday.'), ['The U.S. economy grew at 5 p.m. on Monday.']);
+});
+
+test('number abbreviations need a following number', () => {
+  assert.deepEqual(texts('As shown in Fig. 2 and Eq. (3), the error falls. No. It rises.'), [
+    'As shown in Fig. 2 and Eq. (3), the error falls.',
+    'No.',
+    'It rises.'
+  ]);
+});
+
+test('decimals, versions, file names and code references stay intact', () => {
+  assert.deepEqual(texts('Pi is about 3.14159 and e is 2.718. Node 20.11.1 reads config.json via console.log output.'), [
+    'Pi is about 3.14159 and e is 2.718.',
+    'Node 20.11.1 reads config.json via console.log output.'
+  ]);
+});
+
+test('ellipses end a sentence only before a capitalized word', () => {
+  assert.deepEqual(texts('The results were... unexpected. We waited… Then it worked.'), [
+    'The results were... unexpected.',
+    'We waited…',
+    'Then it worked.'
+  ]);
+});
+
+test('closing quotes and brackets stay with their sentence', () => {
+  assert.deepEqual(texts('He wrote "It failed." (This was later confirmed.) Nobody replied!'), [
+    'He wrote "It failed."',
+    '(This was later confirmed.)',
+    'Nobody replied!'
+  ]);
+});
+
+test('bullet and numbered list items are separate segments without their markers', () => {
+  const text = 'The method has three steps:\n- collect the data\n- clean it. Remove duplicates.\n1. Train the model\n2) Evaluate it\n(a) report results';
+  assert.deepEqual(types(text), [
+    ['sentence', 'The method has three steps:'],
+    ['list', 'collect the data'],
+    ['list', 'clean it.'],
+    ['sentence', 'Remove duplicates.'],
+    ['list', 'Train the model'],
+    ['list', 'Evaluate it'],
+    ['list', 'report results']
+  ]);
+});
+
+test('headings are detected and left out of prose sentences', () => {
+  const text = '# Abstract\nWe study sorting.\n\nIntroduction\n\nSorting matters. It is old.';
+  assert.deepEqual(types(text), [
+    ['heading', 'Abstract'],
+    ['sentence', 'We study sorting.'],
+    ['heading', 'Introduction'],
+    ['sentence', 'Sorting matters.'],
+    ['sentence', 'It is old.']
+  ]);
+  assert.deepEqual(texts(text), ['We study sorting.', 'Sorting matters.', 'It is old.']);
+  // a short unpunctuated text on its own is still prose
+  assert.deepEqual(texts('I liked it'), ['I liked it']);
+});
+
+test('code lines are separate segments, wrapped prose is not code', () => {
+  const text = 'The loop below sums the list.\n\nfor (int i = 0; i < n; i++) {\n  total += a[i];\n}\n\nimport duties were raised and public opinion\nturned against them.';
+  assert.deepEqual(types(text), [
+    ['sentence', 'The loop below sums the list.'],
+    ['code', 'for (int i = 0; i < n; i++) {'],
+    ['code', 'total += a[i];'],
+    ['code', '}'],
+    ['sentence', 'import duties were raised and public opinion\nturned against them.']
+  ]);
+});
+
+test('paragraphs split on blank lines, including whitespace-only and CRLF ones', () => {
+  const text = 'First paragraph.\r\nStill first.\r\n\r\nSecond.\n   \nThird.';
+  assert.deepEqual(engine.splitParagraphs(text), ['First paragraph.\r\nStill first.', 'Second.', 'Third.']);
+  assert.deepEqual(engine.segmentText(text).segments.map(s => s.paragraph), [0, 0, 1, 2]);
+});
+
+test('hard-wrapped lines inside a paragraph are joined into sentences', () => {
+  assert.deepEqual(texts('This sentence was wrapped\nby the PDF extractor. The next one\nwas too.'), [
+    'This sentence was wrapped\nby the PDF extractor.',
+    'The next one\nwas too.'
+  ]);
+});
+
+test('offsets point into the original text', () => {
+  const text = '  Intro\n\n- Dr. Who said 3.5 is fine... Really? Yes.\n\nx = compute(3);\nDone.';
+  for (const s of engine.segmentText(text).segments) assert.equal(text.slice(s.start, s.end), s.text);
+});
+
+test('empty and whitespace-only input', () => {
+  assert.deepEqual(texts(''), []);
+  assert.deepEqual(texts(' \n\n\t'), []);
+  assert.deepEqual(engine.splitParagraphs(null), []);
+});
+
+test('scoring uses the segmenter', () => {
+  const text = 'Dr. Smith measured 3.14 units, i.e. a lot. The result, e.g. the mean, held.';
+  const result = engine.analyzeText(text);
+  assert.equal(result.sentenceCount, 2);
+  assert.deepEqual(result.highlights.map(h => h.text), texts(text));
+});
+
+test('fenced blocks, Python block headers and their indented bodies are code', () => {
+  const text = 'The loop:\n\n```python\nfor item in items:\n    # keep positives\n    keep(item)\n```\n\nif the data allows: we continue.';
+  assert.deepEqual(types(text), [
+    ['sentence', 'The loop:'],
+    ['code', '```python'],
+    ['code', 'for item in items:'],
+    ['code', '# keep positives'],
+    ['code', 'keep(item)'],
+    ['code', '```'],
+    ['sentence', 'if the data allows: we continue.']
+  ]);
+});
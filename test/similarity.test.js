@@ -0,0 +1,52 @@
+// Text similarity: word shingles, winnowed fingerprints and containment
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const SOURCE = 'The water cycle moves water between the oceans, the air and the land. Heat from the sun evaporates water from the surface of the sea, and the vapour cools into clouds as it rises.';
+const COPIED = 'My essay starts here. Heat from the sun evaporates water from the surface of the sea, and the vapour cools into clouds as it rises. Then it rains on the hills.';
+const OTHER = 'Volcanoes form where tectonic plates pull apart or collide, letting molten rock reach the surface through cracks in the crust.';
+
+test('words keep their offsets and lose case and apostrophes', () => {
+  const tokens = engine.tokenizeWithPosition("It's the Sun's heat.");
+  assert.deepEqual(tokens.map(t => t.word), ['its', 'the', 'suns', 'heat']);
+  assert.deepEqual(tokens.map(t => [t.start, t.end]), [[0, 4], [5, 8], [9, 14], [15, 19]]);
+});
+
+test('winnowing keeps a fingerprint from every window of shingles', () => {
+  const fp = engine.fingerprintText(SOURCE);
+  const shingles = fp.tokens.length - engine.SHINGLE_SIZE + 1;
+  assert.equal(fp.shingleSize, engine.SHINGLE_SIZE);
+  assert.ok(fp.fingerprints.length > 0 && fp.fingerprints.length < shingles);
+  const positions = fp.fingerprints.map(f => f.pos);
+  assert.deepEqual(positions, [...positions].sort((a, b) => a - b));
+  // no window of WINNOW_WINDOW shingles is left without a fingerprint
+  for (let i = 0; i + engine.WINNOW_WINDOW <= shingles; i++) {
+    assert.ok(positions.some(p => p >= i && p < i + engine.WINNOW_WINDOW), `window at ${i}`);
+  }
+  assert.deepEqual(engine.fingerprintText('Too short.').fingerprints, []);
+});
+
+test('containment is the share of words inside passages found in the source', () => {
+  const copied = engine.fingerprintText(COPIED);
+  const source = engine.fingerprintText(SOURCE);
+  const cmp = engine.compareDocuments(copied, source);
+  assert.equal(cmp.spans.length, 1);
+  const span = cmp.spans[0];
+  assert.equal(span.text, 'Heat from the sun evaporates water from the surface of the sea, and the vapour cools into clouds as it rises');
+  assert.equal(COPIED.slice(span.start, span.end), span.text);
+  assert.equal(SOURCE.slice(span.sourceStart, span.sourceEnd), span.text);
+  assert.equal(span.words, 21);
+  assert.equal(cmp.containment, Math.round(21 / copied.tokens.length * 10000) / 100);
+
+  // containment depends on direction: the source holds more of its own words
+  assert.ok(engine.compareDocuments(source, copied).containment < cmp.containment);
+  assert.equal(engine.compareDocuments(source, source).containment, 100);
+});
+
+test('common words and short shared phrases are not overlap', () => {
+  const cmp = engine.compareDocuments(engine.fingerprintText(OTHER), engine.fingerprintText(SOURCE));
+  assert.deepEqual([cmp.containment, cmp.spans.length], [0, 0]);
+  const phrase = engine.compareDocuments(engine.fingerprintText('I think the surface of the sea is blue today.'), engine.fingerprintText(SOURCE));
+  assert.equal(phrase.spans.length, 0);
+});
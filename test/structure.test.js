@@ -0,0 +1,116 @@
+// Document structure and metadata: headings, reference lists and quotations
+// left out of scoring, file properties and their anomalies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const engine = require('../engine');
+const { extractContent } = require('../extract');
+
+const ESSAY = [
+  '# Climate and Cities',
+  'Urban heat islands raise night temperatures in dense districts. Trees and reflective roofs reduce the effect.',
+  '> Cities are where the battle against climate change will be largely won or lost, because most emissions come from them.',
+  '## Method',
+  'We compared twelve districts over three summers.',
+  'Site\tTrees\tPeak',
+  'North\t40%\t31',
+  'South\t12%\t35',
+  'References',
+  'Oke, T. R. (1982). The energetic basis of the urban heat island. Quarterly Journal, 108, 1-24.',
+  'Santamouris, M. (2014). Cooling the cities. Solar Energy, 103, 682-703.'
+].join('\n\n').replace('Site\tTrees\tPeak\n\nNorth\t40%\t31\n\nSouth', 'Site\tTrees\tPeak\nNorth\t40%\t31\nSouth');
+
+test('headings, sections, tables, quotations and the reference list are read back from the text', () => {
+  const s = engine.documentStructure(ESSAY);
+  assert.deepEqual(s.headings.map(h => [h.text, h.level]), [['Climate and Cities', 1], ['Method', 2], ['References', 1]]);
+  assert.deepEqual(s.sections.map(x => x.heading), ['Climate and Cities', 'Method', 'References']);
+  assert.equal(s.tables.length, 1);
+  assert.deepEqual(s.tables[0].rows[2], ['South', '12%', '35']);
+  assert.equal(s.quotes.length, 1);
+  assert.match(ESSAY.slice(s.quotes[0].start, s.quotes[0].end), /^> Cities/);
+  assert.equal(s.references.heading, 'References');
+  assert.deepEqual(s.references.entries.map(e => e.text.slice(0, 11)), ['Oke, T. R. ', 'Santamouris']);
+});
+
+test('a trailing list of citations counts as references without a heading', () => {
+  const text = 'Trees cool streets by several degrees in summer afternoons.\n\n' +
+    'Oke, T. R. (1982). The energetic basis of the urban heat island.\nSantamouris, M. (2014). Cooling the cities.';
+  const s = engine.documentStructure(text);
+  assert.equal(s.references.heading, null);
+  assert.equal(s.references.entries.length, 2);
+  assert.equal(engine.documentStructure('Smith, J. (2020) said so.').references, null);
+});
+
+test('scoring masks the reference list and block quotations but keeps offsets', () => {
+  const masked = engine.maskExcluded(ESSAY);
+  assert.equal(masked.length, ESSAY.length);
+  assert.equal(masked.split('\n').length, ESSAY.split('\n').length);
+  assert.doesNotMatch(masked, /battle against climate|Santamouris/);
+  assert.match(masked, /Urban heat islands/);
+
+  const result = engine.analyzeText(ESSAY);
+  assert.equal(result.wordCount, engine.normalizeToWords(masked).length);
+  assert.ok(result.highlights.every(h => !/Santamouris|battle/.test(ESSAY.slice(h.start, h.end))));
+  assert.equal(result.structure.references.length, 2);
+  assert.ok(result.structure.excludedWords > 30);
+  assert.match(engine.formatStructure(result.structure), /^3 sections · 3 headings .*· 1 table · 1 block quotation · 2 references \(\d+ words/);
+
+  // marking counts the same words
+  const rubric = { name: 'length', criteria: [{ id: 'words', label: 'Length', type: 'wordCount', weight: 10, min: 1 }] };
+  assert.equal(engine.markSubmission(ESSAY, rubric).criteria[0].detail, `${result.wordCount} words, within the target`);
+});
+
+test('PDF lines become paragraphs and headings from their gaps and font sizes', () => {
+  const item = (str, y, size = 10) => ({ str, transform: [size, 0, 0, size, 72, y] });
+  const text = engine.pdfPageText([
+    item('Introduction', 700, 16),
+    item('First line of the body', 680), item('and its second line.', 668),
+    item('A new paragraph', 644), item('over two lines.', 632),
+    item('Details', 600, 13),
+    item('Last words.', 580)
+  ]);
+  assert.equal(text, '# Introduction\n\nFirst line of the body\nand its second line.\n\nA new paragraph\nover two lines.\n\n## Details\n\nLast words.');
+});
+
+test('file metadata is read from Office, OpenDocument, PDF and RTF properties', async () => {
+  const core = '<cp:coreProperties><dc:title>Essay</dc:title><dc:creator>Ana Cruz</dc:creator><cp:lastModifiedBy>Ben Uy</cp:lastModifiedBy>' +
+    '<dcterms:created xsi:type="dcterms:W3CDTF">2024-03-01T09:00:00Z</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">2024-03-02T10:30:00Z</dcterms:modified></cp:coreProperties>';
+  const app = '<Properties><TotalTime>3</TotalTime><Application>Microsoft Office Word</Application><AppVersion>16.0000</AppVersion></Properties>';
+  assert.deepEqual(engine.officeMetadata(core, app), {
+    title: 'Essay', author: 'Ana Cruz', lastModifiedBy: 'Ben Uy', created: '2024-03-01T09:00:00.000Z', modified: '2024-03-02T10:30:00.000Z',
+    application: 'Microsoft Office Word 16.0000', editingMinutes: 3
+  });
+  assert.equal(engine.officeMetadata('', ''), null);
+
+  const odf = engine.odfMetadata('<meta:initial-creator>Ana</meta:initial-creator><meta:editing-duration>PT1H5M30S</meta:editing-duration>');
+  assert.deepEqual([odf.author, odf.editingMinutes], ['Ana', 66]);
+  const pdf = engine.pdfMetadata({ Author: 'Ana Cruz', CreationDate: "D:20240301170000+08'00'", Producer: 'Skia/PDF' });
+  assert.deepEqual([pdf.author, pdf.created, pdf.application], ['Ana Cruz', '2024-03-01T09:00:00.000Z', 'Skia/PDF']);
+  const rtf = engine.rtfMetadata(String.raw`{\rtf1{\info{\author Ana Cruz}{\creatim\yr2024\mo3\dy1\hr9\min0}{\edmins12}}Text}`);
+  assert.deepEqual([rtf.author, rtf.editingMinutes], ['Ana Cruz', 12]);
+
+  const zip = new AdmZip();
+  zip.addFile('word/document.xml', Buffer.from('<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>Hello</w:t></w:r></w:p></w:body></w:document>'));
+  zip.addFile('docProps/core.xml', Buffer.from(core));
+  zip.addFile('docProps/app.xml', Buffer.from(app));
+  const { text, metadata } = await extractContent(zip.toBuffer(), 'BSIT-001 essay.docx');
+  assert.equal(text, 'Hello');
+  assert.equal(metadata.author, 'Ana Cruz');
+});
+
+test('metadata anomalies: another author, a shared author and too little editing', () => {
+  const meta = (author, extra) => ({ title: null, author, lastModifiedBy: null, created: null, modified: null, application: null, editingMinutes: null, ...extra });
+  assert.ok(engine.sameAuthor('A. Cruz', 'Ana María Cruz'));
+  assert.ok(engine.sameAuthor('JOSÉ Reyes', 'jose reyes'));
+  assert.ok(!engine.sameAuthor('Ana Cruz', 'Ben Uy'));
+
+  const found = engine.metadataAnomalies([
+    { name: 'a.docx', studentId: 'S1', wordCount: 900, metadata: meta('Ben Uy', { editingMinutes: 2 }), style: { authors: ['Ana Cruz'] } },
+    { name: 'b.docx', studentId: 'S2', wordCount: 900, metadata: meta('Ben Uy'), style: null },
+    { name: 'c.txt', studentId: 'S3', wordCount: 900, metadata: null, style: null }
+  ]);
+  assert.deepEqual(found[0].map(a => a.type), ['author-mismatch', 'shared-author', 'editing-time']);
+  assert.deepEqual(found[1].map(a => a.type), ['shared-author']);
+  assert.deepEqual(found[2], []);
+  assert.equal(engine.formatMetadata(null), 'None recorded');
+});
@@ -0,0 +1,86 @@
+// Student IDs and writing-style baselines: features, comparison and the server store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createStudentStore } = require('../students');
+
+const corpus = path.join(__dirname, '..', 'human-corpus');
+const ESSAYS = fs.readdirSync(corpus).sort().map(f => fs.readFileSync(path.join(corpus, f), 'utf8'));
+const FORMAL = 'Furthermore, the implementation demonstrates considerable computational efficiency. Consequently, organizations increasingly leverage sophisticated methodologies. Additionally, comprehensive documentation facilitates maintainability. '.repeat(8);
+
+function profileOf(texts) {
+  let profile = null;
+  texts.forEach((t, i) => { profile = engine.recordSubmission(profile, 'BSIT-001', engine.styleSubmission(t, `week${i}.txt`)); });
+  return profile;
+}
+
+test('student IDs are read from the start of file names', () => {
+  assert.equal(engine.parseStudentId('BSIT-001 Essay.docx'), 'BSIT-001');
+  assert.equal(engine.parseStudentId('2021-CS-123_week4.pdf'), '2021-CS-123');
+  assert.equal(engine.parseStudentId('uploads/s12345_hw.txt'), 'S12345');
+  assert.equal(engine.parseStudentId('BSIT-001-essay.txt'), 'BSIT-001');
+  assert.equal(engine.parseStudentId('hw1_notes.txt'), null);
+  assert.equal(engine.parseStudentId('essay.txt'), null);
+  assert.equal(engine.normalizeStudentId('  bsit 001 '), 'BSIT 001');
+  assert.equal(engine.normalizeStudentId(''), null);
+});
+
+test('style features measure sentences, vocabulary and function words', () => {
+  const f = engine.stylometricFeatures('I like it. I like it a lot, and so do we. The end.');
+  assert.equal(f.words, 14);
+  assert.equal(f.sentenceMean, 4.67);
+  assert.equal(f.functionWords.i, Math.round(2 / 14 * 100000) / 100);
+  assert.equal(engine.styleSubmission('Too short to say anything.', 'a.txt'), null);
+});
+
+test('profiles record a text once and keep the latest submissions', () => {
+  const first = engine.styleSubmission(ESSAYS[0], 'a.txt');
+  let profile = engine.recordSubmission(null, 'BSIT-001', first);
+  profile = engine.recordSubmission(profile, 'BSIT-001', { ...first, fileName: 'again.txt' });
+  assert.equal(profile.submissions.length, 1);
+  for (let i = 0; i < engine.STYLE_MAX_SUBMISSIONS + 2; i++) profile = engine.recordSubmission(profile, 'BSIT-001', { ...first, hash: String(i) });
+  assert.equal(profile.submissions.length, engine.STYLE_MAX_SUBMISSIONS);
+  assert.equal(profile.submissions[profile.submissions.length - 1].hash, String(engine.STYLE_MAX_SUBMISSIONS + 1));
+});
+
+test('a submission unlike the student\'s own work is flagged', () => {
+  const profile = profileOf(ESSAYS.slice(0, 4));
+  const early = engine.compareStyle(engine.styleSubmission(ESSAYS[4]), profileOf(ESSAYS.slice(0, 2)));
+  assert.equal(early.deviation, null);
+  assert.equal(early.submissions, 2);
+
+  const own = engine.compareStyle(engine.styleSubmission(ESSAYS[5]), profile);
+  assert.equal(own.submissions, 4);
+  assert.equal(own.flagged, false);
+  assert.deepEqual(own.features.map(x => x.key), Object.keys(engine.STYLE_FEATURES));
+
+  const unlike = engine.compareStyle(engine.styleSubmission(FORMAL), profile);
+  assert.equal(unlike.flagged, true);
+  assert.ok(unlike.deviation > own.deviation);
+  assert.match(engine.formatStyle(unlike), /Deviates sharply/);
+
+  // a re-analysed submission is not its own baseline
+  assert.equal(engine.compareStyle(engine.styleSubmission(ESSAYS[0]), profile).submissions, 3);
+});
+
+test('the store keeps profiles per student across restarts', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'students-'));
+  try {
+    const file = path.join(dir, 'students.json');
+    const store = createStudentStore(file);
+    ESSAYS.slice(0, 3).forEach((t, i) => store.record('bsit-001', engine.styleSubmission(t, `w${i}.txt`)));
+    assert.equal(store.record('bsit-001', null), null);
+
+    const reopened = createStudentStore(file);
+    assert.deepEqual(reopened.list().map(s => [s.studentId, s.submissions]), [['BSIT-001', 3]]);
+    assert.equal(reopened.compare('BSIT-001', engine.styleSubmission(ESSAYS[3])).submissions, 3);
+    assert.equal(reopened.compare('BSIT-999', engine.styleSubmission(ESSAYS[3])).deviation, null);
+    assert.equal(reopened.remove('bsit-001'), true);
+    assert.equal(createStudentStore(file).list().length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,90 @@
+// Train the bundled language model (lm-model.js) from a folder of known
+// human-written assignments (.txt, .pdf, .docx and .zip archives of them).
+// Code blocks are left out, as they are when scoring. The perplexity and
+// burstiness the AI signals compare against are calibrated on held-out
+// documents: each document is scored by a model trained on the others.
+//
+// Usage: npm run train-lm -- [folder] [--order 4] [--out lm-model.js]
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+const { extractFolder } = require('./extract');
+
+const MAX_FOLDS = 10;
+
+function parseArgs(argv) {
+  const args = { folder: path.join(__dirname, 'human-corpus'), order: engine.LM_DEFAULT_ORDER, out: path.join(__dirname, 'lm-model.js') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--order') args.order = Number(argv[++i]);
+    else if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+    else args.folder = path.resolve(argv[i]);
+  }
+  if (!(Number.isInteger(args.order) && args.order >= 1 && args.order <= 8)) throw new Error('--order must be a whole number from 1 to 8');
+  return args;
+}
+
+// Prose of every readable document under `folder`
+async function readCorpus(folder) {
+  return (await extractFolder(folder))
+    .map(doc => engine.extractCode(doc.text).prose)
+    .filter(prose => engine.normalizeToWords(prose).length);
+}
+
+// Sentence perplexity mean and spread, and the average burstiness of a
+// document, measured on documents the model was not trained on
+function calibrate(texts, order) {
+  const folds = Math.min(MAX_FOLDS, texts.length);
+  const values = [];
+  const burstiness = [];
+  for (let f = 0; f < folds; f++) {
+    const held = texts.filter((_, i) => i % folds === f);
+    const lm = engine.prepareLanguageModel(engine.trainLanguageModel(texts.filter((_, i) => i % folds !== f), { order }));
+    for (const text of held) {
+      const profile = engine.perplexityProfile(engine.splitToSentences(text), lm);
+      values.push(...profile.values);
+      if (profile.burstiness !== null) burstiness.push(profile.burstiness);
+    }
+  }
+  const round = n => Math.round(n * 1000) / 1000;
+  return {
+    sentenceMean: round(engine.mean(values)),
+    sentenceSd: round(engine.stddev(values)),
+    burstiness: round(engine.mean(burstiness)),
+    sentences: values.length
+  };
+}
+
+function writeModel(model, out, folder) {
+  const source = [
+    '// Character n-gram language model of human-written assignments.',
+    `// Generated by train-lm.js from ${path.relative(__dirname, folder) || '.'}/ - do not edit; run`,
+    '// `npm run train-lm -- <folder>` to rebuild it from your own texts.',
+    '(function (root, model) {',
+    "  if (typeof module === 'object' && module.exports) module.exports = model;",
+    '  else root.DetectorLanguageModel = model;',
+    "})(typeof self !== 'undefined' ? self : this, " + JSON.stringify(model) + ');',
+    ''
+  ].join('\n');
+  fs.writeFileSync(out, source);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const texts = await readCorpus(args.folder);
+  if (texts.length < 2) throw new Error(`Need at least 2 human-written documents in ${args.folder}, found ${texts.length}`);
+
+  const model = engine.trainLanguageModel(texts, { order: args.order });
+  model.calibration = calibrate(texts, args.order);
+  writeModel(model, args.out, args.folder);
+
+  const c = model.calibration;
+  console.log(`Trained an order-${model.order} model on ${texts.length} documents (${model.trainedOn.characters} characters)`);
+  console.log(`Held-out sentence perplexity ${c.sentenceMean} ± ${c.sentenceSd} over ${c.sentences} sentences, burstiness ${c.burstiness}`);
+  console.log(`Wrote ${path.relative(process.cwd(), args.out) || args.out}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
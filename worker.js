@@ -0,0 +1,25 @@
+// Job worker thread: extracts and scores one uploaded file at a time so
+// large PDFs never block the Express event loop.
+
+const { parentPort } = require('worker_threads');
+const engine = require('./engine');
+const { extractDocuments } = require('./extract');
+
+parentPort.on('message', async ({ taskId, filePath, name, profile, subject, rubric }) => {
+  try {
+    parentPort.postMessage({ taskId, type: 'progress', stage: 'extracting' });
+    const docs = await extractDocuments(filePath, name);
+
+    parentPort.postMessage({ taskId, type: 'progress', stage: 'analyzing' });
+    const analyzed = docs.map(d => ({
+      ...d,
+      analysis: engine.analyzeText(d.text, profile, { subject, rubric }),
+      fingerprint: engine.fingerprintText(d.text),
+      codeFingerprint: engine.fingerprintCode(d.text)
+    }));
+
+    parentPort.postMessage({ taskId, type: 'done', docs: analyzed });
+  } catch (err) {
+    parentPort.postMessage({ taskId, type: 'error', error: err.message });
+  }
+});